@@ -29,6 +29,18 @@ console.log('Initializing Socket.io service...');
 socketService.initialize(server);
 console.log('Socket.io service initialized');
 
+debug('Recovering scan queue...');
+require('./startup/scanQueue')();
+
+debug('Starting scan scheduler...');
+require('./startup/scheduler')();
+
+debug('Starting ownership re-check...');
+require('./startup/ownership')();
+
+debug('Checking secrets encryption...');
+require('./startup/secrets')();
+
 console.log(`Starting server on port ${port}...`);
 server.listen(port, () => {
     debug('Server started on port %d', port);
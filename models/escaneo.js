@@ -4,6 +4,13 @@ const debug = require('debug')('easyinjection:models:scan');
 const BaseModel = require('./base/BaseModel');
 const { buildObject } = require('./base/ModelHelpers');
 const { ScanFlags, Credentials, UserAnswer, Score } = require('./value-objects/scan-value-objects');
+const secrets = require('../utils/secretCrypto');
+const { compileUserRegex } = require('../utils/userRegex');
+const { normalizeEndpoint } = require('../utils/endpointUrl');
+
+const QUESTION_MODES = ['interactivo', 'omitir', 'diferido'];
+const AUTH_METHODS = ['formulario', 'basic', 'bearer', 'apikey', 'cookie'];
+const CRAWLERS = ['sqlmap', 'nativo', 'ninguno'];
 
 const userAnswerSchema = new mongoose.Schema({
     pregunta_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
@@ -12,20 +19,108 @@ const userAnswerSchema = new mongoose.Schema({
     puntos_obtenidos: { type: Number, default: 0 }
 });
 
+const pendingQuestionSchema = new mongoose.Schema({
+    pregunta_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    fase: { type: String }
+});
+
+// Cómo iniciar sesión con tipo_autenticacion y credenciales, y cómo detectar que la sesión ha caducado
+const authSettingsSchema = new mongoose.Schema({
+    metodo: { type: String, enum: AUTH_METHODS },
+    url_login: { type: String, maxlength: 2048 },
+    campo_usuario: { type: String, maxlength: 100 },
+    campo_password: { type: String, maxlength: 100 },
+    cabecera_token: { type: String, maxlength: 100 },
+    url_comprobacion: { type: String, maxlength: 2048 },
+    patron_sesion_caducada: { type: String, maxlength: 255 }
+}, { _id: false });
+
+const authSettingsValidation = Joi.object({
+    metodo: Joi.string().valid(...AUTH_METHODS),
+    url_login: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).allow(''),
+    campo_usuario: Joi.string().max(100).allow(''),
+    campo_password: Joi.string().max(100).allow(''),
+    cabecera_token: Joi.string().max(100).pattern(/^[A-Za-z0-9-]+$/).allow(''),
+    url_comprobacion: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).allow(''),
+    patron_sesion_caducada: Joi.string().max(255).allow('').custom((value, helpers) => {
+        try {
+            compileUserRegex(value);
+        } catch (error) {
+            return helpers.message(`Patrón de sesión caducada inválido '${value}': ${error.message}`);
+        }
+        return value;
+    })
+});
+
+// Cómo se descubren los endpoints: crawl de sqlmap, crawler nativo (que puede respetar robots.txt) o ninguno (solo semillas)
+const discoverySettingsSchema = new mongoose.Schema({
+    crawler: { type: String, enum: CRAWLERS, default: 'sqlmap' },
+    respetar_robots: { type: Boolean, default: true }
+}, { _id: false });
+
+const discoverySettingsValidation = Joi.object({
+    crawler: Joi.string().valid(...CRAWLERS),
+    respetar_robots: Joi.boolean()
+});
+
+// Endpoint/parámetro probado durante el escaneo (casos de prueba del informe JUnit)
+const testedParameterSchema = new mongoose.Schema({
+    url: { type: String, maxlength: 2048, required: true },
+    parametro: { type: String, maxlength: 100, required: true },
+    ubicacion: { type: String, maxlength: 20 }
+}, { _id: false });
+
+// Reglas de alcance: hosts permitidos, rutas incluidas/excluidas (glob o 'regex:<expresión>') y parámetros excluidos
+const scopeSchema = new mongoose.Schema({
+    hosts_permitidos: [{ type: String, maxlength: 255 }],
+    rutas_incluidas: [{ type: String, maxlength: 255 }],
+    rutas_excluidas: [{ type: String, maxlength: 255 }],
+    parametros_excluidos: [{ type: String, maxlength: 100 }]
+}, { _id: false });
+
+// Una regla 'regex:' debe ser una expresión regular válida, corta y sin retroceso exponencial (se evalúa con cada URL)
+const scopeRule = Joi.string().max(255).custom((value, helpers) => {
+    if (!value.startsWith('regex:')) return value;
+    try {
+        compileUserRegex(value.slice('regex:'.length));
+    } catch (error) {
+        return helpers.message(`Regla de alcance inválida '${value}': ${error.message}`);
+    }
+    return value;
+});
+
+const scopeValidation = Joi.object({
+    hosts_permitidos: Joi.array().items(Joi.string().hostname().max(255), Joi.string().pattern(/^\*\.[a-z0-9.-]+$/i).max(255)).max(50),
+    rutas_incluidas: Joi.array().items(scopeRule).max(100),
+    rutas_excluidas: Joi.array().items(scopeRule).max(100),
+    parametros_excluidos: Joi.array().items(Joi.string().max(100)).max(100)
+});
+
 const scanSchema = new mongoose.Schema({
     usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     alias: { type: String, maxlength: 150, required: true },
     url: { type: String, maxlength: 255, required: true },
+    // URL normalizada (normalizeEndpoint): identifica las ejecuciones anteriores del mismo objetivo
+    url_normalizada: { type: String, maxlength: 2048 },
     flags: { xss: { type: Boolean, default: false }, sqli: { type: Boolean, default: false } },
     tipo_autenticacion: { type: mongoose.Schema.Types.ObjectId, ref: 'AuthType' },
-    credenciales: { usuario_login: { type: String, maxlength: 100 }, password_login: { type: String, maxlength: 255 } },
-    estado: { type: String, enum: ['pendiente', 'en_progreso', 'finalizado', 'error'], default: 'pendiente' },
+    // password_login y cookie se guardan cifrados (utils/secretCrypto), de ahí la longitud
+    credenciales: { usuario_login: { type: String, maxlength: 100 }, password_login: { type: String, maxlength: 1024 } },
+    estado: { type: String, enum: ['pendiente', 'en_progreso', 'finalizado', 'detenido', 'error'], default: 'pendiente' },
     gestor: { type: mongoose.Schema.Types.ObjectId, ref: 'GestorBD' },
     fecha_inicio: { type: Date, default: Date.now },
     fecha_fin: { type: Date },
-    cookie: { type: String, maxlength: 255 },
+    cookie: { type: String, maxlength: 1024 },
+    autenticacion: { type: authSettingsSchema, default: () => ({}) },
     vulnerabilidades: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vulnerability' }],
+    modo_preguntas: { type: String, enum: QUESTION_MODES, default: 'interactivo' },
+    programacion_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ScanSchedule', index: true },
+    objetivo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Target', index: true },
+    alcance: { type: scopeSchema, default: () => ({}) },
+    descubrimiento: { type: discoverySettingsSchema, default: () => ({}) },
     respuestas_usuario: [userAnswerSchema],
+    preguntas_pendientes: [pendingQuestionSchema],
+    parametros_probados: [testedParameterSchema],
     puntuacion: {
         puntos_cuestionario: { type: Number, default: 0 },
         total_puntos_cuestionario: { type: Number, default: 0 },
@@ -35,11 +130,16 @@ const scanSchema = new mongoose.Schema({
     }
 });
 
+// Listados y estadísticas por usuario filtran por fecha de inicio
+scanSchema.index({ usuario_id: 1, fecha_inicio: -1 });
+// Ejecución anterior del mismo objetivo (comparación entre escaneos)
+scanSchema.index({ usuario_id: 1, url_normalizada: 1, fecha_inicio: -1 });
+
 const ScanModel = mongoose.models.Scan || mongoose.model('Scan', scanSchema);
 
 class Scan extends BaseModel {
     #usuario_id; #alias; #url; #flags; #tipo_autenticacion; #credenciales; #estado; #gestor;
-    #fecha_inicio; #fecha_fin; #cookie; #vulnerabilidades; #respuestas_usuario; #puntuacion;
+    #fecha_inicio; #fecha_fin; #cookie; #autenticacion; #vulnerabilidades; #modo_preguntas; #programacion_id; #objetivo_id; #alcance; #descubrimiento; #respuestas_usuario; #preguntas_pendientes; #parametros_probados; #puntuacion;
 
     constructor(data = {}) {
         super(data);
@@ -54,9 +154,17 @@ class Scan extends BaseModel {
         this.#gestor = plainData.gestor;
         this.#fecha_inicio = plainData.fecha_inicio;
         this.#fecha_fin = plainData.fecha_fin;
-        this.#cookie = plainData.cookie;
+        this.#cookie = secrets.encrypt(plainData.cookie);
+        this.#autenticacion = plainData.autenticacion;
         this.#vulnerabilidades = plainData.vulnerabilidades || [];
+        this.#modo_preguntas = plainData.modo_preguntas || 'interactivo';
+        this.#programacion_id = plainData.programacion_id;
+        this.#objetivo_id = plainData.objetivo_id;
+        this.#alcance = plainData.alcance;
+        this.#descubrimiento = plainData.descubrimiento;
         this.#respuestas_usuario = (plainData.respuestas_usuario || []).map(ua => new UserAnswer(ua));
+        this.#preguntas_pendientes = plainData.preguntas_pendientes || [];
+        this.#parametros_probados = plainData.parametros_probados || [];
         this.#puntuacion = new Score(plainData.puntuacion || {});
     }
 
@@ -69,6 +177,8 @@ class Scan extends BaseModel {
     get url() { return this.#url; }
     set url(value) { if (!value || value.length > 255) throw new Error('La URL es obligatoria y no puede exceder 255 caracteres'); this.#url = value; }
 
+    get url_normalizada() { return this.#url ? normalizeEndpoint(this.#url) : undefined; }
+
     get flags() { return this.#flags; }
     set flags(value) { this.#flags = new ScanFlags(value); }
 
@@ -80,7 +190,7 @@ class Scan extends BaseModel {
 
     get estado() { return this.#estado; }
     set estado(value) {
-        const validStates = ['pendiente', 'en_progreso', 'finalizado', 'error'];
+        const validStates = ['pendiente', 'en_progreso', 'finalizado', 'detenido', 'error'];
         if (!validStates.includes(value)) throw new Error(`Estado inválido: ${value}`);
         this.#estado = value;
     }
@@ -95,20 +205,51 @@ class Scan extends BaseModel {
     set fecha_fin(value) { this.#fecha_fin = value; }
 
     get cookie() { return this.#cookie; }
-    set cookie(value) { if (value && value.length > 255) throw new Error('La cookie no puede exceder 255 caracteres'); this.#cookie = value; }
+    set cookie(value) {
+        if (value && !secrets.isEncrypted(value) && value.length > 255) throw new Error('La cookie no puede exceder 255 caracteres');
+        this.#cookie = secrets.encrypt(value);
+    }
+
+    get autenticacion() { return this.#autenticacion; }
+    set autenticacion(value) { this.#autenticacion = value || {}; }
 
     get vulnerabilidades() { return this.#vulnerabilidades; }
     set vulnerabilidades(value) { this.#vulnerabilidades = value || []; }
 
+    get modo_preguntas() { return this.#modo_preguntas; }
+    set modo_preguntas(value) {
+        if (!QUESTION_MODES.includes(value)) throw new Error(`Modo de preguntas inválido: ${value}`);
+        this.#modo_preguntas = value;
+    }
+
+    get programacion_id() { return this.#programacion_id; }
+    set programacion_id(value) { this.#programacion_id = value; }
+
+    get objetivo_id() { return this.#objetivo_id; }
+    set objetivo_id(value) { this.#objetivo_id = value; }
+
+    get alcance() { return this.#alcance; }
+    set alcance(value) { this.#alcance = value || {}; }
+
+    get descubrimiento() { return this.#descubrimiento; }
+    set descubrimiento(value) { this.#descubrimiento = value || {}; }
+
     get respuestas_usuario() { return this.#respuestas_usuario; }
     set respuestas_usuario(value) { this.#respuestas_usuario = (value || []).map(ua => new UserAnswer(ua)); }
 
+    get preguntas_pendientes() { return this.#preguntas_pendientes; }
+    set preguntas_pendientes(value) { this.#preguntas_pendientes = value || []; }
+
+    get parametros_probados() { return this.#parametros_probados; }
+    set parametros_probados(value) { this.#parametros_probados = value || []; }
+
     get puntuacion() { return this.#puntuacion; }
     set puntuacion(value) { this.#puntuacion = new Score(value); }
 
     isPending() { return this.#estado === 'pendiente'; }
     isInProgress() { return this.#estado === 'en_progreso'; }
     isFinished() { return this.#estado === 'finalizado'; }
+    isStopped() { return this.#estado === 'detenido'; }
     hasError() { return this.#estado === 'error'; }
 
     start() {
@@ -147,6 +288,33 @@ class Scan extends BaseModel {
         if (userAnswer.isCorrect()) this.#puntuacion.addQuestionPoints(userAnswer.puntos_obtenidos);
     }
 
+    isScheduledRun() { return Boolean(this.#programacion_id); }
+    isInteractive() { return this.#modo_preguntas === 'interactivo'; }
+    hasPendingQuiz() { return this.#preguntas_pendientes.length > 0; }
+
+    /**
+     * Estado del cuestionario: completado, pendiente, omitido o sin_preguntas
+     */
+    getQuizStatus() {
+        if (this.hasPendingQuiz()) return 'pendiente';
+        if (this.#respuestas_usuario.length > 0) return 'completado';
+        if (this.#modo_preguntas === 'omitir') return 'omitido';
+        return 'sin_preguntas';
+    }
+
+    /**
+     * Registra la respuesta a una pregunta del cuestionario diferido
+     * @param {Object} answer - Respuesta del usuario (pregunta_id, respuesta_seleccionada_id, es_correcta, puntos_obtenidos)
+     * @param {number} possiblePoints - Puntos máximos de la pregunta
+     */
+    answerPendingQuestion(answer, possiblePoints) {
+        const index = this.#preguntas_pendientes.findIndex(p => p.pregunta_id.toString() === answer.pregunta_id.toString());
+        if (index === -1) throw new Error('La pregunta no está pendiente en este escaneo');
+        this.#preguntas_pendientes.splice(index, 1);
+        this.addUserAnswer(answer);
+        this.#puntuacion.setTotalQuestionPoints(this.#puntuacion.total_puntos_cuestionario + possiblePoints);
+    }
+
     calculateScore() {
         debug('calculateScore: calculating final score');
         return this.#puntuacion.calculateFinalScore();
@@ -159,7 +327,7 @@ class Scan extends BaseModel {
         return new Scan({
             usuario_id: usuarioId, alias: '', url: '', flags: ScanFlags.createEmpty().toObject(),
             credenciales: Credentials.createEmpty().toObject(), estado: 'pendiente',
-            vulnerabilidades: [], respuestas_usuario: [], puntuacion: Score.createEmpty().toObject()
+            vulnerabilidades: [], modo_preguntas: 'interactivo', respuestas_usuario: [], preguntas_pendientes: [], puntuacion: Score.createEmpty().toObject()
         });
     }
 
@@ -171,19 +339,36 @@ class Scan extends BaseModel {
             flags: Joi.object({ xss: Joi.boolean(), sqli: Joi.boolean() }),
             tipo_autenticacion: Joi.string(),
             credenciales: Joi.object({ usuario_login: Joi.string().max(100), password_login: Joi.string().max(255) }),
-            estado: Joi.string().valid('pendiente', 'en_progreso', 'finalizado', 'error'),
+            estado: Joi.string().valid('pendiente', 'en_progreso', 'finalizado', 'detenido', 'error'),
             gestor: Joi.string(),
             cookie: Joi.string().max(255),
+            autenticacion: authSettingsValidation,
             vulnerabilidades: Joi.array().items(Joi.string()),
+            modo_preguntas: Joi.string().valid(...QUESTION_MODES),
+            programacion_id: Joi.string(),
+            objetivo_id: Joi.string(),
+            alcance: scopeValidation,
+            descubrimiento: discoverySettingsValidation,
             respuestas_usuario: Joi.array(),
+            preguntas_pendientes: Joi.array(),
+            parametros_probados: Joi.array(),
             puntuacion: Joi.object()
         }).validate(scan);
     }
 
+    static get QUESTION_MODES() { return QUESTION_MODES; }
+    static get scopeSchema() { return scopeSchema; }
+    static get scopeValidation() { return scopeValidation; }
+    static get AUTH_METHODS() { return AUTH_METHODS; }
+    static get CRAWLERS() { return CRAWLERS; }
+    static get discoverySettingsSchema() { return discoverySettingsSchema; }
+    static get discoverySettingsValidation() { return discoverySettingsValidation; }
+    static get authSettingsSchema() { return authSettingsSchema; }
+    static get authSettingsValidation() { return authSettingsValidation; }
     static get Model() { return ScanModel; }
     static get debug() { return debug; }
 
-    toObject() { return buildObject(this, ['usuario_id', 'alias', 'url', 'flags', 'tipo_autenticacion', 'credenciales', 'estado', 'gestor', 'fecha_inicio', 'fecha_fin', 'cookie', 'vulnerabilidades', 'respuestas_usuario', 'puntuacion']); }
+    toObject() { return buildObject(this, ['usuario_id', 'alias', 'url', 'url_normalizada', 'flags', 'tipo_autenticacion', 'credenciales', 'estado', 'gestor', 'fecha_inicio', 'fecha_fin', 'cookie', 'autenticacion', 'vulnerabilidades', 'modo_preguntas', 'programacion_id', 'objetivo_id', 'alcance', 'descubrimiento', 'respuestas_usuario', 'preguntas_pendientes', 'parametros_probados', 'puntuacion']); }
 
     toDTO() {
         return {
@@ -191,7 +376,9 @@ class Scan extends BaseModel {
             flags: this.#flags.getEnabledFlags(), estado: this.#estado, fechaInicio: this.#fecha_inicio,
             fechaFin: this.#fecha_fin, duracion: this.getDuration(), vulnerabilidades: this.getVulnerabilityCount(),
             puntuacionFinal: this.#puntuacion.puntuacion_final, calificacion: this.#puntuacion.calificacion,
-            quizPercentage: this.#puntuacion.getQuizPercentage()
+            quizPercentage: this.#puntuacion.getQuizPercentage(), modoPreguntas: this.#modo_preguntas,
+            estadoCuestionario: this.getQuizStatus(), preguntasPendientes: this.#preguntas_pendientes.length, objetivoId: this.#objetivo_id, alcance: this.#alcance || {},
+            autenticacion: this.#autenticacion || {}, descubrimiento: this.#descubrimiento || {}
         };
     }
 
@@ -0,0 +1,196 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:finding');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+const Vulnerability = require('./vulnerabilidad');
+
+const FINDING_STATES = ['abierto', 'corregido', 'reabierto'];
+const OPEN_STATES = ['abierto', 'reabierto'];
+
+// Un hallazgo agrupa las vulnerabilidades con la misma huella en un mismo objetivo a lo largo de los escaneos
+const findingSchema = new mongoose.Schema({
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    objetivo: { type: String, maxlength: 255, required: true },
+    huella: { type: String, required: true },
+    tipo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'VulnerabilityType', required: true },
+    nivel_severidad_id: { type: mongoose.Schema.Types.ObjectId, ref: 'SeverityLevel', required: true },
+    url_afectada: { type: String, maxlength: 255 },
+    parametro_afectado: { type: String, maxlength: 100 },
+    estado: { type: String, enum: FINDING_STATES, default: 'abierto' },
+    primera_deteccion: { type: Date, default: Date.now },
+    ultima_deteccion: { type: Date, default: Date.now },
+    veces_detectado: { type: Number, default: 1 },
+    primer_escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan' },
+    ultimo_escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan' },
+    ultima_vulnerabilidad_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Vulnerability' },
+    fecha_correccion: { type: Date },
+    // Último triage aplicado; si suprime el hallazgo se hereda en los siguientes escaneos
+    estado_triage: { type: String },
+    justificacion_triage: { type: String, maxlength: 1000 },
+    revisado_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fecha_revision: { type: Date }
+});
+
+findingSchema.index({ usuario_id: 1, objetivo: 1, huella: 1 }, { unique: true });
+
+const FindingModel = mongoose.models.Finding || mongoose.model('Finding', findingSchema);
+
+class Finding extends BaseModel {
+    #usuario_id; #objetivo; #huella; #tipo_id; #nivel_severidad_id; #url_afectada; #parametro_afectado; #estado;
+    #primera_deteccion; #ultima_deteccion; #veces_detectado; #primer_escaneo_id; #ultimo_escaneo_id;
+    #ultima_vulnerabilidad_id; #fecha_correccion; #estado_triage; #justificacion_triage; #revisado_por; #fecha_revision;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#usuario_id = plainData.usuario_id;
+        this.#objetivo = plainData.objetivo;
+        this.#huella = plainData.huella;
+        this.#tipo_id = plainData.tipo_id;
+        this.#nivel_severidad_id = plainData.nivel_severidad_id;
+        this.#url_afectada = plainData.url_afectada;
+        this.#parametro_afectado = plainData.parametro_afectado;
+        this.#estado = plainData.estado || 'abierto';
+        this.#primera_deteccion = plainData.primera_deteccion;
+        this.#ultima_deteccion = plainData.ultima_deteccion;
+        this.#veces_detectado = plainData.veces_detectado || 1;
+        this.#primer_escaneo_id = plainData.primer_escaneo_id;
+        this.#ultimo_escaneo_id = plainData.ultimo_escaneo_id;
+        this.#ultima_vulnerabilidad_id = plainData.ultima_vulnerabilidad_id;
+        this.#fecha_correccion = plainData.fecha_correccion;
+        this.#estado_triage = plainData.estado_triage;
+        this.#justificacion_triage = plainData.justificacion_triage;
+        this.#revisado_por = plainData.revisado_por;
+        this.#fecha_revision = plainData.fecha_revision;
+    }
+
+    get usuario_id() { return this.#usuario_id; }
+    get objetivo() { return this.#objetivo; }
+    get huella() { return this.#huella; }
+    get tipo_id() { return this.#tipo_id; }
+    get nivel_severidad_id() { return this.#nivel_severidad_id; }
+    get url_afectada() { return this.#url_afectada; }
+    get parametro_afectado() { return this.#parametro_afectado; }
+
+    get estado() { return this.#estado; }
+    set estado(value) {
+        if (!FINDING_STATES.includes(value)) throw new Error(`Estado de hallazgo inválido: ${value}`);
+        this.#estado = value;
+    }
+
+    get primera_deteccion() { return this.#primera_deteccion; }
+    get ultima_deteccion() { return this.#ultima_deteccion; }
+    get veces_detectado() { return this.#veces_detectado; }
+    get primer_escaneo_id() { return this.#primer_escaneo_id; }
+    get ultimo_escaneo_id() { return this.#ultimo_escaneo_id; }
+    get ultima_vulnerabilidad_id() { return this.#ultima_vulnerabilidad_id; }
+    get fecha_correccion() { return this.#fecha_correccion; }
+    get estado_triage() { return this.#estado_triage; }
+    get justificacion_triage() { return this.#justificacion_triage; }
+    get revisado_por() { return this.#revisado_por; }
+    get fecha_revision() { return this.#fecha_revision; }
+
+    isOpen() { return OPEN_STATES.includes(this.#estado); }
+    isFixed() { return this.#estado === 'corregido'; }
+    isSuppressed() { return Boolean(this.#estado_triage) && Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(this.#estado_triage); }
+
+    /**
+     * Copia el triage de una vulnerabilidad revisada para heredarlo en futuros escaneos
+     */
+    applyTriage(vulnerability) {
+        debug('applyTriage: finding %s -> %s', this._id, vulnerability.estado_triage);
+        this.#estado_triage = vulnerability.estado_triage;
+        this.#justificacion_triage = vulnerability.justificacion_triage;
+        this.#revisado_por = vulnerability.revisado_por;
+        this.#fecha_revision = vulnerability.fecha_revision;
+    }
+
+    /**
+     * Registra una nueva detección del hallazgo; si estaba corregido pasa a reabierto
+     * @param {Object} vulnerability - Vulnerabilidad detectada (_id, escaneo_id, nivel_severidad_id, url_afectada)
+     * @param {Date} detectedAt - Fecha de la detección
+     */
+    recordDetection(vulnerability, detectedAt = new Date()) {
+        debug('recordDetection: finding %s (estado: %s)', this._id, this.#estado);
+        if (this.isFixed()) {
+            this.#estado = 'reabierto';
+            this.#fecha_correccion = null;
+        }
+        this.#ultima_deteccion = detectedAt;
+        this.#veces_detectado++;
+        this.#ultimo_escaneo_id = vulnerability.escaneo_id;
+        this.#ultima_vulnerabilidad_id = vulnerability._id;
+        this.#nivel_severidad_id = vulnerability.nivel_severidad_id;
+        this.#url_afectada = vulnerability.url_afectada;
+    }
+
+    /**
+     * Marca el hallazgo como corregido (no detectado en un escaneo que cubría su tipo)
+     */
+    markFixed(fixedAt = new Date()) {
+        debug('markFixed: finding %s', this._id);
+        this.#estado = 'corregido';
+        this.#fecha_correccion = fixedAt;
+    }
+
+    /**
+     * Crea un hallazgo a partir de su primera detección
+     */
+    static fromVulnerability(vulnerability, { usuarioId, objetivo, detectedAt = new Date() }) {
+        return new Finding({
+            usuario_id: usuarioId,
+            objetivo,
+            huella: vulnerability.huella,
+            tipo_id: vulnerability.tipo_id,
+            nivel_severidad_id: vulnerability.nivel_severidad_id,
+            url_afectada: vulnerability.url_afectada,
+            parametro_afectado: vulnerability.parametro_afectado,
+            estado: 'abierto',
+            primera_deteccion: detectedAt,
+            ultima_deteccion: detectedAt,
+            veces_detectado: 1,
+            primer_escaneo_id: vulnerability.escaneo_id,
+            ultimo_escaneo_id: vulnerability.escaneo_id,
+            ultima_vulnerabilidad_id: vulnerability._id
+        });
+    }
+
+    static validate(finding) {
+        return Joi.object({
+            usuario_id: Joi.string().required(),
+            objetivo: Joi.string().max(255).required(),
+            huella: Joi.string().hex().length(64).required(),
+            tipo_id: Joi.string().required(),
+            nivel_severidad_id: Joi.string().required(),
+            url_afectada: Joi.string().max(255),
+            parametro_afectado: Joi.string().max(100),
+            estado: Joi.string().valid(...FINDING_STATES)
+        }).validate(finding);
+    }
+
+    static get STATES() { return FINDING_STATES; }
+    static get OPEN_STATES() { return OPEN_STATES; }
+    static get Model() { return FindingModel; }
+    static get debug() { return debug; }
+
+    toObject() {
+        return buildObject(this, ['usuario_id', 'objetivo', 'huella', 'tipo_id', 'nivel_severidad_id', 'url_afectada', 'parametro_afectado', 'estado',
+            'primera_deteccion', 'ultima_deteccion', 'veces_detectado', 'primer_escaneo_id', 'ultimo_escaneo_id', 'ultima_vulnerabilidad_id', 'fecha_correccion',
+            'estado_triage', 'justificacion_triage', 'revisado_por', 'fecha_revision']);
+    }
+
+    toDTO(severityLevel, vulnerabilityType) {
+        return {
+            id: this._id, objetivo: this.#objetivo, huella: this.#huella, tipo: vulnerabilityType?.nombre, severidad: severityLevel?.nombre,
+            url: this.#url_afectada, parametro: this.#parametro_afectado, estado: this.#estado,
+            primeraDeteccion: this.#primera_deteccion, ultimaDeteccion: this.#ultima_deteccion, vecesDetectado: this.#veces_detectado,
+            primerEscaneoId: this.#primer_escaneo_id, ultimoEscaneoId: this.#ultimo_escaneo_id, fechaCorreccion: this.#fecha_correccion,
+            estadoTriage: this.#estado_triage, justificacionTriage: this.#justificacion_triage, suprimido: this.isSuppressed()
+        };
+    }
+
+    toString() { return `[FINDING ${this.#estado.toUpperCase()}] ${this.#parametro_afectado || 'N/A'} @ ${this.#url_afectada || 'N/A'} (x${this.#veces_detectado})`; }
+}
+
+module.exports = Finding;
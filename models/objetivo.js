@@ -0,0 +1,201 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:target');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+const { ScanFlags, Credentials } = require('./value-objects/scan-value-objects');
+const Scan = require('./escaneo');
+const secrets = require('../utils/secretCrypto');
+
+// Un objetivo agrupa los escaneos de una misma aplicación y guarda su configuración por defecto
+const targetSchema = new mongoose.Schema({
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    nombre: { type: String, maxlength: 150, required: true },
+    descripcion: { type: String, maxlength: 500 },
+    url_base: { type: String, maxlength: 255, required: true },
+    // Alcance por defecto de los escaneos del objetivo
+    alcance: { type: Scan.scopeSchema, default: () => ({}) },
+    descubrimiento: { type: Scan.discoverySettingsSchema, default: () => ({}) },
+    flags: { xss: { type: Boolean, default: false }, sqli: { type: Boolean, default: false } },
+    modo_preguntas: { type: String, enum: Scan.QUESTION_MODES, default: 'interactivo' },
+    tipo_autenticacion: { type: mongoose.Schema.Types.ObjectId, ref: 'AuthType' },
+    // password_login y cookie se guardan cifrados (utils/secretCrypto), de ahí la longitud
+    credenciales: { usuario_login: { type: String, maxlength: 100 }, password_login: { type: String, maxlength: 1024 } },
+    cookie: { type: String, maxlength: 1024 },
+    autenticacion: { type: Scan.authSettingsSchema, default: () => ({}) },
+    fecha_creacion: { type: Date, default: Date.now },
+    fecha_actualizacion: { type: Date, default: Date.now }
+});
+
+const TargetModel = mongoose.models.Target || mongoose.model('Target', targetSchema);
+
+// Campos que el cliente puede enviar al crear o modificar un objetivo
+const targetFields = {
+    nombre: Joi.string().max(150),
+    descripcion: Joi.string().max(500).allow(''),
+    url_base: Joi.string().uri({ scheme: ['http', 'https'] }).max(255),
+    alcance: Scan.scopeValidation,
+    descubrimiento: Scan.discoverySettingsValidation,
+    flags: Joi.object({ xss: Joi.boolean(), sqli: Joi.boolean() }),
+    modo_preguntas: Joi.string().valid(...Scan.QUESTION_MODES),
+    tipo_autenticacion: Joi.string().allow(null),
+    credenciales: Joi.object({ usuario_login: Joi.string().max(100).allow(''), password_login: Joi.string().max(255).allow('') }),
+    cookie: Joi.string().max(255).allow(''),
+    autenticacion: Scan.authSettingsValidation
+};
+
+class Target extends BaseModel {
+    #usuario_id; #nombre; #descripcion; #url_base; #alcance; #descubrimiento; #flags; #modo_preguntas;
+    #tipo_autenticacion; #credenciales; #cookie; #autenticacion; #fecha_creacion; #fecha_actualizacion;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#usuario_id = plainData.usuario_id;
+        this.#nombre = plainData.nombre;
+        this.#descripcion = plainData.descripcion;
+        this.#url_base = plainData.url_base;
+        this.#alcance = plainData.alcance || {};
+        this.#descubrimiento = plainData.descubrimiento || {};
+        this.#flags = new ScanFlags(plainData.flags || {});
+        this.#modo_preguntas = plainData.modo_preguntas || 'interactivo';
+        this.#tipo_autenticacion = plainData.tipo_autenticacion;
+        this.#credenciales = new Credentials(plainData.credenciales || {});
+        this.#cookie = secrets.encrypt(plainData.cookie);
+        this.#autenticacion = plainData.autenticacion || {};
+        this.#fecha_creacion = plainData.fecha_creacion;
+        this.#fecha_actualizacion = plainData.fecha_actualizacion;
+    }
+
+    get usuario_id() { return this.#usuario_id; }
+    set usuario_id(value) { if (!value) throw new Error('El ID del usuario es obligatorio'); this.#usuario_id = value; }
+
+    get nombre() { return this.#nombre; }
+    set nombre(value) {
+        if (!value || value.length > 150) throw new Error('El nombre es obligatorio y no puede exceder 150 caracteres');
+        this.#nombre = value;
+    }
+
+    get descripcion() { return this.#descripcion; }
+    set descripcion(value) {
+        if (value && value.length > 500) throw new Error('La descripción no puede exceder 500 caracteres');
+        this.#descripcion = value;
+    }
+
+    get url_base() { return this.#url_base; }
+    set url_base(value) {
+        if (!value || value.length > 255) throw new Error('La URL base es obligatoria y no puede exceder 255 caracteres');
+        this.#url_base = value;
+    }
+
+    get alcance() { return this.#alcance; }
+    set alcance(value) { this.#alcance = value || {}; }
+
+    get descubrimiento() { return this.#descubrimiento; }
+    set descubrimiento(value) { this.#descubrimiento = value || {}; }
+
+    get flags() { return this.#flags; }
+    set flags(value) { this.#flags = new ScanFlags(value); }
+
+    get modo_preguntas() { return this.#modo_preguntas; }
+    set modo_preguntas(value) {
+        if (!Scan.QUESTION_MODES.includes(value)) throw new Error(`Modo de preguntas inválido: ${value}`);
+        this.#modo_preguntas = value;
+    }
+
+    get tipo_autenticacion() { return this.#tipo_autenticacion; }
+    set tipo_autenticacion(value) { this.#tipo_autenticacion = value; }
+
+    get credenciales() { return this.#credenciales; }
+    set credenciales(value) { this.#credenciales = new Credentials(value); }
+
+    get cookie() { return this.#cookie; }
+    set cookie(value) { this.#cookie = secrets.encrypt(value); }
+
+    get autenticacion() { return this.#autenticacion; }
+    set autenticacion(value) { this.#autenticacion = value || {}; }
+
+    get fecha_creacion() { return this.#fecha_creacion; }
+    get fecha_actualizacion() { return this.#fecha_actualizacion; }
+
+    /**
+     * Aplica los campos validados de una actualización parcial
+     * @param {Object} changes - Campos validados con validateUpdate
+     */
+    applyChanges(changes) {
+        debug('applyChanges: target %s fields %o', this._id, Object.keys(changes));
+        Object.entries(changes).forEach(([field, value]) => {
+            if (Object.prototype.hasOwnProperty.call(targetFields, field)) this[field] = value;
+        });
+        this.#fecha_actualizacion = new Date();
+    }
+
+    /**
+     * Datos de un nuevo escaneo con la configuración por defecto del objetivo
+     * @param {Object} options - { alias, url, flags, modo_preguntas } para sobrescribir los valores por defecto
+     * @returns {Object} Datos para new Scan()
+     */
+    buildScanData(options = {}) {
+        const date = new Date().toISOString().slice(0, 16).replace('T', ' ');
+        return {
+            usuario_id: this.#usuario_id,
+            objetivo_id: this._id,
+            alias: options.alias || `${this.#nombre.slice(0, 128)} - ${date}`,
+            url: options.url || this.#url_base,
+            flags: options.flags || this.#flags.toObject(),
+            tipo_autenticacion: this.#tipo_autenticacion,
+            credenciales: this.#credenciales.toObject(),
+            cookie: this.#cookie,
+            autenticacion: this.#autenticacion,
+            alcance: this.#alcance,
+            descubrimiento: this.#descubrimiento,
+            modo_preguntas: options.modo_preguntas || this.#modo_preguntas,
+            estado: 'pendiente'
+        };
+    }
+
+    static validate(target) {
+        return Joi.object({
+            ...targetFields,
+            nombre: targetFields.nombre.required(),
+            url_base: targetFields.url_base.required()
+        }).validate(target);
+    }
+
+    /**
+     * Opciones de "ejecutar un nuevo escaneo" (config: opciones del orquestador, como en /api/scans/:id/start)
+     */
+    static validateRun(options) {
+        return Joi.object({
+            alias: Joi.string().max(150),
+            url: Joi.string().uri({ scheme: ['http', 'https'] }).max(255),
+            flags: targetFields.flags,
+            modo_preguntas: targetFields.modo_preguntas,
+            config: Joi.object()
+        }).validate(options || {});
+    }
+
+    static validateUpdate(changes) {
+        return Joi.object(targetFields).min(1).validate(changes);
+    }
+
+    static get Model() { return TargetModel; }
+    static get debug() { return debug; }
+
+    toObject() { return buildObject(this, ['usuario_id', 'nombre', 'descripcion', 'url_base', 'alcance', 'descubrimiento', 'flags', 'modo_preguntas', 'tipo_autenticacion', 'credenciales', 'cookie', 'autenticacion', 'fecha_creacion', 'fecha_actualizacion']); }
+
+    toDTO() {
+        return {
+            id: this._id, nombre: this.#nombre, descripcion: this.#descripcion, urlBase: this.#url_base,
+            alcance: this.#alcance, descubrimiento: this.#descubrimiento, flags: this.#flags.toObject(), modoPreguntas: this.#modo_preguntas,
+            tipoAutenticacion: this.#tipo_autenticacion, usuarioLogin: this.#credenciales.usuario_login || null,
+            tieneCredenciales: this.#credenciales.hasCredentials(), tieneCookie: Boolean(this.#cookie),
+            autenticacion: this.#autenticacion,
+            fechaCreacion: this.#fecha_creacion, fechaActualizacion: this.#fecha_actualizacion
+        };
+    }
+
+    toString() { return `[TARGET] ${this.#nombre}: ${this.#url_base}`; }
+}
+
+module.exports = Target;
@@ -0,0 +1,184 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:scanschedule');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+const { parseCronExpression, getNextCronDate, isValidTimeZone } = require('../services/scheduler/cronExpression');
+
+const SCHEDULE_TYPES = ['cron', 'intervalo'];
+// omitir: descarta las ejecuciones perdidas, ejecutar_una: lanza una sola, ejecutar_todas: lanza todas (con límite)
+const CATCH_UP_POLICIES = ['omitir', 'ejecutar_una', 'ejecutar_todas'];
+
+const scanScheduleSchema = new mongoose.Schema({
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true },
+    tipo: { type: String, enum: SCHEDULE_TYPES, required: true },
+    expresion_cron: { type: String, maxlength: 100 },
+    intervalo_minutos: { type: Number, min: 1 },
+    zona_horaria: { type: String, default: 'UTC' },
+    politica_recuperacion: { type: String, enum: CATCH_UP_POLICIES, default: 'ejecutar_una' },
+    activa: { type: Boolean, default: true, index: true },
+    proxima_ejecucion: { type: Date, index: true },
+    ultima_ejecucion: { type: Date },
+    total_ejecuciones: { type: Number, default: 0 },
+    fecha_creacion: { type: Date, default: Date.now }
+});
+
+const ScanScheduleModel = mongoose.models.ScanSchedule || mongoose.model('ScanSchedule', scanScheduleSchema);
+
+class ScanSchedule extends BaseModel {
+    #usuario_id; #escaneo_id; #tipo; #expresion_cron; #intervalo_minutos; #zona_horaria;
+    #politica_recuperacion; #activa; #proxima_ejecucion; #ultima_ejecucion; #total_ejecuciones; #fecha_creacion;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#usuario_id = plainData.usuario_id;
+        this.#escaneo_id = plainData.escaneo_id;
+        this.#tipo = plainData.tipo;
+        this.#expresion_cron = plainData.expresion_cron;
+        this.#intervalo_minutos = plainData.intervalo_minutos;
+        this.#zona_horaria = plainData.zona_horaria || 'UTC';
+        this.#politica_recuperacion = plainData.politica_recuperacion || 'ejecutar_una';
+        this.#activa = plainData.activa !== undefined ? Boolean(plainData.activa) : true;
+        this.#proxima_ejecucion = plainData.proxima_ejecucion;
+        this.#ultima_ejecucion = plainData.ultima_ejecucion;
+        this.#total_ejecuciones = plainData.total_ejecuciones || 0;
+        this.#fecha_creacion = plainData.fecha_creacion;
+    }
+
+    get usuario_id() { return this.#usuario_id; }
+    set usuario_id(value) { if (!value) throw new Error('El ID del usuario es obligatorio'); this.#usuario_id = value; }
+
+    get escaneo_id() { return this.#escaneo_id; }
+    set escaneo_id(value) { if (!value) throw new Error('El ID del escaneo es obligatorio'); this.#escaneo_id = value; }
+
+    get tipo() { return this.#tipo; }
+    get expresion_cron() { return this.#expresion_cron; }
+    get intervalo_minutos() { return this.#intervalo_minutos; }
+    get zona_horaria() { return this.#zona_horaria; }
+
+    get politica_recuperacion() { return this.#politica_recuperacion; }
+    set politica_recuperacion(value) {
+        if (!CATCH_UP_POLICIES.includes(value)) throw new Error(`Política de recuperación inválida: ${value}`);
+        this.#politica_recuperacion = value;
+    }
+
+    get activa() { return this.#activa; }
+    get proxima_ejecucion() { return this.#proxima_ejecucion; }
+    set proxima_ejecucion(value) { this.#proxima_ejecucion = value; }
+    get ultima_ejecucion() { return this.#ultima_ejecucion; }
+    get total_ejecuciones() { return this.#total_ejecuciones; }
+    get fecha_creacion() { return this.#fecha_creacion; }
+
+    isActive() { return this.#activa === true; }
+    isCron() { return this.#tipo === 'cron'; }
+
+    pause() { debug('pause: schedule %s', this._id); this.#activa = false; }
+
+    /**
+     * Reactiva la programación; la próxima ejecución se calcula desde ahora
+     * para no disparar las ejecuciones perdidas mientras estaba pausada
+     */
+    resume(now = new Date()) {
+        debug('resume: schedule %s', this._id);
+        this.#activa = true;
+        this.#proxima_ejecucion = this.getNextRun(now);
+    }
+
+    /**
+     * Calcula la siguiente ejecución posterior a una fecha
+     * @param {Date} from - Fecha de referencia
+     * @returns {Date}
+     */
+    getNextRun(from = new Date()) {
+        if (this.isCron()) {
+            return getNextCronDate(this.#expresion_cron, from, this.#zona_horaria);
+        }
+        return new Date(from.getTime() + this.#intervalo_minutos * 60 * 1000);
+    }
+
+    /**
+     * Primera ejecución posterior a "now" respetando la cadencia original
+     * (los intervalos no se desplazan tras recuperar ejecuciones perdidas)
+     * @param {Date} now - Fecha actual
+     * @returns {Date}
+     */
+    getNextRunAfter(now = new Date()) {
+        if (this.isCron() || !this.#proxima_ejecucion) return this.getNextRun(now);
+
+        const interval = this.#intervalo_minutos * 60 * 1000;
+        const due = new Date(this.#proxima_ejecucion).getTime();
+        if (due > now.getTime()) return new Date(due);
+        const elapsedIntervals = Math.floor((now.getTime() - due) / interval) + 1;
+        return new Date(due + elapsedIntervals * interval);
+    }
+
+    /**
+     * Lista las ejecuciones vencidas entre la próxima ejecución prevista y ahora
+     * @param {Date} now - Fecha actual
+     * @param {number} limit - Máximo de fechas a devolver
+     * @returns {Array<Date>}
+     */
+    getMissedRuns(now = new Date(), limit = 1) {
+        const missed = [];
+        let due = this.#proxima_ejecucion ? new Date(this.#proxima_ejecucion) : null;
+        while (due && due <= now && missed.length < limit) {
+            missed.push(due);
+            due = this.getNextRun(due);
+        }
+        return missed;
+    }
+
+    static validate(schedule) {
+        return Joi.object({
+            escaneo_id: Joi.string().required(),
+            tipo: Joi.string().valid(...SCHEDULE_TYPES).required(),
+            expresion_cron: Joi.when('tipo', {
+                is: 'cron',
+                then: Joi.string().max(100).required().custom((value, helpers) => {
+                    try {
+                        parseCronExpression(value);
+                        return value;
+                    } catch (error) {
+                        return helpers.message(error.message);
+                    }
+                }),
+                otherwise: Joi.forbidden()
+            }),
+            intervalo_minutos: Joi.when('tipo', {
+                is: 'intervalo',
+                then: Joi.number().integer().min(1).required(),
+                otherwise: Joi.forbidden()
+            }),
+            zona_horaria: Joi.string().custom((value, helpers) => {
+                return isValidTimeZone(value) ? value : helpers.message(`Zona horaria inválida: ${value}`);
+            }),
+            politica_recuperacion: Joi.string().valid(...CATCH_UP_POLICIES)
+        }).validate(schedule);
+    }
+
+    static get TYPES() { return SCHEDULE_TYPES; }
+    static get CATCH_UP_POLICIES() { return CATCH_UP_POLICIES; }
+    static get Model() { return ScanScheduleModel; }
+    static get debug() { return debug; }
+
+    toObject() { return buildObject(this, ['usuario_id', 'escaneo_id', 'tipo', 'expresion_cron', 'intervalo_minutos', 'zona_horaria', 'politica_recuperacion', 'activa', 'proxima_ejecucion', 'ultima_ejecucion', 'total_ejecuciones', 'fecha_creacion']); }
+
+    toDTO() {
+        return {
+            id: this._id, escaneoId: this.#escaneo_id, tipo: this.#tipo, expresionCron: this.#expresion_cron,
+            intervaloMinutos: this.#intervalo_minutos, zonaHoraria: this.#zona_horaria,
+            politicaRecuperacion: this.#politica_recuperacion, activa: this.#activa,
+            proximaEjecucion: this.#proxima_ejecucion, ultimaEjecucion: this.#ultima_ejecucion,
+            totalEjecuciones: this.#total_ejecuciones, fechaCreacion: this.#fecha_creacion
+        };
+    }
+
+    toString() {
+        const rule = this.isCron() ? this.#expresion_cron : `cada ${this.#intervalo_minutos} min`;
+        return `[SCHEDULE ${this.#activa ? 'ACTIVA' : 'PAUSADA'}] Escaneo ${this.#escaneo_id}: ${rule} (${this.#zona_horaria})`;
+    }
+}
+
+module.exports = ScanSchedule;
@@ -5,17 +5,24 @@ const BaseModel = require('./base/BaseModel');
 const { buildObject } = require('./base/ModelHelpers');
 const ReportSummary = require('./value-objects/report-summary');
 
+const RISK_LEVELS = ['Critical', 'High', 'Medium', 'Low', 'None'];
+
+// Snapshot del resultado de un escaneo al finalizar: los cambios posteriores (triage) no lo modifican
 const reportSchema = new mongoose.Schema({
-    escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true },
+    escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true, unique: true },
     fecha_generado: { type: Date, default: Date.now },
     resumen: { total_vulnerabilidades: { type: Number, default: 0 }, criticas: { type: Number, default: 0 },
-        altas: { type: Number, default: 0 }, medias: { type: Number, default: 0 }, bajas: { type: Number, default: 0 } }
+        altas: { type: Number, default: 0 }, medias: { type: Number, default: 0 }, bajas: { type: Number, default: 0 } },
+    vulnerabilidades_suprimidas: { type: Number, default: 0 },
+    nivel_riesgo: { type: String, enum: RISK_LEVELS },
+    score_seguridad: { type: Number, min: 0, max: 100 },
+    recomendaciones: [{ type: String }]
 });
 
 const ReportModel = mongoose.models.Report || mongoose.model('Report', reportSchema);
 
 class Report extends BaseModel {
-    #escaneo_id; #fecha_generado; #resumen;
+    #escaneo_id; #fecha_generado; #resumen; #vulnerabilidades_suprimidas; #nivel_riesgo; #score_seguridad; #recomendaciones;
 
     constructor(data = {}) {
         super(data);
@@ -23,6 +30,11 @@ class Report extends BaseModel {
         this.#escaneo_id = plainData.escaneo_id;
         this.#fecha_generado = plainData.fecha_generado;
         this.#resumen = new ReportSummary(plainData.resumen || {});
+        this.#vulnerabilidades_suprimidas = plainData.vulnerabilidades_suprimidas || 0;
+        // Los valores guardados prevalecen sobre los recalculados a partir del resumen
+        this.#nivel_riesgo = plainData.nivel_riesgo ?? this.#resumen.getRiskLevel();
+        this.#score_seguridad = plainData.score_seguridad ?? this.#resumen.getSecurityHealthScore();
+        this.#recomendaciones = plainData.recomendaciones ?? this.#getRecommendations();
     }
 
     get escaneo_id() { return this.#escaneo_id; }
@@ -30,23 +42,32 @@ class Report extends BaseModel {
 
     get fecha_generado() { return this.#fecha_generado; }
     get resumen() { return this.#resumen; }
-
-    updateSummary(vulnerabilidades) { this.#resumen = ReportSummary.fromVulnerabilities(vulnerabilidades); }
+    get vulnerabilidades_suprimidas() { return this.#vulnerabilidades_suprimidas; }
+    get nivel_riesgo() { return this.#nivel_riesgo; }
+    get score_seguridad() { return this.#score_seguridad; }
+    get recomendaciones() { return this.#recomendaciones; }
+
+    updateSummary(vulnerabilidades) {
+        this.#resumen = ReportSummary.fromVulnerabilities(vulnerabilidades);
+        this.#nivel_riesgo = this.#resumen.getRiskLevel();
+        this.#score_seguridad = this.#resumen.getSecurityHealthScore();
+        this.#recomendaciones = this.#getRecommendations();
+    }
 
     getExecutiveSummary() {
         return { fecha: this.#fecha_generado, total_vulnerabilidades: this.#resumen.total_vulnerabilidades,
-            nivel_riesgo: this.#resumen.getRiskLevel(), score_seguridad: this.#resumen.getSecurityHealthScore(),
+            nivel_riesgo: this.#nivel_riesgo, score_seguridad: this.#score_seguridad,
             criticas: this.#resumen.criticas, requiere_accion_inmediata: this.#resumen.hasHighPriorityVulnerabilities() };
     }
 
     generatePDFData() {
         return { titulo: `Reporte de Seguridad - ${new Date(this.#fecha_generado).toLocaleDateString()}`,
             fecha: this.#fecha_generado, escaneo_id: this.#escaneo_id, resumen_ejecutivo: this.getExecutiveSummary(),
-            desglose: this.#resumen.toObject(), recomendaciones: this.#getRecommendations() };
+            desglose: this.#resumen.toObject(), recomendaciones: this.#recomendaciones };
     }
 
     generateHTMLData() {
-        return { ...this.generatePDFData(), riskLevelClass: this.#resumen.getRiskLevel().toLowerCase(),
+        return { ...this.generatePDFData(), riskLevelClass: this.#nivel_riesgo.toLowerCase(),
             criticalPercentage: this.#resumen.getCriticalPercentage() };
     }
 
@@ -84,8 +105,9 @@ class Report extends BaseModel {
         return new Report({ escaneo_id: escaneoId, fecha_generado: new Date(), resumen: ReportSummary.createEmpty().toObject() });
     }
 
-    static fromVulnerabilities(escaneoId, vulnerabilidades) {
-        return new Report({ escaneo_id: escaneoId, fecha_generado: new Date(), resumen: ReportSummary.fromVulnerabilities(vulnerabilidades).toObject() });
+    static fromVulnerabilities(escaneoId, vulnerabilidades, vulnerabilidadesSuprimidas = 0) {
+        return new Report({ escaneo_id: escaneoId, fecha_generado: new Date(), resumen: ReportSummary.fromVulnerabilities(vulnerabilidades).toObject(),
+            vulnerabilidades_suprimidas: vulnerabilidadesSuprimidas });
     }
 
     static validate(report) {
@@ -98,16 +120,21 @@ class Report extends BaseModel {
                 altas: Joi.number().min(0),
                 medias: Joi.number().min(0),
                 bajas: Joi.number().min(0)
-            })
+            }),
+            vulnerabilidades_suprimidas: Joi.number().min(0),
+            nivel_riesgo: Joi.string().valid(...RISK_LEVELS),
+            score_seguridad: Joi.number().min(0).max(100),
+            recomendaciones: Joi.array().items(Joi.string())
         }).validate(report);
     }
 
     static get Model() { return ReportModel; }
     static get debug() { return debug; }
 
-    toObject() { return buildObject(this, ['escaneo_id', 'fecha_generado', 'resumen']); }
+    toObject() { return buildObject(this, ['escaneo_id', 'fecha_generado', 'resumen', 'vulnerabilidades_suprimidas', 'nivel_riesgo', 'score_seguridad', 'recomendaciones']); }
     toString() { return `[REPORT] Escaneo ${this.#escaneo_id}: ${this.#resumen.total_vulnerabilidades} vulns (${this.#resumen.criticas} críticas)`; }
 }
 
 module.exports = Report;
 module.exports.ReportSummary = ReportSummary;
+module.exports.RISK_LEVELS = RISK_LEVELS;
@@ -0,0 +1,120 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:discoveryseed');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+const secrets = require('../utils/secretCrypto');
+
+const SEED_FORMATS = ['openapi', 'har', 'postman'];
+const SEED_SOURCES = ['archivo', 'url'];
+
+// Documento adjunto a un escaneo cuyas peticiones se añaden al descubrimiento (especificación OpenAPI, archivo HAR o colección de Postman)
+const discoverySeedSchema = new mongoose.Schema({
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true, index: true },
+    formato: { type: String, enum: SEED_FORMATS, required: true },
+    origen: { type: String, enum: SEED_SOURCES, required: true },
+    nombre: { type: String, maxlength: 200 },
+    // Solo para origen url: se vuelve a descargar al iniciar cada escaneo
+    url: { type: String, maxlength: 2000 },
+    // Documento JSON (la última copia descargada si el origen es una URL), cifrado: un HAR o una colección incluyen cookies y tokens
+    contenido: { type: String, required: true },
+    // Entorno de Postman (JSON cifrado) con el que se resuelven las variables de la colección
+    entorno: { type: String },
+    version: { type: String, maxlength: 50 },
+    endpoints: { type: Number, default: 0 },
+    fecha_creacion: { type: Date, default: Date.now },
+    fecha_actualizacion: { type: Date, default: Date.now }
+});
+
+const DiscoverySeedModel = mongoose.models.DiscoverySeed || mongoose.model('DiscoverySeed', discoverySeedSchema);
+
+class DiscoverySeed extends BaseModel {
+    #usuario_id; #escaneo_id; #formato; #origen; #nombre; #url; #contenido; #entorno; #version; #endpoints;
+    #fecha_creacion; #fecha_actualizacion;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#usuario_id = plainData.usuario_id;
+        this.#escaneo_id = plainData.escaneo_id;
+        this.#formato = plainData.formato;
+        this.#origen = plainData.origen;
+        this.#nombre = plainData.nombre;
+        this.#url = plainData.url;
+        this.#contenido = secrets.encrypt(plainData.contenido);
+        this.#entorno = secrets.encrypt(plainData.entorno);
+        this.#version = plainData.version;
+        this.#endpoints = plainData.endpoints || 0;
+        this.#fecha_creacion = plainData.fecha_creacion;
+        this.#fecha_actualizacion = plainData.fecha_actualizacion;
+    }
+
+    get usuario_id() { return this.#usuario_id; }
+    get escaneo_id() { return this.#escaneo_id; }
+    get formato() { return this.#formato; }
+    get origen() { return this.#origen; }
+    get nombre() { return this.#nombre; }
+    get url() { return this.#url; }
+    get contenido() { return this.#contenido; }
+    get entorno() { return this.#entorno; }
+    get version() { return this.#version; }
+    get endpoints() { return this.#endpoints; }
+    get fecha_creacion() { return this.#fecha_creacion; }
+    get fecha_actualizacion() { return this.#fecha_actualizacion; }
+
+    isRemote() { return this.#origen === 'url'; }
+
+    /**
+     * Sustituye el documento (nueva descarga de una semilla con origen url)
+     * @param {string} contenido - Documento JSON (se guarda cifrado)
+     * @param {string} version - Versión detectada del formato
+     * @param {number} endpoints - Número de endpoints que contiene
+     */
+    updateContent(contenido, version, endpoints) {
+        debug('updateContent: seed %s (%d endpoints)', this._id, endpoints);
+        this.#contenido = secrets.encrypt(contenido);
+        this.#version = version;
+        this.#endpoints = endpoints;
+        this.#fecha_actualizacion = new Date();
+    }
+
+    /**
+     * Valida una semilla nueva: un documento subido (contenido) o una URL desde la que descargarlo,
+     * y para una colección de Postman su entorno opcional
+     */
+    static validate(seed) {
+        return Joi.object({
+            formato: Joi.string().valid(...SEED_FORMATS).required(),
+            nombre: Joi.string().max(200).allow(''),
+            url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+            contenido: Joi.alternatives().try(Joi.object(), Joi.string()),
+            entorno: Joi.alternatives().try(Joi.object(), Joi.string()).when('formato', {
+                is: 'postman',
+                otherwise: Joi.forbidden()
+            })
+        }).xor('url', 'contenido').validate(seed || {});
+    }
+
+    static get FORMATS() { return SEED_FORMATS; }
+    static get SOURCES() { return SEED_SOURCES; }
+    static get Model() { return DiscoverySeedModel; }
+    static get debug() { return debug; }
+
+    toObject() {
+        return buildObject(this, ['usuario_id', 'escaneo_id', 'formato', 'origen', 'nombre', 'url', 'contenido', 'entorno', 'version', 'endpoints',
+            'fecha_creacion', 'fecha_actualizacion']);
+    }
+
+    toDTO() {
+        return {
+            id: this._id, escaneoId: this.#escaneo_id, formato: this.#formato, origen: this.#origen, nombre: this.#nombre || null,
+            url: this.#url || null, version: this.#version || null, endpoints: this.#endpoints, conEntorno: Boolean(this.#entorno),
+            fechaCreacion: this.#fecha_creacion, fechaActualizacion: this.#fecha_actualizacion || null
+        };
+    }
+
+    toString() { return `[SEMILLA ${this.#formato}] ${this.#nombre || this.#url || this._id}`; }
+}
+
+module.exports = DiscoverySeed;
@@ -0,0 +1,159 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:scanjob');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+
+const JOB_STATES = ['en_cola', 'en_ejecucion', 'finalizado', 'fallido', 'cancelado'];
+const ACTIVE_STATES = ['en_cola', 'en_ejecucion'];
+
+const scanJobSchema = new mongoose.Schema({
+    escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true, index: true },
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    estado: { type: String, enum: JOB_STATES, default: 'en_cola', index: true },
+    configuracion: { type: mongoose.Schema.Types.Mixed, required: true },
+    ultima_fase_completada: { type: String, default: null },
+    checkpoint: { type: mongoose.Schema.Types.Mixed, default: null },
+    intentos: { type: Number, default: 0 },
+    motivo_error: { type: String, maxlength: 500 },
+    fecha_encolado: { type: Date, default: Date.now },
+    fecha_inicio: { type: Date },
+    fecha_fin: { type: Date }
+});
+
+const ScanJobModel = mongoose.models.ScanJob || mongoose.model('ScanJob', scanJobSchema);
+
+class ScanJob extends BaseModel {
+    #escaneo_id; #usuario_id; #estado; #configuracion; #ultima_fase_completada; #checkpoint;
+    #intentos; #motivo_error; #fecha_encolado; #fecha_inicio; #fecha_fin;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#escaneo_id = plainData.escaneo_id;
+        this.#usuario_id = plainData.usuario_id;
+        this.#estado = plainData.estado || 'en_cola';
+        this.#configuracion = plainData.configuracion || {};
+        this.#ultima_fase_completada = plainData.ultima_fase_completada || null;
+        this.#checkpoint = plainData.checkpoint || null;
+        this.#intentos = plainData.intentos || 0;
+        this.#motivo_error = plainData.motivo_error;
+        this.#fecha_encolado = plainData.fecha_encolado;
+        this.#fecha_inicio = plainData.fecha_inicio;
+        this.#fecha_fin = plainData.fecha_fin;
+    }
+
+    get escaneo_id() { return this.#escaneo_id; }
+    set escaneo_id(value) { if (!value) throw new Error('El ID del escaneo es obligatorio'); this.#escaneo_id = value; }
+
+    get usuario_id() { return this.#usuario_id; }
+    set usuario_id(value) { if (!value) throw new Error('El ID del usuario es obligatorio'); this.#usuario_id = value; }
+
+    get estado() { return this.#estado; }
+    set estado(value) {
+        if (!JOB_STATES.includes(value)) throw new Error(`Estado de trabajo inválido: ${value}`);
+        this.#estado = value;
+    }
+
+    get configuracion() { return this.#configuracion; }
+    set configuracion(value) { this.#configuracion = value || {}; }
+
+    get ultima_fase_completada() { return this.#ultima_fase_completada; }
+    get checkpoint() { return this.#checkpoint; }
+    get intentos() { return this.#intentos; }
+    get motivo_error() { return this.#motivo_error; }
+    get fecha_encolado() { return this.#fecha_encolado; }
+    get fecha_inicio() { return this.#fecha_inicio; }
+    get fecha_fin() { return this.#fecha_fin; }
+
+    isQueued() { return this.#estado === 'en_cola'; }
+    isRunning() { return this.#estado === 'en_ejecucion'; }
+    isActive() { return ACTIVE_STATES.includes(this.#estado); }
+    hasFailed() { return this.#estado === 'fallido'; }
+
+    /**
+     * Indica si el trabajo puede reanudarse tras un reinicio del servidor
+     * @param {number} maxAttempts - Número máximo de ejecuciones permitidas
+     * @returns {boolean}
+     */
+    canResume(maxAttempts) { return this.#intentos < maxAttempts; }
+
+    /**
+     * Toma atómicamente el trabajo en cola más antiguo y lo marca en ejecución
+     * @param {Object} options - { excludeUsers: usuarios que ya alcanzaron su límite }
+     * @returns {Promise<ScanJob|null>}
+     */
+    static async claimNext({ excludeUsers = [] } = {}) {
+        const query = { estado: 'en_cola' };
+        if (excludeUsers.length > 0) query.usuario_id = { $nin: excludeUsers };
+
+        const doc = await ScanJobModel.findOneAndUpdate(
+            query,
+            { $set: { estado: 'en_ejecucion', fecha_inicio: new Date() }, $inc: { intentos: 1 } },
+            { sort: { fecha_encolado: 1 }, new: true }
+        );
+        if (doc) debug('claimNext: claimed job %s for scan %s', doc._id, doc.escaneo_id);
+        return ScanJob.fromMongoose(doc);
+    }
+
+    /**
+     * Cuenta los trabajos en ejecución agrupados por usuario
+     * @returns {Promise<Map<string, number>>} usuario_id -> trabajos en ejecución
+     */
+    static async countRunningByUser() {
+        const rows = await ScanJobModel.aggregate([
+            { $match: { estado: 'en_ejecucion' } },
+            { $group: { _id: '$usuario_id', count: { $sum: 1 } } }
+        ]);
+        return new Map(rows.map(row => [row._id.toString(), row.count]));
+    }
+
+    /**
+     * Lista los trabajos en cola en orden de ejecución
+     * @returns {Promise<Array<ScanJob>>}
+     */
+    static async findQueued() {
+        const docs = await ScanJobModel.find({ estado: 'en_cola' }).sort({ fecha_encolado: 1 });
+        return docs.map(doc => ScanJob.fromMongoose(doc));
+    }
+
+    static async findActiveByScan(escaneoId) {
+        return ScanJob.findOne({ escaneo_id: escaneoId, estado: { $in: ACTIVE_STATES } });
+    }
+
+    static async findLatestByScan(escaneoId) {
+        const doc = await ScanJobModel.findOne({ escaneo_id: escaneoId }).sort({ fecha_encolado: -1 });
+        return ScanJob.fromMongoose(doc);
+    }
+
+    static validate(job) {
+        return Joi.object({
+            escaneo_id: Joi.string().required(),
+            usuario_id: Joi.string().required(),
+            estado: Joi.string().valid(...JOB_STATES),
+            configuracion: Joi.object().required(),
+            ultima_fase_completada: Joi.string().allow(null),
+            checkpoint: Joi.object().allow(null),
+            intentos: Joi.number().min(0),
+            motivo_error: Joi.string().max(500)
+        }).validate(job);
+    }
+
+    static get STATES() { return JOB_STATES; }
+    static get Model() { return ScanJobModel; }
+    static get debug() { return debug; }
+
+    toObject() { return buildObject(this, ['escaneo_id', 'usuario_id', 'estado', 'configuracion', 'ultima_fase_completada', 'checkpoint', 'intentos', 'motivo_error', 'fecha_encolado', 'fecha_inicio', 'fecha_fin']); }
+
+    toDTO() {
+        return {
+            id: this._id, escaneoId: this.#escaneo_id, estado: this.#estado, ultimaFaseCompletada: this.#ultima_fase_completada,
+            intentos: this.#intentos, motivoError: this.#motivo_error, fechaEncolado: this.#fecha_encolado,
+            fechaInicio: this.#fecha_inicio, fechaFin: this.#fecha_fin
+        };
+    }
+
+    toString() { return `[JOB ${this.#estado.toUpperCase()}] Escaneo ${this.#escaneo_id} (intentos: ${this.#intentos})`; }
+}
+
+module.exports = ScanJob;
@@ -1,5 +1,7 @@
 // Value Objects for Scan model
 
+const secrets = require('../../utils/secretCrypto');
+
 class ScanFlags {
     #xss;
     #sqli;
@@ -54,7 +56,8 @@ class Credentials {
 
     constructor(data = {}) {
         this.#usuario_login = data.usuario_login;
-        this.#password_login = data.password_login;
+        // La contraseña (o token) se guarda siempre cifrada
+        this.#password_login = secrets.encrypt(data.password_login);
     }
 
     get usuario_login() { return this.#usuario_login; }
@@ -135,16 +138,22 @@ class Score {
     get puntuacion_final() { return this.#puntuacion_final; }
     get calificacion() { return this.#calificacion; }
 
+    hasQuiz() {
+        return this.#total_puntos_cuestionario > 0;
+    }
+
+    // Sin preguntas respondidas devuelve 0; si están omitidas o pendientes lo indica el estado del cuestionario
     getQuizPercentage() {
-        if (this.#total_puntos_cuestionario === 0) return 0;
+        if (!this.hasQuiz()) return 0;
         return Math.round((this.#puntos_cuestionario / this.#total_puntos_cuestionario) * 100);
     }
 
     calculateFinalScore() {
         const maxScore = 100;
         
+        // Misma escala en todos los modos de preguntas: las omitidas o aún pendientes no suman puntos
         let quizPercentage = 0;
-        if (this.#total_puntos_cuestionario > 0) {
+        if (this.hasQuiz()) {
             quizPercentage = (this.#puntos_cuestionario / this.#total_puntos_cuestionario) * 60;
         }
         
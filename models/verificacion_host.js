@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:models:hostverification');
+const BaseModel = require('./base/BaseModel');
+const { buildObject } = require('./base/ModelHelpers');
+
+const VERIFICATION_METHODS = ['archivo', 'meta', 'dns'];
+const VERIFICATION_STATES = ['pendiente', 'verificado', 'caducado'];
+
+// Prueba de que un usuario controla un host: un token publicado en un archivo, una etiqueta meta o un registro DNS TXT
+const hostVerificationSchema = new mongoose.Schema({
+    usuario_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    host: { type: String, maxlength: 255, required: true },
+    token: { type: String, required: true },
+    estado: { type: String, enum: VERIFICATION_STATES, default: 'pendiente' },
+    metodo: { type: String, enum: VERIFICATION_METHODS },
+    // Origen (esquema, host y puerto) donde se comprueban el archivo y la etiqueta meta
+    origen: { type: String, maxlength: 300 },
+    fecha_creacion: { type: Date, default: Date.now },
+    fecha_verificacion: { type: Date },
+    ultima_comprobacion: { type: Date },
+    proxima_comprobacion: { type: Date, index: true },
+    fallos_consecutivos: { type: Number, default: 0 },
+    ultimo_error: { type: String, maxlength: 500 }
+});
+
+hostVerificationSchema.index({ usuario_id: 1, host: 1 }, { unique: true });
+
+const HostVerificationModel = mongoose.models.HostVerification || mongoose.model('HostVerification', hostVerificationSchema);
+
+class HostVerification extends BaseModel {
+    #usuario_id; #host; #token; #estado; #metodo; #origen; #fecha_creacion; #fecha_verificacion;
+    #ultima_comprobacion; #proxima_comprobacion; #fallos_consecutivos; #ultimo_error;
+
+    constructor(data = {}) {
+        super(data);
+        const plainData = data && typeof data.toObject === 'function' ? data.toObject() : data;
+        this.#usuario_id = plainData.usuario_id;
+        this.#host = plainData.host;
+        this.#token = plainData.token;
+        this.#estado = plainData.estado || 'pendiente';
+        this.#metodo = plainData.metodo;
+        this.#origen = plainData.origen;
+        this.#fecha_creacion = plainData.fecha_creacion;
+        this.#fecha_verificacion = plainData.fecha_verificacion;
+        this.#ultima_comprobacion = plainData.ultima_comprobacion;
+        this.#proxima_comprobacion = plainData.proxima_comprobacion;
+        this.#fallos_consecutivos = plainData.fallos_consecutivos || 0;
+        this.#ultimo_error = plainData.ultimo_error;
+    }
+
+    get usuario_id() { return this.#usuario_id; }
+    get host() { return this.#host; }
+    get token() { return this.#token; }
+    get estado() { return this.#estado; }
+    get metodo() { return this.#metodo; }
+    get origen() { return this.#origen; }
+    get fecha_creacion() { return this.#fecha_creacion; }
+    get fecha_verificacion() { return this.#fecha_verificacion; }
+    get ultima_comprobacion() { return this.#ultima_comprobacion; }
+    get proxima_comprobacion() { return this.#proxima_comprobacion; }
+    get fallos_consecutivos() { return this.#fallos_consecutivos; }
+    get ultimo_error() { return this.#ultimo_error; }
+
+    isVerified() { return this.#estado === 'verificado'; }
+
+    /**
+     * Marca el host como verificado y programa la siguiente comprobación
+     * @param {string} metodo - Método con el que se encontró el token
+     * @param {string} origen - Origen comprobado
+     * @param {number} recheckHours - Horas hasta la siguiente comprobación
+     */
+    markVerified(metodo, origen, recheckHours, checkedAt = new Date()) {
+        if (!VERIFICATION_METHODS.includes(metodo)) throw new Error(`Método de verificación inválido: ${metodo}`);
+        debug('markVerified: %s via %s', this.#host, metodo);
+        if (!this.isVerified()) this.#fecha_verificacion = checkedAt;
+        this.#estado = 'verificado';
+        this.#metodo = metodo;
+        this.#origen = origen;
+        this.#ultima_comprobacion = checkedAt;
+        this.#proxima_comprobacion = new Date(checkedAt.getTime() + recheckHours * 60 * 60 * 1000);
+        this.#fallos_consecutivos = 0;
+        this.#ultimo_error = null;
+    }
+
+    /**
+     * Registra un intento manual fallido; no cambia el estado
+     */
+    recordFailedAttempt(reason, checkedAt = new Date()) {
+        debug('recordFailedAttempt: %s (%s)', this.#host, reason);
+        this.#ultima_comprobacion = checkedAt;
+        this.#ultimo_error = String(reason).slice(0, 500);
+    }
+
+    /**
+     * Registra una comprobación periódica fallida; tras maxFailures fallos seguidos la verificación caduca
+     */
+    recordFailedRecheck(reason, recheckHours, maxFailures, checkedAt = new Date()) {
+        this.recordFailedAttempt(reason, checkedAt);
+        this.#fallos_consecutivos++;
+        if (this.#fallos_consecutivos >= maxFailures) {
+            debug('recordFailedRecheck: %s expired after %d failures', this.#host, this.#fallos_consecutivos);
+            this.#estado = 'caducado';
+            this.#proxima_comprobacion = null;
+            return;
+        }
+        this.#proxima_comprobacion = new Date(checkedAt.getTime() + recheckHours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Crea una verificación pendiente con un token aleatorio
+     */
+    static create(usuarioId, host) {
+        return new HostVerification({
+            usuario_id: usuarioId,
+            host: String(host).toLowerCase(),
+            token: crypto.randomBytes(24).toString('hex'),
+            estado: 'pendiente',
+            fecha_creacion: new Date()
+        });
+    }
+
+    static validateAttempt(attempt) {
+        return Joi.object({
+            metodo: Joi.string().valid(...VERIFICATION_METHODS).required()
+        }).validate(attempt || {});
+    }
+
+    static get METHODS() { return VERIFICATION_METHODS; }
+    static get STATES() { return VERIFICATION_STATES; }
+    static get Model() { return HostVerificationModel; }
+    static get debug() { return debug; }
+
+    toObject() {
+        return buildObject(this, ['usuario_id', 'host', 'token', 'estado', 'metodo', 'origen', 'fecha_creacion', 'fecha_verificacion',
+            'ultima_comprobacion', 'proxima_comprobacion', 'fallos_consecutivos', 'ultimo_error']);
+    }
+
+    toDTO() {
+        return {
+            id: this._id, host: this.#host, token: this.#token, estado: this.#estado, verificado: this.isVerified(),
+            metodo: this.#metodo || null, fechaVerificacion: this.#fecha_verificacion || null,
+            ultimaComprobacion: this.#ultima_comprobacion || null, proximaComprobacion: this.#proxima_comprobacion || null,
+            ultimoError: this.#ultimo_error || null
+        };
+    }
+
+    toString() { return `[HOST ${this.#estado.toUpperCase()}] ${this.#host}`; }
+}
+
+module.exports = HostVerification;
@@ -4,6 +4,29 @@ const debug = require('debug')('easyinjection:models:vulnerability');
 const BaseModel = require('./base/BaseModel');
 const { buildObject } = require('./base/ModelHelpers');
 
+const TRIAGE_STATES = ['nuevo', 'confirmado', 'falso_positivo', 'riesgo_aceptado', 'corregido'];
+// Estados que excluyen la vulnerabilidad de los conteos y de la puntuación
+const SUPPRESSED_TRIAGE_STATES = ['falso_positivo', 'riesgo_aceptado'];
+
+const triageEntrySchema = new mongoose.Schema({
+    estado: { type: String, enum: TRIAGE_STATES, required: true },
+    justificacion: { type: String, maxlength: 1000, required: true },
+    revisado_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Prueba de la vulnerabilidad para reproducirla sin relanzar la herramienta (tamaños limitados en config.evidence)
+const evidenceSchema = new mongoose.Schema({
+    herramienta: { type: String, maxlength: 20 },
+    metodo_http: { type: String, maxlength: 10 },
+    payload: { type: String },
+    peticion: { type: String },
+    fragmento_respuesta: { type: String },
+    tecnica: { type: String, maxlength: 255 },
+    tipo_poc: { type: String, maxlength: 50 },
+    truncada: { type: Boolean, default: false }
+}, { _id: false });
+
 const vulnerabilitySchema = new mongoose.Schema({
     escaneo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true },
     tipo_id: { type: mongoose.Schema.Types.ObjectId, ref: 'VulnerabilityType', required: true },
@@ -12,13 +35,23 @@ const vulnerabilitySchema = new mongoose.Schema({
     url_afectada: { type: String, maxlength: 255 },
     descripcion: { type: String },
     sugerencia: { type: String },
-    referencia: { type: String }
+    referencia: { type: String },
+    huella: { type: String, index: true },
+    evidencia: { type: evidenceSchema },
+    estado_triage: { type: String, enum: TRIAGE_STATES, default: 'nuevo' },
+    justificacion_triage: { type: String, maxlength: 1000 },
+    revisado_por: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fecha_revision: { type: Date },
+    historial_triage: [triageEntrySchema]
 });
 
+vulnerabilitySchema.index({ escaneo_id: 1 });
+
 const VulnerabilityModel = mongoose.models.Vulnerability || mongoose.model('Vulnerability', vulnerabilitySchema);
 
 class Vulnerability extends BaseModel {
-    #escaneo_id; #tipo_id; #nivel_severidad_id; #parametro_afectado; #url_afectada; #descripcion; #sugerencia; #referencia;
+    #escaneo_id; #tipo_id; #nivel_severidad_id; #parametro_afectado; #url_afectada; #descripcion; #sugerencia; #referencia; #huella; #evidencia;
+    #estado_triage; #justificacion_triage; #revisado_por; #fecha_revision; #historial_triage;
 
     constructor(data = {}) {
         super(data);
@@ -31,6 +64,13 @@ class Vulnerability extends BaseModel {
         this.#descripcion = plainData.descripcion;
         this.#sugerencia = plainData.sugerencia;
         this.#referencia = plainData.referencia;
+        this.#huella = plainData.huella;
+        this.#evidencia = plainData.evidencia;
+        this.#estado_triage = plainData.estado_triage || 'nuevo';
+        this.#justificacion_triage = plainData.justificacion_triage;
+        this.#revisado_por = plainData.revisado_por;
+        this.#fecha_revision = plainData.fecha_revision;
+        this.#historial_triage = plainData.historial_triage || [];
     }
 
     get escaneo_id() { return this.#escaneo_id; }
@@ -57,6 +97,37 @@ class Vulnerability extends BaseModel {
     get referencia() { return this.#referencia; }
     set referencia(value) { this.#referencia = value; }
 
+    get huella() { return this.#huella; }
+    set huella(value) { this.#huella = value; }
+
+    get evidencia() { return this.#evidencia; }
+    set evidencia(value) { this.#evidencia = value; }
+
+    get estado_triage() { return this.#estado_triage; }
+    get justificacion_triage() { return this.#justificacion_triage; }
+    get revisado_por() { return this.#revisado_por; }
+    get fecha_revision() { return this.#fecha_revision; }
+    get historial_triage() { return this.#historial_triage; }
+
+    isSuppressed() { return SUPPRESSED_TRIAGE_STATES.includes(this.#estado_triage); }
+
+    /**
+     * Cambia el estado de triage dejando constancia en el historial
+     * @param {string} estado - Nuevo estado de triage
+     * @param {string} justificacion - Motivo del cambio (obligatorio)
+     * @param {ObjectId} revisorId - Usuario que realiza la revisión
+     */
+    changeTriage(estado, justificacion, revisorId, fecha = new Date()) {
+        if (!TRIAGE_STATES.includes(estado)) throw new Error(`Estado de triage inválido: ${estado}`);
+        if (!justificacion || justificacion.trim().length === 0) throw new Error('La justificación es obligatoria');
+        debug('changeTriage: %s -> %s', this.#estado_triage, estado);
+        this.#estado_triage = estado;
+        this.#justificacion_triage = justificacion.trim();
+        this.#revisado_por = revisorId;
+        this.#fecha_revision = fecha;
+        this.#historial_triage.push({ estado, justificacion: this.#justificacion_triage, revisado_por: revisorId, fecha });
+    }
+
     getRiskScore(severityLevel, vulnerabilityType) {
         debug('getRiskScore: calculating for severity=%s type=%s', severityLevel?.nombre, vulnerabilityType?.nombre);
         const severityWeights = { 'Crítica': 10, 'Alta': 7, 'Media': 4, 'Baja': 1 };
@@ -77,6 +148,7 @@ class Vulnerability extends BaseModel {
 
     getRemediationEffort() { return this.#sugerencia && this.#sugerencia.length > 100 ? 'Alto' : 'Medio'; }
     hasReference() { return Boolean(this.#referencia); }
+    hasEvidence() { return Boolean(this.#evidencia && (this.#evidencia.payload || this.#evidencia.peticion)); }
 
     static createEmpty(escaneoId) {
         return new Vulnerability({ escaneo_id: escaneoId, tipo_id: null, nivel_severidad_id: null, parametro_afectado: '', url_afectada: '', descripcion: '', sugerencia: '', referencia: '' });
@@ -91,18 +163,30 @@ class Vulnerability extends BaseModel {
             url_afectada: Joi.string().max(255),
             descripcion: Joi.string(),
             sugerencia: Joi.string(),
-            referencia: Joi.string()
+            referencia: Joi.string(),
+            huella: Joi.string().hex().length(64)
         }).validate(vulnerability);
     }
 
+    static validateTriage(triage) {
+        return Joi.object({
+            estado_triage: Joi.string().valid(...TRIAGE_STATES).required(),
+            justificacion: Joi.string().trim().min(1).max(1000).required()
+        }).validate(triage);
+    }
+
+    static get TRIAGE_STATES() { return TRIAGE_STATES; }
+    static get SUPPRESSED_TRIAGE_STATES() { return SUPPRESSED_TRIAGE_STATES; }
+
     static get Model() { return VulnerabilityModel; }
     static get debug() { return debug; }
 
-    toObject() { return buildObject(this, ['escaneo_id', 'tipo_id', 'nivel_severidad_id', 'parametro_afectado', 'url_afectada', 'descripcion', 'sugerencia', 'referencia']); }
+    toObject() { return buildObject(this, ['escaneo_id', 'tipo_id', 'nivel_severidad_id', 'parametro_afectado', 'url_afectada', 'descripcion', 'sugerencia', 'referencia', 'huella', 'evidencia', 'estado_triage', 'justificacion_triage', 'revisado_por', 'fecha_revision', 'historial_triage']); }
     toDTO(severityLevel, vulnerabilityType) {
         return { id: this._id, escaneoId: this.#escaneo_id, tipo: vulnerabilityType?.nombre, severidad: severityLevel?.nombre,
             parametro: this.#parametro_afectado, url: this.#url_afectada, descripcion: this.#descripcion, sugerencia: this.#sugerencia,
-            referencia: this.#referencia, riskScore: this.getRiskScore(severityLevel, vulnerabilityType), priority: this.getPriority(severityLevel),
+            referencia: this.#referencia, huella: this.#huella, evidencia: this.#evidencia || null, estadoTriage: this.#estado_triage,
+            justificacionTriage: this.#justificacion_triage, revisadoPor: this.#revisado_por, fechaRevision: this.#fecha_revision, riskScore: this.getRiskScore(severityLevel, vulnerabilityType), priority: this.getPriority(severityLevel),
             cvssScore: this.getCVSSScore(severityLevel), isCritical: this.isCritical(severityLevel) };
     }
     toString() { return `[VULN] ${this.#parametro_afectado || 'N/A'} @ ${this.#url_afectada || 'N/A'}`; }
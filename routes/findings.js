@@ -0,0 +1,98 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Finding = require('../models/hallazgo');
+const Scan = require('../models/escaneo');
+const findingService = require('../services/findingService');
+const debug = require('debug')('easyinjection:routes:findings');
+const router = express.Router();
+
+async function loadFindingDocs(query) {
+    return Finding.Model.find(query)
+        .populate('tipo_id', 'nombre')
+        .populate('nivel_severidad_id', 'nombre')
+        .sort({ ultima_deteccion: -1 });
+}
+
+function toFindingDTO(doc) {
+    const plain = doc.toObject();
+    return new Finding({
+        ...plain,
+        tipo_id: plain.tipo_id?._id,
+        nivel_severidad_id: plain.nivel_severidad_id?._id
+    }).toDTO(plain.nivel_severidad_id, plain.tipo_id);
+}
+
+// GET /api/findings - List the user's findings (optional ?url= target, ?objetivo_id= and ?estado=)
+router.get('/', auth, async (req, res) => {
+    try {
+        debug('GET /findings - userId: %s, query: %O', req.user._id, req.query);
+        const query = { usuario_id: req.user._id };
+
+        if (req.query.url) query.objetivo = findingService.getTarget(req.query.url);
+        if (req.query.objetivo_id) {
+            if (!mongoose.isValidObjectId(req.query.objetivo_id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'ID de objetivo inválido'
+                });
+            }
+            // Findings are keyed by the normalized URL of the scans of the target
+            const urls = await Scan.Model.distinct('url', { usuario_id: req.user._id, objetivo_id: req.query.objetivo_id });
+            const targets = [...new Set(urls.map(url => findingService.getTarget(url)))];
+            query.objetivo = query.objetivo
+                ? (targets.includes(query.objetivo) ? query.objetivo : { $in: [] })
+                : { $in: targets };
+        }
+        if (req.query.estado) {
+            if (!Finding.STATES.includes(req.query.estado)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Estado inválido. Valores permitidos: ${Finding.STATES.join(', ')}`
+                });
+            }
+            query.estado = req.query.estado;
+        }
+
+        const docs = await loadFindingDocs(query);
+
+        res.json({
+            success: true,
+            findings: docs.map(toFindingDTO)
+        });
+    } catch (error) {
+        console.error('Error fetching findings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/findings/:id - Finding details
+router.get('/:id', auth, async (req, res) => {
+    try {
+        debug('GET /findings/:id - findingId: %s, userId: %s', req.params.id, req.user._id);
+        const [doc] = await loadFindingDocs({ _id: req.params.id, usuario_id: req.user._id });
+
+        if (!doc) {
+            return res.status(404).json({
+                success: false,
+                error: 'Hallazgo no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            finding: toFindingDTO(doc)
+        });
+    } catch (error) {
+        console.error('Error fetching finding:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
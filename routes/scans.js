@@ -1,56 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const Scan = require('../models/escaneo');
 const Vulnerability = require('../models/vulnerabilidad');
 const VulnerabilityType = require('../models/tipo_vulnerabilidad');
 const SeverityLevel = require('../models/nivel_severidad');
+const Report = require('../models/reporte');
+const Target = require('../models/objetivo');
+const scanControl = require('../services/scanControlService');
+const { ScanControlError } = require('../services/scanControlService');
+const scanDiff = require('../services/scanDiffService');
+const scanList = require('../services/scanListService');
+const targetPolicy = require('../services/targetPolicyService');
+const secrets = require('../utils/secretCrypto');
+const { ScanListError } = require('../services/scanListService');
+const seeds = require('../services/seedService');
+const { SeedError } = require('../services/seedService');
+const DiscoverySeed = require('../models/semilla_descubrimiento');
+const { buildFingerprint } = require('../services/findings/fingerprint');
 const debug = require('debug')('easyinjection:routes:scans');
 const router = express.Router();
 
-// GET /api/scans - Get all scans for the authenticated user
+// GET /api/scans - List the authenticated user's scans
+// Paging: ?pagina=&limite= (offset) or ?cursor= (from paginacion.siguiente_cursor)
+// Filters: ?estado= (comma separated), ?desde=&hasta=, ?url= (substring), ?objetivo_id=, ?con_hallazgos=true|false, ?severidad= (comma separated)
+// Sorting: ?orden=fecha_inicio|fecha_fin|alias|estado|puntuacion&direccion=asc|desc (default: fecha_inicio desc)
 router.get('/', auth, async (req, res) => {
     try {
-        debug('GET /scans - userId: %s', req.user._id);
-        const scanDocs = await Scan.Model.find({ usuario_id: req.user._id })
-            .populate('vulnerabilidades')
-            .sort({ fecha_inicio: -1 });
-        const scans = scanDocs.map(doc => new Scan(doc.toObject()));
-
-        // Get vulnerability counts and types for each scan
-        const scansWithDetails = await Promise.all(scans.map(async (scan) => {
-            const vulnDocs = await Vulnerability.Model.find({ escaneo_id: scan._id })
-                .populate('tipo_id', 'nombre')
-                .populate('nivel_severidad_id', 'nombre nivel');
-            const vulnerabilities = vulnDocs.map(doc => doc.toObject());
-
-            const vulnerabilityCount = vulnerabilities.length;
-            const vulnerabilityTypes = [...new Set(vulnerabilities.map(v => v.tipo_id?.nombre).filter(Boolean))];
-
-            // Convert Value Objects to plain objects
-            const flagsPlain = scan.flags && typeof scan.flags.toObject === 'function'
-                ? scan.flags.toObject()
-                : scan.flags;
-
-            return {
-                _id: scan._id,
-                alias: scan.alias,
-                url: scan.url,
-                fecha_inicio: scan.fecha_inicio,
-                fecha_fin: scan.fecha_fin,
-                estado: scan.estado,
-                flags: flagsPlain,
-                vulnerabilidades: {
-                    count: vulnerabilityCount,
-                    types: vulnerabilityTypes
-                }
-            };
-        }));
+        debug('GET /scans - userId: %s, query: %O', req.user._id, req.query);
+        const { error, value } = scanList.validateQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Parámetros de consulta inválidos',
+                details: error.details[0].message
+            });
+        }
+
+        const { scans, paginacion } = await scanList.listScans(req.user._id, value);
 
         res.json({
             success: true,
-            scans: scansWithDetails
+            scans,
+            paginacion
         });
     } catch (error) {
+        if (error instanceof ScanListError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('Error fetching scans:', error);
         res.status(500).json({
             success: false,
@@ -59,6 +59,49 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// GET /api/scans/export?format=csv|jsonl|markdown - Stream every vulnerability of all the user's scans
+// (?objetivo_id= restricts it to the scans of a target)
+// (declared before /:id so "export" is not taken as a scan id)
+router.get('/export', auth, async (req, res) => {
+    try {
+        const exportService = require('../services/exportService');
+        const format = (req.query.format || '').toLowerCase();
+        debug('GET /scans/export - format: %s, userId: %s', format, req.user._id);
+
+        if (!exportService.isStreamable(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Formato inválido. Valores permitidos: ${exportService.getStreamFormats().join(', ')}`
+            });
+        }
+
+        const objetivoId = req.query.objetivo_id;
+        if (objetivoId && !mongoose.isValidObjectId(objetivoId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ID de objetivo inválido'
+            });
+        }
+
+        const { contentType, extension } = exportService.getStreamFormatInfo(format);
+        res.type(contentType);
+        res.attachment(`easyinjection-vulnerabilidades.${extension}`);
+
+        const written = await exportService.streamUserExport(req.user._id, format, res, { objetivoId });
+        debug('GET /scans/export - %d vulnerabilities streamed', written);
+    } catch (error) {
+        console.error('Error exporting scans:', error);
+        // Once streaming has started the only option is to cut the response
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
 // GET /api/scans/:id - Get specific scan details
 router.get('/:id', auth, async (req, res) => {
     try {
@@ -109,8 +152,185 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // GET /api/scans/:id/report - Get complete scan report with vulnerabilities and quiz results
+// ?format=html|pdf downloads the same report rendered as a standalone file (default: json)
 router.get('/:id/report', auth, async (req, res) => {
     try {
+        const reportService = require('../services/reportService');
+        const format = (req.query.format || 'json').toLowerCase();
+        debug('GET /scans/:id/report - scanId: %s, format: %s, userId: %s', req.params.id, format, req.user._id);
+
+        if (!reportService.isSupported(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Formato inválido. Valores permitidos: ${reportService.getFormats().join(', ')}`
+            });
+        }
+
+        const scan = await Scan.findOne({ 
+            _id: req.params.id, 
+            usuario_id: req.user._id 
+        });
+
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        if (format !== 'json') {
+            const { contentType, filename, content } = await reportService.renderReport(scan, format);
+            res.type(contentType);
+            res.attachment(filename);
+            return res.send(content);
+        }
+
+        const report = await reportService.buildReport(scan);
+
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        console.error('Error fetching scan report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/scans/:id/diff/:otherId - Compare a scan with another run of the same target
+router.get('/:id/diff/:otherId', auth, async (req, res) => {
+    try {
+        debug('GET /scans/:id/diff/:otherId - scanId: %s, otherId: %s, userId: %s', req.params.id, req.params.otherId, req.user._id);
+        const [scan, otherScan] = await Promise.all([
+            Scan.findOne({ _id: req.params.id, usuario_id: req.user._id }),
+            Scan.findOne({ _id: req.params.otherId, usuario_id: req.user._id })
+        ]);
+
+        if (!scan || !otherScan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        if (!scanDiff.isSameTarget(scan, otherScan)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Los escaneos no corresponden a la misma URL objetivo'
+            });
+        }
+
+        const diff = await scanDiff.diff(scan, otherScan);
+
+        res.json({
+            success: true,
+            diff
+        });
+    } catch (error) {
+        console.error('Error comparing scans:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/scans/:id/gate - CI gate verdict (pass/fail) of a scan
+// Query overrides of the configured policy: severidad_minima, solo_nuevas, max_hallazgos
+router.get('/:id/gate', auth, async (req, res) => {
+    try {
+        const ciGate = require('../services/ciGateService');
+        debug('GET /scans/:id/gate - scanId: %s, query: %O, userId: %s', req.params.id, req.query, req.user._id);
+
+        const { error, value } = ciGate.validatePolicy(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Política inválida',
+                details: error.details[0].message
+            });
+        }
+
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const gate = await ciGate.evaluate(scan, ciGate.resolvePolicy(value));
+
+        res.json({
+            success: true,
+            gate
+        });
+    } catch (error) {
+        console.error('Error evaluating CI gate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/scans/:id/export?format=sarif|junit|csv|jsonl|markdown - Download the scan results in an external format
+// The junit export also accepts the CI gate policy overrides and returns the verdict in X-EasyInjection-Gate
+router.get('/:id/export', auth, async (req, res) => {
+    try {
+        const exportService = require('../services/exportService');
+        const format = (req.query.format || '').toLowerCase();
+        debug('GET /scans/:id/export - scanId: %s, format: %s, userId: %s', req.params.id, format, req.user._id);
+
+        if (!exportService.isSupported(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Formato inválido. Valores permitidos: ${exportService.getFormats().join(', ')}`
+            });
+        }
+
+        const ciGate = require('../services/ciGateService');
+        const { error, value } = ciGate.validatePolicy(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Política inválida',
+                details: error.details[0].message
+            });
+        }
+
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const { contentType, filename, content, gate } = await exportService.exportScan(scan, format, {
+            policy: ciGate.resolvePolicy(value)
+        });
+
+        if (gate) res.set('X-EasyInjection-Gate', gate.veredicto);
+        res.type(contentType);
+        res.attachment(filename);
+        res.send(content);
+    } catch (error) {
+        console.error('Error exporting scan:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/scans/:id/quiz - Get the pending post-scan quiz (deferred question mode)
+router.get('/:id/quiz', auth, async (req, res) => {
+    try {
+        debug('GET /scans/:id/quiz - scanId: %s, userId: %s', req.params.id, req.user._id);
         const Question = require('../models/pregunta');
         const Answer = require('../models/respuesta');
 
@@ -126,110 +346,116 @@ router.get('/:id/report', auth, async (req, res) => {
             });
         }
 
-        // Get detailed vulnerabilities with counts by severity
-        const vulnDocs = await Vulnerability.Model.find({ escaneo_id: scan._id })
-            .populate('tipo_id', 'nombre descripcion')
-            .populate('nivel_severidad_id', 'nombre nivel color');
-        const vulnerabilities = vulnDocs.map(doc => doc.toObject());
+        const preguntas = [];
+        for (const pending of scan.preguntas_pendientes) {
+            const question = await Question.findById(pending.pregunta_id);
+            if (!question) continue;
 
-        // Count vulnerabilities by severity
-        const severityCounts = {
-            critica: 0,
-            alta: 0,
-            media: 0,
-            baja: 0
-        };
-
-        vulnerabilities.forEach(vuln => {
-            const severity = vuln.nivel_severidad_id?.nombre?.toLowerCase();
-            if (severity === 'crítica' || severity === 'critica') {
-                severityCounts.critica++;
-            } else if (severity === 'alta') {
-                severityCounts.alta++;
-            } else if (severity === 'media') {
-                severityCounts.media++;
-            } else if (severity === 'baja') {
-                severityCounts.baja++;
-            }
+            // Options are returned without revealing the correct one
+            const answers = await Answer.find({ pregunta_id: pending.pregunta_id });
+            preguntas.push({
+                pregunta_id: question._id,
+                fase: pending.fase,
+                texto_pregunta: question.texto_pregunta,
+                dificultad: question.dificultad,
+                puntos: question.puntos,
+                opciones: answers.map(a => ({ respuesta_id: a._id, texto_respuesta: a.texto_respuesta }))
+            });
+        }
+
+        res.json({
+            success: true,
+            estado_cuestionario: scan.getQuizStatus(),
+            preguntas
+        });
+    } catch (error) {
+        console.error('Error fetching scan quiz:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
         });
+    }
+});
+
+// POST /api/scans/:id/quiz - Answer pending quiz questions and recalculate the score
+router.post('/:id/quiz', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/quiz - scanId: %s, userId: %s', req.params.id, req.user._id);
+        const Question = require('../models/pregunta');
+        const Answer = require('../models/respuesta');
+        const { respuestas } = req.body;
 
-        // Populate quiz questions and answers
-        debug('Processing quiz results - Total answers: %s', scan.respuestas_usuario?.length || 0);
-        const quizResults = [];
-        if (scan.respuestas_usuario && scan.respuestas_usuario.length > 0) {
-            for (let i = 0; i < scan.respuestas_usuario.length; i++) {
-                const userAnswer = scan.respuestas_usuario[i];
-                debug('Processing answer %s - pregunta_id: %s, respuesta_id: %s', 
-                    i + 1, userAnswer.pregunta_id, userAnswer.respuesta_seleccionada_id);
-                
-                const questionDoc = await Question.findById(userAnswer.pregunta_id);
-                debug('Question found: %s, texto: %s', questionDoc ? 'YES' : 'NO', questionDoc?.texto_pregunta);
-                const question = questionDoc ? new Question(questionDoc.toObject()) : null;
-                
-                const allAnswersDocs = await Answer.find({ pregunta_id: userAnswer.pregunta_id });
-                debug('Answers found: %s answers', allAnswersDocs?.length || 0);
-                const allAnswers = allAnswersDocs.map(doc => new Answer(doc.toObject()));
-                
-                const selectedAnswerDoc = await Answer.findById(userAnswer.respuesta_seleccionada_id);
-                debug('Selected answer found: %s', selectedAnswerDoc ? 'YES' : 'NO');
-                const selectedAnswer = selectedAnswerDoc ? new Answer(selectedAnswerDoc.toObject()) : null;
-                
-                const correctAnswer = allAnswers.find(a => a.es_correcta);
-                debug('Correct answer found: %s', correctAnswer ? 'YES' : 'NO');
-
-                // Convert to plain objects for response
-                const questionPlain = question ? question.toObject() : null;
-                const answersPlain = allAnswers.map(a => a.toObject());
-                const selectedPlain = selectedAnswer ? selectedAnswer.toObject() : null;
-                const correctPlain = correctAnswer ? correctAnswer.toObject() : null;
-
-                debug('Question plain object: %O', questionPlain);
-                debug('Selected answer plain: %O', selectedPlain);
-
-                quizResults.push({
-                    pregunta: questionPlain,
-                    respuestas: answersPlain,
-                    respuesta_seleccionada: selectedPlain,
-                    respuesta_correcta: correctPlain,
-                    es_correcta: userAnswer.es_correcta,
-                    puntos_obtenidos: userAnswer.puntos_obtenidos
+        if (!Array.isArray(respuestas) || respuestas.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Se requiere un arreglo de respuestas'
+            });
+        }
+
+        const scan = await Scan.findOne({ 
+            _id: req.params.id, 
+            usuario_id: req.user._id 
+        });
+
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        if (!scan.isFinished()) {
+            return res.status(409).json({
+                success: false,
+                error: 'El cuestionario solo puede responderse cuando el escaneo ha finalizado'
+            });
+        }
+
+        const resultados = [];
+        for (const { pregunta_id, respuesta_id } of respuestas) {
+            const isPending = scan.preguntas_pendientes.some(p => p.pregunta_id.toString() === String(pregunta_id));
+            if (!isPending) {
+                return res.status(400).json({
+                    success: false,
+                    error: `La pregunta ${pregunta_id} no está pendiente en este escaneo`
+                });
+            }
+
+            const question = await Question.findById(pregunta_id);
+            const answer = await Answer.findOne({ _id: respuesta_id, pregunta_id });
+            if (!question || !answer) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Respuesta inválida para la pregunta ${pregunta_id}`
                 });
             }
+
+            const esCorrecta = answer.es_correcta === true;
+            scan.answerPendingQuestion({
+                pregunta_id: question._id,
+                respuesta_seleccionada_id: answer._id,
+                es_correcta: esCorrecta,
+                puntos_obtenidos: esCorrecta ? question.puntos : 0
+            }, question.puntos);
+
+            resultados.push({
+                pregunta_id: question._id,
+                es_correcta: esCorrecta,
+                puntos_obtenidos: esCorrecta ? question.puntos : 0
+            });
         }
-        debug('Quiz results processed: %s questions', quizResults.length);
 
-        // Convert Value Objects to plain objects
-        const flagsPlain = scan.flags && typeof scan.flags.toObject === 'function'
-            ? scan.flags.toObject()
-            : scan.flags;
-        
-        const puntuacionPlain = scan.puntuacion && typeof scan.puntuacion.toObject === 'function'
-            ? scan.puntuacion.toObject()
-            : scan.puntuacion;
+        scan.calculateScore();
+        await scan.save();
 
         res.json({
             success: true,
-            report: {
-                scan: {
-                    _id: scan._id,
-                    alias: scan.alias,
-                    url: scan.url,
-                    fecha_inicio: scan.fecha_inicio,
-                    fecha_fin: scan.fecha_fin,
-                    estado: scan.estado,
-                    flags: flagsPlain
-                },
-                vulnerabilidades: vulnerabilities,
-                resumen_vulnerabilidades: {
-                    total: vulnerabilities.length,
-                    por_severidad: severityCounts
-                },
-                cuestionario: quizResults,
-                puntuacion: puntuacionPlain
-            }
+            resultados,
+            estado_cuestionario: scan.getQuizStatus(),
+            puntuacion: scan.puntuacion.toObject()
         });
     } catch (error) {
-        console.error('Error fetching scan report:', error);
+        console.error('Error answering scan quiz:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor'
@@ -241,16 +467,94 @@ router.get('/:id/report', auth, async (req, res) => {
 router.post('/', auth, async (req, res) => {
     try {
         debug('POST /scans - userId: %s', req.user._id);
-        debug('POST /scans - Request body: %O', req.body);
-        const { alias, url, flags, tipo_autenticacion, credenciales } = req.body;
+        debug('POST /scans - Request body: %O', {
+            ...req.body,
+            credenciales: req.body.credenciales && { ...req.body.credenciales, password_login: secrets.mask(req.body.credenciales.password_login) },
+            cookie: secrets.mask(req.body.cookie)
+        });
+        const { alias, url, flags, tipo_autenticacion, credenciales, cookie, autenticacion, modo_preguntas, objetivo_id, alcance, descubrimiento } = req.body;
+
+        if (modo_preguntas && !Scan.QUESTION_MODES.includes(modo_preguntas)) {
+            return res.status(400).json({
+                success: false,
+                error: `Modo de preguntas inválido. Valores permitidos: ${Scan.QUESTION_MODES.join(', ')}`
+            });
+        }
+
+        if (alcance !== undefined) {
+            const { error } = Scan.scopeValidation.validate(alcance);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Datos de entrada inválidos',
+                    details: error.details[0].message
+                });
+            }
+        }
+
+        if (descubrimiento !== undefined) {
+            const { error } = Scan.discoverySettingsValidation.validate(descubrimiento);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Datos de entrada inválidos',
+                    details: error.details[0].message
+                });
+            }
+        }
+
+        if (autenticacion !== undefined) {
+            const { error } = Scan.authSettingsValidation.validate(autenticacion);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Datos de entrada inválidos',
+                    details: error.details[0].message
+                });
+            }
+        }
+
+        // Internal hosts (loopback, private networks, cloud metadata...) cannot be scanned
+        const policy = await targetPolicy.check(url);
+        if (!policy.allowed) {
+            return res.status(403).json({
+                success: false,
+                error: `Objetivo no permitido: ${policy.reason}`
+            });
+        }
+
+        let target = null;
+        if (objetivo_id) {
+            target = mongoose.isValidObjectId(objetivo_id)
+                ? await Target.findOne({ _id: objetivo_id, usuario_id: req.user._id })
+                : null;
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Objetivo no encontrado'
+                });
+            }
+        }
 
         const scan = new Scan({
             usuario_id: req.user._id,
+            objetivo_id: objetivo_id || undefined,
+            // Without explicit rules the scan inherits the scope of its target
+            alcance: alcance || target?.alcance,
+            descubrimiento: descubrimiento || target?.descubrimiento,
             alias,
             url,
             flags: flags || { xss: false, sqli: false },
-            tipo_autenticacion,
-            credenciales,
+            // Without its own authentication the scan logs in like its target
+            ...(tipo_autenticacion || cookie || autenticacion || !target
+                ? { tipo_autenticacion, credenciales, cookie, autenticacion }
+                : {
+                    tipo_autenticacion: target.tipo_autenticacion,
+                    credenciales: target.credenciales.toObject(),
+                    cookie: target.cookie,
+                    autenticacion: target.autenticacion
+                }),
+            modo_preguntas: modo_preguntas || 'interactivo',
             estado: 'pendiente'
         });
 
@@ -271,7 +575,12 @@ router.post('/', auth, async (req, res) => {
                 url: scan.url,
                 fecha_inicio: scan.fecha_inicio,
                 estado: scan.estado,
-                flags: flagsPlain
+                flags: flagsPlain,
+                modo_preguntas: scan.modo_preguntas,
+                objetivo_id: scan.objetivo_id || null,
+                alcance: scan.alcance || {},
+                descubrimiento: scan.descubrimiento || {},
+                autenticacion: scan.autenticacion || {}
             }
         });
     } catch (error) {
@@ -345,8 +654,10 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
-        // Also delete associated vulnerabilities
+        // Also delete associated vulnerabilities and the report snapshot
         await Vulnerability.Model.deleteMany({ escaneo_id: scan._id });
+        await Report.Model.deleteOne({ escaneo_id: scan._id });
+        await seeds.removeForScan(scan._id);
 
         res.json({
             success: true,
@@ -366,6 +677,8 @@ router.post('/:id/vulnerabilities', auth, async (req, res) => {
     try {
         const { tipo_id, nivel_severidad_id, parametro_afectado, url_afectada, descripcion, sugerencia, referencia } = req.body;
 
+        const vulnerabilityType = await VulnerabilityType.findById(tipo_id);
+
         const vulnerability = new Vulnerability({
             escaneo_id: req.params.id,
             tipo_id,
@@ -374,7 +687,8 @@ router.post('/:id/vulnerabilities', auth, async (req, res) => {
             url_afectada,
             descripcion,
             sugerencia,
-            referencia
+            referencia,
+            huella: buildFingerprint(vulnerabilityType?.nombre, url_afectada, parametro_afectado)
         });
 
         await vulnerability.save();
@@ -394,7 +708,8 @@ router.post('/:id/vulnerabilities', auth, async (req, res) => {
                 url_afectada: vulnerability.url_afectada,
                 descripcion: vulnerability.descripcion,
                 sugerencia: vulnerability.sugerencia,
-                referencia: vulnerability.referencia
+                referencia: vulnerability.referencia,
+                huella: vulnerability.huella
             }
         });
     } catch (error) {
@@ -406,14 +721,58 @@ router.post('/:id/vulnerabilities', auth, async (req, res) => {
     }
 });
 
-// POST /api/scans/:id/start - Start a scan execution
-router.post('/:id/start', auth, async (req, res) => {
+// GET /api/scans/:id/vulnerabilities/:vulnId - Get a vulnerability with its triage history
+router.get('/:id/vulnerabilities/:vulnId', auth, async (req, res) => {
     try {
-        const scan = await Scan.findOne({
-            _id: req.params.id,
-            usuario_id: req.user._id
+        debug('GET /scans/:id/vulnerabilities/:vulnId - scanId: %s, vulnId: %s', req.params.id, req.params.vulnId);
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const vulnDoc = await Vulnerability.Model.findOne({ _id: req.params.vulnId, escaneo_id: scan._id })
+            .populate('tipo_id', 'nombre descripcion')
+            .populate('nivel_severidad_id', 'nombre nivel color')
+            .populate('revisado_por', 'username')
+            .populate('historial_triage.revisado_por', 'username');
+
+        if (!vulnDoc) {
+            return res.status(404).json({
+                success: false,
+                error: 'Vulnerabilidad no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            vulnerability: vulnDoc.toObject()
+        });
+    } catch (error) {
+        console.error('Error fetching vulnerability:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
         });
+    }
+});
+
+// PATCH /api/scans/:id/vulnerabilities/:vulnId - Change the triage state of a vulnerability
+router.patch('/:id/vulnerabilities/:vulnId', auth, async (req, res) => {
+    try {
+        debug('PATCH /scans/:id/vulnerabilities/:vulnId - scanId: %s, vulnId: %s, body: %O', req.params.id, req.params.vulnId, req.body);
+        const { error } = Vulnerability.validateTriage(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Datos de entrada inválidos',
+                details: error.details[0].message
+            });
+        }
 
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
         if (!scan) {
             return res.status(404).json({
                 success: false,
@@ -421,29 +780,32 @@ router.post('/:id/start', auth, async (req, res) => {
             });
         }
 
-        // Check if scan is already running
-        const socketService = require('../services/socketService');
-        if (socketService.isScanning(scan._id.toString())) {
-            return res.status(400).json({
+        const vulnerability = await Vulnerability.findOne({ _id: req.params.vulnId, escaneo_id: scan._id });
+        if (!vulnerability) {
+            return res.status(404).json({
                 success: false,
-                error: 'El escaneo ya está en ejecución'
+                error: 'Vulnerabilidad no encontrada'
             });
         }
 
-        // Extract optional config from request body
-        const { dbms, customHeaders } = req.body;
+        const triageService = require('../services/triageService');
+        await triageService.triage(scan, vulnerability, req.body, req.user._id);
 
         res.json({
             success: true,
-            message: 'Use WebSocket connection to start the scan',
-            scanId: scan._id,
-            config: {
-                dbms: dbms || 'auto',
-                customHeaders: customHeaders || ''
-            }
+            message: 'Estado de triage actualizado',
+            vulnerability: {
+                _id: vulnerability._id,
+                estado_triage: vulnerability.estado_triage,
+                justificacion_triage: vulnerability.justificacion_triage,
+                revisado_por: vulnerability.revisado_por,
+                fecha_revision: vulnerability.fecha_revision,
+                suprimida: vulnerability.isSuppressed()
+            },
+            puntuacion: scan.puntuacion.toObject()
         });
     } catch (error) {
-        console.error('Error starting scan:', error);
+        console.error('Error updating vulnerability triage:', error);
         res.status(500).json({
             success: false,
             error: 'Error interno del servidor'
@@ -451,6 +813,180 @@ router.post('/:id/start', auth, async (req, res) => {
     }
 });
 
+// Maps seed errors to their HTTP status, anything else is a 500
+function handleSeedError(res, error, action) {
+    if (error instanceof SeedError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`Error ${action} seed:`, error);
+    res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor'
+    });
+}
+
+// GET /api/scans/:id/seeds - List the documents that seed the discovery of a scan
+router.get('/:id/seeds', auth, async (req, res) => {
+    try {
+        debug('GET /scans/:id/seeds - scanId: %s', req.params.id);
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const list = await seeds.list(scan._id);
+        res.json({
+            success: true,
+            seeds: list.map(seed => seed.toDTO())
+        });
+    } catch (error) {
+        handleSeedError(res, error, 'listing');
+    }
+});
+
+// POST /api/scans/:id/seeds - Attach a document (OpenAPI in JSON or YAML, HAR or Postman collection, uploaded in contenido or referenced by url) to seed discovery
+router.post('/:id/seeds', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/seeds - scanId: %s, formato: %s, url: %s', req.params.id, req.body && req.body.formato, req.body && req.body.url);
+        const { error } = DiscoverySeed.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Datos de entrada inválidos',
+                details: error.details[0].message
+            });
+        }
+
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const { seed, truncated, skipped } = await seeds.create(scan, req.body);
+        res.status(201).json({
+            success: true,
+            seed: seed.toDTO(),
+            truncado: truncated,
+            omitidas: skipped
+        });
+    } catch (error) {
+        handleSeedError(res, error, 'creating');
+    }
+});
+
+// DELETE /api/scans/:id/seeds/:seedId - Detach a seed document
+router.delete('/:id/seeds/:seedId', auth, async (req, res) => {
+    try {
+        debug('DELETE /scans/:id/seeds/:seedId - scanId: %s, seedId: %s', req.params.id, req.params.seedId);
+        const scan = await Scan.findOne({ _id: req.params.id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        await seeds.remove(scan._id, req.params.seedId);
+        res.json({
+            success: true,
+            message: 'Semilla eliminada'
+        });
+    } catch (error) {
+        handleSeedError(res, error, 'deleting');
+    }
+});
+
+// Maps scan control errors to their HTTP status, anything else is a 500
+function handleControlError(res, error, action) {
+    if (error instanceof ScanControlError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`Error ${action} scan:`, error);
+    res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor'
+    });
+}
+
+// POST /api/scans/:id/start - Queue a scan for execution
+router.post('/:id/start', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/start - scanId: %s, userId: %s', req.params.id, req.user._id);
+        const { job, queuePosition, restricted } = await scanControl.start(req.params.id, req.user._id, req.body);
+
+        res.status(202).json({
+            success: true,
+            message: 'Escaneo en cola para su ejecución',
+            scanId: req.params.id,
+            job: job.toDTO(),
+            posicionCola: queuePosition,
+            modoRestringido: restricted
+        });
+    } catch (error) {
+        handleControlError(res, error, 'starting');
+    }
+});
+
+// POST /api/scans/:id/pause - Pause a running scan
+router.post('/:id/pause', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/pause - scanId: %s, userId: %s', req.params.id, req.user._id);
+        const status = await scanControl.pause(req.params.id, req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Escaneo pausado',
+            status
+        });
+    } catch (error) {
+        handleControlError(res, error, 'pausing');
+    }
+});
+
+// POST /api/scans/:id/resume - Resume a paused scan
+router.post('/:id/resume', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/resume - scanId: %s, userId: %s', req.params.id, req.user._id);
+        const status = await scanControl.resume(req.params.id, req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Escaneo reanudado',
+            status
+        });
+    } catch (error) {
+        handleControlError(res, error, 'resuming');
+    }
+});
+
+// POST /api/scans/:id/stop - Stop a running scan or cancel a queued one
+router.post('/:id/stop', auth, async (req, res) => {
+    try {
+        debug('POST /scans/:id/stop - scanId: %s, userId: %s', req.params.id, req.user._id);
+        const result = await scanControl.stop(req.params.id, req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Escaneo detenido',
+            scan: result
+        });
+    } catch (error) {
+        handleControlError(res, error, 'stopping');
+    }
+});
+
 // GET /api/scans/:id/status - Get current scan status
 router.get('/:id/status', auth, async (req, res) => {
     try {
@@ -467,7 +1003,9 @@ router.get('/:id/status', auth, async (req, res) => {
         }
 
         const socketService = require('../services/socketService');
+        const scanQueue = require('../services/scanQueue');
         const status = socketService.getScanStatus(scan._id.toString());
+        const job = await scanQueue.getJob(scan._id);
 
         res.json({
             success: true,
@@ -475,7 +1013,11 @@ router.get('/:id/status', auth, async (req, res) => {
                 scanId: scan._id,
                 isRunning: false,
                 dbStatus: scan.estado
-            }
+            },
+            job: job ? {
+                ...job.toDTO(),
+                posicionCola: job.isQueued() ? await scanQueue.getQueuePosition(scan._id) : null
+            } : null
         });
     } catch (error) {
         console.error('Error fetching scan status:', error);
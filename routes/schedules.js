@@ -0,0 +1,183 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Scan = require('../models/escaneo');
+const ScanSchedule = require('../models/programacion_escaneo');
+const debug = require('debug')('easyinjection:routes:schedules');
+const router = express.Router();
+
+async function findOwnedSchedule(scheduleId, userId) {
+    return ScanSchedule.findOne({ _id: scheduleId, usuario_id: userId });
+}
+
+function notFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'Programación no encontrada'
+    });
+}
+
+// GET /api/schedules - List the user's schedules (optional ?escaneo_id=)
+router.get('/', auth, async (req, res) => {
+    try {
+        debug('GET /schedules - userId: %s', req.user._id);
+        const query = { usuario_id: req.user._id };
+        if (req.query.escaneo_id) query.escaneo_id = req.query.escaneo_id;
+
+        const schedules = await ScanSchedule.find(query);
+
+        res.json({
+            success: true,
+            schedules: schedules.map(schedule => schedule.toDTO())
+        });
+    } catch (error) {
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/schedules - Attach a schedule to a scan definition
+router.post('/', auth, async (req, res) => {
+    try {
+        debug('POST /schedules - userId: %s, body: %O', req.user._id, req.body);
+        const { error } = ScanSchedule.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Datos de entrada inválidos',
+                details: error.details[0].message
+            });
+        }
+
+        const scan = await Scan.findOne({ _id: req.body.escaneo_id, usuario_id: req.user._id });
+        if (!scan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escaneo no encontrado'
+            });
+        }
+
+        const schedule = new ScanSchedule({
+            usuario_id: req.user._id,
+            escaneo_id: scan._id,
+            tipo: req.body.tipo,
+            expresion_cron: req.body.expresion_cron,
+            intervalo_minutos: req.body.intervalo_minutos,
+            zona_horaria: req.body.zona_horaria || 'UTC',
+            politica_recuperacion: req.body.politica_recuperacion || 'ejecutar_una',
+            activa: true,
+            fecha_creacion: new Date()
+        });
+        schedule.proxima_ejecucion = schedule.getNextRun(new Date());
+        await schedule.save();
+
+        res.status(201).json({
+            success: true,
+            schedule: schedule.toDTO()
+        });
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/schedules/:id - Schedule details with its latest runs
+router.get('/:id', auth, async (req, res) => {
+    try {
+        debug('GET /schedules/:id - scheduleId: %s, userId: %s', req.params.id, req.user._id);
+        const schedule = await findOwnedSchedule(req.params.id, req.user._id);
+        if (!schedule) return notFound(res);
+
+        const runDocs = await Scan.Model.find({ programacion_id: schedule._id, usuario_id: req.user._id })
+            .sort({ fecha_inicio: -1 })
+            .limit(20);
+        const runs = runDocs.map(doc => new Scan(doc.toObject()).toDTO());
+
+        res.json({
+            success: true,
+            schedule: schedule.toDTO(),
+            ejecuciones: runs
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/schedules/:id/pause - Pause a schedule
+router.post('/:id/pause', auth, async (req, res) => {
+    try {
+        debug('POST /schedules/:id/pause - scheduleId: %s, userId: %s', req.params.id, req.user._id);
+        const schedule = await findOwnedSchedule(req.params.id, req.user._id);
+        if (!schedule) return notFound(res);
+
+        schedule.pause();
+        await schedule.save();
+
+        res.json({
+            success: true,
+            message: 'Programación pausada',
+            schedule: schedule.toDTO()
+        });
+    } catch (error) {
+        console.error('Error pausing schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/schedules/:id/resume - Resume a paused schedule
+router.post('/:id/resume', auth, async (req, res) => {
+    try {
+        debug('POST /schedules/:id/resume - scheduleId: %s, userId: %s', req.params.id, req.user._id);
+        const schedule = await findOwnedSchedule(req.params.id, req.user._id);
+        if (!schedule) return notFound(res);
+
+        schedule.resume(new Date());
+        await schedule.save();
+
+        res.json({
+            success: true,
+            message: 'Programación reanudada',
+            schedule: schedule.toDTO()
+        });
+    } catch (error) {
+        console.error('Error resuming schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// DELETE /api/schedules/:id - Delete a schedule (previous runs are kept)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        debug('DELETE /schedules/:id - scheduleId: %s, userId: %s', req.params.id, req.user._id);
+        const schedule = await ScanSchedule.findOneAndDelete({ _id: req.params.id, usuario_id: req.user._id });
+        if (!schedule) return notFound(res);
+
+        res.json({
+            success: true,
+            message: 'Programación eliminada'
+        });
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
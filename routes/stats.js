@@ -0,0 +1,37 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const statsService = require('../services/statsService');
+const debug = require('debug')('easyinjection:routes:stats');
+const router = express.Router();
+
+// GET /api/stats - Dashboard statistics across all the user's scans
+// Optional ?desde=&hasta= (ISO dates), ?intervalo=semana|mes (default: mes), ?limite= (targets, default: 10)
+// and ?objetivo_id= to restrict everything to the scans of a target
+router.get('/', auth, async (req, res) => {
+    try {
+        debug('GET /stats - userId: %s, query: %O', req.user._id, req.query);
+        const { error, value } = statsService.validateFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Filtros inválidos',
+                details: error.details[0].message
+            });
+        }
+
+        const stats = await statsService.getUserStats(req.user._id, value);
+
+        res.json({
+            success: true,
+            stats
+        });
+    } catch (error) {
+        console.error('Error fetching stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Scan = require('../models/escaneo');
+const Target = require('../models/objetivo');
+const HostVerification = require('../models/verificacion_host');
+const scanControl = require('../services/scanControlService');
+const { ScanControlError } = require('../services/scanControlService');
+const targetPolicy = require('../services/targetPolicyService');
+const ownership = require('../services/ownershipService');
+const debug = require('debug')('easyinjection:routes:targets');
+const router = express.Router();
+
+async function findOwnedTarget(targetId, userId) {
+    return Target.findOne({ _id: targetId, usuario_id: userId });
+}
+
+function notFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'Objetivo no encontrado'
+    });
+}
+
+// The target policy blocks internal hosts (loopback, private networks, cloud metadata...)
+function forbiddenTarget(res, reason) {
+    return res.status(403).json({
+        success: false,
+        error: `Objetivo no permitido: ${reason}`
+    });
+}
+
+function invalidData(res, error) {
+    return res.status(400).json({
+        success: false,
+        error: 'Datos de entrada inválidos',
+        details: error.details[0].message
+    });
+}
+
+// GET /api/targets - List the user's targets with their number of scans and latest run
+router.get('/', auth, async (req, res) => {
+    try {
+        debug('GET /targets - userId: %s', req.user._id);
+        const targets = await Target.find({ usuario_id: req.user._id });
+
+        const runs = await Scan.Model.aggregate([
+            { $match: { objetivo_id: { $in: targets.map(target => target._id) } } },
+            { $sort: { fecha_inicio: -1 } },
+            {
+                $group: {
+                    _id: '$objetivo_id',
+                    total: { $sum: 1 },
+                    ultimo_escaneo: { $first: { _id: '$_id', estado: '$estado', fecha_inicio: '$fecha_inicio', puntuacion_final: '$puntuacion.puntuacion_final' } }
+                }
+            }
+        ]);
+        const runsByTarget = new Map(runs.map(row => [String(row._id), row]));
+
+        res.json({
+            success: true,
+            targets: targets.map(target => {
+                const row = runsByTarget.get(String(target._id));
+                return {
+                    ...target.toDTO(),
+                    totalEscaneos: row ? row.total : 0,
+                    ultimoEscaneo: row ? row.ultimo_escaneo : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching targets:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/targets - Create a target
+router.post('/', auth, async (req, res) => {
+    try {
+        debug('POST /targets - userId: %s, nombre: %s', req.user._id, req.body?.nombre);
+        const { error, value } = Target.validate(req.body);
+        if (error) return invalidData(res, error);
+
+        const policy = await targetPolicy.check(value.url_base);
+        if (!policy.allowed) return forbiddenTarget(res, policy.reason);
+
+        const now = new Date();
+        const target = new Target({
+            ...value,
+            usuario_id: req.user._id,
+            fecha_creacion: now,
+            fecha_actualizacion: now
+        });
+        await target.save();
+
+        res.status(201).json({
+            success: true,
+            target: target.toDTO()
+        });
+    } catch (error) {
+        console.error('Error creating target:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/targets/:id - Target details with its latest scans (full history: GET /api/scans?objetivo_id=)
+router.get('/:id', auth, async (req, res) => {
+    try {
+        debug('GET /targets/:id - targetId: %s, userId: %s', req.params.id, req.user._id);
+        const target = await findOwnedTarget(req.params.id, req.user._id);
+        if (!target) return notFound(res);
+
+        const runDocs = await Scan.Model.find({ objetivo_id: target._id, usuario_id: req.user._id })
+            .sort({ fecha_inicio: -1 })
+            .limit(20);
+
+        res.json({
+            success: true,
+            target: target.toDTO(),
+            escaneos: runDocs.map(doc => new Scan(doc.toObject()).toDTO())
+        });
+    } catch (error) {
+        console.error('Error fetching target:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// GET /api/targets/:id/verification - Ownership verification of the target host and how to publish its token
+router.get('/:id/verification', auth, async (req, res) => {
+    try {
+        debug('GET /targets/:id/verification - targetId: %s, userId: %s', req.params.id, req.user._id);
+        const target = await findOwnedTarget(req.params.id, req.user._id);
+        if (!target) return notFound(res);
+
+        const verification = await ownership.getVerification(req.user._id, target.url_base);
+
+        res.json({
+            success: true,
+            verificacion: verification.toDTO(),
+            instrucciones: ownership.getInstructions(verification, target.url_base),
+            // Unverified hosts are only scanned in restricted mode
+            modoRestringido: ownership.getSettings().enabled && !verification.isVerified()
+        });
+    } catch (error) {
+        console.error('Error fetching target verification:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/targets/:id/verification - Check the token with a method { metodo: archivo|meta|dns }
+router.post('/:id/verification', auth, async (req, res) => {
+    try {
+        debug('POST /targets/:id/verification - targetId: %s, userId: %s, metodo: %s', req.params.id, req.user._id, req.body?.metodo);
+        const { error, value } = HostVerification.validateAttempt(req.body);
+        if (error) return invalidData(res, error);
+
+        const target = await findOwnedTarget(req.params.id, req.user._id);
+        if (!target) return notFound(res);
+
+        const result = await ownership.verify(req.user._id, target.url_base, value.metodo);
+
+        res.status(result.verificado ? 200 : 400).json({
+            success: result.verificado,
+            verificacion: result.verification.toDTO(),
+            ...(result.motivo ? { error: `No se pudo verificar el host: ${result.motivo}` } : {})
+        });
+    } catch (error) {
+        console.error('Error verifying target:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// PUT /api/targets/:id - Update a target (only the fields sent); existing scans are not modified
+router.put('/:id', auth, async (req, res) => {
+    try {
+        debug('PUT /targets/:id - targetId: %s, userId: %s', req.params.id, req.user._id);
+        const { error, value } = Target.validateUpdate(req.body);
+        if (error) return invalidData(res, error);
+
+        if (value.url_base) {
+            const policy = await targetPolicy.check(value.url_base);
+            if (!policy.allowed) return forbiddenTarget(res, policy.reason);
+        }
+
+        const target = await findOwnedTarget(req.params.id, req.user._id);
+        if (!target) return notFound(res);
+
+        target.applyChanges(value);
+        await target.save();
+
+        res.json({
+            success: true,
+            target: target.toDTO()
+        });
+    } catch (error) {
+        console.error('Error updating target:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// DELETE /api/targets/:id - Delete a target (its scans are kept, unlinked from it)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        debug('DELETE /targets/:id - targetId: %s, userId: %s', req.params.id, req.user._id);
+        const target = await Target.findOneAndDelete({ _id: req.params.id, usuario_id: req.user._id });
+        if (!target) return notFound(res);
+
+        await Scan.Model.updateMany({ objetivo_id: target._id }, { $unset: { objetivo_id: 1 } });
+
+        res.json({
+            success: true,
+            message: 'Objetivo eliminado'
+        });
+    } catch (error) {
+        console.error('Error deleting target:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+// POST /api/targets/:id/scans - Create a scan with the target's settings and queue it
+// Body (optional): { alias, url, flags, modo_preguntas, config } where config are the /api/scans/:id/start options
+router.post('/:id/scans', auth, async (req, res) => {
+    try {
+        debug('POST /targets/:id/scans - targetId: %s, userId: %s', req.params.id, req.user._id);
+        const { error, value } = Target.validateRun(req.body);
+        if (error) return invalidData(res, error);
+
+        const target = await findOwnedTarget(req.params.id, req.user._id);
+        if (!target) return notFound(res);
+
+        const scanData = target.buildScanData(value);
+        const policy = await targetPolicy.check(scanData.url);
+        if (!policy.allowed) return forbiddenTarget(res, policy.reason);
+
+        const scan = new Scan(scanData);
+        await scan.save();
+
+        let started;
+        try {
+            started = await scanControl.start(scan._id, req.user._id, value.config);
+        } catch (error) {
+            scan.markAsError();
+            await scan.save();
+            throw error;
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Escaneo en cola para su ejecución',
+            scanId: scan._id,
+            scan: scan.toDTO(),
+            job: started.job.toDTO(),
+            posicionCola: started.queuePosition,
+            modoRestringido: started.restricted
+        });
+    } catch (error) {
+        if (error instanceof ScanControlError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error starting target scan:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
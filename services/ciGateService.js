@@ -0,0 +1,136 @@
+const config = require('config');
+const Joi = require('joi');
+const debug = require('debug')('easyinjection:services:ciGate');
+const Vulnerability = require('../models/vulnerabilidad');
+const SeverityLevel = require('../models/nivel_severidad');
+const scanDiff = require('./scanDiffService');
+
+const SEVERITY_NAMES = ['Baja', 'Media', 'Alta', 'Crítica'];
+
+/**
+ * Canonical severity name ('critica' -> 'Crítica'); null when unknown
+ */
+function normalizeSeverity(name) {
+    const value = String(name || '').trim().toLowerCase();
+    if (value === 'critica') return 'Crítica';
+    return SEVERITY_NAMES.find(severity => severity.toLowerCase() === value) || null;
+}
+
+function getSeverityWeight(name) {
+    const severity = normalizeSeverity(name);
+    return severity ? new SeverityLevel({ nombre: severity }).getWeight() : 0;
+}
+
+/**
+ * CiGateService - Pass/fail verdict of a scan for CI pipelines
+ *
+ * A policy has a minimum severity, whether only findings that are new since
+ * the previous run of the target count, and how many counted findings are
+ * tolerated. Suppressed findings (false positive / accepted risk) never count.
+ */
+class CiGateService {
+    /**
+     * Default policy from config (ciGate.*)
+     * @returns {Object} { severidad_minima, solo_nuevas, max_hallazgos }
+     */
+    getDefaultPolicy() {
+        return {
+            severidad_minima: normalizeSeverity(config.get('ciGate.minSeverity')) || 'Alta',
+            solo_nuevas: Boolean(config.get('ciGate.onlyNew')),
+            max_hallazgos: Math.max(0, Number(config.get('ciGate.maxFindings')) || 0)
+        };
+    }
+
+    /**
+     * Validate policy overrides (e.g. from the query string)
+     */
+    validatePolicy(overrides) {
+        return Joi.object({
+            severidad_minima: Joi.string().valid(...SEVERITY_NAMES, 'Critica').insensitive(),
+            solo_nuevas: Joi.boolean(),
+            max_hallazgos: Joi.number().integer().min(0)
+        }).unknown(true).validate(overrides || {});
+    }
+
+    /**
+     * Default policy with the given overrides applied
+     * @param {Object} overrides - Validated overrides
+     * @returns {Object}
+     */
+    resolvePolicy(overrides = {}) {
+        const policy = this.getDefaultPolicy();
+        if (overrides.severidad_minima !== undefined) policy.severidad_minima = normalizeSeverity(overrides.severidad_minima);
+        if (overrides.solo_nuevas !== undefined) policy.solo_nuevas = String(overrides.solo_nuevas) === 'true';
+        if (overrides.max_hallazgos !== undefined) policy.max_hallazgos = Number(overrides.max_hallazgos);
+        return policy;
+    }
+
+    /**
+     * Evaluate a scan against a policy
+     * @param {Scan} scan - Scan to evaluate
+     * @param {Object} policy - Policy from resolvePolicy
+     * @param {Array} vulnerabilities - Optional plain vulnerabilities of the scan (populated tipo_id and nivel_severidad_id)
+     * @returns {Promise<Object>} { aprobado, veredicto, motivo, politica, escaneo_base, infracciones }
+     */
+    async evaluate(scan, policy = this.resolvePolicy(), vulnerabilities = null) {
+        debug('evaluate: scan=%s policy=%O', scan._id, policy);
+
+        if (scan.estado !== 'finalizado') {
+            return this._verdict(false, `El escaneo no ha finalizado (estado: ${scan.estado})`, policy, null, []);
+        }
+
+        const vulns = vulnerabilities || await scanDiff.loadVulnerabilities(scan._id);
+
+        // Without a previous run every finding is new
+        let newKeys = null;
+        let baselineId = null;
+        if (policy.solo_nuevas) {
+            const diff = await scanDiff.diffWithPreviousRun(scan);
+            if (diff) {
+                newKeys = new Set(diff.nuevas.map(vuln => vuln.clave));
+                baselineId = diff.escaneo_base._id;
+            }
+        }
+
+        const minWeight = getSeverityWeight(policy.severidad_minima);
+        const infracciones = vulns
+            .filter(vuln => !Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(vuln.estado_triage))
+            .filter(vuln => getSeverityWeight(vuln.nivel_severidad_id?.nombre) >= minWeight)
+            .map(vuln => ({ vuln, key: scanDiff.buildVulnerabilityKey(vuln) }))
+            .filter(({ key }) => !newKeys || newKeys.has(key))
+            .map(({ vuln, key }) => ({
+                _id: vuln._id,
+                clave: key,
+                tipo: vuln.tipo_id?.nombre || null,
+                severidad: vuln.nivel_severidad_id?.nombre || null,
+                url_afectada: vuln.url_afectada,
+                parametro_afectado: vuln.parametro_afectado
+            }));
+
+        const aprobado = infracciones.length <= policy.max_hallazgos;
+        const scope = policy.solo_nuevas ? 'nuevos ' : '';
+        const motivo = aprobado
+            ? `${infracciones.length} hallazgo(s) ${scope}de severidad ${policy.severidad_minima} o superior (máximo permitido: ${policy.max_hallazgos})`
+            : `${infracciones.length} hallazgo(s) ${scope}de severidad ${policy.severidad_minima} o superior superan el máximo permitido (${policy.max_hallazgos})`;
+
+        debug('evaluate: scan=%s aprobado=%s infracciones=%d', scan._id, aprobado, infracciones.length);
+        return this._verdict(aprobado, motivo, policy, baselineId, infracciones);
+    }
+
+    _verdict(aprobado, motivo, policy, baselineId, infracciones) {
+        return {
+            aprobado,
+            veredicto: aprobado ? 'pass' : 'fail',
+            motivo,
+            politica: policy,
+            escaneo_base: baselineId,
+            infracciones
+        };
+    }
+}
+
+// Singleton instance
+const ciGateService = new CiGateService();
+
+module.exports = ciGateService;
+module.exports.normalizeSeverity = normalizeSeverity;
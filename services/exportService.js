@@ -0,0 +1,163 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const debug = require('debug')('easyinjection:services:export');
+const Scan = require('../models/escaneo');
+const Vulnerability = require('../models/vulnerabilidad');
+const VulnerabilityType = require('../models/tipo_vulnerabilidad');
+const ciGate = require('./ciGateService');
+const { buildSarif } = require('./exporters/sarifExporter');
+const { buildJunit } = require('./exporters/junitExporter');
+const flatExporter = require('./exporters/flatExporter');
+
+const flatFormat = (format) => ({
+    contentType: flatExporter.SERIALIZERS[format].contentType,
+    extension: flatExporter.SERIALIZERS[format].extension,
+    build: (scan, { vulnerabilities }) => flatExporter.serialize(format, vulnerabilities.map(vuln => flatExporter.buildRow(vuln)))
+});
+
+/**
+ * Export formats: content type, file extension and builder
+ * build(scan, data) receives the scan and its loaded data ({ vulnerabilities, types }),
+ * plus the CI gate verdict ({ gate }) for formats flagged with `gate`
+ */
+const EXPORT_FORMATS = {
+    sarif: {
+        contentType: 'application/sarif+json',
+        extension: 'sarif',
+        build: (scan, { vulnerabilities, types }) => JSON.stringify(buildSarif(scan, vulnerabilities, types), null, 2)
+    },
+    junit: {
+        contentType: 'application/xml; charset=utf-8',
+        extension: 'xml',
+        gate: true,
+        build: (scan, { vulnerabilities, gate }) => buildJunit(scan, vulnerabilities, gate)
+    },
+    csv: flatFormat('csv'),
+    jsonl: flatFormat('jsonl'),
+    markdown: flatFormat('markdown')
+};
+
+// Formats that can be streamed across all the scans of a user (one line per vulnerability)
+const STREAM_FORMATS = Object.keys(flatExporter.SERIALIZERS);
+
+/**
+ * ExportService - Serializes scan results to external formats
+ */
+class ExportService {
+    getFormats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+    }
+
+    getStreamFormats() {
+        return STREAM_FORMATS;
+    }
+
+    isStreamable(format) {
+        return STREAM_FORMATS.includes(format);
+    }
+
+    getStreamFormatInfo(format) {
+        const { contentType, extension } = flatExporter.SERIALIZERS[format];
+        return { contentType, extension };
+    }
+
+    /**
+     * Vulnerabilities of a scan (populated type and severity) and the vulnerability type catalogue
+     */
+    async loadScanData(scan) {
+        const [vulnDocs, typeDocs] = await Promise.all([
+            Vulnerability.Model.find({ escaneo_id: scan._id })
+                .populate('tipo_id', 'nombre descripcion')
+                .populate('nivel_severidad_id', 'nombre'),
+            VulnerabilityType.Model.find({}).sort({ nombre: 1 })
+        ]);
+
+        return {
+            vulnerabilities: vulnDocs.map(doc => doc.toObject()),
+            types: typeDocs.map(doc => doc.toObject())
+        };
+    }
+
+    /**
+     * Export a scan
+     * @param {Scan} scan - Scan to export
+     * @param {string} format - One of getFormats()
+     * @param {Object} options - { policy }: CI gate policy for formats that carry the verdict (defaults from config)
+     * @returns {Promise<Object>} { contentType, filename, content, gate } (gate is null for other formats)
+     */
+    async exportScan(scan, format, options = {}) {
+        if (!this.isSupported(format)) {
+            throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+        debug('exportScan: scan=%s format=%s', scan._id, format);
+
+        const exporter = EXPORT_FORMATS[format];
+        const data = await this.loadScanData(scan);
+        data.gate = exporter.gate
+            ? await ciGate.evaluate(scan, options.policy || ciGate.resolvePolicy(), data.vulnerabilities)
+            : null;
+
+        return {
+            contentType: exporter.contentType,
+            filename: `easyinjection-${scan._id}.${exporter.extension}`,
+            content: exporter.build(scan, data),
+            gate: data.gate
+        };
+    }
+
+    /**
+     * Stream every vulnerability of every scan of a user, one line at a time.
+     * Vulnerabilities are read with a cursor and piped with backpressure, so
+     * memory use does not grow with the size of the history.
+     * @param {ObjectId} usuarioId - Owner of the scans
+     * @param {string} format - One of getStreamFormats()
+     * @param {Writable} output - Destination (e.g. the HTTP response); ended when done
+     * @param {Object} filters - Optional { objetivoId } to export only the scans of a target
+     * @returns {Promise<number>} Number of vulnerabilities written
+     */
+    async streamUserExport(usuarioId, format, output, filters = {}) {
+        if (!this.isStreamable(format)) {
+            throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+        debug('streamUserExport: user=%s format=%s', usuarioId, format);
+
+        const serializer = flatExporter.SERIALIZERS[format];
+        const columns = flatExporter.getColumns(true);
+
+        const scanQuery = { usuario_id: usuarioId };
+        if (filters.objetivoId) scanQuery.objetivo_id = filters.objetivoId;
+        const scanDocs = await Scan.Model.find(scanQuery)
+            .select('_id alias fecha_inicio')
+            .lean();
+        const scansById = new Map(scanDocs.map(scan => [String(scan._id), scan]));
+
+        const cursor = Vulnerability.Model.find({ escaneo_id: { $in: scanDocs.map(scan => scan._id) } })
+            .populate('tipo_id', 'nombre')
+            .populate('nivel_severidad_id', 'nombre')
+            .sort({ _id: 1 })
+            .lean()
+            .cursor();
+
+        let written = 0;
+        async function* lines() {
+            yield serializer.header(columns);
+            // Leaving the loop early (client gone) closes the cursor
+            for await (const vuln of cursor) {
+                yield serializer.row(columns, flatExporter.buildRow(vuln, scansById.get(String(vuln.escaneo_id))));
+                written++;
+            }
+        }
+
+        await pipeline(Readable.from(lines()), output);
+        return written;
+    }
+}
+
+// Singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
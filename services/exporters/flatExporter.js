@@ -0,0 +1,114 @@
+/**
+ * Flat exporters: CSV, JSON Lines and Markdown
+ *
+ * One line per vulnerability with the columns of Vulnerability.toDTO. The
+ * serializers work line by line (header, row, ...) so the same code serves
+ * the single-scan export and the streamed multi-scan export.
+ */
+
+const Vulnerability = require('../../models/vulnerabilidad');
+
+// Vulnerability.toDTO field -> column header
+const VULNERABILITY_COLUMNS = [
+    { key: 'tipo', header: 'Tipo' },
+    { key: 'severidad', header: 'Severidad' },
+    { key: 'parametro', header: 'Parámetro' },
+    { key: 'url', header: 'URL' },
+    { key: 'riskScore', header: 'Riesgo' },
+    { key: 'cvssScore', header: 'CVSS' },
+    { key: 'priority', header: 'Prioridad' },
+    { key: 'estadoTriage', header: 'Triage' },
+    { key: 'sugerencia', header: 'Sugerencia' }
+];
+
+// Extra columns of the multi-scan export
+const SCAN_COLUMNS = [
+    { key: 'escaneoId', header: 'Escaneo' },
+    { key: 'escaneoAlias', header: 'Alias' },
+    { key: 'fechaEscaneo', header: 'Fecha' }
+];
+
+/**
+ * Flat row of a vulnerability
+ * @param {Object} vulnDoc - Vulnerability document or plain object with populated tipo_id and nivel_severidad_id
+ * @param {Object} scan - Optional scan info ({ _id, alias, fecha_inicio }) for the multi-scan export
+ * @returns {Object}
+ */
+function buildRow(vulnDoc, scan = null) {
+    const plain = typeof vulnDoc.toObject === 'function' ? vulnDoc.toObject() : vulnDoc;
+    const dto = new Vulnerability(plain).toDTO(plain.nivel_severidad_id, plain.tipo_id);
+
+    const row = {};
+    if (scan) {
+        row.escaneoId = String(scan._id);
+        row.escaneoAlias = scan.alias;
+        row.fechaEscaneo = scan.fecha_inicio ? new Date(scan.fecha_inicio).toISOString() : null;
+    }
+    VULNERABILITY_COLUMNS.forEach(column => {
+        row[column.key] = dto[column.key] ?? null;
+    });
+    return row;
+}
+
+function getColumns(multiScan = false) {
+    return multiScan ? [...SCAN_COLUMNS, ...VULNERABILITY_COLUMNS] : VULNERABILITY_COLUMNS;
+}
+
+function escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Keep spreadsheets from evaluating values as formulas: a leading tab or
+    // carriage return, or one of =+-@ after any leading whitespace
+    if (/^(?:[\t\r]|\s*[=+\-@])/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Line serializers: header(columns) and row(columns, row) return the text to append
+ */
+const SERIALIZERS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // The BOM lets spreadsheet software detect UTF-8 (accents in headers and descriptions)
+        header: columns => `\uFEFF${columns.map(column => escapeCsv(column.header)).join(',')}\r\n`,
+        row: (columns, row) => `${columns.map(column => escapeCsv(row[column.key])).join(',')}\r\n`
+    },
+    jsonl: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'jsonl',
+        header: () => '',
+        row: (columns, row) => `${JSON.stringify(Object.fromEntries(columns.map(column => [column.key, row[column.key]])))}\n`
+    },
+    markdown: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        header: columns => `| ${columns.map(column => escapeMarkdown(column.header)).join(' | ')} |\n|${columns.map(() => ' --- ').join('|')}|\n`,
+        row: (columns, row) => `| ${columns.map(column => escapeMarkdown(row[column.key])).join(' | ')} |\n`
+    }
+};
+
+/**
+ * Serialize a list of rows in memory
+ * @param {string} format - csv | jsonl | markdown
+ * @param {Array} rows - Rows built with buildRow
+ * @param {boolean} multiScan - Whether the rows include the scan columns
+ * @returns {string}
+ */
+function serialize(format, rows, multiScan = false) {
+    const serializer = SERIALIZERS[format];
+    const columns = getColumns(multiScan);
+    return serializer.header(columns) + rows.map(row => serializer.row(columns, row)).join('');
+}
+
+module.exports = {
+    SERIALIZERS,
+    buildRow,
+    getColumns,
+    serialize
+};
@@ -0,0 +1,236 @@
+/**
+ * JUnit XML exporter
+ *
+ * Lets CI servers show a scan as a test report: one testsuite per tested
+ * vulnerability type and a testcase per tested endpoint/parameter. CI servers
+ * go red on failures, so only the findings that break the CI gate policy are
+ * failures; the other findings are listed in the testcase output and
+ * suppressed ones (false positive / accepted risk) are reported as skipped.
+ * A "CI gate" testsuite carries the verdict itself, so a failed verdict
+ * without findings (e.g. an unfinished scan) also fails the build.
+ */
+
+const Vulnerability = require('../../models/vulnerabilidad');
+const { normalizeEndpoint, buildFindingKey } = require('../findings/fingerprint');
+
+// Scan flag -> vulnerability type it tests
+const FLAG_TYPES = { sqli: 'SQLi', xss: 'XSS' };
+
+function escapeXml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join('');
+}
+
+/**
+ * Text body of a failure: description, suggestion and evidence
+ */
+function describeFinding(vuln) {
+    const lines = [];
+    if (vuln.descripcion) lines.push(vuln.descripcion);
+    lines.push(`URL: ${vuln.url_afectada || 'N/A'}`);
+    lines.push(`Parámetro: ${vuln.parametro_afectado || 'N/A'}`);
+    if (vuln.sugerencia) lines.push(`Sugerencia: ${vuln.sugerencia}`);
+    const evidence = vuln.evidencia;
+    if (evidence?.tecnica) lines.push(`Técnica: ${evidence.tecnica}`);
+    if (evidence?.payload) lines.push(`Payload: ${evidence.payload}`);
+    if (evidence?.peticion) lines.push(`Petición:\n${evidence.peticion}`);
+    return lines.join('\n');
+}
+
+function isSuppressed(vuln) {
+    return Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(vuln.estado_triage);
+}
+
+/**
+ * Findings of a test case split by how they are reported
+ * @param {Object} testCase - { url, parametro, findings }
+ * @param {Set|null} failingIds - Ids of the findings that break the gate (null: every active finding)
+ * @returns {Object} { failures, reported, suppressed }
+ */
+function classifyFindings(testCase, failingIds) {
+    const active = testCase.findings.filter(vuln => !isSuppressed(vuln));
+    const breaksGate = vuln => !failingIds || failingIds.has(String(vuln._id));
+    return {
+        failures: active.filter(breaksGate),
+        reported: active.filter(vuln => !breaksGate(vuln)),
+        suppressed: testCase.findings.filter(isSuppressed)
+    };
+}
+
+function renderTestCase(testCase, failingIds) {
+    const head = `    <testcase${attributes({ classname: testCase.url, name: testCase.parametro, time: '0' })}`;
+    const { failures, reported, suppressed } = classifyFindings(testCase, failingIds);
+    const children = [];
+
+    if (failures.length > 0) {
+        // JUnit allows a single failure per testcase: the first finding gives the message, all of them the body
+        const first = failures[0];
+        const severity = first.nivel_severidad_id?.nombre || 'N/A';
+        const message = `${first.tipo_id?.nombre || 'Vulnerabilidad'} (${severity}) en el parámetro '${first.parametro_afectado || 'N/A'}'`;
+        children.push(`      <failure${attributes({ message, type: severity })}>${escapeXml(failures.map(describeFinding).join('\n\n'))}</failure>`);
+    } else if (reported.length === 0 && suppressed.length > 0) {
+        const first = suppressed[0];
+        const message = `${first.estado_triage}${first.justificacion_triage ? `: ${first.justificacion_triage}` : ''}`;
+        children.push(`      <skipped${attributes({ message })}/>`);
+    }
+    if (reported.length > 0) {
+        const text = `Hallazgos que no incumplen la política del CI gate:\n\n${reported.map(describeFinding).join('\n\n')}`;
+        children.push(`      <system-out>${escapeXml(text)}</system-out>`);
+    }
+
+    return children.length > 0 ? `${head}>\n${children.join('\n')}\n    </testcase>` : `${head}/>`;
+}
+
+function getCaseState(testCase, failingIds) {
+    const { failures, reported, suppressed } = classifyFindings(testCase, failingIds);
+    if (failures.length > 0) return 'failure';
+    return reported.length === 0 && suppressed.length > 0 ? 'skipped' : 'passed';
+}
+
+/**
+ * Test cases of each tested vulnerability type
+ * @returns {Map<string, Array>} type -> [{ url, parametro, findings }]
+ */
+function buildTestCases(scan, vulnerabilities) {
+    const types = Object.entries(FLAG_TYPES)
+        .filter(([flag]) => scan.flags?.[flag])
+        .map(([, type]) => type);
+    vulnerabilities.forEach(vuln => {
+        const type = vuln.tipo_id?.nombre;
+        if (type && !types.includes(type)) types.push(type);
+    });
+
+    const suites = new Map();
+    const casesByKey = new Map();
+    types.forEach(type => {
+        const cases = [];
+        (scan.parametros_probados || []).forEach(tested => {
+            const key = buildFindingKey(type, tested.url, tested.parametro);
+            if (casesByKey.has(key)) return;
+            const testCase = { url: normalizeEndpoint(tested.url), parametro: tested.parametro, findings: [] };
+            casesByKey.set(key, testCase);
+            cases.push(testCase);
+        });
+        suites.set(type, cases);
+    });
+
+    // Findings on parameters that were not recorded as tested get their own test case
+    vulnerabilities.forEach(vuln => {
+        const type = vuln.tipo_id?.nombre;
+        if (!type) return;
+        const key = buildFindingKey(type, vuln.url_afectada, vuln.parametro_afectado);
+        let testCase = casesByKey.get(key);
+        if (!testCase) {
+            testCase = { url: normalizeEndpoint(vuln.url_afectada), parametro: vuln.parametro_afectado || 'N/A', findings: [] };
+            casesByKey.set(key, testCase);
+            suites.get(type).push(testCase);
+        }
+        testCase.findings.push(vuln);
+    });
+
+    return suites;
+}
+
+function renderProperties(scan, gate) {
+    const properties = {
+        'easyinjection.scan': String(scan._id),
+        'easyinjection.alias': scan.alias,
+        'easyinjection.target': scan.url
+    };
+    if (gate) {
+        properties['easyinjection.gate'] = gate.veredicto;
+        properties['easyinjection.gate.reason'] = gate.motivo;
+        properties['easyinjection.gate.minSeverity'] = gate.politica.severidad_minima;
+        properties['easyinjection.gate.onlyNew'] = String(gate.politica.solo_nuevas);
+        properties['easyinjection.gate.maxFindings'] = String(gate.politica.max_hallazgos);
+    }
+    const items = Object.entries(properties)
+        .map(([name, value]) => `      <property${attributes({ name, value })}/>`);
+    return `    <properties>\n${items.join('\n')}\n    </properties>`;
+}
+
+/**
+ * Testsuite with the CI gate verdict as its single testcase
+ */
+function renderGateSuite(scan, gate, time, timestamp) {
+    const failures = gate.aprobado ? 0 : 1;
+    const head = `    <testcase${attributes({ classname: 'easyinjection.gate', name: 'Política del CI gate', time: '0' })}`;
+    const testCase = gate.aprobado
+        ? `${head}/>`
+        : `${head}>\n      <failure${attributes({ message: gate.motivo, type: 'gate' })}>${escapeXml(gate.motivo)}</failure>\n    </testcase>`;
+    return [
+        `  <testsuite${attributes({ name: 'CI gate', tests: 1, failures, errors: 0, skipped: 0, time, timestamp })}>`,
+        renderProperties(scan, gate),
+        testCase,
+        '  </testsuite>'
+    ].join('\n');
+}
+
+/**
+ * Build the JUnit XML report of a scan
+ * @param {Scan} scan - Scan
+ * @param {Array} vulnerabilities - Plain vulnerabilities with populated tipo_id and nivel_severidad_id
+ * @param {Object} gate - Optional verdict from CiGateService.evaluate (without it every active finding is a failure)
+ * @returns {string} JUnit XML
+ */
+function buildJunit(scan, vulnerabilities, gate = null) {
+    const start = scan.fecha_inicio ? new Date(scan.fecha_inicio) : null;
+    const end = scan.fecha_fin ? new Date(scan.fecha_fin) : null;
+    const time = start && end ? Math.max(0, (end - start) / 1000).toFixed(3) : '0';
+    const timestamp = start ? start.toISOString().replace(/\.\d{3}Z$/, '') : undefined;
+
+    // A passed gate tolerates its infractions (max_hallazgos), so nothing fails
+    const failingIds = gate
+        ? new Set(gate.aprobado ? [] : gate.infracciones.map(infraction => String(infraction._id)))
+        : null;
+
+    const totals = { tests: 0, failures: 0, skipped: 0 };
+    const suites = [];
+    if (gate) {
+        totals.tests++;
+        if (!gate.aprobado) totals.failures++;
+        suites.push(renderGateSuite(scan, gate, time, timestamp));
+    }
+    for (const [type, cases] of buildTestCases(scan, vulnerabilities)) {
+        const states = cases.map(testCase => getCaseState(testCase, failingIds));
+        const counts = {
+            tests: cases.length,
+            failures: states.filter(state => state === 'failure').length,
+            skipped: states.filter(state => state === 'skipped').length
+        };
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+
+        suites.push([
+            `  <testsuite${attributes({ name: type, tests: counts.tests, failures: counts.failures, errors: 0, skipped: counts.skipped, time, timestamp })}>`,
+            renderProperties(scan, gate),
+            ...cases.map(testCase => renderTestCase(testCase, failingIds)),
+            '  </testsuite>'
+        ].join('\n'));
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites${attributes({ name: `EasyInjection - ${scan.alias || scan._id}`, tests: totals.tests, failures: totals.failures, errors: 0, skipped: totals.skipped, time })}>`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    buildJunit
+};
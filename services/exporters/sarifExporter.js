@@ -0,0 +1,178 @@
+/**
+ * SARIF 2.1.0 exporter
+ *
+ * Builds a SARIF log with one run per scan: a rule per vulnerability type
+ * (tipo_vulnerabilidad) and a result per Vulnerability, located at the
+ * affected URL and parameter. Severity levels (nivel_severidad) map to SARIF
+ * levels and to the `security-severity` property GitHub code scanning uses.
+ */
+
+const { version } = require('../../package.json');
+const Vulnerability = require('../../models/vulnerabilidad');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const TOOL_NAME = 'EasyInjection';
+
+// nivel_severidad -> SARIF level / security-severity (CVSS-like score)
+const SEVERITY_LEVELS = {
+    'Crítica': { level: 'error', securitySeverity: '9.5' },
+    'Alta': { level: 'error', securitySeverity: '7.5' },
+    'Media': { level: 'warning', securitySeverity: '5.5' },
+    'Baja': { level: 'note', securitySeverity: '2.0' }
+};
+const DEFAULT_SEVERITY = SEVERITY_LEVELS['Media'];
+
+const RULE_METADATA = {
+    SQLi: { name: 'SqlInjection', title: 'Inyección SQL', cwe: 89 },
+    XSS: { name: 'CrossSiteScripting', title: 'Cross-Site Scripting (XSS)', cwe: 79 },
+    CSRF: { name: 'CrossSiteRequestForgery', title: 'Cross-Site Request Forgery (CSRF)', cwe: 352 },
+    XXE: { name: 'XmlExternalEntity', title: 'XML External Entity (XXE)', cwe: 611 },
+    SSTI: { name: 'ServerSideTemplateInjection', title: 'Server-Side Template Injection (SSTI)', cwe: 1336 }
+};
+
+function mapSeverity(severityName) {
+    return SEVERITY_LEVELS[severityName] || DEFAULT_SEVERITY;
+}
+
+/**
+ * SARIF rule of a vulnerability type
+ * @param {Object} type - Plain VulnerabilityType
+ */
+function buildRule(type) {
+    const metadata = RULE_METADATA[type.nombre] || { name: type.nombre, title: type.nombre };
+    const tags = ['security'];
+    if (metadata.cwe) tags.push(`external/cwe/cwe-${metadata.cwe}`);
+
+    return {
+        id: type.nombre,
+        name: metadata.name,
+        shortDescription: { text: metadata.title },
+        fullDescription: { text: type.descripcion || metadata.title },
+        helpUri: metadata.cwe ? `https://cwe.mitre.org/data/definitions/${metadata.cwe}.html` : undefined,
+        properties: { tags }
+    };
+}
+
+/**
+ * SARIF result of a vulnerability
+ * @param {Object} vuln - Plain Vulnerability with populated tipo_id and nivel_severidad_id
+ * @param {number} ruleIndex - Index of its rule in tool.driver.rules
+ */
+function buildResult(vuln, ruleIndex) {
+    const ruleId = vuln.tipo_id.nombre;
+    const severityName = vuln.nivel_severidad_id?.nombre;
+    const { level, securitySeverity } = mapSeverity(severityName);
+    const parameter = vuln.parametro_afectado || null;
+
+    const location = {
+        physicalLocation: {
+            artifactLocation: { uri: vuln.url_afectada || 'unknown' }
+        }
+    };
+    if (parameter) {
+        location.logicalLocations = [{ name: parameter, kind: 'parameter' }];
+    }
+
+    const result = {
+        ruleId,
+        ruleIndex,
+        level,
+        message: {
+            text: vuln.descripcion || `${ruleId} en el parámetro '${parameter || 'N/A'}' de ${vuln.url_afectada || 'N/A'}`
+        },
+        locations: [location],
+        properties: {
+            severity: severityName || null,
+            'security-severity': securitySeverity,
+            parameter,
+            triage: vuln.estado_triage || 'nuevo'
+        }
+    };
+
+    if (vuln.huella) {
+        result.partialFingerprints = { 'easyinjection/v1': vuln.huella };
+    }
+
+    // SARIF fixes require artifact changes, so the remediation advice goes in the properties bag
+    if (vuln.sugerencia) {
+        result.properties.remediation = vuln.sugerencia;
+    }
+
+    const evidence = vuln.evidencia;
+    if (evidence) {
+        result.webRequest = {
+            method: evidence.metodo_http || undefined,
+            target: vuln.url_afectada || undefined
+        };
+        if (evidence.fragmento_respuesta) {
+            result.webResponse = { body: { text: evidence.fragmento_respuesta } };
+        }
+        result.properties.payload = evidence.payload || null;
+        result.properties.request = evidence.peticion || null;
+        result.properties.technique = evidence.tecnica || null;
+    }
+
+    // False positives and accepted risks are reported as suppressed, not hidden
+    if (Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(vuln.estado_triage)) {
+        result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: vuln.justificacion_triage || vuln.estado_triage
+        }];
+    }
+
+    return result;
+}
+
+/**
+ * Build the SARIF log of a scan
+ * @param {Scan} scan - Scan
+ * @param {Array} vulnerabilities - Plain vulnerabilities with populated tipo_id and nivel_severidad_id
+ * @param {Array} types - Plain vulnerability types (one rule each)
+ * @returns {Object} SARIF 2.1.0 log
+ */
+function buildSarif(scan, vulnerabilities, types) {
+    const ruleTypes = [...types];
+    // Types referenced by a vulnerability but missing from the catalogue still need a rule
+    vulnerabilities.forEach(vuln => {
+        if (vuln.tipo_id && !ruleTypes.some(type => type.nombre === vuln.tipo_id.nombre)) {
+            ruleTypes.push(vuln.tipo_id);
+        }
+    });
+
+    const rules = ruleTypes.map(buildRule);
+    const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    const invocation = { executionSuccessful: scan.estado === 'finalizado' };
+    if (scan.fecha_inicio) invocation.startTimeUtc = new Date(scan.fecha_inicio).toISOString();
+    if (scan.fecha_fin) invocation.endTimeUtc = new Date(scan.fecha_fin).toISOString();
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version,
+                    rules
+                }
+            },
+            automationDetails: { id: `easyinjection/${scan._id}` },
+            invocations: [invocation],
+            properties: {
+                alias: scan.alias,
+                target: scan.url
+            },
+            results: vulnerabilities
+                .filter(vuln => vuln.tipo_id)
+                .map(vuln => buildResult(vuln, ruleIndexes.get(vuln.tipo_id.nombre)))
+        }]
+    };
+}
+
+module.exports = {
+    SARIF_VERSION,
+    buildSarif
+};
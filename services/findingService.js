@@ -0,0 +1,124 @@
+const debug = require('debug')('easyinjection:services:findings');
+const Finding = require('../models/hallazgo');
+const Vulnerability = require('../models/vulnerabilidad');
+const VulnerabilityType = require('../models/tipo_vulnerabilidad');
+const { normalizeEndpoint } = require('./findings/fingerprint');
+
+/**
+ * FindingService - Keeps the target-level finding records up to date
+ *
+ * When a scan completes, each vulnerability is matched to a finding of the same
+ * target by its fingerprint (huella):
+ * - unknown fingerprint: a new finding is created (abierto)
+ * - known fingerprint: first/last seen and times seen are updated; a fixed
+ *   finding becomes reabierto
+ * - open findings not detected again are marked corregido, but only for the
+ *   vulnerability types the scan actually tested (its flags)
+ *
+ * Findings also keep the last triage of their vulnerabilities, so a false
+ * positive or accepted risk stays suppressed in later scans of the target.
+ */
+class FindingService {
+    /**
+     * Target identifier shared by every run against the same URL
+     * @param {string} url - Scan URL
+     * @returns {string}
+     */
+    getTarget(url) {
+        return normalizeEndpoint(url);
+    }
+
+    /**
+     * Update the findings of the scan's target with the scan results
+     * @param {Scan} scan - Completed scan
+     * @returns {Promise<Object>} { nuevos, reabiertos, persistentes, corregidos }
+     */
+    async syncScan(scan) {
+        const objetivo = this.getTarget(scan.url);
+        const detectedAt = scan.fecha_fin || new Date();
+        const summary = { nuevos: 0, reabiertos: 0, persistentes: 0, corregidos: 0 };
+        debug('syncScan: scan=%s objetivo=%s', scan._id, objetivo);
+
+        const vulnerabilities = await Vulnerability.find({ escaneo_id: scan._id });
+        const seen = new Set();
+
+        for (const vulnerability of vulnerabilities) {
+            if (!vulnerability.huella || seen.has(vulnerability.huella)) continue;
+            seen.add(vulnerability.huella);
+
+            const finding = await Finding.findOne({ usuario_id: scan.usuario_id, objetivo, huella: vulnerability.huella });
+            if (!finding) {
+                await Finding.fromVulnerability(vulnerability, { usuarioId: scan.usuario_id, objetivo, detectedAt }).save();
+                summary.nuevos++;
+                continue;
+            }
+
+            const wasFixed = finding.isFixed();
+            finding.recordDetection(vulnerability, detectedAt);
+            await finding.save();
+            if (wasFixed) summary.reabiertos++;
+            else summary.persistentes++;
+        }
+
+        // Only types covered by this scan can be considered fixed
+        const testedTypes = await VulnerabilityType.find({ nombre: { $in: scan.flags.getEnabledFlags() } });
+        const staleFindings = await Finding.find({
+            usuario_id: scan.usuario_id,
+            objetivo,
+            estado: { $in: Finding.OPEN_STATES },
+            tipo_id: { $in: testedTypes.map(type => type._id) },
+            huella: { $nin: [...seen] }
+        });
+
+        for (const finding of staleFindings) {
+            finding.markFixed(detectedAt);
+            await finding.save();
+            summary.corregidos++;
+        }
+
+        console.log(`[FINDINGS] Scan ${scan._id}: ${summary.nuevos} new, ${summary.reabiertos} reopened, ${summary.persistentes} still open, ${summary.corregidos} fixed`);
+        return summary;
+    }
+
+    /**
+     * Suppressed findings (false positive / accepted risk) of a target
+     * @param {ObjectId} usuarioId - Owner
+     * @param {string} objetivo - Normalized target (see getTarget)
+     * @returns {Promise<Map<string, Finding>>} huella -> finding
+     */
+    async getSuppressions(usuarioId, objetivo) {
+        const findings = await Finding.find({
+            usuario_id: usuarioId,
+            objetivo,
+            estado_triage: { $in: Vulnerability.SUPPRESSED_TRIAGE_STATES }
+        });
+        return new Map(findings.map(finding => [finding.huella, finding]));
+    }
+
+    /**
+     * Store the triage of a vulnerability on its finding so later scans inherit it
+     * @param {Scan} scan - Scan the vulnerability belongs to
+     * @param {Vulnerability} vulnerability - Triaged vulnerability
+     */
+    async applyTriage(scan, vulnerability) {
+        if (!vulnerability.huella) return;
+
+        const finding = await Finding.findOne({
+            usuario_id: scan.usuario_id,
+            objetivo: this.getTarget(scan.url),
+            huella: vulnerability.huella
+        });
+        if (!finding) {
+            debug('applyTriage: no finding for huella %s', vulnerability.huella);
+            return;
+        }
+
+        finding.applyTriage(vulnerability);
+        await finding.save();
+    }
+}
+
+// Singleton instance
+const findingService = new FindingService();
+
+module.exports = findingService;
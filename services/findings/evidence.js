@@ -0,0 +1,146 @@
+/**
+ * Proof of a finding: payload, injected request and response snippet
+ *
+ * Executors attach a raw `evidence` object to each vulnerability they report
+ * ({ tool, method, payload, request, responseSnippet, technique, pocType }).
+ * Before it is stored it goes through buildEvidence, which maps it to the
+ * `evidencia` fields of the Vulnerability and enforces the configured sizes
+ * (evidence.* in config), so a huge response cannot bloat the document.
+ * Credential headers (Cookie, Authorization...) of the request are masked.
+ */
+
+const config = require('config');
+
+// Headers that carry credentials in any request
+const SECRET_HEADER_PATTERN = /^(cookie|authorization|proxy-authorization|x-api-key|x-auth-token|x-csrf-token|x-xsrf-token)$/i;
+const SECRET_MASK = '********';
+
+/**
+ * Configured maximum length of each evidence field
+ * @returns {Object} { payload, request, response }
+ */
+function getEvidenceLimits() {
+    return {
+        payload: Math.max(1, Number(config.get('evidence.maxPayloadLength')) || 2000),
+        request: Math.max(1, Number(config.get('evidence.maxRequestLength')) || 8000),
+        response: Math.max(1, Number(config.get('evidence.maxResponseLength')) || 4000)
+    };
+}
+
+/**
+ * Cut a text to a maximum length
+ * @returns {{ value: string|null, truncated: boolean }}
+ */
+function truncate(text, maxLength) {
+    if (text === undefined || text === null || text === '') return { value: null, truncated: false };
+    const value = String(text);
+    if (value.length <= maxLength) return { value, truncated: false };
+    return { value: value.slice(0, maxLength), truncated: true };
+}
+
+/**
+ * Part of a response around the first occurrence of the payload (or its start)
+ * @param {string} text - Full response
+ * @param {string} needle - Text to center the snippet on
+ * @param {number} maxLength - Snippet length
+ * @returns {string|null}
+ */
+function extractSnippet(text, needle, maxLength = getEvidenceLimits().response) {
+    if (!text) return null;
+    const body = String(text);
+    if (body.length <= maxLength) return body;
+
+    const index = needle ? body.indexOf(needle) : -1;
+    if (index === -1) return body.slice(0, maxLength);
+
+    const start = Math.max(0, Math.min(index - Math.floor(maxLength / 2), body.length - maxLength));
+    return body.slice(start, start + maxLength);
+}
+
+/**
+ * Raw HTTP request equivalent to the one sent by the tool
+ * @param {Object} options - { method, url, body, headers: ['Name: value', ...] }
+ * @returns {string|null}
+ */
+function buildHttpRequest({ method = 'GET', url, body = null, headers = [] }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    const lines = [
+        `${method.toUpperCase()} ${parsed.pathname}${parsed.search} HTTP/1.1`,
+        `Host: ${parsed.host}`,
+        ...headers.filter(header => header && !/^host\s*:/i.test(header))
+    ];
+    if (body) {
+        lines.push('Content-Type: application/x-www-form-urlencoded');
+        lines.push(`Content-Length: ${Buffer.byteLength(body)}`);
+    }
+    return `${lines.join('\r\n')}\r\n\r\n${body || ''}`;
+}
+
+/**
+ * Mask the values of credential headers in a raw HTTP request
+ * (only the header block: the body is the injected payload)
+ * @param {string|null} request - Raw request
+ * @param {Array<string>} extraNames - Other headers to mask (custom headers of the scan)
+ * @returns {string|null}
+ */
+function maskSecretHeaders(request, extraNames = []) {
+    if (!request) return request;
+    const names = extraNames.map(name => String(name).toLowerCase());
+    const text = String(request);
+    const headerEnd = text.search(/\r?\n\r?\n/);
+    const head = headerEnd === -1 ? text : text.slice(0, headerEnd);
+    const rest = headerEnd === -1 ? '' : text.slice(headerEnd);
+
+    const masked = head.split(/(\r?\n)/).map((line, index) => {
+        // The request line and the separators are kept as they are
+        if (index === 0 || /^\r?\n$/.test(line)) return line;
+        const separator = line.indexOf(':');
+        if (separator === -1) return line;
+        const name = line.slice(0, separator).trim();
+        return SECRET_HEADER_PATTERN.test(name) || names.includes(name.toLowerCase())
+            ? `${line.slice(0, separator)}: ${SECRET_MASK}`
+            : line;
+    }).join('');
+    return masked + rest;
+}
+
+/**
+ * Map the raw evidence of an executor to the stored `evidencia` fields
+ * @param {Object} evidence - Raw evidence reported by sqlmap/dalfox
+ * @returns {Object|null} Evidence ready to be stored, null when there is none
+ */
+function buildEvidence(evidence) {
+    if (!evidence || typeof evidence !== 'object') return null;
+
+    const limits = getEvidenceLimits();
+    const payload = truncate(evidence.payload, limits.payload);
+    const request = truncate(maskSecretHeaders(evidence.request), limits.request);
+    const response = truncate(evidence.responseSnippet, limits.response);
+
+    if (!payload.value && !request.value && !response.value) return null;
+
+    return {
+        herramienta: evidence.tool || null,
+        metodo_http: evidence.method ? String(evidence.method).toUpperCase().slice(0, 10) : null,
+        payload: payload.value,
+        peticion: request.value,
+        fragmento_respuesta: response.value,
+        tecnica: evidence.technique ? String(evidence.technique).slice(0, 255) : null,
+        tipo_poc: evidence.pocType ? String(evidence.pocType).slice(0, 50) : null,
+        truncada: payload.truncated || request.truncated || response.truncated
+    };
+}
+
+module.exports = {
+    getEvidenceLimits,
+    extractSnippet,
+    buildHttpRequest,
+    maskSecretHeaders,
+    buildEvidence
+};
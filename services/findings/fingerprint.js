@@ -0,0 +1,35 @@
+/**
+ * Stable identity of a finding across scans
+ *
+ * A finding is identified by its vulnerability type, the normalized endpoint
+ * and the affected parameter; the fingerprint is the SHA-256 of that key.
+ */
+
+const crypto = require('crypto');
+const { normalizeEndpoint } = require('../../utils/endpointUrl');
+
+/**
+ * Matching key: type + normalized endpoint + parameter
+ * @param {string} typeName - Vulnerability type (SQLi, XSS, ...)
+ * @param {string} url - Affected URL
+ * @param {string} parameter - Affected parameter
+ * @returns {string}
+ */
+function buildFindingKey(typeName, url, parameter) {
+    const type = (typeName || '').toLowerCase();
+    return `${type}|${normalizeEndpoint(url)}|${(parameter || '').trim()}`;
+}
+
+/**
+ * Deterministic fingerprint of a finding
+ * @returns {string} SHA-256 hex digest of the matching key
+ */
+function buildFingerprint(typeName, url, parameter) {
+    return crypto.createHash('sha256').update(buildFindingKey(typeName, url, parameter)).digest('hex');
+}
+
+module.exports = {
+    normalizeEndpoint,
+    buildFindingKey,
+    buildFingerprint
+};
@@ -0,0 +1,453 @@
+/**
+ * Authentication manager - logs in to the target and keeps the session alive
+ *
+ * Supported methods (config.auth.type):
+ * - form: GET the login page, submit its form (hidden fields such as CSRF
+ *   tokens included) and keep the cookies set by the server
+ * - basic: Authorization: Basic header
+ * - bearer: Authorization: Bearer header
+ * - apikey: API key sent in a custom header
+ * - cookie: raw cookie supplied by the user (also added to the other methods)
+ *
+ * The executors add the session cookie/headers to every sqlmap and dalfox
+ * process and call ensureSession() before spawning them. The session is
+ * checked every scanAuth.sessionCheckSeconds; when it has expired the form
+ * login is performed again.
+ *
+ * Password, token and cookie arrive encrypted and are only decrypted to log in.
+ */
+
+const config = require('config');
+const targetPolicy = require('../targetPolicyService');
+const secrets = require('../../utils/secretCrypto');
+const { readText } = require('../../utils/httpBody');
+const { compileUserRegex } = require('../../utils/userRegex');
+const { parseAttributes } = require('./htmlTags');
+
+const AUTH_TYPES = ['form', 'basic', 'bearer', 'apikey', 'cookie'];
+const MAX_REDIRECTS = 5;
+// Only the beginning of the pages is read
+const MAX_BODY_BYTES = 512 * 1024;
+// The expired session pattern is tested against the beginning of the checked page
+const LOGGED_OUT_WINDOW = 32 * 1024;
+
+/**
+ * First form of the page with a password field
+ * @returns {Object|null} { action, method, fields, usernameField, passwordField }
+ */
+function findLoginForm(html) {
+    const forms = String(html).match(/<form\b[^>]*>[\s\S]*?<\/form>/gi) || [];
+    for (const form of forms) {
+        const inputs = (form.match(/<(?:input|button)\b[^>]*>/gi) || []).map(parseAttributes);
+        const password = inputs.find(input => (input.type || '').toLowerCase() === 'password' && input.name);
+        if (!password) continue;
+
+        const formAttributes = parseAttributes(form.match(/<form\b[^>]*>/i)[0]);
+        const fields = {};
+        let usernameField = null;
+        let submitField = null;
+        inputs.forEach(input => {
+            const type = (input.type || 'text').toLowerCase();
+            if (!input.name) return;
+            if (type === 'hidden') {
+                fields[input.name] = input.value || '';
+            } else if (['text', 'email'].includes(type) && !usernameField) {
+                usernameField = input.name;
+            } else if (type === 'submit' && !submitField) {
+                // Some applications check the name of the submit button (e.g. Login=Login)
+                submitField = input;
+            }
+        });
+        if (submitField) fields[submitField.name] = submitField.value || '';
+
+        return {
+            action: formAttributes.action || '',
+            method: (formAttributes.method || 'POST').toUpperCase(),
+            fields,
+            usernameField,
+            passwordField: password.name
+        };
+    }
+    return null;
+}
+
+/**
+ * "name=value; name2=value2" -> Map
+ */
+function parseCookieString(cookie) {
+    const jar = new Map();
+    String(cookie || '').split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) return;
+        jar.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+    });
+    return jar;
+}
+
+function serializeCookies(jar) {
+    return Array.from(jar.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * Normalize the auth section of the scan config
+ * @param {Object} auth - Raw auth config
+ * @returns {Object} Auth config with defaults (type null when the scan is anonymous)
+ * @throws {Error} If the method lacks the data it needs
+ */
+function normalizeAuth(auth = {}) {
+    const type = auth.type || (auth.cookie ? 'cookie' : null);
+    if (type && !AUTH_TYPES.includes(type)) {
+        throw new Error(`Método de autenticación inválido: ${type}`);
+    }
+
+    const normalized = {
+        type,
+        loginUrl: auth.loginUrl || null,
+        usernameField: auth.usernameField || null,
+        passwordField: auth.passwordField || null,
+        extraFields: auth.extraFields && typeof auth.extraFields === 'object' ? { ...auth.extraFields } : {},
+        username: auth.username || '',
+        password: auth.password || '',
+        token: auth.token || '',
+        headerName: auth.headerName || 'X-API-Key',
+        cookie: auth.cookie || '',
+        checkUrl: auth.checkUrl || null,
+        loggedOutPattern: auth.loggedOutPattern || null
+    };
+
+    if ((type === 'form' || type === 'basic') && (!normalized.username || !normalized.password)) {
+        throw new Error(`La autenticación '${type}' requiere usuario y contraseña`);
+    }
+    if (type === 'form' && !normalized.loginUrl) {
+        throw new Error('La autenticación por formulario requiere la URL de inicio de sesión');
+    }
+    if ((type === 'bearer' || type === 'apikey') && !normalized.token) {
+        throw new Error(`La autenticación '${type}' requiere un token`);
+    }
+    if (normalized.loggedOutPattern) {
+        try {
+            compileUserRegex(normalized.loggedOutPattern, 'i');
+        } catch (error) {
+            throw new Error(`Patrón de sesión caducada inválido '${normalized.loggedOutPattern}': ${error.message}`);
+        }
+    }
+    for (const key of ['loginUrl', 'checkUrl']) {
+        if (!normalized[key]) continue;
+        try {
+            new URL(normalized[key]);
+        } catch (error) {
+            throw new Error(`URL inválida: ${normalized[key]}`);
+        }
+    }
+
+    return normalized;
+}
+
+class AuthManager {
+    /**
+     * @param {Object} scanConfig - Normalized scan config (auth, url)
+     * @param {Logger} logger
+     * @param {Object} options - { fetch } to run the login against a stub
+     */
+    constructor(scanConfig, logger, { fetch = (...args) => globalThis.fetch(...args) } = {}) {
+        this.auth = scanConfig.auth || normalizeAuth({});
+        this.loggedOutPattern = this.auth.loggedOutPattern ? compileUserRegex(this.auth.loggedOutPattern, 'i') : null;
+        this.targetUrl = scanConfig.url;
+        this.logger = logger;
+        this.fetch = fetch;
+
+        this.jar = null;        // Session cookies, null until the first login
+        this.headers = [];      // Session headers as "Name: value"
+        this.lastCheck = 0;
+        this.logins = 0;
+        this.pending = null;    // Login/check in progress, shared by concurrent callers
+        this.expiredWarned = false;
+    }
+
+    isEnabled() {
+        return Boolean(this.auth.type);
+    }
+
+    getSettings() {
+        return {
+            requestTimeoutMs: Math.max(1000, Number(config.get('scanAuth.requestTimeoutMs')) || 15000),
+            sessionCheckSeconds: Math.max(5, Number(config.get('scanAuth.sessionCheckSeconds')) || 60),
+            maxRelogins: Math.max(0, Number(config.get('scanAuth.maxRelogins')) || 0)
+        };
+    }
+
+    /**
+     * Current session for the tools
+     * @returns {Object} { cookie, headers } (cookie '' and headers [] when anonymous)
+     */
+    getSession() {
+        return {
+            cookie: this.jar ? serializeCookies(this.jar) : '',
+            headers: [...this.headers]
+        };
+    }
+
+    /**
+     * Log in when there is no session yet and renew it when it has expired
+     * (checked at most every scanAuth.sessionCheckSeconds)
+     */
+    async ensureSession() {
+        if (!this.isEnabled()) return;
+        if (this.pending) return this.pending;
+
+        if (!this.jar) {
+            this.pending = this.login();
+        } else if (Date.now() - this.lastCheck >= this.getSettings().sessionCheckSeconds * 1000) {
+            this.pending = this._renewIfExpired();
+        } else {
+            return;
+        }
+
+        try {
+            await this.pending;
+        } finally {
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Perform the configured login
+     * @throws {Error} If the target rejects the login
+     */
+    async login() {
+        const auth = this.auth;
+        this.logger.addSecrets(secrets.decrypt(auth.password), secrets.decrypt(auth.token), secrets.decrypt(auth.cookie));
+        this.jar = parseCookieString(secrets.decrypt(auth.cookie));
+        this.headers = [];
+
+        try {
+            await this._authenticate();
+        } catch (error) {
+            // The next ensureSession() tries again from scratch
+            this.jar = null;
+            this.headers = [];
+            throw error;
+        }
+
+        // Nothing the tools print can reveal the session
+        this.logger.addSecrets(...Array.from(this.jar.values()), ...this.headers.map(header => header.slice(header.indexOf(':') + 1).trim()));
+
+        const cookieNames = Array.from(this.jar.keys());
+        this.logger.addLog(`Sesión iniciada (${auth.type})${cookieNames.length ? `, cookies: ${cookieNames.join(', ')}` : ''}`, 'success');
+    }
+
+    async _authenticate() {
+        const auth = this.auth;
+        switch (auth.type) {
+            case 'form':
+                await this._formLogin();
+                break;
+            case 'basic':
+                this.headers.push(`Authorization: Basic ${Buffer.from(`${auth.username}:${secrets.decrypt(auth.password)}`).toString('base64')}`);
+                break;
+            case 'bearer':
+                this.headers.push(`Authorization: Bearer ${secrets.decrypt(auth.token)}`);
+                break;
+            case 'apikey':
+                this.headers.push(`${auth.headerName}: ${secrets.decrypt(auth.token)}`);
+                break;
+            default:
+                break;
+        }
+        this.logins++;
+
+        const check = await this._checkSession();
+        this.lastCheck = Date.now();
+        if (!check.valid) {
+            throw new Error(`El inicio de sesión no fue aceptado: ${check.reason}`);
+        }
+    }
+
+    async _renewIfExpired() {
+        const check = await this._checkSession();
+        this.lastCheck = Date.now();
+        if (check.valid) return;
+
+        // Only the form login yields a new session, the other methods reuse the same secret
+        if (this.auth.type !== 'form') {
+            if (!this.expiredWarned) {
+                this.logger.addLog(`La sesión parece no ser válida (${check.reason}) y no puede renovarse con el método '${this.auth.type}'`, 'warning');
+                this.expiredWarned = true;
+            }
+            return;
+        }
+
+        const { maxRelogins } = this.getSettings();
+        if (this.logins - 1 >= maxRelogins) {
+            if (!this.expiredWarned) {
+                this.logger.addLog(`Sesión caducada (${check.reason}): se alcanzó el máximo de ${maxRelogins} reinicios de sesión`, 'warning');
+                this.expiredWarned = true;
+            }
+            return;
+        }
+
+        this.logger.addLog(`Sesión caducada (${check.reason}), iniciando sesión de nuevo...`, 'warning');
+        try {
+            await this.login();
+        } catch (error) {
+            this.logger.addLog(`No se pudo renovar la sesión: ${error.message}`, 'error');
+        }
+    }
+
+    async _formLogin() {
+        const auth = this.auth;
+        const page = await this._request(auth.loginUrl);
+        const form = findLoginForm(page.body);
+
+        let action = auth.loginUrl;
+        let method = 'POST';
+        const fields = {};
+        if (form) {
+            action = new URL(form.action || page.url, page.url).toString();
+            method = form.method === 'GET' ? 'GET' : 'POST';
+            Object.assign(fields, form.fields);
+        }
+
+        const usernameField = auth.usernameField || form?.usernameField;
+        const passwordField = auth.passwordField || form?.passwordField;
+        if (!usernameField || !passwordField) {
+            throw new Error(`No se encontró el formulario de inicio de sesión en ${auth.loginUrl}; indica los campos de usuario y contraseña`);
+        }
+        fields[usernameField] = auth.username;
+        fields[passwordField] = secrets.decrypt(auth.password);
+        Object.assign(fields, auth.extraFields);
+
+        const body = new URLSearchParams(fields);
+        const response = method === 'GET'
+            ? await this._request(`${action}${action.includes('?') ? '&' : '?'}${body}`)
+            : await this._request(action, { method: 'POST', body });
+
+        if (response.status >= 400) {
+            throw new Error(`${action} respondió con el estado HTTP ${response.status}`);
+        }
+        if (this.jar.size === 0) {
+            throw new Error('El servidor no devolvió ninguna cookie de sesión');
+        }
+    }
+
+    /**
+     * Whether the current session is still accepted by the target
+     * @returns {Promise<Object>} { valid, reason }
+     */
+    async _checkSession() {
+        const auth = this.auth;
+        const checkUrl = auth.checkUrl || this.targetUrl;
+        let response;
+        try {
+            response = await this._request(checkUrl, { followRedirects: false });
+        } catch (error) {
+            // The target being unreachable is not a sign of an expired session
+            this.logger.addLog(`No se pudo comprobar la sesión en ${checkUrl}: ${error.message}`, 'debug', null, true);
+            return { valid: true };
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            return { valid: false, reason: `HTTP ${response.status} en ${checkUrl}` };
+        }
+
+        const loginPath = auth.loginUrl ? new URL(auth.loginUrl).pathname : null;
+        if (response.location && loginPath && new URL(response.location, checkUrl).pathname === loginPath) {
+            return { valid: false, reason: `${checkUrl} redirige a la página de inicio de sesión` };
+        }
+
+        if (this.loggedOutPattern) {
+            return this.loggedOutPattern.test(response.body.slice(0, LOGGED_OUT_WINDOW))
+                ? { valid: false, reason: `la respuesta de ${checkUrl} coincide con el patrón de sesión caducada` }
+                : { valid: true };
+        }
+
+        // Without a pattern, a login form on the checked page means the session is gone
+        if (auth.type === 'form' && new URL(checkUrl).pathname !== loginPath && findLoginForm(response.body)) {
+            return { valid: false, reason: `${checkUrl} muestra un formulario de inicio de sesión` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * HTTP request with the session cookies/headers. Cookies set by the server
+     * are stored in the session; redirects are followed by hand so every hop
+     * passes the target policy.
+     * @returns {Promise<Object>} { status, url, location, body }
+     */
+    async _request(url, { method = 'GET', body = null, followRedirects = true } = {}) {
+        const { requestTimeoutMs } = this.getSettings();
+        let currentUrl = url;
+        let currentMethod = method;
+        let currentBody = body;
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await targetPolicy.assertAllowed(currentUrl);
+
+            const headers = { 'User-Agent': 'EasyInjection-Scanner' };
+            this.headers.forEach(header => {
+                const separator = header.indexOf(':');
+                headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+            });
+            if (this.jar.size > 0) headers.Cookie = serializeCookies(this.jar);
+            if (currentBody) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+
+            const response = await this.fetch(currentUrl, {
+                method: currentMethod,
+                body: currentBody ? currentBody.toString() : undefined,
+                headers,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(requestTimeoutMs)
+            });
+            this._storeCookies(response);
+
+            const location = response.headers.get('location');
+            if (followRedirects && location && response.status >= 300 && response.status < 400) {
+                currentUrl = new URL(location, currentUrl).toString();
+                // 307/308 repeat the request, the other redirects become a GET
+                if (response.status !== 307 && response.status !== 308) {
+                    currentMethod = 'GET';
+                    currentBody = null;
+                }
+                if (response.body) response.body.cancel().catch(() => {});
+                continue;
+            }
+
+            return { status: response.status, url: currentUrl, location, body: await readText(response, MAX_BODY_BYTES) };
+        }
+
+        throw new Error(`Demasiadas redirecciones desde ${url}`);
+    }
+
+    _storeCookies(response) {
+        const setCookies = typeof response.headers.getSetCookie === 'function'
+            ? response.headers.getSetCookie()
+            : [response.headers.get('set-cookie')].filter(Boolean);
+
+        setCookies.forEach(setCookie => {
+            const [pair, ...attributes] = setCookie.split(';');
+            const separator = pair.indexOf('=');
+            if (separator <= 0) return;
+            const name = pair.slice(0, separator).trim();
+            const value = pair.slice(separator + 1).trim();
+
+            // Cookies removed by the server (empty, Max-Age=0 or expired)
+            const removed = !value || attributes.some(attribute => {
+                const [key, attributeValue = ''] = attribute.split('=').map(part => part.trim());
+                if (/^max-age$/i.test(key)) return Number(attributeValue) <= 0;
+                if (/^expires$/i.test(key)) return Date.parse(attributeValue) <= Date.now();
+                return false;
+            });
+            if (removed) {
+                this.jar.delete(name);
+            } else {
+                this.jar.set(name, value);
+            }
+        });
+    }
+}
+
+module.exports = AuthManager;
+module.exports.normalizeAuth = normalizeAuth;
+module.exports.findLoginForm = findLoginForm;
+module.exports.AUTH_TYPES = AUTH_TYPES;
@@ -9,6 +9,11 @@
  * @throws {Error} If required fields are missing
  */
 const config = require('config');
+const { QUESTION_MODES } = require('./questionHandler');
+const { normalizeScope } = require('./scopeFilter');
+const { normalizeAuth } = require('./authManager');
+
+const CRAWLERS = ['sqlmap', 'native', 'none'];
 
 function validateAndNormalizeConfig(scanConfig) {
     if (!scanConfig) {
@@ -40,6 +45,24 @@ function validateAndNormalizeConfig(scanConfig) {
         throw new Error('Al menos un tipo de escaneo debe estar habilitado (SQLi o XSS)');
     }
 
+    // Question mode (interactive, skip, deferred)
+    const questionMode = scanConfig.questionMode || 'interactive';
+    if (!QUESTION_MODES.includes(questionMode)) {
+        throw new Error(`Modo de preguntas inválido: ${questionMode}`);
+    }
+
+    // Scope rules (hosts, include/exclude paths, excluded parameters)
+    const scope = normalizeScope(scanConfig.scope || {});
+
+    // Login performed before discovery (form, basic, bearer, apikey or raw cookie)
+    const auth = normalizeAuth(scanConfig.auth || {});
+
+    // Discovery: sqlmap --crawl, the native crawler or none (only the seed documents)
+    const crawler = scanConfig.crawler || 'sqlmap';
+    if (!CRAWLERS.includes(crawler)) {
+        throw new Error(`Crawler inválido: ${crawler}`);
+    }
+
     // Build normalized config
     const normalized = {
         url: url,
@@ -49,6 +72,11 @@ function validateAndNormalizeConfig(scanConfig) {
         sqlmapPath: scanConfig.sqlmapPath || config.get('sqlmap.path') || 'sqlmap',
         dalfoxPath: scanConfig.dalfoxPath || config.get('dalfox.path') || 'dalfox',
         
+        // Discovery (crawlDepth applies to both crawlers)
+        crawler: crawler,
+        respectRobots: scanConfig.respectRobots !== undefined ? Boolean(scanConfig.respectRobots) : true,
+        seeds: Array.isArray(scanConfig.seeds) ? scanConfig.seeds.map(String) : [],
+
         // SQLMap configuration
         crawlDepth: scanConfig.crawlDepth || 2,
         level: Math.max(1, Math.min(5, scanConfig.level || 1)),
@@ -68,7 +96,19 @@ function validateAndNormalizeConfig(scanConfig) {
         
         // Custom headers (support both object and string format)
         headers: scanConfig.headers || {},
-        customHeaders: scanConfig.customHeaders || ''
+        customHeaders: scanConfig.customHeaders || '',
+
+        // Educational questions
+        questionMode: questionMode,
+
+        // Host ownership not verified: detection only, low intensity
+        restrictedMode: Boolean(scanConfig.restrictedMode),
+
+        // Scope rules applied to discovered endpoints and parameters
+        scope: scope,
+
+        // Authentication against the target
+        auth: auth
     };
 
     return normalized;
@@ -3,13 +3,20 @@
  */
 
 const { spawn } = require('child_process');
+const processLimiter = require('./processLimiter');
+const { TargetPolicyError } = require('../targetPolicyService');
+const { buildHttpRequest, extractSnippet, maskSecretHeaders } = require('../findings/evidence');
+const { getCustomHeaders, getCustomHeaderNames, addRecordedRequest, maskArgs } = require('./sensitiveData');
 
 class DalfoxExecutor {
-    constructor(config, logger, emitter, activeProcesses) {
+    constructor(config, logger, emitter, activeProcesses, authManager = null) {
         this.config = config;
         this.logger = logger;
         this.emitter = emitter;
         this.activeProcesses = activeProcesses;
+        this.authManager = authManager;
+        // Headers replayed from imported requests (HAR, Postman), masked in evidence like the custom ones
+        this.recordedHeaderNames = new Set();
         
         this.toolConfig = {
             path: config.dalfoxPath || 'dalfox',
@@ -38,8 +45,10 @@ class DalfoxExecutor {
 
     /**
      * Run Dalfox scan on a URL
+     * @param {Object} options - Optional: { params } to test only those parameters,
+     *                           { method, data, contentType, headers, cookie } request imported with the parameters
      */
-    async scanUrl(url, onVulnerabilityFound) {
+    async scanUrl(url, onVulnerabilityFound, options = {}) {
         const args = [
             'url',
             url,
@@ -47,32 +56,64 @@ class DalfoxExecutor {
             '--worker', this.toolConfig.workers.toString()
         ];
 
+        if (options.params && options.params.length > 0) {
+            options.params.forEach(param => args.push('--param', param));
+        }
+
+        if (options.method && options.method !== 'GET') {
+            args.push('--method', options.method);
+        }
+        if (options.data) {
+            args.push('--data', options.data);
+            if (options.contentType) {
+                args.push('--header', `Content-Type: ${options.contentType}`);
+            }
+        }
+
         if (this.toolConfig.delay > 0) {
             args.push('--delay', this.toolConfig.delay.toString());
         }
 
-        // Add custom headers (object format - legacy)
-        if (this.config.headers) {
-            for (const [key, value] of Object.entries(this.config.headers)) {
-                args.push('--header', `${key}: ${value}`);
+        // Add custom headers (object format - legacy - and string format - new), decrypted
+        getCustomHeaders(this.config).forEach(header => {
+            args.push('--header', header);
+        });
+
+        // Session of the authenticated scan (renewed first if it has expired)
+        if (this.authManager) {
+            try {
+                await this.authManager.ensureSession();
+            } catch (error) {
+                this.logger.addLog(`No se pudo iniciar sesión en el objetivo: ${error.message}`, 'warning');
+            }
+            const session = this.authManager.getSession();
+            session.headers.forEach(header => args.push('--header', header));
+            if (session.cookie) {
+                args.push('--cookie', session.cookie);
             }
         }
 
-        // Add custom headers (string format - new)
-        if (this.config.customHeaders) {
-            const headers = this.config.customHeaders.split('\n').filter(h => h.trim());
-            headers.forEach(header => {
-                args.push('--header', header.trim());
-            });
-        }
+        // Recorded headers and cookie of the imported request (encrypted until here)
+        addRecordedRequest(args, options).forEach(name => this.recordedHeaderNames.add(name));
 
-        this.logger.addLog(`Ejecutando: dalfox ${args.join(' ')}`, 'debug', null, true);
+        this.logger.addLog(`Ejecutando: dalfox ${maskArgs(args)}`, 'debug', null, true);
         // Debugging: log the exact command and args
-        console.log('[dalfox] scanUrl: ejecutando dalfox con args:', args.join(' '));
-
-        return new Promise((resolve) => {
-            const proc = spawn(this.toolConfig.path, args);
-            const processKey = `dalfox-${url}`;
+        console.log('[dalfox] scanUrl: ejecutando dalfox con args:', maskArgs(args));
+
+        return new Promise(async (resolve) => {
+            let proc;
+            try {
+                // Waits for a free slot when the global tool process limit is reached
+                proc = await processLimiter.spawn(this.toolConfig.path, args, {}, {
+                    isCancelled: () => Boolean(this.emitter && this.emitter.isStopped),
+                    targetUrl: url
+                });
+            } catch (error) {
+                const blocked = error instanceof TargetPolicyError;
+                this.logger.addLog(`dalfox no ejecutado: ${error.message}`, blocked ? 'warning' : 'debug', null, !blocked);
+                return resolve();
+            }
+            const processKey = `dalfox-${options.method && options.method !== 'GET' ? `${options.method}-` : ''}${url}`;
             this.activeProcesses.set(processKey, proc);
 
             let jsonBuffer = '';
@@ -328,7 +369,8 @@ class DalfoxExecutor {
                 severity: this._mapSeverity(result.severity || 'medium'),
                 endpoint: endpoint,
                 parameter: param,
-                description: description
+                description: description,
+                evidence: this._buildEvidence(result, { endpoint, method, payload, injectType, pocType: vulnType })
             };
 
             // Log detailed vulnerability information
@@ -360,6 +402,46 @@ class DalfoxExecutor {
         }
     }
 
+    /**
+     * Build the proof of a Dalfox finding. The PoC URL already carries the payload;
+     * raw_request/raw_response are only present when dalfox was asked to output them,
+     * otherwise the request is rebuilt and the reflected line (evidence) is used
+     */
+    _buildEvidence(result, { endpoint, method, payload, injectType, pocType }) {
+        const knownPayload = payload && payload !== 'detected' ? payload : null;
+        const rawResponse = result.raw_response || result.data?.raw_response;
+        const reflected = result.evidence || result.data?.evidence;
+
+        return {
+            tool: 'dalfox',
+            method: method,
+            payload: knownPayload,
+            // Session cookies and custom header values never reach the stored evidence
+            request: maskSecretHeaders(
+                result.raw_request || result.data?.raw_request || buildHttpRequest({ method, url: endpoint, headers: this._getRequestHeaders() }),
+                this._getSecretHeaderNames()
+            ),
+            responseSnippet: rawResponse ? extractSnippet(rawResponse, knownPayload) : (reflected || null),
+            technique: injectType || null,
+            pocType: pocType
+        };
+    }
+
+    /**
+     * Custom headers sent with every request, as "Name: value" lines
+     */
+    _getRequestHeaders() {
+        return getCustomHeaders(this.config);
+    }
+
+    /**
+     * Headers whose values are masked in evidence: custom, session and recorded headers
+     */
+    _getSecretHeaderNames() {
+        const sessionHeaders = this.authManager ? this.authManager.getSession().headers : [];
+        return [...getCustomHeaderNames(this.config), ...sessionHeaders.map(header => header.split(':')[0].trim()), ...this.recordedHeaderNames];
+    }
+
     /**
      * Map Dalfox severity to our scale
      */
@@ -378,7 +460,7 @@ class DalfoxExecutor {
      * Run a command with timeout (for version checks)
      */
     async runCommand(args, timeout = 30000) {
-        console.log('[dalfox] runCommand: executing', this.toolConfig.path, args.join(' '));
+        console.log('[dalfox] runCommand: executing', this.toolConfig.path, maskArgs(args));
         return new Promise((resolve, reject) => {
             const proc = spawn(this.toolConfig.path, args);
             const timer = setTimeout(() => {
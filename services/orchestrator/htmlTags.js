@@ -0,0 +1,32 @@
+/**
+ * Tags of the HTML pages read by the orchestrator (login forms of the
+ * AuthManager, links and forms of the native crawler)
+ */
+
+/**
+ * Attributes of an HTML tag (any quoting style), with their entities decoded
+ * @param {string} tag - '<input type="hidden" name="csrf" value="...">'
+ * @returns {Object} Lowercase attribute name -> value
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    tag.replace(/([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi, (match, name, double, single, bare) => {
+        attributes[name.toLowerCase()] = decodeEntities(double ?? single ?? bare);
+        return match;
+    });
+    return attributes;
+}
+
+function decodeEntities(value) {
+    return String(value)
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    parseAttributes,
+    decodeEntities
+};
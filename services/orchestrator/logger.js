@@ -7,6 +7,29 @@ class Logger {
         this.emitter = emitter;
         this.logs = [];
         this.currentPhase = null;
+        this.secrets = new Set(); // Decrypted secrets never written to a log entry
+    }
+
+    /**
+     * Register secret values (passwords, tokens, cookies) to be masked in every log entry
+     * @param {...string} values
+     */
+    addSecrets(...values) {
+        values.forEach(value => {
+            // Very short values would mask unrelated text
+            if (typeof value === 'string' && value.length >= 4) this.secrets.add(value);
+        });
+    }
+
+    /**
+     * Message with the registered secrets masked
+     */
+    redact(message) {
+        let redacted = String(message);
+        this.secrets.forEach(secret => {
+            redacted = redacted.split(secret).join('********');
+        });
+        return redacted;
     }
 
     /**
@@ -74,6 +97,10 @@ class Logger {
      * @param {boolean} consoleOnly - If true, only log to console, don't send to frontend
      */
     addLog(message, level = 'info', phase = null, consoleOnly = false) {
+        if (typeof message === 'string' && this.secrets.size > 0) {
+            message = this.redact(message);
+        }
+
         // Always log to console for sqlmap/dalfox detailed output
         if (consoleOnly) {
             console.log(`[${level.toUpperCase()}] ${message}`);
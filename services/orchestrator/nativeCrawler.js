@@ -0,0 +1,435 @@
+/**
+ * Native crawler - endpoint and parameter discovery without sqlmap --crawl
+ *
+ * Breadth-first crawl from the target URL up to config.crawlDepth (the
+ * target page is depth 1). Links, frames and forms of HTML pages and URLs
+ * found in JSON responses are followed; query strings, form fields and JSON
+ * bodies become parameters. Forms are recorded but never submitted.
+ *
+ * Only GET requests are sent, each hop passes the target policy, and URLs are
+ * only requested when they are in scope, allowed by robots.txt (when
+ * config.respectRobots is set) and, in authenticated scans, not a logout link.
+ * Requests carry the custom headers and the session of the AuthManager.
+ *
+ * Results are built with the EndpointSet of the sqlmap crawl CSV and the seed
+ * documents, so parameters of forms that are not a plain GET carry their
+ * method, body and content type.
+ */
+
+const config = require('config');
+const targetPolicy = require('../targetPolicyService');
+const { readText } = require('../../utils/httpBody');
+const ScopeFilter = require('./scopeFilter');
+const { getCustomHeaders } = require('./sensitiveData');
+const { parseAttributes } = require('./htmlTags');
+const EndpointSet = require('../seeds/endpointSet');
+const { bodyParamNames } = require('../seeds/endpointSet');
+
+const USER_AGENT = 'EasyInjection-Scanner';
+// robots.txt groups that apply to the crawler
+const ROBOTS_AGENTS = ['easyinjection', '*'];
+const MAX_REDIRECTS = 5;
+// Only the beginning of the pages is read
+const MAX_BODY_BYTES = 1024 * 1024;
+// Links that would end the authenticated session are never followed
+const LOGOUT_PATTERN = /log-?out|sign-?out|cerrar-?sesi[oó]n|salir/i;
+// Static resources are neither requested nor tested
+const STATIC_EXTENSIONS = /\.(?:css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|bmp|woff2?|ttf|eot|otf|pdf|zip|gz|tgz|rar|7z|mp3|mp4|webm|avi|mov|docx?|xlsx?|pptx?)$/i;
+const IGNORED_SCHEMES = /^(?:javascript|mailto|tel|data|ftp|file):/i;
+
+/**
+ * Absolute URL without fragment, or null when it is not an http(s) URL
+ */
+function resolveUrl(href, baseUrl) {
+    const value = String(href || '').trim();
+    if (!value || value.startsWith('#') || IGNORED_SCHEMES.test(value)) return null;
+    try {
+        const url = new URL(value, baseUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        url.hash = '';
+        return url.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Links (a, area, frame, iframe) of an HTML page, resolved against its <base>
+ */
+function extractLinks(html, pageUrl) {
+    const baseTag = String(html).match(/<base\b[^>]*>/i);
+    const baseUrl = (baseTag && resolveUrl(parseAttributes(baseTag[0]).href, pageUrl)) || pageUrl;
+
+    const links = [];
+    (String(html).match(/<(?:a|area|frame|iframe)\b[^>]*>/gi) || []).forEach(tag => {
+        const attributes = parseAttributes(tag);
+        const url = resolveUrl(attributes.href ?? attributes.src, baseUrl);
+        if (url) links.push(url);
+    });
+    return links;
+}
+
+/**
+ * Forms of an HTML page with their fields
+ * @returns {Array<Object>} { action, method, enctype, fields: { name: value } }
+ */
+function extractForms(html, pageUrl) {
+    const forms = [];
+    (String(html).match(/<form\b[^>]*>[\s\S]*?<\/form>/gi) || []).forEach(form => {
+        const attributes = parseAttributes(form.match(/<form\b[^>]*>/i)[0]);
+        const action = resolveUrl(attributes.action || pageUrl, pageUrl);
+        if (!action) return;
+
+        const fields = {};
+        (form.match(/<(?:input|select|textarea|button)\b[^>]*>/gi) || []).forEach(tag => {
+            const field = parseAttributes(tag);
+            const type = (field.type || '').toLowerCase();
+            if (!field.name || ['image', 'reset'].includes(type)) return;
+            // Buttons only count when they carry a value the application may check
+            if (/^<button/i.test(tag) && field.value === undefined) return;
+            if (!(field.name in fields)) fields[field.name] = field.value || '';
+        });
+
+        forms.push({
+            action,
+            method: (attributes.method || 'GET').toUpperCase() === 'POST' ? 'POST' : 'GET',
+            enctype: (attributes.enctype || '').toLowerCase(),
+            fields
+        });
+    });
+    return forms;
+}
+
+/**
+ * URLs found in the string values of a JSON document (absolute URLs and
+ * absolute paths such as "/api/users/1")
+ */
+function extractJsonLinks(document, pageUrl) {
+    const links = [];
+    const visit = value => {
+        if (typeof value === 'string') {
+            if (/^(?:https?:\/\/|\/(?!\/))\S*$/i.test(value)) {
+                const url = resolveUrl(value, pageUrl);
+                if (url) links.push(url);
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(document);
+    return links;
+}
+
+/**
+ * Rules of robots.txt that apply to the crawler (its own group, '*' otherwise)
+ * @returns {Array<Object>} { allow, length, pattern }
+ */
+function parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let readingAgents = false;
+
+    String(text).split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            if (!readingAgents) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            readingAgents = true;
+            return;
+        }
+        readingAgents = false;
+        if (!current || (key !== 'allow' && key !== 'disallow') || !value) return;
+
+        const source = value.replace(/\$$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        current.rules.push({
+            allow: key === 'allow',
+            length: value.length,
+            pattern: new RegExp(`^${source}${value.endsWith('$') ? '$' : ''}`)
+        });
+    });
+
+    for (const agent of ROBOTS_AGENTS) {
+        const group = groups.find(g => g.agents.some(name => (agent === '*' ? name === '*' : name.includes(agent))));
+        if (group) return group.rules;
+    }
+    return [];
+}
+
+/**
+ * Whether robots.txt rules allow a URL (the longest matching rule wins, Allow on ties)
+ */
+function isAllowedByRobots(rules, url) {
+    const { pathname, search } = new URL(url);
+    const target = `${pathname}${search}`;
+    let best = null;
+    rules.forEach(rule => {
+        if (!rule.pattern.test(target)) return;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+    });
+    return !best || best.allow;
+}
+
+class NativeCrawler {
+    /**
+     * @param {Object} scanConfig - Normalized scan config (url, crawlDepth, scope, respectRobots, headers)
+     * @param {Logger} logger
+     * @param {AuthManager|null} authManager - Session of authenticated scans
+     * @param {Object} options - { fetch } to crawl a stub
+     */
+    constructor(scanConfig, logger, authManager = null, { fetch = (...args) => globalThis.fetch(...args) } = {}) {
+        this.config = scanConfig;
+        this.logger = logger;
+        this.authManager = authManager;
+        this.fetch = fetch;
+        this.scope = new ScopeFilter(scanConfig.scope, scanConfig.url);
+        this.customHeaders = getCustomHeaders(scanConfig);
+
+        this.endpointSet = new EndpointSet();
+        this.seen = new Set();          // Endpoint keys already recorded
+        this.robots = new Map();        // origin -> rules
+        this.blockedByRobots = new Set(); // URLs disallowed by robots.txt
+        this.onDiscovered = () => {};
+        this.pages = 0;
+    }
+
+    getSettings() {
+        return {
+            maxPages: Math.max(1, Number(config.get('crawler.maxPages')) || 200),
+            requestTimeoutMs: Math.max(1000, Number(config.get('crawler.requestTimeoutMs')) || 10000),
+            delayMs: Math.max(0, Number(config.get('crawler.delayMs')) || 0)
+        };
+    }
+
+    /**
+     * Crawl the target
+     * @param {Object} options - { isStopped, waitIfPaused, onDiscovered(endpoint, parameters) }
+     * @returns {Promise<Object>} { endpoints, parameters, pages, blockedByRobots }
+     */
+    async crawl({ isStopped = () => false, waitIfPaused = async () => {}, onDiscovered = () => {} } = {}) {
+        const { maxPages, delayMs } = this.getSettings();
+        const maxDepth = Math.max(1, Number(this.config.crawlDepth) || 1);
+        this.onDiscovered = onDiscovered;
+
+        this.logger.addLog(`Crawler nativo: profundidad ${maxDepth}, máximo ${maxPages} página(s)${this.config.respectRobots ? ', respetando robots.txt' : ''}`, 'info');
+
+        const start = await this._discover({ url: this.config.url, method: 'GET' });
+        const queue = start && this.scope.checkUrl(start.url).inScope ? [{ url: start.url, depth: 1 }] : [];
+
+        while (queue.length > 0 && this.pages < maxPages) {
+            await waitIfPaused();
+            if (isStopped()) break;
+
+            const { url, depth } = queue.shift();
+            const page = await this._fetchPage(url);
+            this.pages++;
+            if (!page) continue;
+
+            for (const request of this._parsePage(page)) {
+                const endpoint = await this._discover(request);
+                if (endpoint && endpoint.method === 'GET' && depth < maxDepth && this.scope.checkUrl(endpoint.url).inScope) {
+                    queue.push({ url: endpoint.url, depth: depth + 1 });
+                }
+            }
+
+            if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        if (queue.length > 0 && this.pages >= maxPages) {
+            this.logger.addLog(`Crawler nativo: límite de ${maxPages} página(s) alcanzado, ${queue.length} URL(s) sin visitar`, 'warning');
+        }
+        if (this.blockedByRobots.size > 0) {
+            this.logger.addLog(`Crawler nativo: ${this.blockedByRobots.size} URL(s) excluida(s) por robots.txt`, 'info');
+        }
+
+        const { endpoints, parameters } = this.endpointSet.toResult();
+        return {
+            endpoints,
+            parameters,
+            pages: this.pages,
+            blockedByRobots: this.blockedByRobots.size
+        };
+    }
+
+    /**
+     * Requests found in a page: links, GET forms as URLs, POST forms with their
+     * body (urlencoded or JSON) and URLs in JSON documents
+     * @returns {Array<Object>} { url, method, postData, contentType }
+     */
+    _parsePage(page) {
+        if (page.contentType.includes('json')) {
+            try {
+                return extractJsonLinks(JSON.parse(page.body), page.url).map(url => ({ url, method: 'GET' }));
+            } catch (error) {
+                this.logger.addLog(`Crawler nativo: JSON inválido en ${page.url}`, 'debug', null, true);
+                return [];
+            }
+        }
+
+        const requests = extractLinks(page.body, page.url).map(url => ({ url, method: 'GET' }));
+
+        extractForms(page.body, page.url).forEach(form => {
+            if (form.method === 'GET') {
+                const url = new URL(form.action);
+                Object.entries(form.fields).forEach(([name, value]) => url.searchParams.set(name, value));
+                requests.push({ url: url.toString(), method: 'GET' });
+            } else if (form.enctype.includes('json')) {
+                requests.push({ url: form.action, method: 'POST', postData: JSON.stringify(form.fields), contentType: 'application/json' });
+            } else {
+                requests.push({
+                    url: form.action,
+                    method: 'POST',
+                    postData: new URLSearchParams(form.fields).toString(),
+                    contentType: 'application/x-www-form-urlencoded'
+                });
+            }
+        });
+
+        return requests;
+    }
+
+    /**
+     * Record a request unless it is a logout link of an authenticated scan or
+     * robots.txt disallows it
+     * @returns {Promise<Object|null>} The new endpoint
+     */
+    async _discover({ url, method, postData = null, contentType = null }) {
+        if (this.authManager && this.authManager.isEnabled() && LOGOUT_PATTERN.test(url)) {
+            this.logger.addLog(`Crawler nativo: enlace de cierre de sesión ignorado: ${url}`, 'debug', null, true);
+            return null;
+        }
+        if (this.config.respectRobots && this.scope.isHostAllowed(new URL(url).hostname) && !isAllowedByRobots(await this._getRobots(url), url)) {
+            if (!this.blockedByRobots.has(url)) {
+                this.blockedByRobots.add(url);
+                this.logger.addLog(`Crawler nativo: ${url} excluida por robots.txt`, 'debug', null, true);
+            }
+            return null;
+        }
+        return this._record(url, method, postData, contentType);
+    }
+
+    /**
+     * Add an endpoint and its parameters (once per method, path and parameter names)
+     * @returns {Object|null} The new endpoint, null when it was already known, off-site or a static resource
+     */
+    _record(url, method, postData = null, contentType = null) {
+        const parsed = new URL(url);
+        if (!this.scope.isHostAllowed(parsed.hostname) || STATIC_EXTENSIONS.test(parsed.pathname)) return null;
+
+        const queryParams = [...new Set(parsed.searchParams.keys())];
+        const bodyParams = bodyParamNames(postData, contentType);
+
+        const key = `${method} ${parsed.origin}${parsed.pathname} ${[...queryParams].sort().join('&')} ${[...bodyParams].sort().join('&')}`;
+        if (this.seen.has(key)) return null;
+        this.seen.add(key);
+
+        const { endpoints, parameters } = this.endpointSet;
+        const known = parameters.length;
+        if (!this.endpointSet.add({ url, method, postData, contentType })) return null;
+
+        const endpoint = endpoints[endpoints.length - 1];
+        this.onDiscovered(endpoint, parameters.slice(known));
+        return endpoint;
+    }
+
+    async _getRobots(url) {
+        const origin = new URL(url).origin;
+        if (!this.robots.has(origin)) {
+            let rules = [];
+            try {
+                const response = await this._request(`${origin}/robots.txt`);
+                // Without a robots.txt (4xx) everything may be crawled
+                if (response.status === 200) rules = parseRobots(response.body);
+            } catch (error) {
+                this.logger.addLog(`Crawler nativo: no se pudo leer ${origin}/robots.txt: ${error.message}`, 'debug', null, true);
+            }
+            this.robots.set(origin, rules);
+        }
+        return this.robots.get(origin);
+    }
+
+    /**
+     * GET a page; failures are logged and skipped
+     * @returns {Promise<Object|null>} { url, contentType, body } of HTML and JSON pages
+     */
+    async _fetchPage(url) {
+        try {
+            const response = await this._request(url);
+            if (response.status >= 400) {
+                this.logger.addLog(`Crawler nativo: ${url} respondió con el estado HTTP ${response.status}`, 'debug', null, true);
+                return null;
+            }
+            if (!/html|json/i.test(response.contentType)) return null;
+            return { url: response.url, contentType: response.contentType.toLowerCase(), body: response.body };
+        } catch (error) {
+            this.logger.addLog(`Crawler nativo: no se pudo obtener ${url}: ${error.message}`, 'debug', null, true);
+            return null;
+        }
+    }
+
+    /**
+     * GET with the custom headers and the scan session. Redirects are followed
+     * by hand so every hop passes the target policy and stays in scope.
+     * @returns {Promise<Object>} { status, url, contentType, body }
+     */
+    async _request(url) {
+        const { requestTimeoutMs } = this.getSettings();
+        if (this.authManager) await this.authManager.ensureSession();
+        const session = this.authManager ? this.authManager.getSession() : { cookie: '', headers: [] };
+
+        const headers = { 'User-Agent': USER_AGENT };
+        [...this.customHeaders, ...session.headers].forEach(header => {
+            const separator = header.indexOf(':');
+            if (separator > 0) headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+        });
+        if (session.cookie) headers.Cookie = headers.Cookie ? `${headers.Cookie}; ${session.cookie}` : session.cookie;
+
+        let currentUrl = url;
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await targetPolicy.assertAllowed(currentUrl);
+
+            const response = await this.fetch(currentUrl, {
+                headers,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(requestTimeoutMs)
+            });
+
+            const location = response.headers.get('location');
+            if (location && response.status >= 300 && response.status < 400) {
+                const next = resolveUrl(location, currentUrl);
+                const check = next ? this.scope.checkUrl(next) : { inScope: false, reason: 'URL inválida' };
+                if (!check.inScope) {
+                    throw new Error(`redirige fuera del alcance (${check.reason})`);
+                }
+                if (response.body) response.body.cancel().catch(() => {});
+                currentUrl = next;
+                continue;
+            }
+
+            return {
+                status: response.status,
+                url: currentUrl,
+                contentType: response.headers.get('content-type') || '',
+                body: await readText(response, MAX_BODY_BYTES)
+            };
+        }
+
+        throw new Error(`Demasiadas redirecciones desde ${url}`);
+    }
+}
+
+module.exports = NativeCrawler;
+module.exports.parseRobots = parseRobots;
+module.exports.isAllowedByRobots = isAllowedByRobots;
+module.exports.extractLinks = extractLinks;
+module.exports.extractForms = extractForms;
+module.exports.STATIC_EXTENSIONS = STATIC_EXTENSIONS;
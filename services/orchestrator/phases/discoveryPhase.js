@@ -1,20 +1,31 @@
 /**
  * Discovery Phase - Endpoint and Parameter discovery using SQLMap crawling
- * This phase discovers both endpoints and parameters from the CSV generated by sqlmap crawl
+ * This phase discovers both endpoints and parameters from the CSV generated by sqlmap crawl,
+ * or from the native crawler when the scan selects it (config.crawler = 'native').
+ * The requests of the seed documents of the scan (config.seeds) are added afterwards;
+ * with config.crawler = 'none' they are the only source.
+ * Endpoints outside the scan scope are logged and dropped, and excluded parameters are
+ * kept as not testable, so the SQLi and XSS phases never touch them.
  */
 
 const fs = require('fs');
 const path = require('path');
+const ScopeFilter = require('../scopeFilter');
+const NativeCrawler = require('../nativeCrawler');
+const seedService = require('../../seedService');
 
 class DiscoveryPhase {
-    constructor(config, sqlmapExecutor, logger, questionHandler, emitter) {
+    constructor(config, sqlmapExecutor, logger, questionHandler, emitter, authManager = null) {
         this.config = config;
         this.sqlmapExecutor = sqlmapExecutor;
         this.logger = logger;
         this.questionHandler = questionHandler;
         this.emitter = emitter;
+        this.authManager = authManager;
         this.discoveredEndpoints = [];
         this.discoveredParameters = [];
+        this.outOfScope = [];
+        this.scope = new ScopeFilter(config.scope, config.url);
     }
 
     async run() {
@@ -24,6 +35,49 @@ class DiscoveryPhase {
         
         await this.questionHandler.waitIfPaused();
 
+        try {
+            if (this.config.crawler === 'native') {
+                await this.runNativeCrawl();
+            } else if (this.config.crawler !== 'none') {
+                await this.runSqlmapCrawl();
+            }
+
+            await this.importSeeds();
+            
+            // If no endpoints discovered, add the base URL as fallback
+            if (this.discoveredEndpoints.length === 0) {
+                this.logger.addLog('No se encontraron endpoints adicionales, usando URL base', 'info');
+                const baseEndpoint = {
+                    url: this.config.url,
+                    method: 'GET',
+                    parameters: []
+                };
+                this.addEndpoint(baseEndpoint);
+            }
+            
+            this.logger.addLog(`✓ Descubrimiento completado: ${this.discoveredEndpoints.length} endpoint(s) y ${this.discoveredParameters.length} parámetro(s)`, 'success');
+        } catch (error) {
+            this.logger.addLog(`Error en descubrimiento: ${error.message}`, 'error');
+            // Add base URL as fallback
+            const baseEndpoint = {
+                url: this.config.url,
+                method: 'GET',
+                parameters: []
+            };
+            this.addEndpoint(baseEndpoint);
+        }
+
+        return {
+            endpoints: this.discoveredEndpoints,
+            parameters: this.discoveredParameters,
+            outOfScope: this.outOfScope
+        };
+    }
+
+    /**
+     * Discovery with sqlmap --crawl and its CSV
+     */
+    async runSqlmapCrawl() {
         // Listen for crawler:finished event
         const crawlerFinishedHandler = (data) => {
             this.processCrawlResults(data).catch(error => {
@@ -57,37 +111,52 @@ class DiscoveryPhase {
                     this.logger.addLog('⚠ No se pudo encontrar el CSV después de múltiples intentos', 'warning');
                 }
             }
-            
-            // If no endpoints discovered, add the base URL as fallback
-            if (this.discoveredEndpoints.length === 0) {
-                this.logger.addLog('No se encontraron endpoints adicionales, usando URL base', 'info');
-                const baseEndpoint = {
-                    url: this.config.url,
-                    method: 'GET',
-                    parameters: []
-                };
-                this.addEndpoint(baseEndpoint);
-            }
-            
-            this.logger.addLog(`✓ Descubrimiento completado: ${this.discoveredEndpoints.length} endpoint(s) y ${this.discoveredParameters.length} parámetro(s)`, 'success');
-        } catch (error) {
-            this.logger.addLog(`Error en descubrimiento: ${error.message}`, 'error');
-            // Add base URL as fallback
-            const baseEndpoint = {
-                url: this.config.url,
-                method: 'GET',
-                parameters: []
-            };
-            this.addEndpoint(baseEndpoint);
         } finally {
             // Remove listener if not already processed
             this.emitter.removeListener('crawler:finished', crawlerFinishedHandler);
         }
+    }
 
-        return {
-            endpoints: this.discoveredEndpoints,
-            parameters: this.discoveredParameters
-        };
+    /**
+     * Discovery with the native crawler; endpoints are added as they are found
+     */
+    async runNativeCrawl() {
+        const crawler = new NativeCrawler(this.config, this.logger, this.authManager);
+        const result = await crawler.crawl({
+            isStopped: () => Boolean(this.emitter && this.emitter.isStopped),
+            waitIfPaused: () => this.questionHandler.waitIfPaused(),
+            onDiscovered: (endpoint, parameters) => {
+                this.addEndpoint(endpoint);
+                for (const param of parameters) {
+                    this.addParameter(param);
+                }
+            }
+        });
+
+        this.logger.addLog(`✓ Crawler nativo: ${result.pages} página(s) visitada(s), ${result.endpoints.length} endpoint(s) y ${result.parameters.length} parámetro(s)`, 'success');
+    }
+
+    /**
+     * Requests of the seed documents (OpenAPI, ...); a seed that cannot be loaded is only a warning
+     */
+    async importSeeds() {
+        if (!this.config.seeds || this.config.seeds.length === 0) return;
+
+        try {
+            const result = await seedService.loadEndpoints(this.config.seeds, this.config.url);
+            result.warnings.forEach(warning => this.logger.addLog(`⚠ Semillas: ${warning}`, 'warning'));
+
+            for (const endpoint of result.endpoints) {
+                this.addEndpoint(endpoint);
+            }
+            for (const param of result.parameters) {
+                this.addParameter(param);
+            }
+
+            this.logger.addLog(`✓ Semillas: ${result.endpoints.length} endpoint(s) y ${result.parameters.length} parámetro(s) importados`, 'success');
+        } catch (error) {
+            this.logger.addLog(`Error importando semillas: ${error.message}`, 'error');
+        }
     }
 
     async processCrawlResults(data) {
@@ -128,6 +197,12 @@ class DiscoveryPhase {
     }
 
     addEndpoint(endpoint) {
+        const check = this.scope.checkUrl(endpoint.url);
+        if (!check.inScope) {
+            this.skipEndpoint(endpoint.url, endpoint.method, check.reason);
+            return false;
+        }
+
         // Check if not already discovered
         if (!this.discoveredEndpoints.some(e => e.url === endpoint.url && e.method === endpoint.method)) {
             this.discoveredEndpoints.push(endpoint);
@@ -143,16 +218,44 @@ class DiscoveryPhase {
         return false;
     }
 
+    /**
+     * Record an out-of-scope endpoint (logged once, never tested)
+     */
+    skipEndpoint(url, method, reason) {
+        if (this.outOfScope.some(e => e.url === url && e.method === method)) {
+            return;
+        }
+        const skipped = { url, method, reason };
+        this.outOfScope.push(skipped);
+
+        if (this.emitter) {
+            this.emitter.emit('endpoint:out-of-scope', skipped);
+        }
+
+        this.logger.addLog(`Fuera de alcance, no se testeará: ${method} ${url} (${reason})`, 'warning');
+    }
+
     addParameter(param) {
-        // Check if not already discovered
+        const check = this.scope.checkUrl(param.endpoint);
+        if (!check.inScope) {
+            this.skipEndpoint(param.endpoint, param.method || (param.type === 'body' ? 'POST' : 'GET'), check.reason);
+            return false;
+        }
+
+        // Check if not already discovered (the same URL may take other parameters with another method)
         if (!this.discoveredParameters.some(p => 
-            p.endpoint === param.endpoint && p.name === param.name
+            p.endpoint === param.endpoint && p.name === param.name && (p.method || 'GET') === (param.method || 'GET')
         )) {
+            if (param.testable && this.scope.isParameterExcluded(param.name)) {
+                param = { ...param, testable: false, excluded: true };
+                this.logger.addLog(`Parámetro excluido por el alcance: ${param.name} en ${param.endpoint}`, 'info');
+            }
             this.discoveredParameters.push(param);
             
-            // Emit discovery event
+            // Emit discovery event (recorded headers and cookie stay in the orchestrator)
             if (this.emitter) {
-                this.emitter.emit('parameter:discovered', param);
+                const { headers, cookie, ...visible } = param;
+                this.emitter.emit('parameter:discovered', visible);
             }
             
             return true;
@@ -74,22 +74,24 @@ class SQLiPhase {
             return;
         }
 
-        // Group parameters by endpoint
+        // Group parameters by endpoint (and by the request imported with them: method and body)
         const paramsByEndpoint = new Map();
         for (const param of testableParams) {
-            if (!paramsByEndpoint.has(param.endpoint)) {
-                paramsByEndpoint.set(param.endpoint, []);
+            const key = `${param.method || 'GET'} ${param.endpoint} ${param.postData || ''}`;
+            if (!paramsByEndpoint.has(key)) {
+                paramsByEndpoint.set(key, []);
             }
-            paramsByEndpoint.get(param.endpoint).push(param);
+            paramsByEndpoint.get(key).push(param);
         }
 
         this.logger.addLog(`Testeando SQLi en ${paramsByEndpoint.size} endpoint(s) con ${testableParams.length} parámetro(s) total`, 'info');
 
         // Execute sqlmap once per endpoint with all its parameters
-        for (const [endpoint, params] of paramsByEndpoint.entries()) {
+        for (const params of paramsByEndpoint.values()) {
+            const endpoint = params[0].endpoint;
             await this.questionHandler.waitIfPaused();
             
-            this.logger.addLog(`Testeando SQLi en ${endpoint} con parámetros: ${params.map(p => p.name).join(', ')}`, 'info');
+            this.logger.addLog(`Testeando SQLi en ${params[0].method ? `${params[0].method} ` : ''}${endpoint} con parámetros: ${params.map(p => p.name).join(', ')}`, 'info');
             
             try {
                 await this.sqlmapExecutor.testEndpoint(endpoint, params, 'detection', (vuln) => {
@@ -108,6 +110,11 @@ class SQLiPhase {
         
         await this.questionHandler.waitIfPaused();
 
+        if (this.config.restrictedMode) {
+            this.logger.addLog('Fingerprinting omitido: modo restringido (propiedad del host no verificada)', 'warning');
+            return;
+        }
+
         this.logger.addLog('Ejecutando fingerprinting de la base de datos...', 'info');
         
         const vulnerableParams = this.discoveredParameters.filter(p => 
@@ -135,10 +142,12 @@ class SQLiPhase {
         
         const techniques = [];
         for (const vuln of this.vulnerabilities.filter(v => v.type === 'SQLi')) {
-            if (vuln.description.match(/boolean/i)) techniques.push('Boolean-based blind');
-            if (vuln.description.match(/union/i)) techniques.push('UNION query');
-            if (vuln.description.match(/time/i)) techniques.push('Time-based blind');
-            if (vuln.description.match(/error/i)) techniques.push('Error-based');
+            // Techniques listed by sqlmap's injection point summary, when available
+            const detected = `${vuln.description} ${vuln.evidence?.technique || ''}`;
+            if (detected.match(/boolean/i)) techniques.push('Boolean-based blind');
+            if (detected.match(/union/i)) techniques.push('UNION query');
+            if (detected.match(/time/i)) techniques.push('Time-based blind');
+            if (detected.match(/error/i)) techniques.push('Error-based');
         }
         
         const uniqueTechniques = [...new Set(techniques)];
@@ -84,14 +84,29 @@ class XSSPhase {
         }
         
         const testedUrls = new Set();
+        // Same URL and same imported request (method and body)
+        const sameRequest = (a, b) => a.endpoint === b.endpoint && (a.method || 'GET') === (b.method || 'GET') && (a.postData || '') === (b.postData || '');
         
         for (const param of testableParams) {
             await this.questionHandler.waitIfPaused();
             
-            if (!testedUrls.has(param.endpoint)) {
-                testedUrls.add(param.endpoint);
+            const requestKey = `${param.method || 'GET'} ${param.endpoint} ${param.postData || ''}`;
+            if (!testedUrls.has(requestKey)) {
+                testedUrls.add(requestKey);
                 
-                this.logger.addLog(`Fuzzing XSS en ${param.endpoint}`, 'info');
+                this.logger.addLog(`Fuzzing XSS en ${param.method ? `${param.method} ` : ''}${param.endpoint}`, 'info');
+
+                // With parameters excluded by the scope, dalfox only gets the allowed ones
+                const hasExcluded = this.discoveredParameters.some(p => sameRequest(p, param) && p.excluded);
+                const options = hasExcluded
+                    ? { params: testableParams.filter(p => sameRequest(p, param)).map(p => p.name) }
+                    : {};
+                if (param.method) {
+                    Object.assign(options, { method: param.method, data: param.postData, contentType: param.contentType });
+                }
+                if (param.headers || param.cookie) {
+                    Object.assign(options, { headers: param.headers, cookie: param.cookie });
+                }
                 
                 try {
                     await this.dalfoxExecutor.scanUrl(param.endpoint, (vuln) => {
@@ -103,7 +118,7 @@ class XSSPhase {
                         this.logger.addLog(`  - Descripción: ${vuln.description}`, 'info');
                         
                         this.addVulnerability(vuln);
-                    });
+                    }, options);
                 } catch (error) {
                     this.logger.addLog(`Error en fuzzing XSS: ${error.message}`, 'warning');
                 }
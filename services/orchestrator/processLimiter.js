@@ -0,0 +1,109 @@
+/**
+ * Process limiter - caps the number of sqlmap/dalfox processes running at once
+ *
+ * Shared by every executor of every scan. Availability checks (--version) are
+ * short-lived and bounded by their own timeout, so they are not counted.
+ */
+
+const { spawn } = require('child_process');
+const config = require('config');
+const targetPolicy = require('../targetPolicyService');
+
+class ProcessLimiter {
+    constructor() {
+        this.running = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Maximum number of concurrent tool processes
+     * @returns {number}
+     */
+    getLimit() {
+        return Math.max(1, Number(config.get('scanQueue.maxToolProcesses')) || 1);
+    }
+
+    /**
+     * Wait for a free slot
+     * @returns {Promise<Function>} Idempotent release function
+     */
+    acquire() {
+        if (this.running < this.getLimit()) {
+            this.running++;
+            return Promise.resolve(this._createRelease());
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    _createRelease() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.running--;
+            this._next();
+        };
+    }
+
+    _next() {
+        while (this.waiting.length > 0 && this.running < this.getLimit()) {
+            this.running++;
+            const resolve = this.waiting.shift();
+            resolve(this._createRelease());
+        }
+    }
+
+    /**
+     * Spawn a process once a slot is available; the slot is released when it exits
+     * @param {string} executable - Command to run
+     * @param {Array} args - Command arguments
+     * @param {Object} spawnOpts - Options for child_process.spawn
+     * @param {Object} options - { isCancelled: () => boolean } checked after waiting,
+     *   { targetUrl } checked against the target policy right before spawning
+     * @returns {Promise<ChildProcess>}
+     * @throws {Error} If the scan was stopped while waiting for a slot
+     * @throws {TargetPolicyError} If the target URL is not allowed
+     */
+    async spawn(executable, args, spawnOpts = {}, { isCancelled, targetUrl } = {}) {
+        const release = await this.acquire();
+
+        if (isCancelled && isCancelled()) {
+            release();
+            throw new Error('Escaneo detenido antes de iniciar el proceso');
+        }
+
+        if (targetUrl) {
+            try {
+                await targetPolicy.assertAllowed(targetUrl);
+            } catch (error) {
+                release();
+                throw error;
+            }
+        }
+
+        let proc;
+        try {
+            proc = spawn(executable, args, spawnOpts);
+        } catch (error) {
+            release();
+            throw error;
+        }
+
+        proc.once('close', release);
+        proc.once('error', release);
+        return proc;
+    }
+
+    getStats() {
+        return {
+            running: this.running,
+            waiting: this.waiting.length,
+            limit: this.getLimit()
+        };
+    }
+}
+
+// Singleton instance shared by all scans
+const processLimiter = new ProcessLimiter();
+
+module.exports = processLimiter;
@@ -5,10 +5,19 @@
 const Question = require('../../models/pregunta');
 const Answer = require('../../models/respuesta');
 
+/**
+ * Question modes:
+ * - interactive: the scan pauses until the question is answered correctly
+ * - skip: questions are not asked at all (unattended scans)
+ * - deferred: questions are collected and answered after the scan as a quiz
+ */
+const QUESTION_MODES = ['interactive', 'skip', 'deferred'];
+
 class QuestionHandler {
-    constructor(emitter, logger) {
+    constructor(emitter, logger, mode = 'interactive') {
         this.emitter = emitter;
         this.logger = logger;
+        this.mode = QUESTION_MODES.includes(mode) ? mode : 'interactive';
         this.isPaused = false;
         this.pauseResolver = null;
     }
@@ -92,6 +101,16 @@ class QuestionHandler {
      * @returns {Promise<void>}
      */
     async askQuestion(questionData = null, phase = null) {
+        if (this.mode === 'skip') {
+            this.logger.addLog('Pregunta de teoría omitida (modo sin preguntas)', 'info');
+            this.emitter.emit('question:skipped', { phase: phase || questionData?.phase || null });
+            return;
+        }
+
+        if (this.mode === 'deferred') {
+            return this.deferQuestion(phase || questionData?.phase);
+        }
+
         this.isPaused = true;
         this.logger.addLog('⏸ Escaneo pausado - Pregunta de teoría', 'info');
         
@@ -155,6 +174,27 @@ class QuestionHandler {
         });
     }
 
+    /**
+     * Pick a question for the post-scan quiz without pausing the scan
+     * @param {String} phase - Phase identifier
+     * @returns {Promise<void>}
+     */
+    async deferQuestion(phase) {
+        if (!phase) {
+            this.logger.addLog('Error: Se debe proporcionar la fase para diferir la pregunta', 'error');
+            return;
+        }
+
+        const question = await this.getRandomQuestionByPhase(phase);
+        if (!question) {
+            this.logger.addLog('No se pudo obtener pregunta de la base de datos', 'error');
+            return;
+        }
+
+        this.logger.addLog('Pregunta de teoría diferida al cuestionario final', 'info');
+        this.emitter.emit('question:deferred', { phase, questionId: question.questionId });
+    }
+
     /**
      * Answer a question (called externally)
      * @param {Object} answer - Answer data
@@ -173,4 +213,5 @@ class QuestionHandler {
 }
 
 module.exports = QuestionHandler;
+module.exports.QUESTION_MODES = QUESTION_MODES;
 
@@ -0,0 +1,154 @@
+/**
+ * Scope filter - Decides which discovered URLs and parameters may be tested
+ *
+ * Rules (config.scope):
+ * - allowedHosts: hostnames the scan may touch ('*.example.com' for subdomains).
+ *   Empty: only the host of the target URL.
+ * - includePaths: when not empty, the path must match one of them
+ * - excludePaths: paths that are never tested (e.g. '/logout', '/admin/**')
+ * - excludedParams: parameter names that are never injected (e.g. 'csrf_token', 'csrf*')
+ *
+ * Path rules are globs matched against the URL path ('*' does not cross '/',
+ * '**' does) or regular expressions prefixed with 'regex:', which are tested
+ * against the path and query string. Regular expressions are limited in
+ * length and must not backtrack catastrophically (utils/userRegex).
+ */
+
+const { compileUserRegex } = require('../../utils/userRegex');
+
+const REGEX_PREFIX = 'regex:';
+
+function escapeRegex(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex source of a glob ('**' -> any characters, '*' -> any characters but '/')
+ */
+function globToSource(glob) {
+    return glob
+        .split('**')
+        .map(part => part.split('*').map(escapeRegex).join('[^/]*'))
+        .join('.*');
+}
+
+/**
+ * Compile a path rule
+ * @param {string} rule - Glob or 'regex:<expression>'
+ * @returns {Object} { rule, isRegex, source, pattern }
+ * @throws {Error} If the regular expression is invalid, too long or unsafe
+ */
+function compileRule(rule) {
+    const text = String(rule).trim();
+    if (text.startsWith(REGEX_PREFIX)) {
+        const source = text.slice(REGEX_PREFIX.length);
+        try {
+            return { rule: text, isRegex: true, source, pattern: compileUserRegex(source, 'i') };
+        } catch (error) {
+            throw new Error(`Regla de alcance inválida '${text}': ${error.message}`);
+        }
+    }
+    const source = globToSource(text);
+    return { rule: text, isRegex: false, source, pattern: new RegExp(`^${source}$`, 'i') };
+}
+
+function normalizeList(values) {
+    return [...new Set((Array.isArray(values) ? values : [])
+        .map(value => String(value || '').trim())
+        .filter(Boolean))];
+}
+
+/**
+ * Normalize scope rules from the raw scan config
+ * @param {Object} scope - { allowedHosts, includePaths, excludePaths, excludedParams }
+ * @returns {Object} Same shape with trimmed, de-duplicated lists
+ * @throws {Error} If a rule is not valid
+ */
+function normalizeScope(scope = {}) {
+    const normalized = {
+        allowedHosts: normalizeList(scope?.allowedHosts).map(host => host.toLowerCase()),
+        includePaths: normalizeList(scope?.includePaths),
+        excludePaths: normalizeList(scope?.excludePaths),
+        excludedParams: normalizeList(scope?.excludedParams)
+    };
+    [...normalized.includePaths, ...normalized.excludePaths].forEach(compileRule);
+    return normalized;
+}
+
+class ScopeFilter {
+    /**
+     * @param {Object} scope - Normalized scope (normalizeScope)
+     * @param {string} baseUrl - Target URL of the scan
+     */
+    constructor(scope, baseUrl) {
+        const rules = normalizeScope(scope || {});
+        this.allowedHosts = rules.allowedHosts.length > 0
+            ? rules.allowedHosts
+            : [new URL(baseUrl).hostname.toLowerCase()];
+        this.includePaths = rules.includePaths.map(compileRule);
+        this.excludePaths = rules.excludePaths.map(compileRule);
+        this.excludedParams = rules.excludedParams.map(name => new RegExp(`^${globToSource(name)}$`, 'i'));
+    }
+
+    isHostAllowed(hostname) {
+        const host = String(hostname || '').toLowerCase();
+        return this.allowedHosts.some(allowed => (allowed.startsWith('*.')
+            ? host.endsWith(allowed.slice(1))
+            : host === allowed));
+    }
+
+    /**
+     * Check whether a URL is in scope
+     * @param {string} url - Absolute URL
+     * @returns {Object} { inScope, reason }
+     */
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return { inScope: false, reason: 'URL inválida' };
+        }
+
+        if (!this.isHostAllowed(parsed.hostname)) {
+            return { inScope: false, reason: `host no permitido (${parsed.hostname})` };
+        }
+
+        const matches = compiled => compiled.pattern.test(compiled.isRegex ? `${parsed.pathname}${parsed.search}` : parsed.pathname);
+
+        if (this.includePaths.length > 0 && !this.includePaths.some(matches)) {
+            return { inScope: false, reason: 'ruta fuera de las rutas incluidas' };
+        }
+
+        const excluded = this.excludePaths.find(matches);
+        if (excluded) {
+            return { inScope: false, reason: `ruta excluida por la regla '${excluded.rule}'` };
+        }
+
+        return { inScope: true, reason: null };
+    }
+
+    isParameterExcluded(name) {
+        return this.excludedParams.some(pattern => pattern.test(String(name || '')));
+    }
+
+    /**
+     * Regular expression for sqlmap --crawl-exclude (tested against the full
+     * URL), so the crawler does not follow excluded paths at all
+     * @returns {string|null}
+     */
+    toCrawlExclude() {
+        if (this.excludePaths.length === 0) return null;
+        const origin = '^[a-z][a-z0-9+.-]*://[^/]+';
+        return this.excludePaths
+            .map(compiled => {
+                if (!compiled.isRegex) return `(?:${origin}${compiled.source}(?:[?#]|$))`;
+                return `(?:${compiled.source.startsWith('^') ? `${origin}${compiled.source.slice(1)}` : compiled.source})`;
+            })
+            .join('|');
+    }
+}
+
+module.exports = ScopeFilter;
+module.exports.normalizeScope = normalizeScope;
+module.exports.compileRule = compileRule;
@@ -0,0 +1,131 @@
+/**
+ * Secrets of a scan config inside the orchestrator
+ *
+ * Custom headers and auth secrets travel encrypted in the config (see
+ * utils/secretCrypto), and so do the headers and cookies recorded on imported
+ * parameters (see seedService); they are decrypted here only when a tool
+ * needs them, and masked in anything that is logged.
+ */
+
+const secrets = require('../../utils/secretCrypto');
+
+// Tool options whose value is a secret (sqlmap and dalfox)
+const COOKIE_OPTIONS = ['--cookie', '-C'];
+const SECRET_OPTIONS = [...COOKIE_OPTIONS, '--auth-cred'];
+const HEADER_OPTIONS = ['--header', '-H'];
+
+/**
+ * Custom headers of the scan, decrypted, as "Name: value" lines
+ * @param {Object} config - Normalized scan config (headers, customHeaders)
+ * @returns {Array<string>}
+ */
+function getCustomHeaders(config) {
+    const headers = Object.entries(config.headers || {}).map(([name, value]) => `${name}: ${secrets.decrypt(value)}`);
+    if (config.customHeaders) {
+        headers.push(...secrets.decrypt(config.customHeaders).split('\n').map(h => h.trim()).filter(Boolean));
+    }
+    return headers;
+}
+
+/**
+ * Names of the custom headers (their values are masked in evidence)
+ */
+function getCustomHeaderNames(config) {
+    return getCustomHeaders(config).map(header => header.split(':')[0].trim()).filter(Boolean);
+}
+
+/**
+ * "a=1; b=2" -> Map { a => 1, b => 2 }
+ */
+function parseCookies(cookie) {
+    const cookies = new Map();
+    String(cookie || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) cookies.set(part.slice(0, separator).trim(), part.slice(separator + 1).trim());
+    });
+    return cookies;
+}
+
+/**
+ * Add the recorded headers and cookie of an imported request (HAR, Postman),
+ * decrypted, to the arguments of a tool. Headers already in the arguments
+ * (custom or session headers) win, and so do the session cookies over
+ * recorded cookies with the same name.
+ * @param {Array<string>} args - Tool arguments with their --header/--cookie options
+ * @param {Object} param - Parameter with encrypted { headers, cookie }
+ * @returns {Array<string>} Names of the added headers
+ */
+function addRecordedRequest(args, param) {
+    const present = args.filter((arg, index) => HEADER_OPTIONS.includes(args[index - 1]))
+        .map(header => header.split(':')[0].trim().toLowerCase());
+
+    const added = [];
+    (param.headers || []).map(header => secrets.decrypt(header)).forEach(header => {
+        const name = header.split(':')[0].trim();
+        if (!name || present.includes(name.toLowerCase())) return;
+        args.push('--header', header);
+        present.push(name.toLowerCase());
+        added.push(name);
+    });
+
+    if (param.cookie) {
+        const index = args.findIndex((arg, i) => COOKIE_OPTIONS.includes(args[i - 1]));
+        const cookies = parseCookies(secrets.decrypt(param.cookie));
+        if (index === -1) {
+            args.push('--cookie', Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; '));
+        } else {
+            parseCookies(args[index]).forEach((value, name) => cookies.set(name, value));
+            args[index] = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+        }
+    }
+    return added;
+}
+
+/**
+ * "Name: value" -> "Name: ********"
+ */
+function maskHeader(header) {
+    const separator = String(header).indexOf(':');
+    return separator === -1 ? secrets.mask(header) : `${header.slice(0, separator)}: ${secrets.mask('x')}`;
+}
+
+/**
+ * Command line of a tool with secret option values masked, for logging
+ * @param {Array<string>} args
+ * @returns {string}
+ */
+function maskArgs(args) {
+    return args.map((arg, index) => {
+        const option = args[index - 1];
+        if (SECRET_OPTIONS.includes(option)) return secrets.mask(arg);
+        if (HEADER_OPTIONS.includes(option)) return maskHeader(arg);
+        return arg;
+    }).join(' ');
+}
+
+/**
+ * Copy of a scan config that can be logged
+ */
+function maskConfig(config) {
+    if (!config || typeof config !== 'object') return config;
+    const masked = { ...config };
+    if (masked.auth && typeof masked.auth === 'object') {
+        masked.auth = { ...masked.auth };
+        ['password', 'token', 'cookie'].forEach(key => {
+            if (masked.auth[key]) masked.auth[key] = secrets.mask(masked.auth[key]);
+        });
+    }
+    if (masked.customHeaders) masked.customHeaders = secrets.mask(masked.customHeaders);
+    if (masked.headers && typeof masked.headers === 'object') {
+        masked.headers = Object.fromEntries(Object.keys(masked.headers).map(name => [name, secrets.mask('x')]));
+    }
+    return masked;
+}
+
+module.exports = {
+    getCustomHeaders,
+    getCustomHeaderNames,
+    addRecordedRequest,
+    maskArgs,
+    maskConfig
+};
@@ -6,13 +6,38 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { StringDecoder } = require('string_decoder');
+const processLimiter = require('./processLimiter');
+const { getEvidenceLimits, buildHttpRequest, extractSnippet, maskSecretHeaders } = require('../findings/evidence');
+const { getCustomHeaders, getCustomHeaderNames, addRecordedRequest, maskArgs } = require('./sensitiveData');
+const ScopeFilter = require('./scopeFilter');
+const EndpointSet = require('../seeds/endpointSet');
+const { TargetPolicyError } = require('../targetPolicyService');
+
+// Links that would end the authenticated session are never crawled
+const LOGOUT_CRAWL_EXCLUDE = '[Ll]og-?[Oo]ut|[Ss]ign-?[Oo]ut|[Cc]errar-?[Ss]esi[oó]n|[Ss]alir';
+
+// Bytes of the traffic log read at a time
+const TRAFFIC_CHUNK_SIZE = 64 * 1024;
+
+// Logged requests are URL encoded, sqlmap prints the payload decoded
+function decodeRequest(text) {
+    try {
+        return decodeURIComponent(text.replace(/\+/g, ' '));
+    } catch {
+        return text;
+    }
+}
 
 class SqlmapExecutor {
-    constructor(config, logger, emitter, activeProcesses) {
+    constructor(config, logger, emitter, activeProcesses, authManager = null) {
         this.config = config;
         this.logger = logger;
         this.emitter = emitter;
         this.activeProcesses = activeProcesses;
+        this.authManager = authManager;
+        // Headers replayed from imported requests (HAR, Postman), masked in evidence like the custom ones
+        this.recordedHeaderNames = new Set();
         
         this.toolConfig = {
             path: config.sqlmapPath || 'sqlmap',
@@ -88,14 +113,27 @@ class SqlmapExecutor {
             '-v', '1'
         ];
 
+        // Do not follow links to excluded paths (e.g. logout)
+        const crawlExclude = new ScopeFilter(this.config.scope, this.config.url).toCrawlExclude();
+        const logoutExclude = this.authManager && this.authManager.isEnabled() ? LOGOUT_CRAWL_EXCLUDE : null;
+        if (crawlExclude || logoutExclude) {
+            args.push('--crawl-exclude', [crawlExclude, logoutExclude].filter(Boolean).join('|'));
+        }
+
+        await this._refreshSession();
         this._addDbmsAndHeaders(args);
 
-        this.logger.addLog(`Ejecutando: sqlmap ${args.join(' ')}`, 'debug', null, true);
+        this.logger.addLog(`Ejecutando: sqlmap ${maskArgs(args)}`, 'debug', null, true);
 
         return new Promise(async (resolve, reject) => {
             const { executable, args: spawnArgs, spawnOpts } = this.getSpawnCommandForTool(this.toolConfig.path, args);
-            this.logger.addLog(`DEBUG spawn: ${executable} ${spawnArgs.join(' ')}`, 'debug', null, true);
-            const proc = spawn(executable, spawnArgs, spawnOpts);
+            this.logger.addLog(`DEBUG spawn: ${executable} ${maskArgs(spawnArgs)}`, 'debug', null, true);
+            let proc;
+            try {
+                proc = await processLimiter.spawn(executable, spawnArgs, spawnOpts, { isCancelled: () => this._isStopped(), targetUrl: this.config.url });
+            } catch (error) {
+                return reject(error);
+            }
             this.activeProcesses.set('sqlmap-crawl', proc);
 
             let buffer = '';
@@ -348,9 +386,8 @@ class SqlmapExecutor {
 
             // Skip header (first line should be "URL,POST")
             const dataLines = lines.slice(1);
-            const endpoints = [];
-            const parameters = [];
-            const endpointMap = new Map(); // Track unique endpoints by URL+method
+            // Tracks unique endpoints by method:url and merges the parameters of repeated requests
+            const endpointSet = new EndpointSet();
 
             for (const line of dataLines) {
                 // Split by FIRST comma only
@@ -374,59 +411,14 @@ class SqlmapExecutor {
                     continue; // Skip lines without URL
                 }
 
-                // Extract parameters from URL
-                const urlParams = this._extractUrlParams(url);
-                
-                // Extract parameters from POST data if exists
-                const postParams = postData ? this._extractPostParams(postData) : [];
-
-                // Combine all parameters for this endpoint
-                const allParams = [...urlParams, ...postParams];
-                
-                // Create endpoint key for deduplication
-                const endpointKey = `${method}:${url}`;
-                
-                if (!endpointMap.has(endpointKey)) {
-                    const endpoint = {
-                        url,
-                        method,
-                        parameters: allParams,
-                        postData: postData || null // Store original POST data for targets.txt generation
-                    };
-                    
-                    endpoints.push(endpoint);
-                    endpointMap.set(endpointKey, endpoint);
-                    
-                    // Add all parameters to flat list
-                    for (const paramName of allParams) {
-                        parameters.push({
-                            endpoint: url,
-                            name: paramName,
-                            type: method === 'GET' ? 'query' : 'body',
-                            testable: true
-                        });
-                    }
-                } else {
-                    // Endpoint already exists, merge parameters
-                    const existingEndpoint = endpointMap.get(endpointKey);
-                    for (const paramName of allParams) {
-                        if (!existingEndpoint.parameters.includes(paramName)) {
-                            existingEndpoint.parameters.push(paramName);
-                            parameters.push({
-                                endpoint: url,
-                                name: paramName,
-                                type: method === 'GET' ? 'query' : 'body',
-                                testable: true
-                            });
-                        }
-                    }
-                    // Update POST data if this endpoint has POST data and the existing one doesn't
-                    if (postData && !existingEndpoint.postData) {
-                        existingEndpoint.postData = postData;
-                    }
+                try {
+                    endpointSet.add({ url, method, postData });
+                } catch (error) {
+                    this.logger.addLog(`URL inválida en el CSV: ${url}`, 'debug', null, true);
                 }
             }
 
+            const { endpoints, parameters } = endpointSet.toResult();
             return {
                 endpoints,
                 parameters
@@ -719,7 +711,10 @@ class SqlmapExecutor {
             '--threads', this.toolConfig.threads.toString()
         ];
 
+        await this._refreshSession();
         this._addDbmsAndHeaders(args);
+        // Parameters of an endpoint are grouped by method, so they share the request
+        this._addRequestData(args, params[0]);
 
         if (phase === 'detection') {
             // args.push('--technique', 'B');
@@ -734,18 +729,34 @@ class SqlmapExecutor {
             args.push('--banner');
         }
 
+        const method = params[0].method || 'GET';
+        const processKey = `sqlmap-test-endpoint-${method === 'GET' ? '' : `${method}-`}${endpoint.replace(/[^a-zA-Z0-9]/g, '_')}-${phase}`;
+        const trafficFile = onVulnerabilityFound ? this._prepareTrafficFile(processKey) : null;
+        if (trafficFile) {
+            args.push('-t', trafficFile);
+        }
+
         this.logger.addLog(`Ejecutando sqlmap para endpoint ${endpoint} con parámetros: ${paramNames}`, 'info');
-        this.logger.addLog(`Ejecutando: sqlmap ${args.join(' ')}`, 'debug', null, true);
+        this.logger.addLog(`Ejecutando: sqlmap ${maskArgs(args)}`, 'debug', null, true);
 
-        return new Promise((resolve) => {
+        return new Promise(async (resolve) => {
             const { executable, args: spawnArgs, spawnOpts } = this.getSpawnCommandForTool(this.toolConfig.path, args);
-            this.logger.addLog(`DEBUG spawn: ${executable} ${spawnArgs.join(' ')}`, 'debug', null, true);
-            const proc = spawn(executable, spawnArgs, spawnOpts);
-            const processKey = `sqlmap-test-endpoint-${endpoint.replace(/[^a-zA-Z0-9]/g, '_')}-${phase}`;
+            this.logger.addLog(`DEBUG spawn: ${executable} ${maskArgs(spawnArgs)}`, 'debug', null, true);
+            let proc;
+            try {
+                // Waits for a free slot when the global tool process limit is reached
+                proc = await processLimiter.spawn(executable, spawnArgs, spawnOpts, { isCancelled: () => this._isStopped(), targetUrl: endpoint });
+            } catch (error) {
+                const blocked = error instanceof TargetPolicyError;
+                this.logger.addLog(`sqlmap no ejecutado: ${error.message}`, blocked ? 'warning' : 'debug', null, !blocked);
+                return resolve();
+            }
             this.activeProcesses.set(processKey, proc);
 
             let buffer = '';
             const foundVulnerabilities = new Map(); // Track by parameter name
+            const injections = new Map();
+            const injectionState = {};
 
             proc.stdout.on('data', (data) => {
                 const output = data.toString();
@@ -758,6 +769,8 @@ class SqlmapExecutor {
                 buffer = lines.pop() || '';
 
                 for (const line of lines) {
+                    this._parseInjectionPoint(line, injections, injectionState);
+
                     // Parse output for each parameter
                     for (const param of params) {
                         this._parseTestOutput(line, param, phase);
@@ -770,19 +783,16 @@ class SqlmapExecutor {
                                                    line.match(new RegExp(`\\[CRITICAL\\].*${param.name}`, 'i'));
                             
                             if (paramMentioned && !foundVulnerabilities.has(param.name)) {
-                                foundVulnerabilities.set(param.name, true);
-
                                 let severity = 'critical';
 
-                                if (onVulnerabilityFound) {
-                                    onVulnerabilityFound({
-                                        type: 'SQLi',
-                                        severity: severity,
-                                        endpoint: endpoint,
-                                        parameter: param.name,
-                                        description: `SQL Injection detectada en el parámetro '${param.name}': ${line.trim()}`
-                                    });
-                                }
+                                const vuln = {
+                                    type: 'SQLi',
+                                    severity: severity,
+                                    endpoint: endpoint,
+                                    parameter: param.name,
+                                    description: `SQL Injection detectada en el parámetro '${param.name}': ${line.trim()}`
+                                };
+                                foundVulnerabilities.set(param.name, vuln);
                             }
                         }
                     }
@@ -800,10 +810,22 @@ class SqlmapExecutor {
                 }
             });
 
-            proc.on('close', () => {
-                this.activeProcesses.delete(processKey);
+            // The injection point summary is printed after detection, so findings are
+            // reported with their evidence once sqlmap exits (or is stopped by the timeout)
+            let reported = false;
+            let timeoutTimer = null;
+            const report = () => {
+                if (reported) return;
+                reported = true;
+                clearTimeout(timeoutTimer);
+                this._reportVulnerabilities(foundVulnerabilities, injections, trafficFile, onVulnerabilityFound);
                 this.logger.addLog(`Completado escaneo SQLi para ${endpoint} (${foundVulnerabilities.size} vulnerabilidades encontradas)`, 'info');
                 resolve();
+            };
+
+            proc.on('close', () => {
+                this.activeProcesses.delete(processKey);
+                report();
             });
 
             proc.on('error', (error) => {
@@ -812,11 +834,11 @@ class SqlmapExecutor {
                 resolve();
             });
 
-            setTimeout(() => {
+            timeoutTimer = setTimeout(() => {
                 if (this.activeProcesses.has(processKey)) {
                     proc.kill('SIGTERM');
                     this.logger.addLog(`Timeout testeando endpoint ${endpoint}`, 'warning');
-                    resolve();
+                    report();
                 }
             }, this.toolConfig.timeout * 1000);
         });
@@ -835,7 +857,9 @@ class SqlmapExecutor {
             '--threads', this.toolConfig.threads.toString()
         ];
 
+        await this._refreshSession();
         this._addDbmsAndHeaders(args);
+        this._addRequestData(args, param);
 
         if (phase === 'detection') {
             // args.push('--technique', 'B');
@@ -850,17 +874,33 @@ class SqlmapExecutor {
             args.push('--banner');
         }
 
-        this.logger.addLog(`Ejecutando: sqlmap ${args.join(' ')}`, 'debug', null, true);
+        const processKey = `sqlmap-test-${param.name}-${phase}`;
+        const trafficFile = onVulnerabilityFound ? this._prepareTrafficFile(processKey) : null;
+        if (trafficFile) {
+            args.push('-t', trafficFile);
+        }
+
+        this.logger.addLog(`Ejecutando: sqlmap ${maskArgs(args)}`, 'debug', null, true);
 
-        return new Promise((resolve) => {
+        return new Promise(async (resolve) => {
             const { executable, args: spawnArgs, spawnOpts } = this.getSpawnCommandForTool(this.toolConfig.path, args);
-            this.logger.addLog(`DEBUG spawn: ${executable} ${spawnArgs.join(' ')}`, 'debug', null, true);
-            const proc = spawn(executable, spawnArgs, spawnOpts);
-            const processKey = `sqlmap-test-${param.name}-${phase}`;
+            this.logger.addLog(`DEBUG spawn: ${executable} ${maskArgs(spawnArgs)}`, 'debug', null, true);
+            let proc;
+            try {
+                // Waits for a free slot when the global tool process limit is reached
+                proc = await processLimiter.spawn(executable, spawnArgs, spawnOpts, { isCancelled: () => this._isStopped(), targetUrl: param.endpoint });
+            } catch (error) {
+                const blocked = error instanceof TargetPolicyError;
+                this.logger.addLog(`sqlmap no ejecutado: ${error.message}`, blocked ? 'warning' : 'debug', null, !blocked);
+                return resolve();
+            }
             this.activeProcesses.set(processKey, proc);
 
             let buffer = '';
             let vulnerabilityFound = false;
+            const foundVulnerabilities = new Map();
+            const injections = new Map();
+            const injectionState = {};
 
             proc.stdout.on('data', (data) => {
                 const output = data.toString();
@@ -874,6 +914,7 @@ class SqlmapExecutor {
 
                 for (const line of lines) {
                     this._parseTestOutput(line, param, phase);
+                    this._parseInjectionPoint(line, injections, injectionState);
 
                     if (line.match(/vulnerable|injectable|injection point/i) && !vulnerabilityFound) {
                         vulnerabilityFound = true;
@@ -886,15 +927,14 @@ class SqlmapExecutor {
                             severity = 'critical';
                         }
 
-                        if (onVulnerabilityFound) {
-                            onVulnerabilityFound({
-                                type: 'SQLi',
-                                severity: severity,
-                                endpoint: param.endpoint,
-                                parameter: param.name,
-                                description: `SQL Injection detectada en el parámetro '${param.name}': ${line.trim()}`
-                            });
-                        }
+                        const vuln = {
+                            type: 'SQLi',
+                            severity: severity,
+                            endpoint: param.endpoint,
+                            parameter: param.name,
+                            description: `SQL Injection detectada en el parámetro '${param.name}': ${line.trim()}`
+                        };
+                        foundVulnerabilities.set(param.name, vuln);
                     }
                 }
             });
@@ -910,9 +950,19 @@ class SqlmapExecutor {
                 }
             });
 
+            let reported = false;
+            let timeoutTimer = null;
+            const report = () => {
+                if (reported) return;
+                reported = true;
+                clearTimeout(timeoutTimer);
+                this._reportVulnerabilities(foundVulnerabilities, injections, trafficFile, onVulnerabilityFound);
+                resolve();
+            };
+
             proc.on('close', () => {
                 this.activeProcesses.delete(processKey);
-                resolve();
+                report();
             });
 
             proc.on('error', (error) => {
@@ -921,11 +971,11 @@ class SqlmapExecutor {
                 resolve();
             });
 
-            setTimeout(() => {
+            timeoutTimer = setTimeout(() => {
                 if (this.activeProcesses.has(processKey)) {
                     proc.kill('SIGTERM');
                     this.logger.addLog(`Timeout testeando ${param.name}`, 'warning');
-                    resolve();
+                    report();
                 }
             }, this.toolConfig.timeout * 1000);
         });
@@ -987,18 +1037,277 @@ class SqlmapExecutor {
     }
 
     /**
-     * Add DBMS and headers to args array
+     * Track the injection points sqlmap prints once a parameter is confirmed:
+     *   Parameter: id (GET)
+     *       Type: boolean-based blind
+     *       Title: AND boolean-based blind - WHERE or HAVING clause
+     *       Payload: id=1 AND 5678=5678
+     */
+    _parseInjectionPoint(line, injections, state) {
+        const trimmed = line.trim();
+
+        const parameter = trimmed.match(/^Parameter:\s*(.+?)\s+\((.+)\)$/);
+        if (parameter) {
+            state.current = { name: parameter[1], place: parameter[2], techniques: [] };
+            injections.set(parameter[1], state.current);
+            return;
+        }
+
+        if (trimmed === '---') {
+            state.current = null;
+            return;
+        }
+        if (!state.current) return;
+
+        const field = trimmed.match(/^(Type|Title|Payload):\s*(.+)$/);
+        if (!field) return;
+
+        const techniques = state.current.techniques;
+        if (field[1] === 'Type') {
+            techniques.push({ type: field[2] });
+        } else if (techniques.length > 0) {
+            techniques[techniques.length - 1][field[1].toLowerCase()] = field[2];
+        }
+    }
+
+    /**
+     * Traffic log (-t) of a sqlmap run, used to recover the injected request and its response
+     */
+    _prepareTrafficFile(processKey) {
+        const dir = this.outputDir || this.tmpDir;
+        try {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const file = path.join(dir, `traffic_${processKey.replace(/[^a-zA-Z0-9_-]/g, '_')}.txt`);
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+            return file;
+        } catch (error) {
+            this.logger.addLog(`No se pudo preparar el registro de tráfico: ${error.message}`, 'debug', null, true);
+            return null;
+        }
+    }
+
+    /**
+     * Read and delete a traffic log, keeping only the exchanges that carried one of the payloads.
+     * The log holds every request of the run, so it is read in chunks and each
+     * exchange is cut to what the evidence can store (see getEvidenceLimits)
+     * @param {string|null} trafficFile - Traffic log of the run
+     * @param {Array<string>} injectedValues - Payload values to look for
+     * @returns {Map} Injected value -> last { request, response } that carried it
+     */
+    _readTraffic(trafficFile, injectedValues) {
+        const exchanges = new Map();
+        if (!trafficFile || !fs.existsSync(trafficFile)) return exchanges;
+
+        let fd = null;
+        try {
+            if (injectedValues.length === 0) return exchanges;
+
+            const limits = getEvidenceLimits();
+            // The response snippet is centered on the payload, so keep room on both sides
+            const maxLength = limits.request + limits.payload + 2 * limits.response;
+            const decoder = new StringDecoder('utf8');
+            const buffer = Buffer.alloc(TRAFFIC_CHUNK_SIZE);
+            let entry = '';
+            let line = '';
+            let lineCut = false;
+
+            // Each request/response pair is followed by a line of '#'
+            const addLine = (text) => {
+                if (/^#{20,}\r?$/.test(text)) {
+                    this._matchExchange(entry, injectedValues, exchanges);
+                    entry = '';
+                } else if (entry.length < maxLength) {
+                    entry += `${text}\n`.slice(0, maxLength - entry.length);
+                }
+            };
+
+            fd = fs.openSync(trafficFile, 'r');
+            let bytesRead;
+            while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+                const lines = decoder.write(buffer.subarray(0, bytesRead)).split('\n');
+                lines[0] = lineCut ? line : line + lines[0];
+                line = lines.pop();
+                lineCut = lineCut && lines.length === 0;
+                lines.forEach(addLine);
+                // A response on a single line (minified HTML/JSON) is cut as well, the rest of the line is skipped
+                if (line.length > maxLength) {
+                    line = line.slice(0, maxLength);
+                    lineCut = true;
+                }
+            }
+            addLine(lineCut ? line : line + decoder.end());
+            this._matchExchange(entry, injectedValues, exchanges);
+        } catch (error) {
+            this.logger.addLog(`No se pudo leer el registro de tráfico: ${error.message}`, 'debug', null, true);
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
+            fs.unlink(trafficFile, () => {});
+        }
+        return exchanges;
+    }
+
+    /**
+     * Split an entry of the traffic log and keep it for every payload its request carried
+     * (later entries replace earlier ones: the last request is the one that confirmed the injection)
+     */
+    _matchExchange(entry, injectedValues, exchanges) {
+        const responseIndex = entry.search(/HTTP response \[#\d+\]/);
+        if (responseIndex === -1) return;
+
+        const request = entry.slice(0, responseIndex).replace(/^\s*HTTP request \[#\d+\]:\r?\n/, '').trim();
+        const decoded = decodeRequest(request);
+        const matches = injectedValues.filter(value => decoded.includes(value));
+        if (matches.length === 0) return;
+
+        const exchange = {
+            request,
+            response: entry.slice(responseIndex).replace(/^HTTP response \[#\d+\][^\n]*\n/, '').trim()
+        };
+        matches.forEach(value => exchanges.set(value, exchange));
+    }
+
+    /**
+     * Report the vulnerabilities of a finished run, evidence already attached, so
+     * vulnerability:found listeners (socket, persistence) get the complete finding
+     * @param {Map} vulnerabilities - Parameter name -> vulnerability
+     * @param {Map} injections - Parameter name -> injection point (see _parseInjectionPoint)
+     * @param {string|null} trafficFile - Traffic log of the run
+     * @param {Function} [onVulnerabilityFound] - Callback for each vulnerability
+     */
+    _reportVulnerabilities(vulnerabilities, injections, trafficFile, onVulnerabilityFound) {
+        this._attachEvidence(vulnerabilities, injections, trafficFile);
+        if (!onVulnerabilityFound) return;
+        for (const vuln of vulnerabilities.values()) {
+            onVulnerabilityFound(vuln);
+        }
+    }
+
+    /**
+     * Attach payload, technique, injected request and response snippet to the reported vulnerabilities
+     * @param {Map} vulnerabilities - Parameter name -> reported vulnerability
+     * @param {Map} injections - Parameter name -> injection point (see _parseInjectionPoint)
+     * @param {string|null} trafficFile - Traffic log of the run
+     */
+    _attachEvidence(vulnerabilities, injections, trafficFile) {
+        const points = [...vulnerabilities.entries()].map(([name, vuln]) => {
+            // Whole-URL tests (-p *) are reported with '*' but sqlmap prints the real parameter
+            const injection = injections.get(name) || injections.values().next().value;
+            const payload = injection?.techniques[0]?.payload || null;
+            const injectedValue = payload && payload.includes('=') ? payload.slice(payload.indexOf('=') + 1) : payload;
+            return { vuln, injection, payload, injectedValue };
+        });
+        const exchanges = this._readTraffic(trafficFile, points.map(point => point.injectedValue).filter(Boolean));
+
+        for (const { vuln, injection, payload, injectedValue } of points) {
+            const method = /POST/i.test(injection?.place || '') ? 'POST' : 'GET';
+            const exchange = injectedValue ? exchanges.get(injectedValue) : null;
+
+            vuln.evidence = {
+                tool: 'sqlmap',
+                method: method,
+                payload: payload,
+                // Session cookies and custom header values never reach the stored evidence
+                request: maskSecretHeaders(
+                    exchange?.request || this._buildInjectedRequest(vuln.endpoint, method, payload),
+                    this._getSecretHeaderNames()
+                ),
+                responseSnippet: exchange ? extractSnippet(exchange.response, injectedValue) : null,
+                technique: injection ? injection.techniques.map(t => t.type).join(', ') : null,
+                pocType: null
+            };
+        }
+    }
+
+    /**
+     * Rebuild the injected request when the traffic log is not available (e.g. resumed session)
+     */
+    _buildInjectedRequest(endpoint, method, payload) {
+        const headers = getCustomHeaders(this.config);
+
+        if (!payload || !payload.includes('=')) {
+            return buildHttpRequest({ method, url: endpoint, headers });
+        }
+        if (method === 'POST') {
+            return buildHttpRequest({ method, url: endpoint, body: payload, headers });
+        }
+
+        try {
+            const url = new URL(endpoint);
+            const separator = payload.indexOf('=');
+            url.searchParams.set(payload.slice(0, separator), payload.slice(separator + 1));
+            return buildHttpRequest({ method, url: url.toString(), headers });
+        } catch {
+            return buildHttpRequest({ method, url: endpoint, headers });
+        }
+    }
+
+    /**
+     * Headers whose values are masked in evidence: custom, session and recorded headers
+     */
+    _getSecretHeaderNames() {
+        const sessionHeaders = this.authManager ? this.authManager.getSession().headers : [];
+        return [...getCustomHeaderNames(this.config), ...sessionHeaders.map(header => header.split(':')[0].trim()), ...this.recordedHeaderNames];
+    }
+
+    /**
+     * Whether the owning scan has been stopped
+     */
+    _isStopped() {
+        return Boolean(this.emitter && this.emitter.isStopped);
+    }
+
+    /**
+     * Log in or renew the session before a sqlmap run. A failed login is logged
+     * and the run goes on without session.
+     */
+    async _refreshSession() {
+        if (!this.authManager) return;
+        try {
+            await this.authManager.ensureSession();
+        } catch (error) {
+            this.logger.addLog(`No se pudo iniciar sesión en el objetivo: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Add DBMS, headers and session (cookie/auth headers) to args array
      */
     _addDbmsAndHeaders(args) {
         if (this.config.dbms) {
             args.push('--dbms', this.config.dbms);
         }
 
-        if (this.config.customHeaders) {
-            const headers = this.config.customHeaders.split('\n').filter(h => h.trim());
-            headers.forEach(header => {
-                args.push('--header', header.trim());
-            });
+        getCustomHeaders(this.config).forEach(header => {
+            args.push('--header', header);
+        });
+
+        if (this.authManager) {
+            const session = this.authManager.getSession();
+            session.headers.forEach(header => args.push('--header', header));
+            if (session.cookie) {
+                args.push('--cookie', session.cookie);
+            }
+        }
+    }
+
+    /**
+     * Method, body, headers and cookie of parameters imported with their request (seed documents);
+     * sqlmap sends POST when there is --data and detects JSON bodies by itself
+     */
+    _addRequestData(args, param) {
+        if (!param) return;
+        addRecordedRequest(args, param).forEach(name => this.recordedHeaderNames.add(name));
+        if (!param.method) return;
+
+        if (param.postData) {
+            args.push('--data', param.postData);
+        }
+        if (param.method !== 'GET' && (param.method !== 'POST' || !param.postData)) {
+            args.push('--method', param.method);
         }
     }
 
@@ -0,0 +1,262 @@
+const config = require('config');
+const dns = require('dns').promises;
+const net = require('net');
+const debug = require('debug')('easyinjection:services:ownership');
+const HostVerification = require('../models/verificacion_host');
+const targetPolicy = require('./targetPolicyService');
+const { readText } = require('../utils/httpBody');
+
+const WELL_KNOWN_PATH = '/.well-known/easyinjection-verification.txt';
+const META_NAME = 'easyinjection-verification';
+const DNS_PREFIX = '_easyinjection';
+const TXT_PREFIX = 'easyinjection-verification=';
+// Only the beginning of the page/file is read
+const MAX_BODY_BYTES = 256 * 1024;
+
+function getHost(url) {
+    return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Content of every <meta name="easyinjection-verification" content="..."> tag (any attribute order)
+ */
+function findMetaTokens(html) {
+    const tokens = [];
+    const tags = String(html).match(/<meta\b[^>]*>/gi) || [];
+    tags.forEach(tag => {
+        const attributes = {};
+        tag.replace(/([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi, (match, name, double, single, bare) => {
+            attributes[name.toLowerCase()] = double ?? single ?? bare;
+            return match;
+        });
+        if ((attributes.name || '').toLowerCase() === META_NAME && attributes.content) {
+            tokens.push(attributes.content.trim());
+        }
+    });
+    return tokens;
+}
+
+/**
+ * OwnershipService - Proof that a user controls the hosts they scan
+ *
+ * The user publishes the token of their host verification in one of:
+ * - archivo: <origin>/.well-known/easyinjection-verification.txt
+ * - meta: <meta name="easyinjection-verification" content="<token>"> in the home page
+ * - dns: TXT record "easyinjection-verification=<token>" on _easyinjection.<host>
+ *
+ * Unverified hosts can still be scanned, but only in restricted mode
+ * (ownership.restrictedMode). Verified hosts are re-checked periodically and
+ * the verification expires after ownership.maxRecheckFailures failures in a row.
+ *
+ * HTTP requests and DNS lookups are injectable (fetch, resolveTxt) so the
+ * checks can run against local stubs.
+ */
+class OwnershipService {
+    constructor({ fetch = (...args) => globalThis.fetch(...args), resolveTxt = hostname => dns.resolveTxt(hostname) } = {}) {
+        this.fetch = fetch;
+        this.resolveTxt = resolveTxt;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    getSettings() {
+        return {
+            enabled: Boolean(config.get('ownership.enabled')),
+            recheckHours: Math.max(1, Number(config.get('ownership.recheckHours')) || 24),
+            maxRecheckFailures: Math.max(1, Number(config.get('ownership.maxRecheckFailures')) || 1),
+            tickMinutes: Math.max(1, Number(config.get('ownership.tickMinutes')) || 60),
+            requestTimeoutMs: Math.max(500, Number(config.get('ownership.requestTimeoutMs')) || 10000),
+            restrictedMode: { ...config.get('ownership.restrictedMode') }
+        };
+    }
+
+    /**
+     * Verification of the host of a URL for a user, created (pending) on first use
+     * @returns {Promise<HostVerification>}
+     */
+    async getVerification(usuarioId, url) {
+        const host = getHost(url);
+        const existing = await HostVerification.findOne({ usuario_id: usuarioId, host });
+        if (existing) return existing;
+
+        debug('getVerification: new verification for %s (user %s)', host, usuarioId);
+        const verification = HostVerification.create(usuarioId, host);
+        try {
+            await verification.save();
+        } catch (error) {
+            // Created concurrently by another request
+            if (error.code === 11000) return HostVerification.findOne({ usuario_id: usuarioId, host });
+            throw error;
+        }
+        return verification;
+    }
+
+    /**
+     * Whether a user may scan a URL without restrictions
+     * @returns {Promise<boolean>} Always true when verification is disabled
+     */
+    async isVerified(usuarioId, url) {
+        if (!this.getSettings().enabled) return true;
+        const verification = await HostVerification.findOne({ usuario_id: usuarioId, host: getHost(url), estado: 'verificado' });
+        return Boolean(verification);
+    }
+
+    /**
+     * Where and how to publish the token
+     * @param {HostVerification} verification
+     * @param {string} url - URL of the target (its origin is used for the file and meta methods)
+     */
+    getInstructions(verification, url) {
+        const origin = new URL(url).origin;
+        return {
+            archivo: { url: `${origin}${WELL_KNOWN_PATH}`, contenido: verification.token },
+            meta: { url: `${origin}/`, etiqueta: `<meta name="${META_NAME}" content="${verification.token}">` },
+            dns: { nombre: `${DNS_PREFIX}.${verification.host}`, tipo: 'TXT', valor: `${TXT_PREFIX}${verification.token}` }
+        };
+    }
+
+    /**
+     * Check the token with the given method and store the result
+     * @param {ObjectId|string} usuarioId - Owner
+     * @param {string} url - URL of the target
+     * @param {string} metodo - archivo | meta | dns
+     * @returns {Promise<Object>} { verification, verificado, motivo }
+     */
+    async verify(usuarioId, url, metodo) {
+        const verification = await this.getVerification(usuarioId, url);
+        const origin = new URL(url).origin;
+        const result = await this.checkToken(verification, metodo, origin);
+
+        if (result.ok) {
+            verification.markVerified(metodo, origin, this.getSettings().recheckHours);
+        } else {
+            verification.recordFailedAttempt(result.reason);
+        }
+        await verification.save();
+
+        debug('verify: %s via %s -> %s', verification.host, metodo, result.ok ? 'verified' : result.reason);
+        return { verification, verificado: verification.isVerified(), motivo: result.ok ? null : result.reason };
+    }
+
+    /**
+     * Look for the token of a verification
+     * @returns {Promise<Object>} { ok, reason }
+     */
+    async checkToken(verification, metodo, origin) {
+        try {
+            switch (metodo) {
+                case 'archivo': {
+                    const body = await this._fetchText(`${origin}${WELL_KNOWN_PATH}`);
+                    return body.split(/\r?\n/).some(line => line.trim() === verification.token)
+                        ? { ok: true }
+                        : { ok: false, reason: `El archivo ${WELL_KNOWN_PATH} no contiene el token` };
+                }
+                case 'meta': {
+                    const html = await this._fetchText(`${origin}/`);
+                    return findMetaTokens(html).includes(verification.token)
+                        ? { ok: true }
+                        : { ok: false, reason: `La página principal no tiene la etiqueta meta ${META_NAME} con el token` };
+                }
+                case 'dns': {
+                    if (net.isIP(verification.host)) {
+                        return { ok: false, reason: 'La verificación por DNS no está disponible para direcciones IP' };
+                    }
+                    const name = `${DNS_PREFIX}.${verification.host}`;
+                    const records = await this.resolveTxt(name);
+                    return records.map(chunks => [].concat(chunks).join('').trim()).includes(`${TXT_PREFIX}${verification.token}`)
+                        ? { ok: true }
+                        : { ok: false, reason: `El registro TXT de ${name} no contiene el token` };
+                }
+                default:
+                    return { ok: false, reason: `Método de verificación inválido: ${metodo}` };
+            }
+        } catch (error) {
+            return { ok: false, reason: error.message };
+        }
+    }
+
+    /**
+     * Re-check every verified host whose next check is due
+     * @returns {Promise<number>} Number of verifications checked
+     */
+    async recheckDue(now = new Date()) {
+        if (this.ticking) return 0;
+        this.ticking = true;
+
+        const { recheckHours, maxRecheckFailures } = this.getSettings();
+        let checked = 0;
+        try {
+            const due = await HostVerification.find({ estado: 'verificado', proxima_comprobacion: { $lte: now } });
+            debug('recheckDue: %d verification(s) due', due.length);
+
+            for (const verification of due) {
+                try {
+                    const result = await this.checkToken(verification, verification.metodo, verification.origen || `https://${verification.host}`);
+                    if (result.ok) {
+                        verification.markVerified(verification.metodo, verification.origen, recheckHours);
+                    } else {
+                        verification.recordFailedRecheck(result.reason, recheckHours, maxRecheckFailures);
+                        console.log(`[OWNERSHIP] Re-check failed for ${verification.host} (${verification.fallos_consecutivos}/${maxRecheckFailures}): ${result.reason}`);
+                    }
+                    await verification.save();
+                    checked++;
+                } catch (error) {
+                    console.error(`[OWNERSHIP] Error re-checking ${verification.host}:`, error);
+                }
+            }
+        } finally {
+            this.ticking = false;
+        }
+        return checked;
+    }
+
+    /**
+     * Start the periodic re-check
+     */
+    start() {
+        const { enabled, tickMinutes } = this.getSettings();
+        if (!enabled) {
+            console.log('[OWNERSHIP] Target ownership verification disabled by configuration');
+            return;
+        }
+        if (this.timer) return;
+
+        console.log(`[OWNERSHIP] Re-check started (every ${tickMinutes} min)`);
+        this.recheckDue().catch(error => console.error('[OWNERSHIP] Re-check error:', error));
+        this.timer = setInterval(() => {
+            this.recheckDue().catch(error => console.error('[OWNERSHIP] Re-check error:', error));
+        }, tickMinutes * 60 * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * GET a URL as text. Redirects are not followed and the URL must pass the
+     * target policy, so a verification cannot be used to reach internal hosts.
+     */
+    async _fetchText(url) {
+        await targetPolicy.assertAllowed(url);
+
+        const response = await this.fetch(url, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(this.getSettings().requestTimeoutMs),
+            headers: { 'User-Agent': 'EasyInjection-Verification' }
+        });
+        if (response.status !== 200) {
+            throw new Error(`${url} respondió con el estado HTTP ${response.status}`);
+        }
+        return readText(response, MAX_BODY_BYTES);
+    }
+}
+
+// Singleton instance
+const ownershipService = new OwnershipService();
+
+module.exports = ownershipService;
+module.exports.OwnershipService = OwnershipService;
@@ -0,0 +1,227 @@
+const debug = require('debug')('easyinjection:services:report');
+const Vulnerability = require('../models/vulnerabilidad');
+const Question = require('../models/pregunta');
+const Answer = require('../models/respuesta');
+const Report = require('../models/reporte');
+const scanDiff = require('./scanDiffService');
+const { renderHtml } = require('./reports/htmlRenderer');
+const { renderPdf } = require('./reports/pdfRenderer');
+
+/**
+ * Report formats: the JSON report is returned by the API as is, the others are rendered files
+ */
+const REPORT_FORMATS = {
+    json: null,
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+    pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf }
+};
+
+/**
+ * Vulnerability counts of a report summary (stored snapshot or live summary)
+ */
+function summarizeCounts(summary) {
+    return {
+        total: summary.resumen.total_vulnerabilidades,
+        suprimidas: summary.vulnerabilidades_suprimidas,
+        por_severidad: {
+            critica: summary.resumen.criticas,
+            alta: summary.resumen.altas,
+            media: summary.resumen.medias,
+            baja: summary.resumen.bajas
+        }
+    };
+}
+
+/**
+ * ReportService - Builds the complete report of a scan (vulnerabilities, quiz,
+ * score, executive summary and comparison with the previous run) and renders
+ * it as standalone HTML or PDF without any external browser
+ */
+class ReportService {
+    getFormats() {
+        return Object.keys(REPORT_FORMATS);
+    }
+
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format);
+    }
+
+    /**
+     * Quiz questions answered during (or after) the scan with every option and the correct one
+     * @param {Scan} scan - Scan
+     * @returns {Promise<Array>}
+     */
+    async buildQuizResults(scan) {
+        debug('Processing quiz results - Total answers: %s', scan.respuestas_usuario?.length || 0);
+        const quizResults = [];
+
+        for (const userAnswer of scan.respuestas_usuario || []) {
+            debug('Processing answer - pregunta_id: %s, respuesta_id: %s', userAnswer.pregunta_id, userAnswer.respuesta_seleccionada_id);
+
+            const questionDoc = await Question.findById(userAnswer.pregunta_id);
+            const question = questionDoc ? new Question(questionDoc.toObject()) : null;
+
+            const allAnswersDocs = await Answer.find({ pregunta_id: userAnswer.pregunta_id });
+            const allAnswers = allAnswersDocs.map(doc => new Answer(doc.toObject()));
+
+            const selectedAnswerDoc = await Answer.findById(userAnswer.respuesta_seleccionada_id);
+            const selectedAnswer = selectedAnswerDoc ? new Answer(selectedAnswerDoc.toObject()) : null;
+
+            const correctAnswer = allAnswers.find(a => a.es_correcta);
+
+            quizResults.push({
+                pregunta: question ? question.toObject() : null,
+                respuestas: allAnswers.map(a => a.toObject()),
+                respuesta_seleccionada: selectedAnswer ? selectedAnswer.toObject() : null,
+                respuesta_correcta: correctAnswer ? correctAnswer.toObject() : null,
+                es_correcta: userAnswer.es_correcta,
+                puntos_obtenidos: userAnswer.puntos_obtenidos
+            });
+        }
+
+        debug('Quiz results processed: %s questions', quizResults.length);
+        return quizResults;
+    }
+
+    /**
+     * Vulnerabilities of a scan with populated type and severity
+     */
+    async loadVulnerabilities(scan) {
+        const vulnDocs = await Vulnerability.Model.find({ escaneo_id: scan._id })
+            .populate('tipo_id', 'nombre descripcion')
+            .populate('nivel_severidad_id', 'nombre nivel color');
+        return vulnDocs.map(doc => doc.toObject());
+    }
+
+    /**
+     * Summary of the vulnerabilities as they are now; false positives and
+     * accepted risks are left out of the counts and the executive summary
+     * @param {Scan} scan - Scan
+     * @param {Array} vulnerabilities - Optional plain vulnerabilities (loaded when missing)
+     * @returns {Promise<Report>} Unsaved report
+     */
+    async summarize(scan, vulnerabilities = null) {
+        const vulns = vulnerabilities || await this.loadVulnerabilities(scan);
+        const activeVulnerabilities = vulns.filter(v => !Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(v.estado_triage));
+        return Report.fromVulnerabilities(scan._id, activeVulnerabilities, vulns.length - activeVulnerabilities.length);
+    }
+
+    /**
+     * Save the report snapshot of a finished scan (replaces the previous one, if any)
+     * @param {Scan} scan - Finished scan
+     * @returns {Promise<Report>}
+     */
+    async saveSnapshot(scan) {
+        const summary = (await this.summarize(scan)).toObject();
+        const report = await Report.findOneAndUpdate(
+            { escaneo_id: scan._id },
+            { $set: summary },
+            { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        debug('saveSnapshot: scan=%s report=%s risk=%s', scan._id, report._id, report.nivel_riesgo);
+        return report;
+    }
+
+    /**
+     * Report snapshot of a scan: the one stored when it finished, or a live
+     * summary that is not saved (unfinished scans and scans finished before
+     * snapshots were stored, whose triage has already changed since)
+     * @param {Scan} scan - Scan
+     * @param {Array} vulnerabilities - Optional plain vulnerabilities for the live summary
+     * @returns {Promise<Object>} { snapshot, guardada }
+     */
+    async getSnapshot(scan, vulnerabilities = null) {
+        const report = await Report.findOne({ escaneo_id: scan._id });
+        if (report) return { snapshot: report, guardada: true };
+        return { snapshot: await this.summarize(scan, vulnerabilities), guardada: false };
+    }
+
+    /**
+     * Complete report of a scan. The executive summary, recommendations and
+     * vulnerability counts come from the snapshot taken when the scan
+     * finished, so later triage does not rewrite the report; the counts with
+     * the current triage (suppressed and rescored findings) go in triage_actual.
+     * @param {Scan} scan - Scan
+     * @returns {Promise<Object>}
+     */
+    async buildReport(scan) {
+        debug('buildReport: scan=%s', scan._id);
+
+        const vulnerabilities = await this.loadVulnerabilities(scan);
+
+        const { snapshot, guardada } = await this.getSnapshot(scan, vulnerabilities);
+        const pdfData = snapshot.generatePDFData();
+        const current = guardada ? await this.summarize(scan, vulnerabilities) : snapshot;
+
+        const quizResults = await this.buildQuizResults(scan);
+
+        // Convert Value Objects to plain objects
+        const flagsPlain = scan.flags && typeof scan.flags.toObject === 'function'
+            ? scan.flags.toObject()
+            : scan.flags;
+
+        const puntuacionPlain = scan.puntuacion && typeof scan.puntuacion.toObject === 'function'
+            ? scan.puntuacion.toObject()
+            : scan.puntuacion;
+
+        // Compare with the previous run of the same target, if there is one
+        const comparacionAnterior = await scanDiff.diffWithPreviousRun(scan);
+
+        return {
+            scan: {
+                _id: scan._id,
+                alias: scan.alias,
+                url: scan.url,
+                fecha_inicio: scan.fecha_inicio,
+                fecha_fin: scan.fecha_fin,
+                estado: scan.estado,
+                flags: flagsPlain,
+                modo_preguntas: scan.modo_preguntas
+            },
+            resumen_ejecutivo: pdfData.resumen_ejecutivo,
+            recomendaciones: pdfData.recomendaciones,
+            vulnerabilidades: vulnerabilities,
+            resumen_vulnerabilidades: summarizeCounts(snapshot),
+            // guardada: false when the report is built live (the scan has no stored snapshot)
+            instantanea: {
+                guardada,
+                fecha: guardada ? snapshot.fecha_generado : null,
+                nivel_riesgo: snapshot.nivel_riesgo,
+                score_seguridad: snapshot.score_seguridad
+            },
+            triage_actual: summarizeCounts(current),
+            cuestionario: quizResults,
+            estado_cuestionario: scan.getQuizStatus(),
+            preguntas_pendientes: scan.preguntas_pendientes.length,
+            puntuacion: puntuacionPlain,
+            comparacion_anterior: comparacionAnterior
+        };
+    }
+
+    /**
+     * Render the report of a scan as a file
+     * @param {Scan} scan - Scan
+     * @param {string} format - 'html' | 'pdf'
+     * @returns {Promise<Object>} { contentType, filename, content }
+     */
+    async renderReport(scan, format) {
+        const renderer = REPORT_FORMATS[format];
+        if (!renderer) {
+            throw new Error(`Formato de reporte no soportado: ${format}`);
+        }
+
+        const report = await this.buildReport(scan);
+        debug('renderReport: scan=%s format=%s', scan._id, format);
+
+        return {
+            contentType: renderer.contentType,
+            filename: `reporte-${scan._id}.${renderer.extension}`,
+            content: renderer.render(report)
+        };
+    }
+}
+
+// Singleton instance
+const reportService = new ReportService();
+
+module.exports = reportService;
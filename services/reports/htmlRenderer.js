@@ -0,0 +1,222 @@
+/**
+ * HTML report renderer
+ *
+ * Produces a single self-contained HTML file (inline CSS, no scripts or
+ * external assets) from the report built by ReportService.
+ */
+
+const Vulnerability = require('../../models/vulnerabilidad');
+const {
+    SEVERITIES,
+    SEVERITY_COLORS,
+    TRIAGE_LABELS,
+    QUIZ_STATUS_LABELS,
+    formatDate,
+    getRiskLabel,
+    getReportTitle,
+    triageChanged
+} = require('./reportFormat');
+
+const STYLES = `
+    body { font-family: Helvetica, Arial, sans-serif; color: #212121; margin: 0; background: #f5f5f5; }
+    main { max-width: 960px; margin: 0 auto; padding: 32px; background: #fff; }
+    h1 { margin: 0 0 4px; font-size: 26px; }
+    h2 { margin: 32px 0 12px; font-size: 20px; border-bottom: 2px solid #e0e0e0; padding-bottom: 6px; }
+    h3 { margin: 0 0 8px; font-size: 16px; }
+    .muted { color: #757575; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+    .card { flex: 1 1 160px; border: 1px solid #e0e0e0; border-radius: 6px; padding: 12px; }
+    .card .value { font-size: 22px; font-weight: bold; }
+    .alert { margin-top: 12px; padding: 10px 12px; border-radius: 6px; background: #ffebee; color: #b71c1c; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eeeeee; vertical-align: top; }
+    .bar { height: 12px; border-radius: 3px; }
+    .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; color: #fff; font-size: 12px; }
+    .vuln { border: 1px solid #e0e0e0; border-left-width: 6px; border-radius: 6px; padding: 12px 16px; margin-bottom: 12px; }
+    .vuln.suppressed { opacity: 0.6; }
+    pre { white-space: pre-wrap; word-break: break-all; background: #fafafa; border: 1px solid #eeeeee; padding: 8px; font-size: 12px; }
+    .correct { color: #2e7d32; }
+    .wrong { color: #b71c1c; }
+    footer { margin-top: 32px; font-size: 12px; }
+`;
+
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderCard(label, value) {
+    return `<div class="card"><div class="muted">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`;
+}
+
+function renderExecutiveSummary(report) {
+    const summary = report.resumen_ejecutivo;
+    const score = report.puntuacion || {};
+    const recommendations = report.recomendaciones.map(text => `<li>${escapeHtml(text)}</li>`).join('');
+
+    return `
+    <section>
+        <h2>Resumen ejecutivo</h2>
+        <div class="cards">
+            ${renderCard('Nivel de riesgo', getRiskLabel(summary.nivel_riesgo))}
+            ${renderCard('Salud de seguridad', `${summary.score_seguridad}/100`)}
+            ${renderCard('Vulnerabilidades', summary.total_vulnerabilidades)}
+            ${renderCard('Críticas', summary.criticas)}
+            ${renderCard('Puntuación', `${score.puntuacion_final ?? 'N/A'} (${score.calificacion || 'N/A'})`)}
+        </div>
+        ${summary.requiere_accion_inmediata ? '<div class="alert">Se requiere acción inmediata: hay vulnerabilidades críticas o altas.</div>' : ''}
+        ${recommendations ? `<h3 style="margin-top:16px">Recomendaciones</h3><ul>${recommendations}</ul>` : ''}
+    </section>`;
+}
+
+function renderSeverityBreakdown(report) {
+    const { por_severidad: counts, total, suprimidas } = report.resumen_vulnerabilidades;
+    const max = Math.max(1, ...SEVERITIES.map(severity => counts[severity.key] || 0));
+
+    const rows = SEVERITIES.map(severity => {
+        const count = counts[severity.key] || 0;
+        const width = Math.round((count / max) * 100);
+        return `<tr>
+                <td style="width:120px">${escapeHtml(severity.label)}</td>
+                <td style="width:60px"><strong>${count}</strong></td>
+                <td><div class="bar" style="width:${width}%;background:${severity.color}"></div></td>
+            </tr>`;
+    }).join('');
+
+    return `
+    <section>
+        <h2>Desglose por severidad</h2>
+        <table>${rows}</table>
+        <p class="muted">Total: ${total}${suprimidas > 0 ? ` · Suprimidas (falso positivo / riesgo aceptado): ${suprimidas}` : ''}</p>
+        ${triageChanged(report) ? `<p class="muted">Con el triage actual: ${report.triage_actual.total} · Suprimidas: ${report.triage_actual.suprimidas}</p>` : ''}
+    </section>`;
+}
+
+function renderEvidence(evidence) {
+    if (!evidence) return '';
+    const parts = [];
+    if (evidence.tecnica) parts.push(`<p><strong>Técnica:</strong> ${escapeHtml(evidence.tecnica)}</p>`);
+    if (evidence.payload) parts.push(`<p><strong>Payload:</strong></p><pre>${escapeHtml(evidence.payload)}</pre>`);
+    if (evidence.peticion) parts.push(`<p><strong>Petición:</strong></p><pre>${escapeHtml(evidence.peticion)}</pre>`);
+    if (evidence.fragmento_respuesta) parts.push(`<p><strong>Respuesta:</strong></p><pre>${escapeHtml(evidence.fragmento_respuesta)}</pre>`);
+    return parts.join('');
+}
+
+function renderVulnerabilities(report) {
+    if (report.vulnerabilidades.length === 0) {
+        return '<section><h2>Vulnerabilidades</h2><p>No se encontraron vulnerabilidades.</p></section>';
+    }
+
+    const items = report.vulnerabilidades.map(vuln => {
+        const severity = vuln.nivel_severidad_id?.nombre || 'N/A';
+        const color = SEVERITY_COLORS[severity] || '#757575';
+        const triage = vuln.estado_triage || 'nuevo';
+        const suppressed = Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(triage);
+
+        return `
+        <article class="vuln${suppressed ? ' suppressed' : ''}" style="border-left-color:${color}">
+            <h3>${escapeHtml(vuln.tipo_id?.nombre || 'Vulnerabilidad')}
+                <span class="badge" style="background:${color}">${escapeHtml(severity)}</span>
+                <span class="muted" style="font-size:13px;font-weight:normal">${escapeHtml(TRIAGE_LABELS[triage] || triage)}</span>
+            </h3>
+            <p><strong>URL:</strong> ${escapeHtml(vuln.url_afectada || 'N/A')}<br>
+               <strong>Parámetro:</strong> ${escapeHtml(vuln.parametro_afectado || 'N/A')}</p>
+            <p>${escapeHtml(vuln.descripcion)}</p>
+            ${vuln.sugerencia ? `<p><strong>Sugerencia:</strong> ${escapeHtml(vuln.sugerencia)}</p>` : ''}
+            ${vuln.justificacion_triage ? `<p><strong>Justificación del triage:</strong> ${escapeHtml(vuln.justificacion_triage)}</p>` : ''}
+            ${renderEvidence(vuln.evidencia)}
+        </article>`;
+    }).join('');
+
+    return `<section><h2>Vulnerabilidades</h2>${items}</section>`;
+}
+
+function renderQuiz(report) {
+    const status = QUIZ_STATUS_LABELS[report.estado_cuestionario] || report.estado_cuestionario;
+    const score = report.puntuacion || {};
+
+    if (report.cuestionario.length === 0) {
+        return `<section><h2>Cuestionario</h2><p>Estado: ${escapeHtml(status)}${report.preguntas_pendientes > 0 ? ` (${report.preguntas_pendientes} preguntas pendientes)` : ''}</p></section>`;
+    }
+
+    const rows = report.cuestionario.map(result => `
+            <tr>
+                <td>${escapeHtml(result.pregunta?.texto_pregunta || 'Pregunta no disponible')}</td>
+                <td class="${result.es_correcta ? 'correct' : 'wrong'}">${escapeHtml(result.respuesta_seleccionada?.texto_respuesta || 'N/A')}</td>
+                <td>${escapeHtml(result.respuesta_correcta?.texto_respuesta || 'N/A')}</td>
+                <td>${escapeHtml(result.puntos_obtenidos ?? 0)}</td>
+            </tr>`).join('');
+
+    return `
+    <section>
+        <h2>Cuestionario</h2>
+        <p>Estado: ${escapeHtml(status)} · Puntos: ${escapeHtml(score.puntos_cuestionario ?? 0)}/${escapeHtml(score.total_puntos_cuestionario ?? 0)}</p>
+        <table>
+            <tr><th>Pregunta</th><th>Respuesta</th><th>Respuesta correcta</th><th>Puntos</th></tr>
+            ${rows}
+        </table>
+    </section>`;
+}
+
+function renderComparison(report) {
+    const diff = report.comparacion_anterior;
+    if (!diff) return '';
+
+    return `
+    <section>
+        <h2>Comparación con el escaneo anterior</h2>
+        <p class="muted">${escapeHtml(diff.escaneo_base.alias)} · ${escapeHtml(formatDate(diff.escaneo_base.fecha_inicio))}</p>
+        <div class="cards">
+            ${renderCard('Nuevas', diff.resumen.nuevas)}
+            ${renderCard('Corregidas', diff.resumen.corregidas)}
+            ${renderCard('Persistentes', diff.resumen.persistentes)}
+            ${renderCard('Variación de puntuación', diff.puntuacion.diferencia > 0 ? `+${diff.puntuacion.diferencia}` : diff.puntuacion.diferencia)}
+        </div>
+    </section>`;
+}
+
+/**
+ * Render the report as a standalone HTML document
+ * @param {Object} report - Report built by ReportService.buildReport
+ * @returns {string}
+ */
+function renderHtml(report) {
+    const title = getReportTitle(report);
+    const scan = report.scan;
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+<main>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <div class="muted">${escapeHtml(scan.url)}</div>
+        <div class="muted">Inicio: ${escapeHtml(formatDate(scan.fecha_inicio))} · Fin: ${escapeHtml(formatDate(scan.fecha_fin))} · Estado: ${escapeHtml(scan.estado)}</div>
+    </header>
+    ${renderExecutiveSummary(report)}
+    ${renderSeverityBreakdown(report)}
+    ${renderVulnerabilities(report)}
+    ${renderQuiz(report)}
+    ${renderComparison(report)}
+    <footer class="muted">Generado por EasyInjection el ${escapeHtml(formatDate(report.resumen_ejecutivo.fecha))}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    escapeHtml,
+    renderHtml
+};
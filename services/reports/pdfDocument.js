@@ -0,0 +1,243 @@
+/**
+ * Minimal PDF writer
+ *
+ * Just enough of PDF 1.4 to lay out a text report: A4 pages, the standard
+ * Helvetica/Courier fonts (WinAnsiEncoding, no font embedding), word wrapping,
+ * filled rectangles and automatic page breaks. Content streams are deflated
+ * with zlib, so no external dependency or browser is needed.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+
+const FONTS = {
+    regular: { id: 'F1', base: 'Helvetica' },
+    bold: { id: 'F2', base: 'Helvetica-Bold' },
+    mono: { id: 'F3', base: 'Courier' }
+};
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// WinAnsiEncoding code points outside Latin-1
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Convert a string to WinAnsi bytes (as a binary string); emoji and other
+ * symbols the standard fonts cannot draw are dropped
+ */
+function toWinAnsi(text) {
+    let result = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (code === 0x09) result += '    ';
+        else if (code >= 0x20 && code <= 0x7E) result += char;
+        else if (code >= 0xA0 && code <= 0xFF) result += String.fromCharCode(code);
+        else if (WIN_ANSI_EXTRA[char]) result += String.fromCharCode(WIN_ANSI_EXTRA[char]);
+        else if (code > 0x2000 || code < 0x20) continue;
+        else result += '?';
+    }
+    return result;
+}
+
+function escapePdfString(binary) {
+    return binary.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * '#rrggbb' -> 'r g b' operands
+ */
+function toRgb(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+class PdfDocument {
+    constructor({ title = '', author = '' } = {}) {
+        this.title = title;
+        this.author = author;
+        this.pages = [];
+        this.contentWidth = PAGE_WIDTH - MARGIN * 2;
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    /**
+     * Start a new page when less than `height` points are left
+     */
+    ensureSpace(height) {
+        if (this.y - height < MARGIN) this.addPage();
+    }
+
+    moveDown(points = 6) {
+        this.y -= points;
+    }
+
+    /**
+     * Width of a text in points
+     */
+    measure(text, size, font = 'regular') {
+        const binary = toWinAnsi(text);
+        if (font === 'mono') return binary.length * 600 * size / 1000;
+
+        let width = 0;
+        for (let i = 0; i < binary.length; i++) {
+            const code = binary.charCodeAt(i);
+            width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        // Bold glyphs are slightly wider; overestimating keeps lines inside the margin
+        return width * size / 1000 * (font === 'bold' ? 1.06 : 1);
+    }
+
+    /**
+     * Split a text into lines that fit in `width` (long words are cut)
+     */
+    wrap(text, size, font, width) {
+        const lines = [];
+        for (const paragraph of String(text).split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(/ +/)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measure(candidate, size, font) <= width) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                line = word;
+                while (this.measure(line, size, font) > width && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.measure(line.slice(0, cut), size, font) > width) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Write a wrapped block of text at the current position
+     * @param {string} text - Text
+     * @param {Object} options - { size, font ('regular'|'bold'|'mono'), color, indent, lineGap }
+     */
+    text(text, { size = 10, font = 'regular', color = '#212121', indent = 0, lineGap = 3 } = {}) {
+        const lineHeight = size + lineGap;
+        const lines = this.wrap(text ?? '', size, font, this.contentWidth - indent);
+
+        for (const line of lines) {
+            this.ensureSpace(lineHeight);
+            this.y -= size;
+            this.page.push(`BT /${FONTS[font].id} ${size} Tf ${toRgb(color)} rg ${(MARGIN + indent).toFixed(2)} ${this.y.toFixed(2)} Td (${escapePdfString(toWinAnsi(line))}) Tj ET`);
+            this.y -= lineGap;
+        }
+    }
+
+    /**
+     * Filled rectangle; y is measured from the current position downwards
+     */
+    rect(x, width, height, color) {
+        this.page.push(`${toRgb(color)} rg ${(MARGIN + x).toFixed(2)} ${(this.y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    }
+
+    /**
+     * Horizontal separator across the content width
+     */
+    line(color = '#e0e0e0') {
+        this.ensureSpace(8);
+        this.moveDown(4);
+        this.page.push(`${toRgb(color)} RG 0.8 w ${MARGIN} ${this.y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${this.y.toFixed(2)} l S`);
+        this.moveDown(4);
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = {};
+        for (const font of Object.values(FONTS)) {
+            fontIds[font.id] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+        }
+        const fontResources = Object.entries(fontIds).map(([id, objectId]) => `/${id} ${objectId} 0 R`).join(' ');
+
+        const pageIds = this.pages.map((operations, index) => {
+            // Page number footer
+            const footer = `Página ${index + 1} de ${this.pages.length}`;
+            const footerOps = `BT /F1 8 Tf ${toRgb('#757575')} rg ${(PAGE_WIDTH - MARGIN - this.measure(footer, 8)).toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td (${escapePdfString(toWinAnsi(footer))}) Tj ET`;
+            const stream = zlib.deflateSync(Buffer.from([...operations, footerOps].join('\n'), 'latin1'));
+            const contentId = addObject({ dictionary: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(this.title))}) /Author (${escapePdfString(toWinAnsi(this.author))}) /Producer (EasyInjection) >>`);
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = [];
+
+        objects.forEach((body, index) => {
+            offsets.push(offset);
+            const parts = typeof body === 'string'
+                ? [Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+                : [
+                    Buffer.from(`${index + 1} 0 obj\n${body.dictionary}\nstream\n`, 'latin1'),
+                    body.stream,
+                    Buffer.from('\nendstream\nendobj\n', 'latin1')
+                ];
+            parts.forEach(part => {
+                chunks.push(part);
+                offset += part.length;
+            });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = PdfDocument;
+module.exports.PAGE_WIDTH = PAGE_WIDTH;
+module.exports.MARGIN = MARGIN;
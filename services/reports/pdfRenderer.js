@@ -0,0 +1,187 @@
+/**
+ * PDF report renderer
+ *
+ * Lays out the report built by ReportService with the minimal PdfDocument
+ * writer; same sections as the HTML report.
+ */
+
+const Vulnerability = require('../../models/vulnerabilidad');
+const PdfDocument = require('./pdfDocument');
+const {
+    SEVERITIES,
+    SEVERITY_COLORS,
+    TRIAGE_LABELS,
+    QUIZ_STATUS_LABELS,
+    formatDate,
+    getRiskLabel,
+    getReportTitle,
+    triageChanged
+} = require('./reportFormat');
+
+const MUTED = '#757575';
+
+function heading(doc, text) {
+    doc.ensureSpace(40);
+    doc.moveDown(14);
+    doc.text(text, { size: 15, font: 'bold' });
+    doc.line();
+}
+
+function field(doc, label, value, indent = 0) {
+    doc.text(`${label}: ${value ?? 'N/A'}`, { indent });
+}
+
+function renderExecutiveSummary(doc, report) {
+    const summary = report.resumen_ejecutivo;
+    const score = report.puntuacion || {};
+
+    heading(doc, 'Resumen ejecutivo');
+    field(doc, 'Nivel de riesgo', getRiskLabel(summary.nivel_riesgo));
+    field(doc, 'Salud de seguridad', `${summary.score_seguridad}/100`);
+    field(doc, 'Vulnerabilidades', summary.total_vulnerabilidades);
+    field(doc, 'Críticas', summary.criticas);
+    field(doc, 'Puntuación', `${score.puntuacion_final ?? 'N/A'} (${score.calificacion || 'N/A'})`);
+    if (summary.requiere_accion_inmediata) {
+        doc.moveDown(4);
+        doc.text('Se requiere acción inmediata: hay vulnerabilidades críticas o altas.', { font: 'bold', color: '#b71c1c' });
+    }
+
+    if (report.recomendaciones.length > 0) {
+        doc.moveDown(8);
+        doc.text('Recomendaciones', { size: 11, font: 'bold' });
+        report.recomendaciones.forEach(text => doc.text(`• ${text}`, { indent: 8 }));
+    }
+}
+
+function renderSeverityBreakdown(doc, report) {
+    const { por_severidad: counts, total, suprimidas } = report.resumen_vulnerabilidades;
+    const max = Math.max(1, ...SEVERITIES.map(severity => counts[severity.key] || 0));
+    const barWidth = doc.contentWidth - 140;
+
+    heading(doc, 'Desglose por severidad');
+    SEVERITIES.forEach(severity => {
+        const count = counts[severity.key] || 0;
+        doc.ensureSpace(16);
+        // Bar first so the label line below keeps the same baseline
+        if (count > 0) doc.rect(140, Math.max(2, barWidth * count / max), 10, severity.color);
+        doc.text(`${severity.label}: ${count}`);
+        doc.moveDown(3);
+    });
+    doc.text(`Total: ${total}${suprimidas > 0 ? ` · Suprimidas (falso positivo / riesgo aceptado): ${suprimidas}` : ''}`, { color: MUTED });
+    if (triageChanged(report)) {
+        doc.text(`Con el triage actual: ${report.triage_actual.total} · Suprimidas: ${report.triage_actual.suprimidas}`, { color: MUTED });
+    }
+}
+
+function renderVulnerabilities(doc, report) {
+    heading(doc, 'Vulnerabilidades');
+    if (report.vulnerabilidades.length === 0) {
+        doc.text('No se encontraron vulnerabilidades.');
+        return;
+    }
+
+    report.vulnerabilidades.forEach((vuln, index) => {
+        const severity = vuln.nivel_severidad_id?.nombre || 'N/A';
+        const triage = vuln.estado_triage || 'nuevo';
+        const suppressed = Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(triage);
+
+        doc.ensureSpace(80);
+        if (index > 0) doc.moveDown(10);
+        doc.text(`${index + 1}. ${vuln.tipo_id?.nombre || 'Vulnerabilidad'} - ${severity}${suppressed ? ` (${TRIAGE_LABELS[triage]})` : ''}`, {
+            size: 12,
+            font: 'bold',
+            color: suppressed ? MUTED : (SEVERITY_COLORS[severity] || '#212121')
+        });
+        field(doc, 'URL', vuln.url_afectada, 12);
+        field(doc, 'Parámetro', vuln.parametro_afectado, 12);
+        field(doc, 'Estado', TRIAGE_LABELS[triage] || triage, 12);
+        if (vuln.descripcion) doc.text(vuln.descripcion, { indent: 12 });
+        if (vuln.sugerencia) field(doc, 'Sugerencia', vuln.sugerencia, 12);
+        if (vuln.justificacion_triage) field(doc, 'Justificación del triage', vuln.justificacion_triage, 12);
+
+        const evidence = vuln.evidencia;
+        if (evidence) {
+            if (evidence.tecnica) field(doc, 'Técnica', evidence.tecnica, 12);
+            if (evidence.payload) {
+                doc.text('Payload:', { indent: 12, font: 'bold' });
+                doc.text(evidence.payload, { indent: 20, font: 'mono', size: 8 });
+            }
+            if (evidence.peticion) {
+                doc.text('Petición:', { indent: 12, font: 'bold' });
+                doc.text(evidence.peticion, { indent: 20, font: 'mono', size: 8 });
+            }
+            if (evidence.fragmento_respuesta) {
+                doc.text('Respuesta:', { indent: 12, font: 'bold' });
+                doc.text(evidence.fragmento_respuesta, { indent: 20, font: 'mono', size: 8 });
+            }
+        }
+    });
+}
+
+function renderQuiz(doc, report) {
+    const status = QUIZ_STATUS_LABELS[report.estado_cuestionario] || report.estado_cuestionario;
+    const score = report.puntuacion || {};
+
+    heading(doc, 'Cuestionario');
+    if (report.cuestionario.length === 0) {
+        doc.text(`Estado: ${status}${report.preguntas_pendientes > 0 ? ` (${report.preguntas_pendientes} preguntas pendientes)` : ''}`);
+        return;
+    }
+
+    doc.text(`Estado: ${status} · Puntos: ${score.puntos_cuestionario ?? 0}/${score.total_puntos_cuestionario ?? 0}`);
+    report.cuestionario.forEach((result, index) => {
+        doc.ensureSpace(50);
+        doc.moveDown(6);
+        doc.text(`${index + 1}. ${result.pregunta?.texto_pregunta || 'Pregunta no disponible'}`, { font: 'bold' });
+        doc.text(`Respuesta: ${result.respuesta_seleccionada?.texto_respuesta || 'N/A'}`, {
+            indent: 12,
+            color: result.es_correcta ? '#2e7d32' : '#b71c1c'
+        });
+        if (!result.es_correcta) {
+            doc.text(`Respuesta correcta: ${result.respuesta_correcta?.texto_respuesta || 'N/A'}`, { indent: 12 });
+        }
+        doc.text(`Puntos: ${result.puntos_obtenidos ?? 0}`, { indent: 12, color: MUTED });
+    });
+}
+
+function renderComparison(doc, report) {
+    const diff = report.comparacion_anterior;
+    if (!diff) return;
+
+    heading(doc, 'Comparación con el escaneo anterior');
+    doc.text(`${diff.escaneo_base.alias} · ${formatDate(diff.escaneo_base.fecha_inicio)}`, { color: MUTED });
+    field(doc, 'Nuevas', diff.resumen.nuevas);
+    field(doc, 'Corregidas', diff.resumen.corregidas);
+    field(doc, 'Persistentes', diff.resumen.persistentes);
+    field(doc, 'Variación de puntuación', diff.puntuacion.diferencia > 0 ? `+${diff.puntuacion.diferencia}` : diff.puntuacion.diferencia);
+}
+
+/**
+ * Render the report as a PDF file
+ * @param {Object} report - Report built by ReportService.buildReport
+ * @returns {Buffer}
+ */
+function renderPdf(report) {
+    const title = getReportTitle(report);
+    const scan = report.scan;
+    const doc = new PdfDocument({ title, author: 'EasyInjection' });
+
+    doc.text(title, { size: 20, font: 'bold' });
+    doc.text(scan.url, { color: MUTED });
+    doc.text(`Inicio: ${formatDate(scan.fecha_inicio)} · Fin: ${formatDate(scan.fecha_fin)} · Estado: ${scan.estado}`, { color: MUTED });
+
+    renderExecutiveSummary(doc, report);
+    renderSeverityBreakdown(doc, report);
+    renderVulnerabilities(doc, report);
+    renderQuiz(doc, report);
+    renderComparison(doc, report);
+
+    doc.moveDown(20);
+    doc.text(`Generado por EasyInjection el ${formatDate(report.resumen_ejecutivo.fecha)}`, { size: 8, color: MUTED });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    renderPdf
+};
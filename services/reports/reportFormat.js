@@ -0,0 +1,67 @@
+/**
+ * Labels and formatting shared by the HTML and PDF report renderers
+ */
+
+const RISK_LABELS = {
+    Critical: 'Crítico',
+    High: 'Alto',
+    Medium: 'Medio',
+    Low: 'Bajo',
+    None: 'Sin riesgo'
+};
+
+// Severity counter key (countBySeverity) -> label and color
+const SEVERITIES = [
+    { key: 'critica', label: 'Crítica', color: '#b71c1c' },
+    { key: 'alta', label: 'Alta', color: '#e65100' },
+    { key: 'media', label: 'Media', color: '#f9a825' },
+    { key: 'baja', label: 'Baja', color: '#2e7d32' }
+];
+
+const SEVERITY_COLORS = Object.fromEntries(SEVERITIES.map(severity => [severity.label, severity.color]));
+
+const TRIAGE_LABELS = {
+    nuevo: 'Nuevo',
+    confirmado: 'Confirmado',
+    falso_positivo: 'Falso positivo',
+    riesgo_aceptado: 'Riesgo aceptado',
+    corregido: 'Corregido'
+};
+
+const QUIZ_STATUS_LABELS = {
+    pendiente: 'Pendiente',
+    completado: 'Completado',
+    omitido: 'Omitido',
+    sin_preguntas: 'Sin preguntas'
+};
+
+function formatDate(date) {
+    if (!date) return 'N/A';
+    return new Date(date).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function getRiskLabel(level) {
+    return RISK_LABELS[level] || level || 'N/A';
+}
+
+function getReportTitle(report) {
+    return `Reporte de Seguridad - ${report.scan.alias}`;
+}
+
+// The counts of the report come from the snapshot; later triage is shown apart
+function triageChanged(report) {
+    const { total, suprimidas } = report.resumen_vulnerabilidades;
+    return Boolean(report.triage_actual)
+        && (report.triage_actual.total !== total || report.triage_actual.suprimidas !== suprimidas);
+}
+
+module.exports = {
+    SEVERITIES,
+    SEVERITY_COLORS,
+    TRIAGE_LABELS,
+    QUIZ_STATUS_LABELS,
+    formatDate,
+    getRiskLabel,
+    getReportTitle,
+    triageChanged
+};
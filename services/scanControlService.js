@@ -0,0 +1,283 @@
+const EventEmitter = require('events');
+const debug = require('debug')('easyinjection:services:scanControl');
+const Scan = require('../models/escaneo');
+const AuthType = require('../models/tipo_autenticacion');
+const scanQueue = require('./scanQueue');
+const targetPolicy = require('./targetPolicyService');
+const ownership = require('./ownershipService');
+const secrets = require('./secretService');
+const seeds = require('./seedService');
+
+/**
+ * Error raised by ScanControlService, carries the HTTP status to return
+ */
+class ScanControlError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ScanControlError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Tool paths always come from the server configuration, never from clients.
+// The URL, the flags, the question mode, the scope, the authentication, the crawler and the seeds are stored on the scan, so a start request cannot change them
+// (the ownership check and the restricted mode are decided on the stored URL).
+const SERVER_ONLY_CONFIG_KEYS = ['url', 'flags', 'questionMode', 'sqlmapPath', 'dalfoxPath', 'scope', 'restrictedMode', 'auth', 'crawler', 'respectRobots', 'seeds'];
+
+// Scan question mode (stored on the scan) -> orchestrator question mode
+const QUESTION_MODE_MAP = {
+    interactivo: 'interactive',
+    omitir: 'skip',
+    diferido: 'deferred'
+};
+
+// Crawler of the scan (descubrimiento.crawler) -> orchestrator crawler
+const CRAWLER_MAP = {
+    sqlmap: 'sqlmap',
+    nativo: 'native',
+    ninguno: 'none'
+};
+
+// Login method of the scan (autenticacion.metodo) -> orchestrator auth type
+const AUTH_METHOD_MAP = {
+    formulario: 'form',
+    basic: 'basic',
+    bearer: 'bearer',
+    apikey: 'apikey',
+    cookie: 'cookie'
+};
+
+/**
+ * Orchestrator auth config from the stored authentication of a scan.
+ * Without an explicit method it follows from the auth type: usuario_password
+ * is a form login when there is a login URL (HTTP Basic otherwise), token and
+ * oauth2 send the password as a bearer token and apikey sends it in a header.
+ * @param {Scan} scan - Stored scan
+ * @param {string|null} authTypeName - Name of scan.tipo_autenticacion
+ * @returns {Object} Raw auth config
+ */
+function buildAuthConfig(scan, authTypeName) {
+    const settings = scan.autenticacion || {};
+    const credentials = scan.credenciales && typeof scan.credenciales.toObject === 'function'
+        ? scan.credenciales.toObject()
+        : (scan.credenciales || {});
+
+    let type = AUTH_METHOD_MAP[settings.metodo] || null;
+    if (!type && authTypeName) {
+        type = {
+            usuario_password: settings.url_login ? 'form' : 'basic',
+            token: 'bearer',
+            oauth2: 'bearer',
+            apikey: 'apikey'
+        }[authTypeName] || null;
+    }
+    if (!type && !scan.cookie) return {};
+
+    return {
+        type: type || 'cookie',
+        loginUrl: settings.url_login || null,
+        usernameField: settings.campo_usuario || null,
+        passwordField: settings.campo_password || null,
+        username: credentials.usuario_login || '',
+        password: credentials.password_login || '',
+        token: ['bearer', 'apikey'].includes(type) ? credentials.password_login || '' : '',
+        headerName: settings.cabecera_token || null,
+        cookie: scan.cookie || '',
+        checkUrl: settings.url_comprobacion || null,
+        loggedOutPattern: settings.patron_sesion_caducada || null
+    };
+}
+
+/**
+ * ScanControlService - Single entry point for the scan lifecycle
+ *
+ * Both the REST routes (/api/scans/:id/start|pause|resume|stop) and the
+ * Socket.io handlers (scan:start|pause|resume|stop) go through this service,
+ * so ownership checks, queue state and orchestrator state stay consistent.
+ * It also keeps the registry of running orchestrators (scanId -> orchestrator).
+ *
+ * EVENTS EMITTED:
+ * - scan:stopped: { scanId } when a queued scan is cancelled before running
+ */
+class ScanControlService extends EventEmitter {
+    constructor() {
+        super();
+        this.activeScans = new Map(); // scanId -> orchestrator instance
+    }
+
+    register(scanId, orchestrator) {
+        this.activeScans.set(scanId.toString(), orchestrator);
+    }
+
+    unregister(scanId) {
+        this.activeScans.delete(scanId.toString());
+    }
+
+    getOrchestrator(scanId) {
+        return this.activeScans.get(scanId.toString()) || null;
+    }
+
+    isRunning(scanId) {
+        return this.activeScans.has(scanId.toString());
+    }
+
+    getRunningScanIds() {
+        return Array.from(this.activeScans.keys());
+    }
+
+    /**
+     * Load a scan and verify it belongs to the user
+     * @throws {ScanControlError} 404 if the scan does not exist or is not owned by the user
+     */
+    async getOwnedScan(scanId, userId) {
+        const scan = await Scan.findOne({ _id: scanId, usuario_id: userId });
+        if (!scan) {
+            throw new ScanControlError('Escaneo no encontrado', 404);
+        }
+        return scan;
+    }
+
+    /**
+     * Build the orchestrator config from the stored scan and client overrides
+     * @param {Scan} scan - Stored scan
+     * @param {Object} overrides - Client supplied options (dbms, customHeaders, ...)
+     * @param {Object} options - { restricted } to apply the restricted mode of unverified hosts,
+     *                           { authTypeName } name of the auth type of the scan,
+     *                           { seedIds } ids of the seed documents of the scan
+     * @returns {Object} Raw scan config for the queue, with its secrets encrypted
+     */
+    buildConfig(scan, overrides = {}, { restricted = false, authTypeName = null, seedIds = [] } = {}) {
+        const clientConfig = { ...(overrides || {}) };
+        SERVER_ONLY_CONFIG_KEYS.forEach(key => delete clientConfig[key]);
+
+        const flags = scan.flags && typeof scan.flags.toObject === 'function'
+            ? scan.flags.toObject()
+            : scan.flags;
+
+        const alcance = scan.alcance || {};
+        const descubrimiento = scan.descubrimiento || {};
+
+        // Auth secrets come encrypted from the scan, client custom headers are encrypted here.
+        // Client options go first: what the scan stores and the restricted mode limits always win over them.
+        return secrets.encryptConfig({
+            flags,
+            questionMode: QUESTION_MODE_MAP[scan.modo_preguntas] || 'interactive',
+            ...clientConfig,
+            url: scan.url,
+            scope: {
+                allowedHosts: alcance.hosts_permitidos || [],
+                includePaths: alcance.rutas_incluidas || [],
+                excludePaths: alcance.rutas_excluidas || [],
+                excludedParams: alcance.parametros_excluidos || []
+            },
+            auth: buildAuthConfig(scan, authTypeName),
+            crawler: CRAWLER_MAP[descubrimiento.crawler] || 'sqlmap',
+            respectRobots: descubrimiento.respetar_robots !== false,
+            seeds: seedIds.map(id => id.toString()),
+            ...(restricted ? { ...ownership.getSettings().restrictedMode, restrictedMode: true } : {})
+        });
+    }
+
+    /**
+     * Queue a scan for execution
+     * @returns {Promise<Object>} { job, queuePosition, restricted }
+     */
+    async start(scanId, userId, overrides = {}) {
+        debug('start: scanId=%s userId=%s', scanId, userId);
+        const scan = await this.getOwnedScan(scanId, userId);
+
+        if (this.isRunning(scanId) || await scanQueue.hasActiveJob(scan._id)) {
+            throw new ScanControlError('El escaneo ya está en ejecución', 409);
+        }
+
+        // Policy may have changed (or the host now resolves elsewhere) since the scan was created
+        const policy = await targetPolicy.check(scan.url);
+        if (!policy.allowed) {
+            throw new ScanControlError(`Objetivo no permitido: ${policy.reason}`, 403);
+        }
+
+        // Hosts whose ownership has not been verified are only scanned in restricted mode
+        const restricted = !(await ownership.isVerified(scan.usuario_id, scan.url));
+
+        const authType = scan.tipo_autenticacion ? await AuthType.findById(scan.tipo_autenticacion) : null;
+        const seedIds = (await seeds.findForScan(scan)).map(seed => seed._id);
+
+        let job;
+        try {
+            job = await scanQueue.enqueue({
+                scanId: scan._id.toString(),
+                userId: scan.usuario_id.toString(),
+                config: this.buildConfig(scan, overrides, { restricted, authTypeName: authType ? authType.nombre : null, seedIds })
+            });
+        } catch (error) {
+            throw new ScanControlError(error.message, 400);
+        }
+
+        const queuePosition = await scanQueue.getQueuePosition(scan._id);
+        return { job, queuePosition, restricted };
+    }
+
+    /**
+     * Pause a running scan
+     */
+    async pause(scanId, userId) {
+        debug('pause: scanId=%s userId=%s', scanId, userId);
+        await this.getOwnedScan(scanId, userId);
+        const orchestrator = this._getRunningOrchestrator(scanId);
+        orchestrator.pause();
+        return orchestrator.getStatus();
+    }
+
+    /**
+     * Resume a paused scan
+     */
+    async resume(scanId, userId) {
+        debug('resume: scanId=%s userId=%s', scanId, userId);
+        await this.getOwnedScan(scanId, userId);
+        const orchestrator = this._getRunningOrchestrator(scanId);
+        orchestrator.resume();
+        return orchestrator.getStatus();
+    }
+
+    /**
+     * Stop a running scan or cancel a queued one
+     */
+    async stop(scanId, userId) {
+        debug('stop: scanId=%s userId=%s', scanId, userId);
+        const scan = await this.getOwnedScan(scanId, userId);
+        const orchestrator = this.getOrchestrator(scanId);
+
+        if (!orchestrator && !(await scanQueue.hasActiveJob(scan._id))) {
+            throw new ScanControlError('El escaneo no está en ejecución', 409);
+        }
+
+        scan.estado = 'detenido';
+        scan.fecha_fin = new Date();
+        await scan.save();
+
+        if (orchestrator) {
+            // The orchestrator emits scan:stopped, which closes the queue job
+            orchestrator.stop();
+            this.unregister(scanId);
+        } else {
+            await scanQueue.markCancelled(scan._id);
+            this.emit('scan:stopped', { scanId: scanId.toString() });
+        }
+
+        return { scanId: scan._id, estado: scan.estado };
+    }
+
+    _getRunningOrchestrator(scanId) {
+        const orchestrator = this.getOrchestrator(scanId);
+        if (!orchestrator) {
+            throw new ScanControlError('El escaneo no está en ejecución', 409);
+        }
+        return orchestrator;
+    }
+}
+
+// Singleton instance
+const scanControlService = new ScanControlService();
+
+module.exports = scanControlService;
+module.exports.ScanControlError = ScanControlError;
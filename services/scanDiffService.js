@@ -0,0 +1,190 @@
+const debug = require('debug')('easyinjection:services:scanDiff');
+const Scan = require('../models/escaneo');
+const Vulnerability = require('../models/vulnerabilidad');
+const { normalizeEndpoint, buildFindingKey } = require('./findings/fingerprint');
+
+const SEVERITY_KEYS = ['critica', 'alta', 'media', 'baja'];
+
+/**
+ * Stable matching key of a vulnerability: type + normalized endpoint + parameter
+ * @param {Object} vuln - Plain vulnerability with populated tipo_id
+ * @returns {string}
+ */
+function buildVulnerabilityKey(vuln) {
+    return buildFindingKey(vuln.tipo_id?.nombre, vuln.url_afectada, vuln.parametro_afectado);
+}
+
+/**
+ * Map a severity name (Crítica, Alta, ...) to its counter key
+ * @returns {string|null}
+ */
+function getSeverityKey(severityName) {
+    const severity = (severityName || '').toLowerCase();
+    if (severity === 'crítica' || severity === 'critica') return 'critica';
+    return SEVERITY_KEYS.includes(severity) ? severity : null;
+}
+
+/**
+ * Count vulnerabilities by severity, leaving out suppressed ones (false positive / accepted risk)
+ * @param {Array} vulnerabilities - Plain vulnerabilities with populated nivel_severidad_id
+ * @returns {Object} { critica, alta, media, baja }
+ */
+function countBySeverity(vulnerabilities) {
+    const counts = { critica: 0, alta: 0, media: 0, baja: 0 };
+    vulnerabilities.forEach(vuln => {
+        if (Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(vuln.estado_triage)) return;
+        const key = getSeverityKey(vuln.nivel_severidad_id?.nombre);
+        if (key) counts[key]++;
+    });
+    return counts;
+}
+
+/**
+ * ScanDiffService - Compares two runs of the same target
+ */
+class ScanDiffService {
+    async loadVulnerabilities(scanId) {
+        const docs = await Vulnerability.Model.find({ escaneo_id: scanId })
+            .populate('tipo_id', 'nombre')
+            .populate('nivel_severidad_id', 'nombre');
+        return docs.map(doc => doc.toObject());
+    }
+
+    isSameTarget(scan, otherScan) {
+        return normalizeEndpoint(scan.url) === normalizeEndpoint(otherScan.url);
+    }
+
+    /**
+     * Most recent finished scan of the same user and target started before the given scan
+     * @param {Scan} scan - Current scan
+     * @returns {Promise<Scan|null>}
+     */
+    async findPreviousRun(scan) {
+        const previous = await Scan.Model.findOne({
+            _id: { $ne: scan._id },
+            usuario_id: scan.usuario_id,
+            estado: 'finalizado',
+            fecha_inicio: { $lt: scan.fecha_inicio },
+            $or: [
+                { url_normalizada: normalizeEndpoint(scan.url) },
+                // Scans saved before url_normalizada existed only match the exact URL
+                { url_normalizada: { $exists: false }, url: scan.url }
+            ]
+        }).sort({ fecha_inicio: -1 });
+
+        return previous ? new Scan(previous.toObject()) : null;
+    }
+
+    /**
+     * Diff a scan against a baseline scan of the same target
+     * @param {Scan} scan - Current scan
+     * @param {Scan} baseline - Scan to compare against (usually an earlier run)
+     * @returns {Promise<Object>} New, fixed and still-open vulnerabilities plus severity and score changes
+     */
+    async diff(scan, baseline) {
+        debug('diff: scan=%s baseline=%s', scan._id, baseline._id);
+        const [current, previous] = await Promise.all([
+            this.loadVulnerabilities(scan._id),
+            this.loadVulnerabilities(baseline._id)
+        ]);
+
+        const previousByKey = new Map(previous.map(vuln => [buildVulnerabilityKey(vuln), vuln]));
+        const currentKeys = new Set();
+
+        const nuevas = [];
+        const persistentes = [];
+        for (const vuln of current) {
+            const key = buildVulnerabilityKey(vuln);
+            currentKeys.add(key);
+            const before = previousByKey.get(key);
+            if (before) {
+                persistentes.push({
+                    ...this._summarize(vuln, key),
+                    severidad_anterior: before.nivel_severidad_id?.nombre || null
+                });
+            } else {
+                nuevas.push(this._summarize(vuln, key));
+            }
+        }
+
+        const corregidas = [];
+        for (const [key, vuln] of previousByKey.entries()) {
+            if (!currentKeys.has(key)) corregidas.push(this._summarize(vuln, key));
+        }
+
+        const currentCounts = countBySeverity(current);
+        const previousCounts = countBySeverity(previous);
+        const severidad = {};
+        SEVERITY_KEYS.forEach(key => {
+            severidad[key] = {
+                anterior: previousCounts[key],
+                actual: currentCounts[key],
+                diferencia: currentCounts[key] - previousCounts[key]
+            };
+        });
+
+        const currentScore = scan.puntuacion.puntuacion_final;
+        const previousScore = baseline.puntuacion.puntuacion_final;
+
+        return {
+            escaneo: this._describeScan(scan),
+            escaneo_base: this._describeScan(baseline),
+            resumen: {
+                nuevas: nuevas.length,
+                corregidas: corregidas.length,
+                persistentes: persistentes.length
+            },
+            nuevas,
+            corregidas,
+            persistentes,
+            severidad,
+            puntuacion: {
+                anterior: previousScore,
+                actual: currentScore,
+                diferencia: currentScore - previousScore,
+                calificacion_anterior: baseline.puntuacion.calificacion,
+                calificacion_actual: scan.puntuacion.calificacion
+            }
+        };
+    }
+
+    /**
+     * Diff a scan against its previous run, if any
+     * @returns {Promise<Object|null>}
+     */
+    async diffWithPreviousRun(scan) {
+        const previous = await this.findPreviousRun(scan);
+        return previous ? this.diff(scan, previous) : null;
+    }
+
+    _summarize(vuln, key) {
+        return {
+            _id: vuln._id,
+            clave: key,
+            tipo: vuln.tipo_id?.nombre || null,
+            severidad: vuln.nivel_severidad_id?.nombre || null,
+            url_afectada: vuln.url_afectada,
+            parametro_afectado: vuln.parametro_afectado,
+            estado_triage: vuln.estado_triage || 'nuevo'
+        };
+    }
+
+    _describeScan(scan) {
+        return {
+            _id: scan._id,
+            alias: scan.alias,
+            url: scan.url,
+            fecha_inicio: scan.fecha_inicio,
+            fecha_fin: scan.fecha_fin,
+            estado: scan.estado
+        };
+    }
+}
+
+// Singleton instance
+const scanDiffService = new ScanDiffService();
+
+module.exports = scanDiffService;
+module.exports.normalizeEndpoint = normalizeEndpoint;
+module.exports.buildVulnerabilityKey = buildVulnerabilityKey;
+module.exports.countBySeverity = countBySeverity;
@@ -0,0 +1,297 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:services:scanList');
+const Scan = require('../models/escaneo');
+const Vulnerability = require('../models/vulnerabilidad');
+const VulnerabilityType = require('../models/tipo_vulnerabilidad');
+const SeverityLevel = require('../models/nivel_severidad');
+const { countBySeverity } = require('./scanDiffService');
+const { normalizeSeverity } = require('./ciGateService');
+
+// ?orden= -> scan field
+const SORT_FIELDS = {
+    fecha_inicio: 'fecha_inicio',
+    fecha_fin: 'fecha_fin',
+    alias: 'alias',
+    estado: 'estado',
+    puntuacion: 'puntuacion.puntuacion_final'
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ScanListError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ScanListError';
+        this.statusCode = statusCode;
+    }
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Opaque cursor: sort value and _id of the last scan of a page, tied to the sort it was produced with
+ */
+function encodeCursor(sort, value, id) {
+    const payload = { o: sort, v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: String(id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ScanListError('Cursor inválido');
+    }
+    if (!payload || payload.o !== sort || !mongoose.Types.ObjectId.isValid(payload.id)) {
+        throw new ScanListError('Cursor inválido para este orden');
+    }
+    return {
+        value: payload.d && payload.v !== null ? new Date(payload.v) : payload.v ?? null,
+        id: new mongoose.Types.ObjectId(payload.id)
+    };
+}
+
+/**
+ * Keyset condition for the scans after the cursor. MongoDB sorts missing/null
+ * values first, so they come last in descending order.
+ */
+function buildCursorMatch(field, direction, { value, id }) {
+    const idCondition = direction === 1 ? { $gt: id } : { $lt: id };
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: idCondition }] }
+            : { [field]: null, _id: idCondition };
+    }
+    const branches = [
+        { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+        { [field]: value, _id: idCondition }
+    ];
+    if (direction === -1) branches.push({ [field]: null });
+    return { $or: branches };
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? value : value[key]), object);
+}
+
+/**
+ * ScanListService - Paginated, filtered and sorted scan list of a user
+ *
+ * The list is a single aggregation: filters and sort run in MongoDB and the
+ * vulnerabilities of the page are joined with one $lookup (indexed on
+ * escaneo_id) instead of a query per scan.
+ */
+class ScanListService {
+    /**
+     * Validate the query string
+     */
+    validateQuery(query) {
+        return Joi.object({
+            pagina: Joi.number().integer().min(1),
+            limite: Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+            cursor: Joi.string().max(500),
+            estado: Joi.string().max(100),
+            desde: Joi.date().iso(),
+            hasta: Joi.date().iso().when('desde', { is: Joi.exist(), then: Joi.date().min(Joi.ref('desde')) }),
+            url: Joi.string().max(255),
+            objetivo_id: Joi.string().hex().length(24),
+            con_hallazgos: Joi.boolean(),
+            severidad: Joi.string().max(100),
+            orden: Joi.string().valid(...Object.keys(SORT_FIELDS)).default('fecha_inicio'),
+            direccion: Joi.string().valid('asc', 'desc').default('desc')
+        }).oxor('pagina', 'cursor').validate(query || {});
+    }
+
+    /**
+     * List the scans of a user
+     * @param {ObjectId|string} usuarioId - Owner
+     * @param {Object} options - Validated query (validateQuery)
+     * @returns {Promise<Object>} { scans, paginacion }
+     * @throws {ScanListError} On invalid filter values or cursor
+     */
+    async listScans(usuarioId, options = {}) {
+        debug('listScans: user=%s options=%O', usuarioId, options);
+        const limit = options.limite || DEFAULT_LIMIT;
+        const sortKey = `${options.orden || 'fecha_inicio'}:${options.direccion || 'desc'}`;
+        const field = SORT_FIELDS[options.orden || 'fecha_inicio'];
+        const direction = options.direccion === 'asc' ? 1 : -1;
+
+        const [types, severities] = await Promise.all([
+            VulnerabilityType.Model.find({}).select('nombre').lean(),
+            SeverityLevel.Model.find({}).select('nombre').lean()
+        ]);
+        const typeNames = new Map(types.map(type => [String(type._id), type.nombre]));
+        const severityNames = new Map(severities.map(severity => [String(severity._id), severity.nombre]));
+
+        const pipeline = [
+            { $match: this._buildMatch(usuarioId, options) },
+            { $project: { alias: 1, url: 1, fecha_inicio: 1, fecha_fin: 1, estado: 1, flags: 1, objetivo_id: 1, 'puntuacion.puntuacion_final': 1 } }
+        ];
+
+        // Filters on vulnerabilities need the join before paging; otherwise only the page is joined
+        const vulnerabilityMatch = this._buildVulnerabilityMatch(options, severities);
+        if (vulnerabilityMatch) pipeline.push(...this._lookupStage(), { $match: vulnerabilityMatch });
+        const pageLookup = vulnerabilityMatch ? [] : this._lookupStage();
+
+        let docs;
+        let paginacion;
+        if (options.cursor) {
+            const cursor = decodeCursor(options.cursor, sortKey);
+            pipeline.push(
+                { $match: buildCursorMatch(field, direction, cursor) },
+                { $sort: { [field]: direction, _id: direction } },
+                { $limit: limit + 1 },
+                ...pageLookup
+            );
+            docs = await Scan.Model.aggregate(pipeline);
+            const hasMore = docs.length > limit;
+            docs = docs.slice(0, limit);
+            paginacion = { limite: limit, hay_mas: hasMore, siguiente_cursor: hasMore ? this._cursorOf(docs[docs.length - 1], sortKey, field) : null };
+        } else {
+            const page = options.pagina || 1;
+            pipeline.push(
+                { $sort: { [field]: direction, _id: direction } },
+                {
+                    $facet: {
+                        items: [{ $skip: (page - 1) * limit }, { $limit: limit }, ...pageLookup],
+                        total: [{ $count: 'count' }]
+                    }
+                }
+            );
+            const [result] = await Scan.Model.aggregate(pipeline);
+            docs = result.items;
+            const total = result.total[0]?.count || 0;
+            const hasMore = page * limit < total;
+            paginacion = {
+                pagina: page,
+                limite: limit,
+                total,
+                paginas: Math.ceil(total / limit),
+                hay_mas: hasMore,
+                // Lets clients switch to cursor paging from any page
+                siguiente_cursor: hasMore && docs.length > 0 ? this._cursorOf(docs[docs.length - 1], sortKey, field) : null
+            };
+        }
+
+        return {
+            scans: docs.map(doc => this._toListItem(doc, typeNames, severityNames)),
+            paginacion
+        };
+    }
+
+    _buildMatch(usuarioId, options) {
+        const match = { usuario_id: new mongoose.Types.ObjectId(String(usuarioId)) };
+
+        if (options.estado) {
+            const validStates = Scan.Model.schema.path('estado').enumValues;
+            const states = splitList(options.estado);
+            const invalid = states.filter(state => !validStates.includes(state));
+            if (invalid.length > 0) {
+                throw new ScanListError(`Estado inválido. Valores permitidos: ${validStates.join(', ')}`);
+            }
+            match.estado = { $in: states };
+        }
+
+        if (options.desde || options.hasta) {
+            match.fecha_inicio = {};
+            if (options.desde) match.fecha_inicio.$gte = new Date(options.desde);
+            if (options.hasta) match.fecha_inicio.$lte = new Date(options.hasta);
+        }
+
+        if (options.url) match.url = { $regex: escapeRegex(options.url), $options: 'i' };
+        if (options.objetivo_id) match.objetivo_id = new mongoose.Types.ObjectId(String(options.objetivo_id));
+        return match;
+    }
+
+    /**
+     * Condition on the joined (non-suppressed) vulnerabilities, or null when there is none
+     */
+    _buildVulnerabilityMatch(options, severities) {
+        const conditions = [];
+
+        if (options.con_hallazgos !== undefined) {
+            conditions.push({ 'activas.0': { $exists: Boolean(options.con_hallazgos) } });
+        }
+
+        if (options.severidad) {
+            const names = splitList(options.severidad).map(name => normalizeSeverity(name));
+            if (names.some(name => !name)) {
+                throw new ScanListError(`Severidad inválida. Valores permitidos: ${severities.map(severity => severity.nombre).join(', ')}`);
+            }
+            const ids = severities.filter(severity => names.includes(severity.nombre)).map(severity => severity._id);
+            conditions.push({ 'activas.nivel_severidad_id': { $in: ids } });
+        }
+
+        return conditions.length > 0 ? { $and: conditions } : null;
+    }
+
+    _lookupStage() {
+        return [
+            {
+                $lookup: {
+                    from: Vulnerability.Model.collection.name,
+                    localField: '_id',
+                    foreignField: 'escaneo_id',
+                    pipeline: [{ $project: { tipo_id: 1, nivel_severidad_id: 1, estado_triage: 1 } }],
+                    as: 'vulnerabilidades'
+                }
+            },
+            {
+                $addFields: {
+                    activas: {
+                        $filter: {
+                            input: '$vulnerabilidades',
+                            cond: { $not: [{ $in: ['$$this.estado_triage', Vulnerability.SUPPRESSED_TRIAGE_STATES] }] }
+                        }
+                    }
+                }
+            }
+        ];
+    }
+
+    _cursorOf(doc, sortKey, field) {
+        return encodeCursor(sortKey, getPath(doc, field) ?? null, doc._id);
+    }
+
+    _toListItem(doc, typeNames, severityNames) {
+        const vulnerabilities = (doc.vulnerabilidades || []).map(vuln => ({
+            estado_triage: vuln.estado_triage,
+            tipo_id: { nombre: typeNames.get(String(vuln.tipo_id)) },
+            nivel_severidad_id: { nombre: severityNames.get(String(vuln.nivel_severidad_id)) }
+        }));
+        // Suppressed findings (false positive, accepted risk) are left out, like in the con_hallazgos filter
+        const active = vulnerabilities.filter(vuln => !Vulnerability.SUPPRESSED_TRIAGE_STATES.includes(vuln.estado_triage));
+
+        return {
+            _id: doc._id,
+            alias: doc.alias,
+            url: doc.url,
+            fecha_inicio: doc.fecha_inicio,
+            fecha_fin: doc.fecha_fin,
+            estado: doc.estado,
+            flags: doc.flags,
+            objetivo_id: doc.objetivo_id || null,
+            puntuacion_final: doc.puntuacion?.puntuacion_final ?? null,
+            vulnerabilidades: {
+                count: active.length,
+                types: [...new Set(active.map(v => v.tipo_id.nombre).filter(Boolean))],
+                por_severidad: countBySeverity(active)
+            }
+        };
+    }
+}
+
+// Singleton instance
+const scanListService = new ScanListService();
+
+module.exports = scanListService;
+module.exports.ScanListError = ScanListError;
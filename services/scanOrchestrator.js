@@ -15,8 +15,13 @@
  *   sqlmapPath: "sqlmap",                  // Path to sqlmap executable
  *   dalfoxPath: "dalfox",                  // Path to dalfox executable
  *   
+ *   // Discovery (set by the server from the stored scan)
+ *   crawler: "sqlmap",                     // sqlmap (sqlmap --crawl) | native (built-in crawler) | none (seeds only)
+ *   respectRobots: true,                   // native: do not request URLs disallowed by robots.txt
+ *   seeds: ["<seedId>"],                   // Documents whose requests are added to discovery (OpenAPI, HAR, Postman)
+ *   
  *   // SQLMap configuration (OPTIONAL)
- *   crawlDepth: 2,                         // Crawling depth (default: 2)
+ *   crawlDepth: 2,                         // Crawling depth, also used by the native crawler (default: 2)
  *   level: 1,                              // Test level 1-5 (default: 1)
  *   risk: 1,                               // Risk level 1-3 (default: 1)
  *   threads: 1,                            // Number of threads (default: 1)
@@ -36,7 +41,34 @@
  *   headers: {                             // Object format (legacy)
  *     "Authorization": "Bearer token"
  *   },
- *   customHeaders: "Header: Value\nHeader2: Value2"  // String format (new)
+ *   customHeaders: "Header: Value\nHeader2: Value2", // String format (new)
+ *   
+ *   // Educational questions (OPTIONAL)
+ *   questionMode: "interactive",           // interactive | skip | deferred (default: interactive)
+ *   
+ *   // Restricted mode (set by the server for hosts whose ownership is not verified)
+ *   restrictedMode: false,                 // Detection only: no fingerprinting or exploitation
+ *   
+ *   // Scope rules (OPTIONAL) - out-of-scope endpoints are logged, never tested
+ *   scope: {
+ *     allowedHosts: ["app.target.com"],    // Default: host of url ('*.target.com' for subdomains)
+ *     includePaths: ["/app/**"],           // Globs or 'regex:<expression>' (default: everything)
+ *     excludePaths: ["/logout"],           // Globs or 'regex:<expression>'
+ *     excludedParams: ["csrf_token"]       // Parameters never injected (globs allowed)
+ *   },
+ *   
+ *   // Authentication (set by the server from the stored scan) - login before discovery
+ *   auth: {
+ *     type: "form",                        // form | basic | bearer | apikey | cookie (null: anonymous)
+ *     loginUrl: "http://target.com/login", // form: page with the login form
+ *     usernameField: "user",               // form: field names (default: detected in the form)
+ *     passwordField: "pass",
+ *     username: "admin", password: "...",  // form and basic
+ *     token: "...",                        // bearer and apikey (sent in headerName)
+ *     cookie: "PHPSESSID=...",             // Raw cookie, added to every method
+ *     checkUrl: "http://target.com/home",  // Page used to detect an expired session (default: url)
+ *     loggedOutPattern: "Iniciar sesión"   // Regex found in checkUrl when logged out
+ *   }
  * }
  * 
  * EVENTS EMITTED:
@@ -48,9 +80,12 @@
  * - log:added: New log entry
  * - endpoint:discovered: New endpoint found
  * - parameter:discovered: New parameter identified
+ * - endpoint:out-of-scope: Discovered endpoint skipped by the scope rules
  * - vulnerability:found: Vulnerability detected
  * - question:asked: Question displayed (pauses scan)
  * - question:result: Question answered
+ * - question:skipped: Question not asked (skip mode)
+ * - question:deferred: Question saved for the post-scan quiz (deferred mode)
  * - scan:completed: Scan finished successfully
  * - scan:error: Error occurred
  */
@@ -66,9 +101,12 @@ const Logger = require('./orchestrator/logger');
 const QuestionHandler = require('./orchestrator/questionHandler');
 const SqlmapExecutor = require('./orchestrator/sqlmapExecutor');
 const DalfoxExecutor = require('./orchestrator/dalfoxExecutor');
+const AuthManager = require('./orchestrator/authManager');
+const { getCustomHeaders, maskConfig } = require('./orchestrator/sensitiveData');
 const DiscoveryPhase = require('./orchestrator/phases/discoveryPhase');
 const SQLiPhase = require('./orchestrator/phases/sqliPhase');
 const XSSPhase = require('./orchestrator/phases/xssPhase');
+const targetPolicy = require('./targetPolicyService');
 
 class ScanOrchestrator extends EventEmitter {
     constructor(scanId, scanConfig) {
@@ -76,14 +114,14 @@ class ScanOrchestrator extends EventEmitter {
         
         console.log('[ORCHESTRATOR] Constructor called');
         console.log('[ORCHESTRATOR] scanId:', scanId);
-        console.log('[ORCHESTRATOR] scanConfig:', JSON.stringify(scanConfig, null, 2));
+        console.log('[ORCHESTRATOR] scanConfig:', JSON.stringify(maskConfig(scanConfig), null, 2));
         
         // Validate and normalize configuration
         try {
             console.log('[ORCHESTRATOR] Validating configuration...');
             this.config = validateAndNormalizeConfig(scanConfig);
             console.log('[ORCHESTRATOR] Configuration validated successfully');
-            console.log('[ORCHESTRATOR] Normalized config:', JSON.stringify(this.config, null, 2));
+            console.log('[ORCHESTRATOR] Normalized config:', JSON.stringify(maskConfig(this.config), null, 2));
         } catch (error) {
             console.error('[ORCHESTRATOR] Configuration validation error:', error);
             throw new Error(`Configuración inválida: ${error.message}`);
@@ -95,6 +133,7 @@ class ScanOrchestrator extends EventEmitter {
         this.discoveredParameters = [];
         this.vulnerabilities = [];
         this.questionResults = []; // Track all question results
+        this.deferredQuestions = []; // Questions for the post-scan quiz (deferred mode)
         this.activeProcesses = new Map();
         this.isPaused = false;
         this.isStopped = false;
@@ -103,7 +142,8 @@ class ScanOrchestrator extends EventEmitter {
             totalRequests: 0,
             vulnerabilitiesFound: 0,
             endpointsDiscovered: 0,
-            parametersFound: 0
+            parametersFound: 0,
+            endpointsOutOfScope: 0
         };
         
         // Create output directory for this scan
@@ -118,20 +158,25 @@ class ScanOrchestrator extends EventEmitter {
         
         // Initialize modules
         this.logger = new Logger(this);
-        this.questionHandler = new QuestionHandler(this, this.logger);
+        this.logger.addSecrets(...getCustomHeaders(this.config).map(header => header.slice(header.indexOf(':') + 1).trim()));
+        this.questionHandler = new QuestionHandler(this, this.logger, this.config.questionMode);
+        
+        this.authManager = new AuthManager(this.config, this.logger);
         
         this.sqlmapExecutor = new SqlmapExecutor(
             this.config,
             this.logger,
             this,
-            this.activeProcesses
+            this.activeProcesses,
+            this.authManager
         );
         
         this.dalfoxExecutor = new DalfoxExecutor(
             this.config,
             this.logger,
             this,
-            this.activeProcesses
+            this.activeProcesses,
+            this.authManager
         );
         
         // Set up endpoint discovery listener for sqlmap crawl
@@ -149,6 +194,10 @@ class ScanOrchestrator extends EventEmitter {
         this.on('question:result', (result) => {
             this.questionResults.push(result);
         });
+
+        this.on('question:deferred', (question) => {
+            this.deferredQuestions.push(question);
+        });
         
         // Define phases structure
         this.phases = [
@@ -223,6 +272,10 @@ class ScanOrchestrator extends EventEmitter {
                     scanId: this.scanId,
                     vulnerabilities: this.vulnerabilities,
                     questionResults: this.questionResults,
+                    deferredQuestions: this.deferredQuestions,
+                    testedParameters: this.discoveredParameters
+                        .filter(p => p.testable)
+                        .map(p => ({ endpoint: p.endpoint, name: p.name, type: p.type })),
                     stats: this.stats
                 });
                 console.log('[ORCHESTRATOR] Scan completed successfully');
@@ -284,6 +337,12 @@ class ScanOrchestrator extends EventEmitter {
         const phase = this.phases.find(p => p.id === phaseId);
         if (!phase) return;
 
+        // Phases restored from a checkpoint are not executed again
+        if (phase.status === 'completed') {
+            this.logger.addLog(`Fase ya completada, omitiendo: ${phase.name}`, 'info', phaseId);
+            return;
+        }
+
         this.currentPhase = phaseId;
         this.logger.setCurrentPhase(phaseId); // Set phase context for logger
         phase.status = 'running';
@@ -301,6 +360,7 @@ class ScanOrchestrator extends EventEmitter {
                     this.discoveredParameters = discoveryResult.parameters;
                     this.stats.endpointsDiscovered = this.discoveredEndpoints.length;
                     this.stats.parametersFound = this.discoveredParameters.length;
+                    this.stats.endpointsOutOfScope = discoveryResult.outOfScope.length;
                     break;
                 case 'sqli':
                     await this.runSQLiPhase();
@@ -334,7 +394,32 @@ class ScanOrchestrator extends EventEmitter {
         
         this.logger.addLog('Validando configuración del escaneo...', 'info');
         this.logger.addLog(`URL objetivo: ${this.config.url}`, 'info');
+
+        // Fails the scan with the reason when the target is an internal host
+        await targetPolicy.assertAllowed(this.config.url);
+
+        if (this.config.restrictedMode) {
+            this.logger.addLog('Modo restringido: la propiedad del host no está verificada, solo se ejecuta la detección con intensidad reducida', 'warning');
+        }
         this.logger.addLog(`Flags activos: SQLi=${this.config.flags.sqli}, XSS=${this.config.flags.xss}`, 'info');
+        if (this.config.crawler === 'none') {
+            this.logger.addLog('Crawler: ninguno, solo se importan las semillas', 'info');
+        } else {
+            this.logger.addLog(`Crawler: ${this.config.crawler === 'native' ? `nativo${this.config.respectRobots ? ' (respeta robots.txt)' : ''}` : 'sqlmap'}, profundidad ${this.config.crawlDepth}`, 'info');
+        }
+        if (this.config.seeds.length > 0) {
+            this.logger.addLog(`Semillas de descubrimiento: ${this.config.seeds.length} documento(s)`, 'info');
+        }
+        const scope = this.config.scope;
+        if (scope.allowedHosts.length || scope.includePaths.length || scope.excludePaths.length || scope.excludedParams.length) {
+            this.logger.addLog(`Alcance: hosts=[${scope.allowedHosts.join(', ') || new URL(this.config.url).hostname}], incluidas=[${scope.includePaths.join(', ')}], excluidas=[${scope.excludePaths.join(', ')}], parámetros excluidos=[${scope.excludedParams.join(', ')}]`, 'info');
+        }
+
+        // Log in before discovery; a rejected login fails the scan
+        if (this.authManager.isEnabled()) {
+            this.logger.addLog(`Iniciando sesión en el objetivo (${this.config.auth.type})...`, 'info');
+            await this.authManager.ensureSession();
+        }
         
         // Check tool availability
         await this.sqlmapExecutor.checkAvailability();
@@ -359,7 +444,8 @@ class ScanOrchestrator extends EventEmitter {
             this.sqlmapExecutor,
             this.logger,
             this.questionHandler,
-            this
+            this,
+            this.authManager
         );
         return await phase.run();
     }
@@ -423,6 +509,9 @@ class ScanOrchestrator extends EventEmitter {
         this.logger.addLog(`Vulnerabilidades encontradas: ${this.stats.vulnerabilitiesFound}`, 'info');
         this.logger.addLog(`Endpoints analizados: ${this.stats.endpointsDiscovered}`, 'info');
         this.logger.addLog(`Parámetros testeados: ${this.stats.parametersFound}`, 'info');
+        if (this.stats.endpointsOutOfScope > 0) {
+            this.logger.addLog(`Endpoints fuera de alcance (no testeados): ${this.stats.endpointsOutOfScope}`, 'info');
+        }
         await this.sleep(1000);
         this.logger.addLog('Reporte generado exitosamente', 'success');
     }
@@ -481,6 +570,46 @@ class ScanOrchestrator extends EventEmitter {
         this.emit('scan:stopped', { scanId: this.scanId });
     }
 
+    /**
+     * Get a serializable snapshot of the scan progress
+     * Used by the scan queue to resume the scan after a server restart
+     */
+    getCheckpoint() {
+        return {
+            completedPhases: this.phases.filter(p => p.status === 'completed').map(p => p.id),
+            discoveredEndpoints: this.discoveredEndpoints,
+            discoveredParameters: this.discoveredParameters,
+            vulnerabilities: this.vulnerabilities,
+            questionResults: this.questionResults,
+            deferredQuestions: this.deferredQuestions,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Restore progress from a checkpoint created by getCheckpoint()
+     * Must be called before start()
+     */
+    restoreCheckpoint(checkpoint) {
+        if (!checkpoint) return;
+
+        const completed = checkpoint.completedPhases || [];
+        for (const phase of this.phases) {
+            if (completed.includes(phase.id)) {
+                phase.status = 'completed';
+            }
+        }
+
+        this.discoveredEndpoints = checkpoint.discoveredEndpoints || [];
+        this.discoveredParameters = checkpoint.discoveredParameters || [];
+        this.vulnerabilities = checkpoint.vulnerabilities || [];
+        this.questionResults = checkpoint.questionResults || [];
+        this.deferredQuestions = checkpoint.deferredQuestions || [];
+        this.stats = { ...this.stats, ...(checkpoint.stats || {}) };
+
+        this.logger.addLog(`Escaneo reanudado desde checkpoint (${completed.length} fase(s) completada(s))`, 'info');
+    }
+
     /**
      * Sleep utility
      */
@@ -500,6 +629,7 @@ class ScanOrchestrator extends EventEmitter {
             discoveredEndpoints: this.discoveredEndpoints,
             vulnerabilities: this.vulnerabilities,
             questionResults: this.questionResults,
+            questionMode: this.config.questionMode,
             stats: this.stats,
             logs: this.logger.getRecentLogs(50)
         };
@@ -0,0 +1,270 @@
+const EventEmitter = require('events');
+const config = require('config');
+const debug = require('debug')('easyinjection:services:scanQueue');
+const Scan = require('../models/escaneo');
+const ScanJob = require('../models/trabajo_escaneo');
+const { validateAndNormalizeConfig } = require('./orchestrator/configValidator');
+
+/**
+ * ScanQueue - Cola persistente (MongoDB) de trabajos de escaneo
+ *
+ * Cada escaneo iniciado se registra como un ScanJob que recorre los estados
+ * en_cola → en_ejecucion → finalizado | fallido | cancelado. Al arrancar el
+ * servidor, recover() detecta los trabajos que quedaron en ejecución y los
+ * reanuda desde la última fase completada o los marca como fallidos.
+ *
+ * La ejecución real la realiza un "runner" registrado con setRunner()
+ * (SocketService), que recibe el ScanJob reclamado.
+ *
+ * Los trabajos solo se despachan mientras no se superen los límites de
+ * escaneos simultáneos (globales y por usuario); el resto espera en cola.
+ *
+ * EVENTS EMITTED:
+ * - queue:position: { scanId, position, total } for every queued scan
+ */
+class ScanQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.runner = null;
+        this.dispatching = false;
+        this.pendingDispatch = false;
+    }
+
+    /**
+     * Register the function that executes a claimed job
+     * @param {Function} runner - async (job: ScanJob) => void
+     */
+    setRunner(runner) {
+        this.runner = runner;
+    }
+
+    getSettings() {
+        return {
+            resumeOnRestart: Boolean(config.get('scanQueue.resumeOnRestart')),
+            maxAttempts: Math.max(1, Number(config.get('scanQueue.maxAttempts')) || 1),
+            maxConcurrentScans: Math.max(1, Number(config.get('scanQueue.maxConcurrentScans')) || 1),
+            maxConcurrentScansPerUser: Math.max(1, Number(config.get('scanQueue.maxConcurrentScansPerUser')) || 1)
+        };
+    }
+
+    /**
+     * Enqueue a scan for execution
+     * @param {Object} params - { scanId, userId, config }
+     * @returns {Promise<ScanJob>} The created job
+     * @throws {Error} If the config is invalid or the scan already has an active job
+     */
+    async enqueue({ scanId, userId, config: scanConfig }) {
+        debug('enqueue: scanId=%s userId=%s', scanId, userId);
+
+        // Fail early on invalid configuration instead of at dispatch time
+        try {
+            validateAndNormalizeConfig(scanConfig);
+        } catch (error) {
+            throw new Error(`Configuración inválida: ${error.message}`);
+        }
+
+        const existing = await ScanJob.findActiveByScan(scanId);
+        if (existing) {
+            throw new Error('El escaneo ya está en cola o en ejecución');
+        }
+
+        const job = new ScanJob({
+            escaneo_id: scanId,
+            usuario_id: userId,
+            estado: 'en_cola',
+            configuracion: scanConfig,
+            fecha_encolado: new Date()
+        });
+        await job.save();
+        console.log(`[SCAN QUEUE] Job ${job._id} queued for scan ${scanId}`);
+
+        this.dispatch();
+        return job;
+    }
+
+    /**
+     * Claim queued jobs and hand them to the runner while the limits allow it
+     */
+    async dispatch() {
+        if (!this.runner) {
+            debug('dispatch: no runner registered yet');
+            return;
+        }
+        if (this.dispatching) {
+            this.pendingDispatch = true;
+            return;
+        }
+
+        this.dispatching = true;
+        try {
+            do {
+                this.pendingDispatch = false;
+                let job;
+                while ((job = await this._claimWithinLimits())) {
+                    await this._runJob(job);
+                }
+            } while (this.pendingDispatch);
+
+            await this.publishPositions();
+        } catch (error) {
+            console.error('[SCAN QUEUE] Error dispatching jobs:', error);
+        } finally {
+            this.dispatching = false;
+        }
+    }
+
+    /**
+     * Claim the oldest queued job whose owner is below the per-user limit
+     * @returns {Promise<ScanJob|null>} null if the global limit is reached or nothing is eligible
+     */
+    async _claimWithinLimits() {
+        const { maxConcurrentScans, maxConcurrentScansPerUser } = this.getSettings();
+        const runningByUser = await ScanJob.countRunningByUser();
+
+        let totalRunning = 0;
+        const saturatedUsers = [];
+        for (const [userId, count] of runningByUser.entries()) {
+            totalRunning += count;
+            if (count >= maxConcurrentScansPerUser) saturatedUsers.push(userId);
+        }
+
+        if (totalRunning >= maxConcurrentScans) {
+            debug('claim: global limit reached (%d/%d)', totalRunning, maxConcurrentScans);
+            return null;
+        }
+
+        return ScanJob.claimNext({ excludeUsers: saturatedUsers });
+    }
+
+    /**
+     * Position of a scan in the queue (1-based)
+     * @param {String} scanId - Scan ID
+     * @returns {Promise<Object|null>} { position, total } or null if the scan is not queued
+     */
+    async getQueuePosition(scanId) {
+        const queued = await ScanJob.findQueued();
+        const index = queued.findIndex(job => job.escaneo_id.toString() === scanId.toString());
+        if (index === -1) return null;
+        return { position: index + 1, total: queued.length };
+    }
+
+    /**
+     * Emit the current position of every queued scan
+     */
+    async publishPositions() {
+        const queued = await ScanJob.findQueued();
+        queued.forEach((job, index) => {
+            this.emit('queue:position', {
+                scanId: job.escaneo_id.toString(),
+                position: index + 1,
+                total: queued.length
+            });
+        });
+    }
+
+    async _runJob(job) {
+        console.log(`[SCAN QUEUE] Running job ${job._id} (scan ${job.escaneo_id}, attempt ${job.intentos})`);
+        try {
+            await this.runner(job);
+        } catch (error) {
+            console.error(`[SCAN QUEUE] Job ${job._id} failed to start:`, error);
+            await this.markFailed(job.escaneo_id, `No se pudo iniciar el escaneo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist progress after a phase completes so the scan can be resumed
+     * @param {String} scanId - Scan ID
+     * @param {String} phaseId - Completed phase
+     * @param {Object} checkpoint - Serializable orchestrator state
+     */
+    async saveCheckpoint(scanId, phaseId, checkpoint) {
+        debug('saveCheckpoint: scanId=%s phase=%s', scanId, phaseId);
+        await ScanJob.Model.updateOne(
+            { escaneo_id: scanId, estado: 'en_ejecucion' },
+            { $set: { ultima_fase_completada: phaseId, checkpoint } }
+        );
+    }
+
+    async markFinished(scanId) {
+        await this._closeJob(scanId, 'finalizado');
+    }
+
+    async markCancelled(scanId) {
+        await this._closeJob(scanId, 'cancelado');
+    }
+
+    async markFailed(scanId, reason) {
+        await this._closeJob(scanId, 'fallido', reason);
+    }
+
+    async _closeJob(scanId, estado, reason) {
+        debug('closeJob: scanId=%s estado=%s', scanId, estado);
+        const update = { estado, fecha_fin: new Date() };
+        if (reason) update.motivo_error = String(reason).slice(0, 500);
+
+        await ScanJob.Model.updateOne(
+            { escaneo_id: scanId, estado: { $in: ['en_cola', 'en_ejecucion'] } },
+            { $set: update }
+        );
+        this.dispatch();
+    }
+
+    async getJob(scanId) {
+        return ScanJob.findLatestByScan(scanId);
+    }
+
+    async hasActiveJob(scanId) {
+        return Boolean(await ScanJob.findActiveByScan(scanId));
+    }
+
+    /**
+     * Recover jobs orphaned by a server restart
+     * Running jobs are re-queued (keeping their checkpoint) while attempts remain;
+     * otherwise the job and its scan are marked as failed with a reason.
+     */
+    async recover() {
+        const { resumeOnRestart, maxAttempts } = this.getSettings();
+        console.log('[SCAN QUEUE] Recovering orphaned scan jobs...');
+
+        const orphanedJobs = await ScanJob.find({ estado: 'en_ejecucion' });
+        let resumed = 0;
+        let failed = 0;
+
+        for (const job of orphanedJobs) {
+            if (resumeOnRestart && job.canResume(maxAttempts)) {
+                await ScanJob.Model.updateOne({ _id: job._id }, { $set: { estado: 'en_cola' } });
+                console.log(`[SCAN QUEUE] Job ${job._id} re-queued (resume after: ${job.ultima_fase_completada || 'inicio'})`);
+                resumed++;
+            } else {
+                const reason = resumeOnRestart
+                    ? `El servidor se reinició durante el escaneo y se agotaron los ${maxAttempts} intentos`
+                    : 'El servidor se reinició durante el escaneo';
+                await ScanJob.Model.updateOne(
+                    { _id: job._id },
+                    { $set: { estado: 'fallido', motivo_error: reason, fecha_fin: new Date() } }
+                );
+                await Scan.Model.updateOne({ _id: job.escaneo_id }, { $set: { estado: 'error', fecha_fin: new Date() } });
+                console.log(`[SCAN QUEUE] Job ${job._id} marked as failed: ${reason}`);
+                failed++;
+            }
+        }
+
+        // Scans left in progress without any active job cannot be resumed (no stored config)
+        const activeScanIds = await ScanJob.Model.distinct('escaneo_id', { estado: { $in: ['en_cola', 'en_ejecucion'] } });
+        const untracked = await Scan.Model.updateMany(
+            { estado: 'en_progreso', _id: { $nin: activeScanIds } },
+            { $set: { estado: 'error', fecha_fin: new Date() } }
+        );
+        failed += untracked.modifiedCount || 0;
+
+        console.log(`[SCAN QUEUE] Recovery finished: ${resumed} resumed, ${failed} marked as failed`);
+        this.dispatch();
+        return { resumed, failed };
+    }
+}
+
+// Singleton instance
+const scanQueue = new ScanQueue();
+
+module.exports = scanQueue;
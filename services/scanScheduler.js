@@ -0,0 +1,203 @@
+const config = require('config');
+const debug = require('debug')('easyinjection:services:scanScheduler');
+const Scan = require('../models/escaneo');
+const ScanSchedule = require('../models/programacion_escaneo');
+const scanControl = require('./scanControlService');
+
+/**
+ * ScanScheduler - Lanza escaneos programados (cron o intervalo)
+ *
+ * Cada tick busca las programaciones activas cuya próxima ejecución ya venció,
+ * avanza atómicamente su próxima ejecución (para que un tick solo la procese una
+ * vez) y crea un nuevo Scan a partir del escaneo base (alias, URL, flags y
+ * credenciales), que se encola en la cola de escaneos.
+ *
+ * Las ejecuciones perdidas mientras el servidor estaba apagado se tratan según
+ * la política de recuperación de cada programación:
+ * - omitir: se descartan si llevan más de missedRunGraceMinutes de retraso
+ * - ejecutar_una: se lanza una única ejecución
+ * - ejecutar_todas: se lanza una ejecución por cada fecha perdida (hasta maxCatchUpRuns)
+ */
+class ScanScheduler {
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    getSettings() {
+        return {
+            enabled: Boolean(config.get('scheduler.enabled')),
+            tickSeconds: Math.max(5, Number(config.get('scheduler.tickSeconds')) || 60),
+            maxCatchUpRuns: Math.max(1, Number(config.get('scheduler.maxCatchUpRuns')) || 1),
+            missedRunGraceMinutes: Math.max(0, Number(config.get('scheduler.missedRunGraceMinutes')) || 0)
+        };
+    }
+
+    /**
+     * Start the periodic tick; the first tick runs immediately to catch up missed runs
+     */
+    start() {
+        const { enabled, tickSeconds } = this.getSettings();
+        if (!enabled) {
+            console.log('[SCHEDULER] Scheduled scans disabled by configuration');
+            return;
+        }
+        if (this.timer) return;
+
+        console.log(`[SCHEDULER] Started (tick every ${tickSeconds}s)`);
+        this.tick();
+        this.timer = setInterval(() => this.tick(), tickSeconds * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process every due schedule
+     * @returns {Promise<number>} Number of scans launched
+     */
+    async tick() {
+        if (this.ticking) return 0;
+        this.ticking = true;
+
+        let launched = 0;
+        try {
+            const now = new Date();
+            const dueSchedules = await ScanSchedule.find({ activa: true, proxima_ejecucion: { $lte: now } });
+            debug('tick: %d due schedule(s)', dueSchedules.length);
+
+            for (const schedule of dueSchedules) {
+                try {
+                    launched += await this.processSchedule(schedule, now);
+                } catch (error) {
+                    console.error(`[SCHEDULER] Error processing schedule ${schedule._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('[SCHEDULER] Error during tick:', error);
+        } finally {
+            this.ticking = false;
+        }
+        return launched;
+    }
+
+    /**
+     * Claim a due schedule and launch its runs according to the catch-up policy
+     * @returns {Promise<number>} Number of scans launched
+     */
+    async processSchedule(schedule, now) {
+        const runs = this.getRunsToLaunch(schedule, now);
+        const nextRun = schedule.getNextRunAfter(now);
+
+        const update = { $set: { proxima_ejecucion: nextRun } };
+        if (runs.length > 0) {
+            update.$set.ultima_ejecucion = now;
+            update.$inc = { total_ejecuciones: runs.length };
+        }
+
+        // Only the tick that moves proxima_ejecucion forward launches the runs
+        const claimed = await ScanSchedule.Model.findOneAndUpdate(
+            { _id: schedule._id, activa: true, proxima_ejecucion: schedule.proxima_ejecucion },
+            update
+        );
+        if (!claimed) {
+            debug('processSchedule: schedule %s already claimed', schedule._id);
+            return 0;
+        }
+
+        if (runs.length === 0) {
+            console.log(`[SCHEDULER] Missed run of schedule ${schedule._id} skipped (policy: omitir), next: ${nextRun.toISOString()}`);
+            return 0;
+        }
+
+        let launched = 0;
+        for (const dueDate of runs) {
+            if (await this.launchRun(schedule, dueDate)) launched++;
+        }
+        return launched;
+    }
+
+    /**
+     * Dates that must be launched now for a due schedule
+     * @returns {Array<Date>}
+     */
+    getRunsToLaunch(schedule, now) {
+        const { maxCatchUpRuns, missedRunGraceMinutes } = this.getSettings();
+
+        switch (schedule.politica_recuperacion) {
+            case 'ejecutar_todas':
+                return schedule.getMissedRuns(now, maxCatchUpRuns);
+            case 'omitir': {
+                const delay = now - new Date(schedule.proxima_ejecucion);
+                return delay <= missedRunGraceMinutes * 60 * 1000 ? schedule.getMissedRuns(now, 1) : [];
+            }
+            case 'ejecutar_una':
+            default:
+                return schedule.getMissedRuns(now, 1);
+        }
+    }
+
+    /**
+     * Create a new scan from the schedule's base scan and queue it
+     * @param {ScanSchedule} schedule - Schedule
+     * @param {Date} dueDate - Planned execution date
+     * @returns {Promise<boolean>} true if the scan was queued
+     */
+    async launchRun(schedule, dueDate) {
+        const base = await Scan.findOne({ _id: schedule.escaneo_id, usuario_id: schedule.usuario_id });
+        if (!base) {
+            console.error(`[SCHEDULER] Base scan ${schedule.escaneo_id} not found, pausing schedule ${schedule._id}`);
+            await ScanSchedule.Model.updateOne({ _id: schedule._id }, { $set: { activa: false } });
+            return false;
+        }
+
+        const run = new Scan({
+            usuario_id: base.usuario_id,
+            alias: `${base.alias.slice(0, 120)} - ${this.formatRunDate(dueDate, schedule.zona_horaria)}`,
+            url: base.url,
+            flags: base.flags.toObject(),
+            tipo_autenticacion: base.tipo_autenticacion,
+            credenciales: base.credenciales.toObject(),
+            gestor: base.gestor,
+            cookie: base.cookie,
+            autenticacion: base.autenticacion,
+            // Nobody is watching a scheduled run, interactive questions would block it
+            modo_preguntas: base.isInteractive() ? 'diferido' : base.modo_preguntas,
+            programacion_id: schedule._id,
+            objetivo_id: base.objetivo_id,
+            alcance: base.alcance,
+            descubrimiento: base.descubrimiento,
+            estado: 'pendiente'
+        });
+        await run.save();
+
+        try {
+            await scanControl.start(run._id, run.usuario_id);
+            console.log(`[SCHEDULER] Scan ${run._id} queued for schedule ${schedule._id} (due ${dueDate.toISOString()})`);
+            return true;
+        } catch (error) {
+            console.error(`[SCHEDULER] Could not queue scan ${run._id} for schedule ${schedule._id}:`, error.message);
+            run.markAsError();
+            await run.save();
+            return false;
+        }
+    }
+
+    formatRunDate(date, timeZone) {
+        return new Intl.DateTimeFormat('es-ES', {
+            timeZone,
+            dateStyle: 'short',
+            timeStyle: 'short'
+        }).format(date);
+    }
+}
+
+// Singleton instance
+const scanScheduler = new ScanScheduler();
+
+module.exports = scanScheduler;
@@ -0,0 +1,233 @@
+/**
+ * Cron expression parser for scheduled scans
+ *
+ * Supports the standard 5 fields: minute hour day-of-month month day-of-week
+ * with "*", lists (1,2), ranges (1-5), steps (* /15, 1-30/5) and month/day
+ * names (JAN, MON). Dates are evaluated in the schedule's IANA timezone.
+ */
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'día de la semana', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Longest month lengths (February counts 29 days of leap years)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const MINUTE = 60 * 1000;
+
+// Upper bound for the search loop (minute/hour/day jumps over several years)
+const MAX_ITERATIONS = 50000;
+
+const formatters = new Map();
+
+/**
+ * Validate an IANA timezone name
+ * @param {string} timeZone - e.g. "Europe/Madrid"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of a timestamp in a timezone
+ */
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+        parts[part.type] = part.value;
+    }
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function parseValue(value, field) {
+    const upper = value.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + (field.name === 'mes' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Valor inválido para ${field.name}: ${value}`);
+    }
+    const number = Number(value);
+    if (number < field.min || number > field.max) {
+        throw new Error(`Valor fuera de rango para ${field.name}: ${value} (${field.min}-${field.max})`);
+    }
+    return number;
+}
+
+function parseField(source, field) {
+    const values = new Set();
+
+    for (const item of source.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : Number(stepPart);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Incremento inválido para ${field.name}: ${item}`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangePart.includes('-')) {
+            const [from, to] = rangePart.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Rango inválido para ${field.name}: ${rangePart}`);
+            }
+        } else {
+            start = parseValue(rangePart, field);
+            end = stepPart === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, restrictedDayOfMonth, restrictedDayOfWeek }
+ * @throws {Error} If the expression is invalid or never matches a date (e.g. "0 0 31 2 *")
+ */
+function parseCronExpression(expression) {
+    if (typeof expression !== 'string' || expression.trim().length === 0) {
+        throw new Error('La expresión cron es obligatoria');
+    }
+
+    const sources = expression.trim().split(/\s+/);
+    if (sources.length !== FIELDS.length) {
+        throw new Error('La expresión cron debe tener 5 campos (minuto hora día mes día_semana)');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = sources.map((source, i) => parseField(source, FIELDS[i]));
+
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    const restrictedDayOfMonth = sources[2] !== '*';
+    const restrictedDayOfWeek = sources[4] !== '*';
+
+    // Only the day of the month restricts the days: one of them must exist in one of the months
+    if (restrictedDayOfMonth && !restrictedDayOfWeek
+        && ![...months].some(month => [...daysOfMonth].some(day => day <= MONTH_DAYS[month - 1]))) {
+        throw new Error(`La expresión cron no produce ninguna ejecución: el día ${sources[2]} no existe en ${sources[3] === '*' ? 'ningún mes' : `el mes ${sources[3]}`}`);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        restrictedDayOfMonth,
+        restrictedDayOfWeek
+    };
+}
+
+function matchesDay(cron, parts) {
+    const domMatch = cron.daysOfMonth.has(parts.day);
+    const dowMatch = cron.daysOfWeek.has(parts.weekday);
+
+    // Standard cron: when both day fields are restricted, either one may match
+    if (cron.restrictedDayOfMonth && cron.restrictedDayOfWeek) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * First minute of the next local day. Days with a DST change last 23 or 25
+ * hours, so the jump is corrected with the wall clock of the timezone.
+ */
+function getNextLocalMidnight(timestamp, timeZone) {
+    const { day, hour, minute } = getZonedParts(timestamp, timeZone);
+    const next = timestamp + (24 * 60 - (hour * 60 + minute)) * MINUTE;
+
+    const parts = getZonedParts(next, timeZone);
+    const elapsed = parts.hour * 60 + parts.minute;
+    // 25 hour day: still the same day
+    if (parts.day === day) return next + (24 * 60 - elapsed) * MINUTE;
+    // 23 hour day: past the midnight (unless midnight itself was skipped)
+    const midnight = next - elapsed * MINUTE;
+    return getZonedParts(midnight, timeZone).day === parts.day ? midnight : next;
+}
+
+/**
+ * Next date (strictly after "from") matching a cron expression
+ * @param {string|Object} expression - Cron expression or result of parseCronExpression
+ * @param {Date} from - Reference date
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {Date}
+ * @throws {Error} If no matching date is found
+ */
+function getNextCronDate(expression, from = new Date(), timeZone = 'UTC') {
+    const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+    let timestamp = Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE;
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const parts = getZonedParts(timestamp, timeZone);
+
+        if (!cron.months.has(parts.month) || !matchesDay(cron, parts)) {
+            timestamp = getNextLocalMidnight(timestamp, timeZone);
+            continue;
+        }
+        if (!cron.hours.has(parts.hour)) {
+            timestamp += (60 - parts.minute) * MINUTE;
+            continue;
+        }
+        if (!cron.minutes.has(parts.minute)) {
+            timestamp += MINUTE;
+            continue;
+        }
+        return new Date(timestamp);
+    }
+
+    throw new Error('La expresión cron no produce ninguna ejecución');
+}
+
+module.exports = {
+    parseCronExpression,
+    getNextCronDate,
+    isValidTimeZone
+};
@@ -0,0 +1,129 @@
+const debug = require('debug')('easyinjection:services:secrets');
+const secretCrypto = require('../utils/secretCrypto');
+const Scan = require('../models/escaneo');
+const Target = require('../models/objetivo');
+const ScanJob = require('../models/trabajo_escaneo');
+const DiscoverySeed = require('../models/semilla_descubrimiento');
+
+/**
+ * SecretService - Encryption at rest of target credentials
+ *
+ * The encryption itself (AES-256-GCM values, key selection) lives in
+ * utils/secretCrypto, which models, services and routes use directly. This
+ * service adds the scan config helpers and rotateStored(), which re-encrypts
+ * the stored values with the active key after secrets.activeKey changes.
+ */
+class SecretService {
+    /**
+     * Value re-encrypted with the active key
+     */
+    rotate(value) {
+        return secretCrypto.needsRotation(value) ? secretCrypto.encrypt(secretCrypto.decrypt(value)) : value;
+    }
+
+    /**
+     * Re-encrypt with the active key every stored secret that is in plaintext
+     * or encrypted with an older key (scans, targets, seed documents and queued jobs)
+     * @returns {Promise<number>} Number of updated documents
+     */
+    async rotateStored() {
+        if (!secretCrypto.isConfigured()) return 0;
+
+        let updated = 0;
+        for (const ModelClass of [Scan.Model, Target.Model]) {
+            const cursor = ModelClass.find({
+                $or: [{ 'credenciales.password_login': { $nin: [null, ''] } }, { cookie: { $nin: [null, ''] } }]
+            }).select('credenciales.password_login cookie').lean().cursor();
+
+            for await (const doc of cursor) {
+                try {
+                    const changes = {};
+                    const password = doc.credenciales?.password_login;
+                    if (secretCrypto.needsRotation(password)) changes['credenciales.password_login'] = this.rotate(password);
+                    if (secretCrypto.needsRotation(doc.cookie)) changes.cookie = this.rotate(doc.cookie);
+                    if (Object.keys(changes).length === 0) continue;
+                    await ModelClass.updateOne({ _id: doc._id }, { $set: changes });
+                    updated++;
+                } catch (error) {
+                    console.error(`[SECRETS] Cannot re-encrypt ${ModelClass.modelName} ${doc._id}: ${error.message}`);
+                }
+            }
+        }
+
+        // Seed documents (HAR files and Postman collections carry cookies and tokens)
+        const seeds = DiscoverySeed.Model.find({}).select('contenido entorno').lean().cursor();
+        for await (const seed of seeds) {
+            try {
+                const changes = {};
+                if (secretCrypto.needsRotation(seed.contenido)) changes.contenido = this.rotate(seed.contenido);
+                if (secretCrypto.needsRotation(seed.entorno)) changes.entorno = this.rotate(seed.entorno);
+                if (Object.keys(changes).length === 0) continue;
+                await DiscoverySeed.Model.updateOne({ _id: seed._id }, { $set: changes });
+                updated++;
+            } catch (error) {
+                console.error(`[SECRETS] Cannot re-encrypt DiscoverySeed ${seed._id}: ${error.message}`);
+            }
+        }
+
+        // Jobs keep the config they were queued with (auth secrets and custom headers)
+        const jobs = ScanJob.Model.find({
+            $or: ['auth.password', 'auth.token', 'auth.cookie', 'customHeaders', 'headers']
+                .map(key => ({ [`configuracion.${key}`]: { $nin: [null, ''] } }))
+        }).select('configuracion').lean().cursor();
+        for await (const job of jobs) {
+            try {
+                const { config: rotated, changed } = this.rotateConfig(job.configuracion || {});
+                if (!changed) continue;
+                await ScanJob.Model.updateOne({ _id: job._id }, { $set: { configuracion: rotated } });
+                updated++;
+            } catch (error) {
+                console.error(`[SECRETS] Cannot re-encrypt ScanJob ${job._id}: ${error.message}`);
+            }
+        }
+
+        debug('rotateStored: %d document(s) re-encrypted', updated);
+        return updated;
+    }
+
+    /**
+     * Encrypt the secrets of a scan config (auth password/token/cookie, custom headers)
+     */
+    encryptConfig(scanConfig) {
+        return this._mapConfig(scanConfig, value => secretCrypto.encrypt(value)).config;
+    }
+
+    /**
+     * Re-encrypt the secrets of a scan config with the active key
+     * @returns {Object} { config, changed }
+     */
+    rotateConfig(scanConfig) {
+        return this._mapConfig(scanConfig, value => this.rotate(value));
+    }
+
+    _mapConfig(scanConfig, transform) {
+        const result = { ...scanConfig };
+        let changed = false;
+        const apply = value => {
+            const mapped = transform(value);
+            if (mapped !== value) changed = true;
+            return mapped;
+        };
+
+        if (result.auth && typeof result.auth === 'object') {
+            result.auth = { ...result.auth };
+            ['password', 'token', 'cookie'].forEach(key => {
+                if (result.auth[key]) result.auth[key] = apply(result.auth[key]);
+            });
+        }
+        if (result.customHeaders) result.customHeaders = apply(result.customHeaders);
+        if (result.headers && typeof result.headers === 'object') {
+            result.headers = Object.fromEntries(Object.entries(result.headers).map(([name, value]) => [name, apply(value)]));
+        }
+        return { config: result, changed };
+    }
+}
+
+// Singleton instance
+const secretService = new SecretService();
+
+module.exports = secretService;
@@ -0,0 +1,284 @@
+const config = require('config');
+const debug = require('debug')('easyinjection:services:seeds');
+const YAML = require('yaml');
+const DiscoverySeed = require('../models/semilla_descubrimiento');
+const ScanSchedule = require('../models/programacion_escaneo');
+const targetPolicy = require('./targetPolicyService');
+const secrets = require('../utils/secretCrypto');
+const { parseOpenApi } = require('./seeds/openApi');
+const { parseHar } = require('./seeds/har');
+const { parsePostman } = require('./seeds/postman');
+const { readText, BodyTooLargeError } = require('../utils/httpBody');
+
+/**
+ * Error raised by SeedService, carries the HTTP status to return
+ */
+class SeedError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SeedError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Format of a seed -> parser (document, baseUrl, options) => { version, endpoints, parameters, truncated, skipped }
+const PARSERS = {
+    openapi: parseOpenApi,
+    har: parseHar,
+    postman: parsePostman
+};
+
+/**
+ * SeedService - Documents attached to a scan whose requests seed discovery
+ *
+ * A seed is uploaded (contenido) or referenced by URL. Either way it is
+ * parsed when attached, so an invalid document is rejected right away, and
+ * stored as encrypted JSON (OpenAPI documents may also be written in YAML). URL seeds are downloaded again when the scan
+ * starts and fall back to the stored copy when the download fails.
+ *
+ * Headers and cookies of recorded requests (HAR, Postman) reach the
+ * orchestrator encrypted on each parameter, like the secrets of the scan
+ * config, and are decrypted only when a tool replays the request.
+ *
+ * Downloads pass the target policy, do not follow redirects and are limited
+ * to seeds.maxBytes. Scheduled runs use the seeds of their base scan.
+ */
+class SeedService {
+    constructor({ fetch = (...args) => globalThis.fetch(...args) } = {}) {
+        this.fetch = fetch;
+    }
+
+    getSettings() {
+        return {
+            maxBytes: Math.max(1024, Number(config.get('seeds.maxBytes')) || 5 * 1024 * 1024),
+            maxEndpoints: Math.max(1, Number(config.get('seeds.maxEndpoints')) || 500),
+            requestTimeoutMs: Math.max(500, Number(config.get('seeds.requestTimeoutMs')) || 15000)
+        };
+    }
+
+    /**
+     * Attach a seed to a scan
+     * @param {Scan} scan - Owned scan
+     * @param {Object} data - Validated body { formato, nombre, url | contenido, entorno }
+     * @returns {Promise<Object>} { seed, truncated }
+     * @throws {SeedError} If the document cannot be downloaded or parsed
+     */
+    async create(scan, data) {
+        const text = data.url ? await this.download(data.url) : this.serialize(data.contenido);
+        const environment = data.entorno ? this.parseJson(this.serialize(data.entorno), 'El entorno') : null;
+        const { document, result } = this.parse(data.formato, text, scan.url, environment);
+
+        const seed = new DiscoverySeed({
+            usuario_id: scan.usuario_id,
+            escaneo_id: scan._id,
+            formato: data.formato,
+            origen: data.url ? 'url' : 'archivo',
+            nombre: data.nombre || (document.info && (document.info.title || document.info.name)) || undefined,
+            url: data.url,
+            contenido: JSON.stringify(document),
+            entorno: environment ? JSON.stringify(environment) : undefined,
+            version: result.version,
+            endpoints: result.endpoints.length,
+            fecha_creacion: new Date(),
+            fecha_actualizacion: new Date()
+        });
+        await seed.save();
+
+        debug('create: %s seed %s for scan %s (%d endpoints)', seed.formato, seed._id, scan._id, seed.endpoints);
+        return { seed, truncated: result.truncated, skipped: result.skipped || 0 };
+    }
+
+    async list(scanId) {
+        const docs = await DiscoverySeed.Model.find({ escaneo_id: scanId }).sort({ fecha_creacion: 1 });
+        return docs.map(doc => DiscoverySeed.fromMongoose(doc));
+    }
+
+    async remove(scanId, seedId) {
+        const seed = await DiscoverySeed.findOneAndDelete({ _id: seedId, escaneo_id: scanId });
+        if (!seed) {
+            throw new SeedError('Semilla no encontrada', 404);
+        }
+        debug('remove: seed %s of scan %s', seedId, scanId);
+        return seed;
+    }
+
+    async removeForScan(scanId) {
+        return DiscoverySeed.deleteMany({ escaneo_id: scanId });
+    }
+
+    /**
+     * Seeds used by a scan: its own, or those of the base scan for a scheduled run
+     * @returns {Promise<Array<DiscoverySeed>>}
+     */
+    async findForScan(scan) {
+        const own = await this.list(scan._id);
+        if (own.length > 0 || !scan.programacion_id) return own;
+
+        const schedule = await ScanSchedule.findById(scan.programacion_id);
+        return schedule ? this.list(schedule.escaneo_id) : [];
+    }
+
+    /**
+     * Requests of the given seeds, for the discovery phase
+     * @param {Array<string>} seedIds - Seed ids from the scan config
+     * @param {string} baseUrl - URL of the scan
+     * @returns {Promise<Object>} { endpoints, parameters, warnings } (headers and cookies of the parameters encrypted)
+     */
+    async loadEndpoints(seedIds, baseUrl) {
+        const endpoints = [];
+        const parameters = [];
+        const warnings = [];
+
+        for (const seedId of seedIds) {
+            const seed = await DiscoverySeed.findById(seedId);
+            if (!seed) {
+                warnings.push(`La semilla ${seedId} ya no existe`);
+                continue;
+            }
+
+            const stored = secrets.decrypt(seed.contenido);
+            let text = stored;
+            if (seed.isRemote()) {
+                try {
+                    text = await this.download(seed.url);
+                } catch (error) {
+                    warnings.push(`No se pudo descargar ${seed.url} (${error.message}), se usa la copia guardada`);
+                }
+            }
+
+            try {
+                const environment = seed.entorno ? JSON.parse(secrets.decrypt(seed.entorno)) : null;
+                const { document, result } = this.parse(seed.formato, text, baseUrl, environment);
+                const contenido = JSON.stringify(document);
+                if (contenido !== stored) {
+                    seed.updateContent(contenido, result.version, result.endpoints.length);
+                    await seed.save();
+                }
+                if (result.truncated) {
+                    warnings.push(`${seed.toString()}: solo se importan los primeros ${this.getSettings().maxEndpoints} endpoints`);
+                }
+                if (result.skipped) {
+                    warnings.push(`${seed.toString()}: ${result.skipped} petición(es) omitida(s) (URL sin resolver, recurso estático o método no soportado)`);
+                }
+                endpoints.push(...result.endpoints);
+                parameters.push(...result.parameters.map(param => this.encryptRequest(param)));
+                debug('loadEndpoints: %s -> %d endpoints', seed.toString(), result.endpoints.length);
+            } catch (error) {
+                warnings.push(`${seed.toString()}: ${error.message}`);
+            }
+        }
+
+        return { endpoints, parameters, warnings };
+    }
+
+    /**
+     * Parse a document with the parser of its format
+     * @param {Object} environment - Postman environment ({ values }) for the variables of a collection
+     * @returns {Object} { document, result }
+     * @throws {SeedError} If it cannot be read or it is not a valid document of the format
+     */
+    parse(formato, text, baseUrl, environment = null) {
+        const parser = PARSERS[formato];
+        if (!parser) {
+            throw new SeedError(`Formato de semilla no soportado: ${formato}`);
+        }
+
+        const document = formato === 'openapi' ? this.parseJsonOrYaml(text, 'El documento') : this.parseJson(text, 'El documento');
+        try {
+            return { document, result: parser(document, baseUrl, { maxEndpoints: this.getSettings().maxEndpoints, environment }) };
+        } catch (error) {
+            throw new SeedError(error.message);
+        }
+    }
+
+    parseJson(text, label) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new SeedError(`${label} no es JSON válido`);
+        }
+    }
+
+    /**
+     * JSON or YAML document. Aliases are limited by the YAML parser, so a few
+     * nested anchors cannot expand into a huge document.
+     */
+    parseJsonOrYaml(text, label) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // Not JSON, try YAML
+        }
+        try {
+            return YAML.parse(text);
+        } catch (error) {
+            throw new SeedError(`${label} no es JSON ni YAML válido: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parameter with its recorded headers and cookie encrypted
+     */
+    encryptRequest(param) {
+        if (!param.headers && !param.cookie) return param;
+        const encrypted = { ...param };
+        if (param.headers) encrypted.headers = param.headers.map(header => secrets.encrypt(header));
+        if (param.cookie) encrypted.cookie = secrets.encrypt(param.cookie);
+        return encrypted;
+    }
+
+    serialize(contenido) {
+        const text = typeof contenido === 'string' ? contenido : JSON.stringify(contenido);
+        if (Buffer.byteLength(text) > this.getSettings().maxBytes) {
+            throw new SeedError('El documento supera el tamaño máximo permitido', 413);
+        }
+        return text;
+    }
+
+    /**
+     * GET a seed document. Redirects are not followed and the URL must pass
+     * the target policy, so a seed cannot be used to reach internal hosts.
+     * The body is read up to seeds.maxBytes, with or without Content-Length.
+     */
+    async download(url) {
+        const { maxBytes, requestTimeoutMs } = this.getSettings();
+        try {
+            await targetPolicy.assertAllowed(url);
+        } catch (error) {
+            throw new SeedError(`URL no permitida: ${error.message}`, 403);
+        }
+
+        let response;
+        try {
+            response = await this.fetch(url, {
+                redirect: 'manual',
+                signal: AbortSignal.timeout(requestTimeoutMs),
+                headers: { 'User-Agent': 'EasyInjection-Seeds', Accept: 'application/json, application/yaml;q=0.9, */*;q=0.5' }
+            });
+        } catch (error) {
+            throw new SeedError(`No se pudo descargar ${url}: ${error.message}`, 502);
+        }
+        if (response.status !== 200) {
+            throw new SeedError(`${url} respondió con el estado HTTP ${response.status}`, 502);
+        }
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            throw new SeedError('El documento supera el tamaño máximo permitido', 413);
+        }
+
+        try {
+            return await readText(response, maxBytes, { truncate: false });
+        } catch (error) {
+            if (error instanceof BodyTooLargeError) {
+                throw new SeedError('El documento supera el tamaño máximo permitido', 413);
+            }
+            throw new SeedError(`No se pudo descargar ${url}: ${error.message}`, 502);
+        }
+    }
+}
+
+// Singleton instance
+const seedService = new SeedService();
+
+module.exports = seedService;
+module.exports.SeedService = SeedService;
+module.exports.SeedError = SeedError;
@@ -0,0 +1,97 @@
+/**
+ * Endpoints and parameters of imported requests
+ *
+ * Requests are keyed by "method:url", for the sqlmap crawl CSV
+ * (SqlmapExecutor.processCrawlCsvToEndpointsAndParams) and the seed
+ * documents alike: a repeated request only adds the parameters that were not
+ * known yet. Parameters of requests that are not a plain GET carry the
+ * method, body and content type, and those of recorded requests (HAR,
+ * Postman) their headers and cookie, so the tools repeat the request the way
+ * it was imported.
+ */
+
+const JSON_CONTENT_TYPE = /[/+]json\b/i;
+
+/**
+ * Parameter names of a request body (top-level keys of a JSON object or urlencoded fields)
+ */
+function bodyParamNames(postData, contentType) {
+    if (!postData) return [];
+    if (JSON_CONTENT_TYPE.test(contentType || '')) {
+        try {
+            const document = JSON.parse(postData);
+            return document && typeof document === 'object' && !Array.isArray(document) ? Object.keys(document) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    return [...new Set(new URLSearchParams(postData).keys())];
+}
+
+class EndpointSet {
+    /**
+     * @param {number} maxEndpoints - Requests beyond this limit are dropped (truncated = true)
+     */
+    constructor(maxEndpoints = Infinity) {
+        this.maxEndpoints = maxEndpoints;
+        this.endpoints = [];
+        this.parameters = [];
+        this.endpointMap = new Map(); // method:url -> endpoint
+        this.truncated = false;
+    }
+
+    /**
+     * Add a request
+     * @param {Object} request - { url, method, postData, contentType, headers ("Name: value" lines), cookie }
+     * @returns {boolean} Whether it was a new endpoint
+     * @throws {TypeError} If the URL is not valid
+     */
+    add({ url, method = 'GET', postData = null, contentType = null, headers = [], cookie = null }) {
+        method = String(method).toUpperCase();
+        const queryParams = [...new Set(new URL(url).searchParams.keys())];
+        const bodyParams = bodyParamNames(postData, contentType);
+        const request = method === 'GET' && !postData
+            ? {}
+            : { method, postData: postData || null, ...(contentType ? { contentType } : {}) };
+        if (headers.length > 0) request.headers = headers;
+        if (cookie) request.cookie = cookie;
+
+        const addParameter = (name, type) => this.parameters.push({ endpoint: url, name, type, testable: true, ...request });
+
+        const endpointKey = `${method}:${url}`;
+        const existing = this.endpointMap.get(endpointKey);
+        if (existing) {
+            [...queryParams.map(name => [name, 'query']), ...bodyParams.map(name => [name, 'body'])].forEach(([name, type]) => {
+                if (existing.parameters.includes(name)) return;
+                existing.parameters.push(name);
+                addParameter(name, type);
+            });
+            if (postData && !existing.postData) existing.postData = postData;
+            return false;
+        }
+
+        if (this.endpoints.length >= this.maxEndpoints) {
+            this.truncated = true;
+            return false;
+        }
+
+        const endpoint = { url, method, parameters: [...queryParams, ...bodyParams], postData: postData || null };
+        if (contentType) endpoint.contentType = contentType;
+        this.endpoints.push(endpoint);
+        this.endpointMap.set(endpointKey, endpoint);
+        queryParams.forEach(name => addParameter(name, 'query'));
+        bodyParams.forEach(name => addParameter(name, 'body'));
+        return true;
+    }
+
+    toResult() {
+        return {
+            endpoints: this.endpoints,
+            parameters: this.parameters,
+            truncated: this.truncated
+        };
+    }
+}
+
+module.exports = EndpointSet;
+module.exports.bodyParamNames = bodyParamNames;
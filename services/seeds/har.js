@@ -0,0 +1,88 @@
+/**
+ * HAR files (browser devtools, proxies) as discovery seeds
+ *
+ * Every recorded request to an http(s) URL becomes a request with its
+ * method, body, headers and cookies. Static resources (scripts, styles,
+ * images, ...) are skipped and headers that the tools compute themselves
+ * are dropped.
+ */
+
+const EndpointSet = require('./endpointSet');
+const { requestHeaders, cookieHeader } = require('./requestHeaders');
+const { STATIC_EXTENSIONS } = require('../orchestrator/nativeCrawler');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Body of a recorded request
+ * @returns {Object|null} { postData, contentType }
+ */
+function getBody(postData) {
+    if (!postData || typeof postData !== 'object') return null;
+
+    const contentType = String(postData.mimeType || '').split(';')[0].trim() || null;
+    if (typeof postData.text === 'string' && postData.text !== '') {
+        return { postData: postData.text, contentType };
+    }
+    // Form bodies may be recorded only as params
+    if (Array.isArray(postData.params) && postData.params.length > 0) {
+        const body = new URLSearchParams();
+        postData.params.forEach(param => body.append(param.name, param.value || ''));
+        return { postData: body.toString(), contentType: 'application/x-www-form-urlencoded' };
+    }
+    return null;
+}
+
+/**
+ * Requests of a HAR file
+ * @param {Object} document - Parsed HAR ({ log: { entries } })
+ * @param {string} baseUrl - URL of the scan (not used: a recording has absolute URLs)
+ * @param {Object} options - { maxEndpoints }
+ * @returns {Object} { version, endpoints, parameters, truncated, skipped }
+ * @throws {Error} If the document is not a HAR file
+ */
+function parseHar(document, baseUrl, { maxEndpoints = Infinity } = {}) {
+    const log = document && document.log;
+    if (!log || !Array.isArray(log.entries)) {
+        throw new Error('El documento no es un archivo HAR (falta "log.entries")');
+    }
+
+    const endpoints = new EndpointSet(maxEndpoints);
+    let skipped = 0;
+
+    log.entries.forEach(entry => {
+        const request = entry && entry.request;
+        const method = String((request && request.method) || '').toUpperCase();
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch (error) {
+            skipped++;
+            return;
+        }
+        if (!METHODS.includes(method) || !/^https?:$/.test(url.protocol) || STATIC_EXTENSIONS.test(url.pathname)) {
+            skipped++;
+            return;
+        }
+        url.hash = '';
+
+        const headers = (request.headers || []).map(header => [header.name, header.value]);
+        const cookies = (request.cookies || []).map(cookie => [cookie.name, cookie.value]);
+        const body = getBody(request.postData);
+
+        endpoints.add({
+            url: url.toString(),
+            method,
+            postData: body ? body.postData : null,
+            contentType: body ? body.contentType : null,
+            headers: requestHeaders(headers),
+            cookie: cookieHeader(headers, cookies)
+        });
+    });
+
+    return { version: String(log.version || '1.2'), ...endpoints.toResult(), skipped };
+}
+
+module.exports = {
+    parseHar
+};
@@ -0,0 +1,276 @@
+/**
+ * OpenAPI 3.x / Swagger 2.0 documents as discovery seeds
+ *
+ * Every operation becomes a request: path parameters are replaced by example
+ * values, query parameters are added to the URL and the request body (JSON,
+ * urlencoded or multipart form) is built from its example or its schema.
+ * Examples come from example/examples/default/enum, otherwise from the type
+ * and format of the schema. Only local $refs ("#/...") are resolved.
+ *
+ * Requests always go to the origin of the scan URL: the server of the
+ * document only contributes its path, so a document cannot point the scan
+ * at another host.
+ */
+
+const EndpointSet = require('./endpointSet');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+// Nesting limit of examples built from schemas
+const MAX_SCHEMA_DEPTH = 6;
+// Values an example built from a schema may have (wide schemas grow exponentially with the depth)
+const MAX_SCHEMA_NODES = 500;
+// Longer bodies are not sent: the request is kept without its body
+const MAX_BODY_LENGTH = 32 * 1024;
+
+const FORMAT_EXAMPLES = {
+    email: 'test@example.com',
+    date: '2024-01-01',
+    'date-time': '2024-01-01T00:00:00Z',
+    uuid: '00000000-0000-4000-8000-000000000000',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    hostname: 'example.com',
+    ipv4: '192.0.2.1',
+    ipv6: '2001:db8::1',
+    byte: 'dGVzdA==',
+    password: 'Passw0rd!'
+};
+
+/**
+ * Version of an OpenAPI/Swagger document
+ * @returns {string|null} '2.0', '3.x.y' or null when it is not one
+ */
+function getVersion(document) {
+    if (!document || typeof document !== 'object' || !document.paths || typeof document.paths !== 'object') return null;
+    if (String(document.swagger || '') === '2.0') return '2.0';
+    if (/^3\./.test(String(document.openapi || ''))) return String(document.openapi);
+    return null;
+}
+
+/**
+ * Target of a local $ref ("#/components/schemas/User"), null when it cannot be resolved
+ */
+function resolveRef(document, node, seen = new Set()) {
+    let current = node;
+    while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+        const ref = current.$ref;
+        if (!ref.startsWith('#/') || seen.has(ref)) return null;
+        seen.add(ref);
+        current = ref.slice(2).split('/')
+            .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), document) || null;
+    }
+    return current;
+}
+
+/**
+ * Example value of a schema
+ * @param {Array<string>} refs - $refs being expanded (a recursive schema ends in null)
+ * @param {Object} budget - { nodes } values left for the example (the rest end in null)
+ */
+function exampleFromSchema(document, schemaNode, depth = 0, refs = [], budget = { nodes: MAX_SCHEMA_NODES }) {
+    if (budget.nodes <= 0) return null;
+    budget.nodes--;
+
+    const ref = schemaNode && typeof schemaNode.$ref === 'string' ? schemaNode.$ref : null;
+    if (ref && refs.includes(ref)) return null;
+    if (ref) refs = [...refs, ref];
+
+    const schema = resolveRef(document, schemaNode);
+    if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) return null;
+
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+        return schema.allOf.reduce((merged, part) => {
+            const value = exampleFromSchema(document, part, depth + 1, refs, budget);
+            return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+        }, {});
+    }
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+        return exampleFromSchema(document, alternatives[0], depth + 1, refs, budget);
+    }
+
+    let type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+    if (!type) type = schema.properties ? 'object' : (schema.items ? 'array' : 'string');
+
+    switch (type) {
+        case 'object': {
+            const value = {};
+            Object.entries(schema.properties || {}).forEach(([name, property]) => {
+                value[name] = exampleFromSchema(document, property, depth + 1, refs, budget);
+            });
+            return value;
+        }
+        case 'array': {
+            const item = exampleFromSchema(document, schema.items, depth + 1, refs, budget);
+            return item === null ? [] : [item];
+        }
+        case 'integer':
+            return Number.isFinite(schema.minimum) ? Math.ceil(schema.minimum) : 1;
+        case 'number':
+            return Number.isFinite(schema.minimum) ? schema.minimum : 1;
+        case 'boolean':
+            return true;
+        default:
+            return FORMAT_EXAMPLES[schema.format] || 'test';
+    }
+}
+
+/**
+ * Example value of a parameter (OpenAPI 3 keeps the type in schema, Swagger 2 in the parameter)
+ */
+function exampleFromParameter(document, parameter) {
+    if (parameter.example !== undefined) return parameter.example;
+    if (parameter.examples && typeof parameter.examples === 'object') {
+        const first = resolveRef(document, Object.values(parameter.examples)[0]);
+        if (first && first.value !== undefined) return first.value;
+    }
+    return exampleFromSchema(document, parameter.schema || parameter);
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toText).join(',');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * urlencoded body of an object example
+ */
+function toFormBody(value) {
+    const body = new URLSearchParams();
+    Object.entries(value && typeof value === 'object' ? value : {}).forEach(([name, field]) => body.append(name, toText(field)));
+    return body.toString();
+}
+
+/**
+ * Path of the server of the document ('' when it has none)
+ */
+function getServerPath(document, pathItem, operation, version) {
+    if (version === '2.0') return String(document.basePath || '').replace(/\/+$/, '');
+
+    const servers = [operation.servers, pathItem.servers, document.servers].find(list => Array.isArray(list) && list.length > 0);
+    if (!servers) return '';
+    const server = servers[0];
+    const url = String(server.url || '').replace(/\{([^}]+)\}/g, (match, name) => toText(server.variables?.[name]?.default));
+    try {
+        return new URL(url, 'http://server.invalid').pathname.replace(/\/+$/, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Parameters of an operation (those of the operation override those of the path)
+ */
+function getParameters(document, pathItem, operation) {
+    const parameters = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(node => {
+        const parameter = resolveRef(document, node);
+        if (parameter && parameter.name && parameter.in) parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+    return Array.from(parameters.values());
+}
+
+/**
+ * Body of an operation, null when it has none or it is longer than MAX_BODY_LENGTH
+ * @returns {Object|null} { postData, contentType }
+ */
+function getBody(document, operation, parameters, version) {
+    const body = buildBody(document, operation, parameters, version);
+    return body && body.postData.length <= MAX_BODY_LENGTH ? body : null;
+}
+
+function buildBody(document, operation, parameters, version) {
+    if (version === '2.0') {
+        const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+        if (bodyParameter) {
+            return { postData: JSON.stringify(exampleFromSchema(document, bodyParameter.schema)), contentType: 'application/json' };
+        }
+        const formParameters = parameters.filter(parameter => parameter.in === 'formData');
+        if (formParameters.length === 0) return null;
+        const fields = {};
+        formParameters.forEach(parameter => { fields[parameter.name] = exampleFromParameter(document, parameter); });
+        return { postData: toFormBody(fields), contentType: 'application/x-www-form-urlencoded' };
+    }
+
+    const requestBody = resolveRef(document, operation.requestBody);
+    const content = requestBody && requestBody.content;
+    if (!content || typeof content !== 'object') return null;
+
+    const types = Object.keys(content);
+    const jsonType = types.find(type => /[/+]json\b/i.test(type));
+    const formType = types.find(type => /x-www-form-urlencoded|multipart\/form-data/i.test(type));
+    const type = jsonType || formType;
+    if (!type) return null;
+
+    const media = content[type] || {};
+    let value = media.example;
+    if (value === undefined && media.examples && typeof media.examples === 'object') {
+        value = resolveRef(document, Object.values(media.examples)[0])?.value;
+    }
+    if (value === undefined) value = exampleFromSchema(document, media.schema);
+
+    return jsonType
+        ? { postData: JSON.stringify(value), contentType: 'application/json' }
+        : { postData: toFormBody(value), contentType: 'application/x-www-form-urlencoded' };
+}
+
+/**
+ * Requests of an OpenAPI/Swagger document
+ * @param {Object} document - Parsed document
+ * @param {string} baseUrl - URL of the scan (its origin is used for every request)
+ * @param {Object} options - { maxEndpoints }
+ * @returns {Object} { version, endpoints, parameters, truncated }
+ * @throws {Error} If the document is not OpenAPI 3 or Swagger 2
+ */
+function parseOpenApi(document, baseUrl, { maxEndpoints = Infinity } = {}) {
+    const version = getVersion(document);
+    if (!version) {
+        throw new Error('El documento no es una especificación OpenAPI 3 o Swagger 2 (faltan "openapi"/"swagger" o "paths")');
+    }
+
+    const origin = new URL(baseUrl).origin;
+    const endpoints = new EndpointSet(maxEndpoints);
+
+    Object.entries(document.paths).forEach(([path, pathNode]) => {
+        const pathItem = resolveRef(document, pathNode);
+        if (!pathItem || typeof pathItem !== 'object') return;
+
+        METHODS.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation || typeof operation !== 'object') return;
+
+            const parameters = getParameters(document, pathItem, operation);
+            const resolvedPath = path.replace(/\{([^}]+)\}/g, (match, name) => {
+                const parameter = parameters.find(p => p.in === 'path' && p.name === name);
+                return encodeURIComponent(toText(parameter ? exampleFromParameter(document, parameter) : 1) || '1');
+            });
+
+            const url = new URL(`${getServerPath(document, pathItem, operation, version)}/${resolvedPath.replace(/^\/+/, '')}`, origin);
+            parameters.filter(parameter => parameter.in === 'query').forEach(parameter => {
+                url.searchParams.set(parameter.name, toText(exampleFromParameter(document, parameter)));
+            });
+
+            const body = getBody(document, operation, parameters, version);
+            endpoints.add({
+                url: url.toString(),
+                method: method.toUpperCase(),
+                postData: body ? body.postData : null,
+                contentType: body ? body.contentType : null
+            });
+        });
+    });
+
+    return { version, ...endpoints.toResult() };
+}
+
+module.exports = {
+    getVersion,
+    parseOpenApi
+};
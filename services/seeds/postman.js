@@ -0,0 +1,251 @@
+/**
+ * Postman v2.1 collections as discovery seeds
+ *
+ * Every request of the collection (folders included) becomes a request with
+ * its method, URL, headers, cookies and body (raw, urlencoded, form-data text
+ * fields and GraphQL). {{variables}} are resolved from the environment
+ * uploaded with the collection and from the collection variables, in that
+ * order; a few dynamic variables ({{$guid}}, {{$timestamp}}, ...) get a
+ * value too. Bearer, basic and API key auth (inherited from folders and the
+ * collection) are added as headers or query parameters.
+ */
+
+const crypto = require('crypto');
+const EndpointSet = require('./endpointSet');
+const { requestHeaders, cookieHeader } = require('./requestHeaders');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+// Variables may reference other variables
+const MAX_VARIABLE_PASSES = 5;
+// Characters the variables may add to a whole collection
+const MAX_EXPANDED_LENGTH = 2 * 1024 * 1024;
+
+const DYNAMIC_VARIABLES = {
+    $guid: () => crypto.randomUUID(),
+    $randomUUID: () => crypto.randomUUID(),
+    $timestamp: () => String(Math.floor(Date.now() / 1000)),
+    $isoTimestamp: () => new Date().toISOString(),
+    $randomInt: () => String(Math.floor(Math.random() * 1000))
+};
+
+function isEnabled(entry) {
+    return entry && !entry.disabled && entry.enabled !== false;
+}
+
+/**
+ * Variable values: environment over collection
+ * @returns {Map<string, string>}
+ */
+function buildVariables(collection, environment) {
+    const variables = new Map();
+    [collection.variable, environment && environment.values].forEach(list => {
+        (Array.isArray(list) ? list : []).filter(isEnabled).forEach(variable => {
+            if (variable.key) variables.set(String(variable.key), String(variable.value ?? ''));
+        });
+    });
+    return variables;
+}
+
+/**
+ * Resolver of the {{variables}} of a collection: text with its variables
+ * replaced (unknown ones are kept as they are). What the substitutions add
+ * is counted for the whole collection, so variables that reference each
+ * other cannot expand the document without limit.
+ * @returns {Function} (text) => string
+ * @throws {Error} (from the resolver) When the collection expands over MAX_EXPANDED_LENGTH
+ */
+function createResolver(variables) {
+    let remaining = MAX_EXPANDED_LENGTH;
+
+    return text => {
+        let value = String(text ?? '');
+        for (let pass = 0; pass < MAX_VARIABLE_PASSES && value.includes('{{'); pass++) {
+            const next = value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) => {
+                let replacement = match;
+                if (variables.has(name)) replacement = variables.get(name);
+                else if (DYNAMIC_VARIABLES[name]) replacement = DYNAMIC_VARIABLES[name]();
+
+                remaining -= Math.max(0, replacement.length - match.length);
+                if (remaining < 0) {
+                    throw new Error(`Las variables de la colección se expanden a más de ${MAX_EXPANDED_LENGTH} caracteres`);
+                }
+                return replacement;
+            });
+            if (next === value) break;
+            value = next;
+        }
+        return value;
+    };
+}
+
+/**
+ * Value of a key of a v2.1 auth ({ type, bearer: [{ key, value }] })
+ */
+function authValue(auth, key) {
+    const entries = Array.isArray(auth[auth.type]) ? auth[auth.type] : [];
+    const entry = entries.find(item => item.key === key);
+    return entry ? entry.value : undefined;
+}
+
+/**
+ * URL of a request, with path variables (:id) and enabled query parameters
+ * @returns {URL|null} null when it does not resolve to an http(s) URL
+ */
+function buildUrl(urlNode, resolve) {
+    const node = typeof urlNode === 'string' ? { raw: urlNode } : (urlNode || {});
+    let raw = node.raw;
+    if (!raw) {
+        const host = Array.isArray(node.host) ? node.host.join('.') : (node.host || '');
+        const path = Array.isArray(node.path) ? node.path.join('/') : (node.path || '');
+        raw = `${node.protocol || 'http'}://${host}${node.port ? `:${node.port}` : ''}/${path}`;
+    }
+
+    let resolved = resolve(raw).trim();
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(resolved)) resolved = `http://${resolved}`;
+
+    let url;
+    try {
+        url = new URL(resolved);
+    } catch (error) {
+        return null;
+    }
+    // A host left as {{variable}} has no value in the collection nor in the environment
+    if (!/^https?:$/.test(url.protocol) || /[{}]|%7b|%7d/i.test(url.hostname)) return null;
+
+    (Array.isArray(node.variable) ? node.variable : []).forEach(variable => {
+        const value = encodeURIComponent(resolve(variable.value));
+        url.pathname = url.pathname.split('/').map(segment => (segment === `:${variable.key}` ? value : segment)).join('/');
+    });
+    if (Array.isArray(node.query)) {
+        url.search = '';
+        node.query.filter(isEnabled).forEach(param => {
+            if (param.key) url.searchParams.append(resolve(param.key), resolve(param.value));
+        });
+    }
+    url.hash = '';
+    return url;
+}
+
+/**
+ * Body of a request
+ * @returns {Object|null} { postData, contentType }
+ */
+function getBody(body, resolve, headerContentType) {
+    if (!body || typeof body !== 'object' || body.disabled) return null;
+
+    const toForm = fields => {
+        const form = new URLSearchParams();
+        (Array.isArray(fields) ? fields : [])
+            .filter(field => isEnabled(field) && field.type !== 'file' && field.key)
+            .forEach(field => form.append(resolve(field.key), resolve(field.value)));
+        const text = form.toString();
+        return text ? { postData: text, contentType: 'application/x-www-form-urlencoded' } : null;
+    };
+
+    switch (body.mode) {
+        case 'raw': {
+            const text = resolve(body.raw);
+            if (!text) return null;
+            const language = body.options && body.options.raw && body.options.raw.language;
+            return { postData: text, contentType: headerContentType || (language === 'json' ? 'application/json' : 'text/plain') };
+        }
+        case 'urlencoded':
+            return toForm(body.urlencoded);
+        case 'formdata':
+            return toForm(body.formdata);
+        case 'graphql': {
+            if (!body.graphql || !body.graphql.query) return null;
+            let graphqlVariables = {};
+            try {
+                graphqlVariables = JSON.parse(resolve(body.graphql.variables || '{}'));
+            } catch (error) {
+                graphqlVariables = {};
+            }
+            return {
+                postData: JSON.stringify({ query: resolve(body.graphql.query), variables: graphqlVariables }),
+                contentType: 'application/json'
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Requests of a collection, depth first, with the auth each one inherits
+ */
+function collectRequests(items, inheritedAuth, requests) {
+    (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        const auth = item.auth || inheritedAuth;
+        if (Array.isArray(item.item)) {
+            collectRequests(item.item, auth, requests);
+        } else if (item.request) {
+            const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+            requests.push({ request, auth: request.auth || auth });
+        }
+    });
+    return requests;
+}
+
+/**
+ * Requests of a Postman v2.1 collection
+ * @param {Object} document - Parsed collection ({ info, item })
+ * @param {string} baseUrl - URL of the scan (not used: a collection has absolute URLs)
+ * @param {Object} options - { maxEndpoints, environment } environment: parsed Postman environment ({ values })
+ * @returns {Object} { version, endpoints, parameters, truncated, skipped }
+ * @throws {Error} If the document is not a Postman v2.1 collection
+ */
+function parsePostman(document, baseUrl, { maxEndpoints = Infinity, environment = null } = {}) {
+    const schema = String((document && document.info && document.info.schema) || '');
+    if (!/\/v2\.1\.\d+\//.test(schema) || !Array.isArray(document.item)) {
+        throw new Error('El documento no es una colección de Postman v2.1 (revisa "info.schema" y "item")');
+    }
+
+    const resolve = createResolver(buildVariables(document, environment));
+    const endpoints = new EndpointSet(maxEndpoints);
+    let skipped = 0;
+
+    collectRequests(document.item, document.auth, []).forEach(({ request, auth }) => {
+        const method = String(request.method || 'GET').toUpperCase();
+        const url = METHODS.includes(method) ? buildUrl(request.url, resolve) : null;
+        if (!url) {
+            skipped++;
+            return;
+        }
+
+        const headers = (Array.isArray(request.header) ? request.header : [])
+            .filter(isEnabled)
+            .map(header => [resolve(header.key), resolve(header.value)]);
+
+        if (auth && auth.type === 'bearer' && authValue(auth, 'token')) {
+            headers.push(['Authorization', `Bearer ${resolve(authValue(auth, 'token'))}`]);
+        } else if (auth && auth.type === 'basic') {
+            const credentials = `${resolve(authValue(auth, 'username'))}:${resolve(authValue(auth, 'password'))}`;
+            headers.push(['Authorization', `Basic ${Buffer.from(credentials).toString('base64')}`]);
+        } else if (auth && auth.type === 'apikey' && authValue(auth, 'key')) {
+            const name = resolve(authValue(auth, 'key'));
+            const value = resolve(authValue(auth, 'value'));
+            if (authValue(auth, 'in') === 'query') url.searchParams.set(name, value);
+            else headers.push([name, value]);
+        }
+
+        const contentTypeHeader = headers.find(([name]) => name.toLowerCase() === 'content-type');
+        const body = getBody(request.body, resolve, contentTypeHeader ? contentTypeHeader[1].split(';')[0].trim() : null);
+
+        endpoints.add({
+            url: url.toString(),
+            method,
+            postData: body ? body.postData : null,
+            contentType: body ? body.contentType : null,
+            headers: requestHeaders(headers),
+            cookie: cookieHeader(headers)
+        });
+    });
+
+    return { version: schema.match(/\/v(2\.1\.\d+)\//)[1], ...endpoints.toResult(), skipped };
+}
+
+module.exports = {
+    parsePostman
+};
@@ -0,0 +1,47 @@
+/**
+ * Headers and cookies of recorded requests (HAR, Postman)
+ */
+
+// Set by the tools for every request they send (or by the body they build), never replayed
+const DROPPED_HEADERS = ['host', 'content-length', 'content-type', 'cookie', 'connection', 'keep-alive', 'transfer-encoding',
+    'te', 'upgrade', 'proxy-connection', 'accept-encoding', 'if-none-match', 'if-modified-since'];
+
+/**
+ * Headers to replay as "Name: value" lines (pseudo-headers like ":authority" are dropped)
+ * @param {Array<Array<string>>} pairs - [name, value] pairs
+ * @returns {Array<string>}
+ */
+function requestHeaders(pairs) {
+    const headers = new Map();
+    pairs.forEach(([name, value]) => {
+        name = String(name || '').trim();
+        if (!name || name.startsWith(':') || DROPPED_HEADERS.includes(name.toLowerCase())) return;
+        headers.set(name.toLowerCase(), `${name}: ${String(value ?? '').replace(/[\r\n]+/g, ' ')}`);
+    });
+    return Array.from(headers.values());
+}
+
+/**
+ * Cookie header of a request, from its Cookie headers and its list of cookies
+ * @param {Array<Array<string>>} headerPairs - [name, value] header pairs
+ * @param {Array<Array<string>>} cookiePairs - [name, value] cookie pairs
+ * @returns {string|null} "a=1; b=2"
+ */
+function cookieHeader(headerPairs, cookiePairs = []) {
+    const cookies = new Map();
+    headerPairs
+        .filter(([name]) => String(name || '').trim().toLowerCase() === 'cookie')
+        .forEach(([, value]) => String(value || '').split(';').forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator > 0) cookies.set(part.slice(0, separator).trim(), part.slice(separator + 1).trim());
+        }));
+    cookiePairs.forEach(([name, value]) => {
+        if (name) cookies.set(String(name).trim(), String(value ?? ''));
+    });
+    return cookies.size > 0 ? Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ') : null;
+}
+
+module.exports = {
+    requestHeaders,
+    cookieHeader
+};
@@ -1,5 +1,12 @@
 const socketIO = require('socket.io');
 const ScanOrchestrator = require('./scanOrchestrator');
+const scanQueue = require('./scanQueue');
+const scanControl = require('./scanControlService');
+const findingService = require('./findingService');
+const triageService = require('./triageService');
+const reportService = require('./reportService');
+const { buildFingerprint } = require('./findings/fingerprint');
+const { buildEvidence } = require('./findings/evidence');
 const Scan = require('../models/escaneo');
 const Vulnerability = require('../models/vulnerabilidad');
 const VulnerabilityType = require('../models/tipo_vulnerabilidad');
@@ -9,10 +16,14 @@ const Answer = require('../models/respuesta');
 const jwt = require('jsonwebtoken');
 const config = require('config');
 
+// Upper bound of tested endpoint/parameter pairs stored with a scan
+const MAX_TESTED_PARAMETERS = 1000;
+// maxlength of the fields of a tested parameter (escaneo.parametros_probados): longer values are cut so the scan can be saved
+const TESTED_PARAMETER_LIMITS = { url: 2048, parametro: 100, ubicacion: 20 };
+
 class SocketService {
     constructor() {
         this.io = null;
-        this.activeScans = new Map(); // scanId -> orchestrator instance
     }
 
     initialize(server) {
@@ -29,6 +40,19 @@ class SocketService {
         
         console.log('[SOCKET SERVICE] Socket.io instance created');
 
+        // Queued scan jobs are executed by this service
+        scanQueue.setRunner((job) => this.runJob(job));
+
+        // Keep clients informed of their place in the queue while they wait
+        scanQueue.on('queue:position', (data) => {
+            this.io.to(`scan:${data.scanId}`).emit('scan:queue-position', data);
+        });
+
+        // Queued scans cancelled before running have no orchestrator to emit the event
+        scanControl.on('scan:stopped', (data) => {
+            this.io.to(`scan:${data.scanId}`).emit('scan:stopped', data);
+        });
+
         // Authentication middleware
         this.io.use((socket, next) => {
             console.log('[SOCKET SERVICE] Auth middleware - checking token...');
@@ -86,9 +110,14 @@ class SocketService {
                     console.log(`[SOCKET] Socket ${socket.id} joined scan room: ${scanId}`);
 
                     // Send current scan status if active
-                    const orchestrator = this.activeScans.get(scanId);
+                    const orchestrator = scanControl.getOrchestrator(scanId);
                     if (orchestrator) {
                         socket.emit('scan:status', orchestrator.getStatus());
+                    } else {
+                        const queuePosition = await scanQueue.getQueuePosition(scanId);
+                        if (queuePosition) {
+                            socket.emit('scan:queue-position', { scanId, ...queuePosition });
+                        }
                     }
                 } catch (error) {
                     console.error('Error joining scan room:', error);
@@ -99,75 +128,22 @@ class SocketService {
             // Start a new scan
             socket.on('scan:start', async (data) => {
                 console.log('[SOCKET] scan:start event received');
-                console.log('[SOCKET] Data received:', JSON.stringify(data, null, 2));
                 console.log('[SOCKET] Socket userId:', socket.userId);
                 const { scanId, config: scanConfig } = data;
                 console.log('[SOCKET] Extracted scanId:', scanId);
-                console.log('[SOCKET] Extracted config:', scanConfig);
 
                 try {
-                    // Verify scan exists and belongs to user
-                    console.log('[SOCKET] Looking up scan with id:', scanId);
-                    const scan = await Scan.findById(scanId);
-                    console.log('[SOCKET] Scan found:', scan ? 'YES' : 'NO');
-                    if (scan) {
-                        console.log('[SOCKET] Scan usuario_id:', scan.usuario_id.toString());
-                        console.log('[SOCKET] Socket userId:', socket.userId);
-                        console.log('[SOCKET] User match:', scan.usuario_id.toString() === socket.userId);
-                    }
-                    
-                    if (!scan || scan.usuario_id.toString() !== socket.userId) {
-                        console.log('[SOCKET] ERROR: Unauthorized or scan not found');
-                        return socket.emit('error', { message: 'Unauthorized or scan not found' });
-                    }
+                    // Make sure the requesting socket receives the scan events
+                    socket.join(`scan:${scanId}`);
 
-                    // Check if scan is already running
-                    console.log('[SOCKET] Checking if scan already running...');
-                    console.log('[SOCKET] Active scans:', Array.from(this.activeScans.keys()));
-                    if (this.activeScans.has(scanId)) {
-                        console.log('[SOCKET] ERROR: Scan already running');
-                        return socket.emit('error', { message: 'Scan already running' });
-                    }
-                    console.log('[SOCKET] Scan not currently running, proceeding...');
-
-                    // Create orchestrator instance
-                    console.log('[SOCKET] Creating ScanOrchestrator...');
-                    const orchestrator = new ScanOrchestrator(scanId, scanConfig);
-                    console.log('[SOCKET] ScanOrchestrator created successfully');
-                    this.activeScans.set(scanId, orchestrator);
-                    console.log('[SOCKET] Orchestrator added to activeScans');
-
-                    // Set up event listeners
-                    console.log('[SOCKET] Setting up orchestrator listeners...');
-                    this.setupOrchestratorListeners(orchestrator, scanId);
-                    console.log('[SOCKET] Listeners set up');
-
-                    // Send initial status with phases to all clients in room
-                    console.log('[SOCKET] Emitting initial scan:status...');
-                    this.io.to(`scan:${scanId}`).emit('scan:status', orchestrator.getStatus());
-
-                    // Update scan status in database
-                    console.log('[SOCKET] Updating scan status in database...');
-                    scan.estado = 'en_progreso';
-                    scan.fecha_inicio = new Date();
-                    await scan.save();
-                    console.log('[SOCKET] Scan status updated to en_progreso');
-
-                    // Start the scan
-                    console.log('[SOCKET] Starting orchestrator...');
-                    orchestrator.start().catch(error => {
-                        console.error('[SOCKET] Scan execution error:', error);
-                        this.io.to(`scan:${scanId}`).emit('scan:error', { 
-                            message: error.message 
-                        });
-                    });
-                    console.log('[SOCKET] Orchestrator.start() called');
+                    // Ownership, duplicate and config checks are done by the control service;
+                    // the queue hands the job to runJob() when it is dispatched
+                    const { job, queuePosition, restricted } = await scanControl.start(scanId, socket.userId, scanConfig);
+                    console.log('[SOCKET] Scan job enqueued:', job._id.toString());
 
-                    socket.emit('scan:started', { scanId });
-                    console.log('[SOCKET] scan:started event emitted');
+                    socket.emit('scan:queued', { scanId, jobId: job._id, queuePosition, restricted });
                 } catch (error) {
-                    console.error('[SOCKET] Error starting scan:', error);
-                    console.error('[SOCKET] Error stack:', error.stack);
+                    console.error('[SOCKET] Error starting scan:', error.message);
                     socket.emit('error', { message: 'Error starting scan', details: error.message });
                 }
             });
@@ -175,86 +151,39 @@ class SocketService {
             // Answer a question
             socket.on('question:answer', (data) => {
                 const { scanId, selectedAnswer } = data;
-                const orchestrator = this.activeScans.get(scanId);
+                const orchestrator = scanControl.getOrchestrator(scanId);
                 
                 if (orchestrator) {
                     orchestrator.answerQuestion({ selectedAnswer });
                 }
             });
 
-            // Pause scan
+            // Pause, resume and stop share the control service with the REST API;
+            // the resulting scan:paused / scan:resumed / scan:stopped events are
+            // broadcast by the orchestrator listeners
             socket.on('scan:pause', async (data) => {
-                const { scanId } = data;
-                const orchestrator = this.activeScans.get(scanId);
-                
-                if (!orchestrator) {
-                    return socket.emit('error', { message: 'Scan not found' });
-                }
-
-                // Verify scan belongs to user
                 try {
-                    const scan = await Scan.findById(scanId);
-                    if (!scan || scan.usuario_id.toString() !== socket.userId) {
-                        return socket.emit('error', { message: 'Unauthorized' });
-                    }
+                    await scanControl.pause(data.scanId, socket.userId);
                 } catch (error) {
-                    return socket.emit('error', { message: 'Error verifying scan' });
+                    socket.emit('error', { message: error.message });
                 }
-
-                orchestrator.pause();
-                this.io.to(`scan:${scanId}`).emit('scan:paused', { scanId });
             });
 
-            // Resume scan
             socket.on('scan:resume', async (data) => {
-                const { scanId } = data;
-                const orchestrator = this.activeScans.get(scanId);
-                
-                if (!orchestrator) {
-                    return socket.emit('error', { message: 'Scan not found' });
-                }
-
-                // Verify scan belongs to user
                 try {
-                    const scan = await Scan.findById(scanId);
-                    if (!scan || scan.usuario_id.toString() !== socket.userId) {
-                        return socket.emit('error', { message: 'Unauthorized' });
-                    }
+                    await scanControl.resume(data.scanId, socket.userId);
                 } catch (error) {
-                    return socket.emit('error', { message: 'Error verifying scan' });
+                    socket.emit('error', { message: error.message });
                 }
-
-                orchestrator.resume();
-                this.io.to(`scan:${scanId}`).emit('scan:resumed', { scanId });
             });
 
-            // Stop scan
             socket.on('scan:stop', async (data) => {
-                const { scanId } = data;
-                const orchestrator = this.activeScans.get(scanId);
-                
-                if (!orchestrator) {
-                    return socket.emit('error', { message: 'Scan not found' });
-                }
-
-                // Verify scan belongs to user
                 try {
-                    const scan = await Scan.findById(scanId);
-                    if (!scan || scan.usuario_id.toString() !== socket.userId) {
-                        return socket.emit('error', { message: 'Unauthorized' });
-                    }
-
-                    // Update scan status in database
-                    scan.estado = 'detenido';
-                    scan.fecha_fin = new Date();
-                    await scan.save();
+                    await scanControl.stop(data.scanId, socket.userId);
                 } catch (error) {
-                    console.error('Error stopping scan:', error);
+                    console.error('Error stopping scan:', error.message);
+                    socket.emit('error', { message: error.message });
                 }
-
-                orchestrator.stop();
-                this.activeScans.delete(scanId);
-                this.io.to(`scan:${scanId}`).emit('scan:stopped', { scanId });
             });
 
             // Leave scan room
@@ -273,6 +202,47 @@ class SocketService {
         console.log('[SOCKET SERVICE] Listening for connections on server...');
     }
 
+    /**
+     * Execute a scan job claimed from the persistent queue
+     * @param {ScanJob} job - Job in en_ejecucion state
+     */
+    async runJob(job) {
+        const scanId = job.escaneo_id.toString();
+        console.log(`[SOCKET SERVICE] Running job for scan ${scanId}`);
+
+        const scan = await Scan.findById(scanId);
+        if (!scan) {
+            throw new Error(`Scan ${scanId} not found`);
+        }
+
+        // Create orchestrator instance and restore progress if the job is being resumed
+        const orchestrator = new ScanOrchestrator(scanId, job.configuracion);
+        if (job.checkpoint) {
+            orchestrator.restoreCheckpoint(job.checkpoint);
+        }
+        scanControl.register(scanId, orchestrator);
+        this.setupOrchestratorListeners(orchestrator, scanId);
+
+        // Send initial status with phases to all clients in room
+        this.io.to(`scan:${scanId}`).emit('scan:status', orchestrator.getStatus());
+
+        // Update scan status in database (keep the original start date on resume)
+        scan.estado = 'en_progreso';
+        if (!job.checkpoint) {
+            scan.fecha_inicio = new Date();
+        }
+        await scan.save();
+
+        orchestrator.start().catch(error => {
+            console.error('[SOCKET SERVICE] Scan execution error:', error);
+            this.io.to(`scan:${scanId}`).emit('scan:error', { 
+                message: error.message 
+            });
+        });
+
+        this.io.to(`scan:${scanId}`).emit('scan:started', { scanId, resumed: Boolean(job.checkpoint) });
+    }
+
     setupOrchestratorListeners(orchestrator, scanId) {
         const room = `scan:${scanId}`;
 
@@ -283,6 +253,11 @@ class SocketService {
 
         orchestrator.on('phase:completed', (data) => {
             this.io.to(room).emit('phase:completed', data);
+
+            // Persist progress so the scan can be resumed after a restart
+            scanQueue.saveCheckpoint(scanId, data.phase, orchestrator.getCheckpoint()).catch(error => {
+                console.error(`Error saving checkpoint for scan ${scanId}:`, error);
+            });
         });
 
         // Subphase events
@@ -308,6 +283,10 @@ class SocketService {
             this.io.to(room).emit('parameter:discovered', parameter);
         });
 
+        orchestrator.on('endpoint:out-of-scope', (endpoint) => {
+            this.io.to(room).emit('endpoint:out-of-scope', endpoint);
+        });
+
         orchestrator.on('vulnerability:found', (vulnerability) => {
             this.io.to(room).emit('vulnerability:found', vulnerability);
         });
@@ -321,6 +300,14 @@ class SocketService {
             this.io.to(room).emit('question:result', result);
         });
 
+        orchestrator.on('question:skipped', (data) => {
+            this.io.to(room).emit('question:skipped', data);
+        });
+
+        orchestrator.on('question:deferred', (data) => {
+            this.io.to(room).emit('question:deferred', data);
+        });
+
         // Scan pause/resume/stop events
         orchestrator.on('scan:paused', (data) => {
             this.io.to(room).emit('scan:paused', data);
@@ -332,6 +319,9 @@ class SocketService {
 
         orchestrator.on('scan:stopped', (data) => {
             this.io.to(room).emit('scan:stopped', data);
+            scanQueue.markCancelled(scanId).catch(error => {
+                console.error(`Error cancelling job for scan ${scanId}:`, error);
+            });
         });
 
         // Scan completion
@@ -344,7 +334,10 @@ class SocketService {
                 }
 
                 // Save all vulnerabilities to database
-                const savedVulnerabilityIds = await this.saveVulnerabilities(scanId, data.vulnerabilities || []);
+                // False positives / accepted risks of previous scans of this target stay suppressed
+                const suppressions = await findingService.getSuppressions(scan.usuario_id, findingService.getTarget(scan.url));
+                const savedVulnerabilityIds = await this.saveVulnerabilities(scanId, data.vulnerabilities || [], suppressions);
+                const countedVulnerabilities = await triageService.countActiveVulnerabilities(scanId);
                 
                 // Save all question answers to database
                 const savedAnswers = await this.saveQuestionAnswers(scanId, data.questionResults || []);
@@ -368,10 +361,22 @@ class SocketService {
                 scan.fecha_fin = new Date();
                 scan.vulnerabilidades = savedVulnerabilityIds;
                 scan.respuestas_usuario = savedAnswers;
+                scan.preguntas_pendientes = (data.deferredQuestions || []).map(q => ({
+                    pregunta_id: q.questionId,
+                    fase: q.phase
+                }));
+                scan.parametros_probados = (data.testedParameters || [])
+                    .filter(p => p.endpoint && p.name)
+                    .slice(0, MAX_TESTED_PARAMETERS)
+                    .map(p => ({
+                        url: String(p.endpoint).slice(0, TESTED_PARAMETER_LIMITS.url),
+                        parametro: String(p.name).slice(0, TESTED_PARAMETER_LIMITS.parametro),
+                        ubicacion: p.type ? String(p.type).slice(0, TESTED_PARAMETER_LIMITS.ubicacion) : undefined
+                    }));
                 scan.puntuacion = {
                     puntos_cuestionario: quizPoints,
-                    total_puntos_cuestionario: totalQuizPoints || 100, // Default to 100 if no questions
-                    vulnerabilidades_encontradas: savedVulnerabilityIds.length
+                    total_puntos_cuestionario: totalQuizPoints, // 0 when questions were skipped or deferred
+                    vulnerabilidades_encontradas: countedVulnerabilities
                 };
                 
                 // Calculate final score using the model method
@@ -381,13 +386,31 @@ class SocketService {
 
                 console.log(`Scan ${scanId} completed and saved. Score: ${scan.puntuacion.puntuacion_final}, Grade: ${scan.puntuacion.calificacion}`);
 
+                // Update the target-level findings; a failure here must not fail the scan
+                try {
+                    await findingService.syncScan(scan);
+                } catch (error) {
+                    console.error(`Error updating findings for scan ${scanId}:`, error);
+                }
+
+                // Snapshot of the results as they are now; later triage changes do not alter it
+                try {
+                    await reportService.saveSnapshot(scan);
+                } catch (error) {
+                    console.error(`Error saving report for scan ${scanId}:`, error);
+                }
+
+                await scanQueue.markFinished(scanId);
+
                 this.io.to(room).emit('scan:completed', data);
                 
                 // Clean up
-                this.activeScans.delete(scanId);
+                scanControl.unregister(scanId);
             } catch (error) {
                 console.error('Error completing scan:', error);
                 this.io.to(room).emit('scan:error', { message: 'Error guardando el escaneo: ' + error.message });
+                scanControl.unregister(scanId);
+                await scanQueue.markFailed(scanId, 'Error guardando el escaneo: ' + error.message).catch(() => {});
             }
         });
 
@@ -401,7 +424,8 @@ class SocketService {
                 }
 
                 this.io.to(room).emit('scan:error', data);
-                this.activeScans.delete(scanId);
+                scanControl.unregister(scanId);
+                await scanQueue.markFailed(scanId, data.error);
             } catch (error) {
                 console.error('Error handling scan error:', error);
             }
@@ -409,21 +433,22 @@ class SocketService {
     }
 
     getScanStatus(scanId) {
-        const orchestrator = this.activeScans.get(scanId);
+        const orchestrator = scanControl.getOrchestrator(scanId);
         return orchestrator ? orchestrator.getStatus() : null;
     }
 
     isScanning(scanId) {
-        return this.activeScans.has(scanId);
+        return scanControl.isRunning(scanId);
     }
 
     /**
      * Save vulnerabilities to database
      * @param {String} scanId - Scan ID
      * @param {Array} vulnerabilities - Array of vulnerability objects from orchestrator
+     * @param {Map} suppressions - Suppressed findings of the target (huella -> finding)
      * @returns {Array} Array of saved vulnerability IDs
      */
-    async saveVulnerabilities(scanId, vulnerabilities) {
+    async saveVulnerabilities(scanId, vulnerabilities, suppressions = new Map()) {
         const savedIds = [];
 
         for (const vuln of vulnerabilities) {
@@ -475,9 +500,13 @@ class SocketService {
                     url_afectada: vuln.endpoint || null,
                     descripcion: vuln.description || `Vulnerabilidad ${typeName} detectada`,
                     sugerencia: this._getVulnerabilitySuggestion(typeName),
-                    referencia: null
+                    referencia: null,
+                    huella: buildFingerprint(typeName, vuln.endpoint, vuln.parameter),
+                    evidencia: buildEvidence(vuln.evidence)
                 });
 
+                triageService.inheritSuppression(vulnerability, suppressions);
+
                 await vulnerability.save();
                 savedIds.push(vulnerability._id);
             } catch (error) {
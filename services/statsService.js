@@ -0,0 +1,318 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const debug = require('debug')('easyinjection:services:stats');
+const Scan = require('../models/escaneo');
+const Vulnerability = require('../models/vulnerabilidad');
+const VulnerabilityType = require('../models/tipo_vulnerabilidad');
+const SeverityLevel = require('../models/nivel_severidad');
+const Finding = require('../models/hallazgo');
+const { normalizeEndpoint } = require('./findings/fingerprint');
+
+// Bucket -> $dateToString format (ISO week for weekly buckets)
+const INTERVALS = {
+    semana: '%G-W%V',
+    mes: '%Y-%m'
+};
+
+const DEFAULT_TARGETS_LIMIT = 10;
+const MAX_TARGETS_LIMIT = 50;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 2) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * StatsService - Aggregated statistics of all the scans and findings of a user
+ *
+ * Everything is computed by MongoDB aggregation pipelines that start from
+ * indexed fields (usuario_id, escaneo_id), so only counters travel to Node.
+ */
+class StatsService {
+    getIntervals() {
+        return Object.keys(INTERVALS);
+    }
+
+    /**
+     * Validate the query filters
+     * @param {Object} query - { desde, hasta, intervalo, limite, objetivo_id }
+     */
+    validateFilters(query) {
+        return Joi.object({
+            desde: Joi.date().iso(),
+            hasta: Joi.date().iso().when('desde', { is: Joi.exist(), then: Joi.date().min(Joi.ref('desde')) }),
+            intervalo: Joi.string().valid(...this.getIntervals()).default('mes'),
+            limite: Joi.number().integer().min(1).max(MAX_TARGETS_LIMIT).default(DEFAULT_TARGETS_LIMIT),
+            objetivo_id: Joi.string().hex().length(24)
+        }).validate(query || {});
+    }
+
+    /**
+     * Dashboard statistics of a user
+     * @param {ObjectId|string} usuarioId - User
+     * @param {Object} filters - Validated filters ({ desde, hasta, intervalo, limite, objetivo_id })
+     * @returns {Promise<Object>}
+     */
+    async getUserStats(usuarioId, params = {}) {
+        const userId = new mongoose.Types.ObjectId(String(usuarioId));
+        const intervalo = params.intervalo || 'mes';
+        debug('getUserStats: user=%s filters=%O', usuarioId, params);
+
+        // Findings are keyed by the normalized scan URL, so a target filter becomes the URLs of its scans
+        const filters = { ...params };
+        if (params.objetivo_id) {
+            filters.objetivo_id = new mongoose.Types.ObjectId(String(params.objetivo_id));
+            const urls = await Scan.Model.distinct('url', { usuario_id: userId, objetivo_id: filters.objetivo_id });
+            filters.objetivos = [...new Set(urls.map(normalizeEndpoint))];
+        }
+
+        const [types, severities] = await Promise.all([
+            VulnerabilityType.Model.find({}).select('nombre').lean(),
+            SeverityLevel.Model.find({}).select('nombre').lean()
+        ]);
+        const typeNames = new Map(types.map(type => [String(type._id), type.nombre]));
+        const severityNames = new Map(severities.map(severity => [String(severity._id), severity.nombre]));
+
+        const [escaneos, puntuacion, vulnerabilidadesPorPeriodo, tiempoMedioCorreccion, objetivos] = await Promise.all([
+            this.countScansByState(userId, filters),
+            this.getAverageScore(userId, filters),
+            this.getVulnerabilityTimeline(userId, filters, intervalo, typeNames, severityNames),
+            this.getMeanTimeToFix(userId, filters, severityNames),
+            this.getMostVulnerableTargets(userId, filters, severities, severityNames)
+        ]);
+
+        return {
+            filtros: {
+                desde: filters.desde || null,
+                hasta: filters.hasta || null,
+                intervalo,
+                objetivo_id: filters.objetivo_id || null
+            },
+            escaneos,
+            puntuacion,
+            vulnerabilidades_por_periodo: vulnerabilidadesPorPeriodo,
+            tiempo_medio_correccion: tiempoMedioCorreccion,
+            objetivos_mas_vulnerables: objetivos
+        };
+    }
+
+    /**
+     * Date range condition on a field, or null when there is no range
+     */
+    _dateRange(filters) {
+        const range = {};
+        if (filters.desde) range.$gte = new Date(filters.desde);
+        if (filters.hasta) range.$lte = new Date(filters.hasta);
+        return Object.keys(range).length > 0 ? range : null;
+    }
+
+    _scanMatch(userId, filters) {
+        const match = { usuario_id: userId };
+        const range = this._dateRange(filters);
+        if (range) match.fecha_inicio = range;
+        if (filters.objetivo_id) match.objetivo_id = filters.objetivo_id;
+        return match;
+    }
+
+    _findingMatch(userId, filters) {
+        const match = { usuario_id: userId };
+        if (filters.objetivos) match.objetivo = { $in: filters.objetivos };
+        return match;
+    }
+
+    /**
+     * Scans by estado
+     * @returns {Promise<Object>} { total, por_estado: { estado: count } }
+     */
+    async countScansByState(userId, filters) {
+        const rows = await Scan.Model.aggregate([
+            { $match: this._scanMatch(userId, filters) },
+            { $group: { _id: '$estado', count: { $sum: 1 } } }
+        ]);
+
+        const porEstado = {};
+        rows.forEach(row => { porEstado[row._id || 'desconocido'] = row.count; });
+        return {
+            total: rows.reduce((sum, row) => sum + row.count, 0),
+            por_estado: porEstado
+        };
+    }
+
+    /**
+     * Average final score of the finished scans
+     * @returns {Promise<Object>} { promedio, minima, maxima, escaneos_puntuados }
+     */
+    async getAverageScore(userId, filters) {
+        const [row] = await Scan.Model.aggregate([
+            { $match: { ...this._scanMatch(userId, filters), estado: 'finalizado' } },
+            {
+                $group: {
+                    _id: null,
+                    promedio: { $avg: '$puntuacion.puntuacion_final' },
+                    minima: { $min: '$puntuacion.puntuacion_final' },
+                    maxima: { $max: '$puntuacion.puntuacion_final' },
+                    escaneos_puntuados: { $sum: 1 }
+                }
+            }
+        ]);
+
+        return {
+            promedio: row ? round(row.promedio) : null,
+            minima: row ? row.minima : null,
+            maxima: row ? row.maxima : null,
+            escaneos_puntuados: row ? row.escaneos_puntuados : 0
+        };
+    }
+
+    /**
+     * Vulnerabilities (without the suppressed ones) by type and severity, bucketed
+     * by the start date of their scan
+     * @returns {Promise<Array>} [{ periodo, total, por_tipo, por_severidad }]
+     */
+    async getVulnerabilityTimeline(userId, filters, intervalo, typeNames, severityNames) {
+        const rows = await Scan.Model.aggregate([
+            { $match: this._scanMatch(userId, filters) },
+            { $project: { fecha_inicio: 1 } },
+            {
+                $lookup: {
+                    from: Vulnerability.Model.collection.name,
+                    localField: '_id',
+                    foreignField: 'escaneo_id',
+                    pipeline: [
+                        { $match: { estado_triage: { $nin: Vulnerability.SUPPRESSED_TRIAGE_STATES } } },
+                        { $project: { tipo_id: 1, nivel_severidad_id: 1 } }
+                    ],
+                    as: 'vulnerabilidades'
+                }
+            },
+            { $unwind: '$vulnerabilidades' },
+            {
+                $group: {
+                    _id: {
+                        periodo: { $dateToString: { format: INTERVALS[intervalo], date: '$fecha_inicio' } },
+                        tipo: '$vulnerabilidades.tipo_id',
+                        severidad: '$vulnerabilidades.nivel_severidad_id'
+                    },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.periodo': 1 } }
+        ]);
+
+        const periods = new Map();
+        rows.forEach(row => {
+            const { periodo, tipo, severidad } = row._id;
+            if (!periods.has(periodo)) periods.set(periodo, { periodo, total: 0, por_tipo: {}, por_severidad: {} });
+            const bucket = periods.get(periodo);
+            const typeName = typeNames.get(String(tipo)) || 'Desconocido';
+            const severityName = severityNames.get(String(severidad)) || 'Desconocida';
+            bucket.total += row.count;
+            bucket.por_tipo[typeName] = (bucket.por_tipo[typeName] || 0) + row.count;
+            bucket.por_severidad[severityName] = (bucket.por_severidad[severityName] || 0) + row.count;
+        });
+        return [...periods.values()];
+    }
+
+    /**
+     * Mean time between the first detection of a finding and its fix
+     * (range applied to the fix date)
+     * @returns {Promise<Object>} { hallazgos_corregidos, dias, por_severidad: { severidad: { hallazgos_corregidos, dias } } }
+     */
+    async getMeanTimeToFix(userId, filters, severityNames) {
+        const match = { ...this._findingMatch(userId, filters), estado: 'corregido', fecha_correccion: { $ne: null } };
+        const range = this._dateRange(filters);
+        if (range) match.fecha_correccion = { ...match.fecha_correccion, ...range };
+
+        const rows = await Finding.Model.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$nivel_severidad_id',
+                    count: { $sum: 1 },
+                    totalMs: { $sum: { $subtract: ['$fecha_correccion', '$primera_deteccion'] } }
+                }
+            }
+        ]);
+
+        const porSeveridad = {};
+        let count = 0;
+        let totalMs = 0;
+        rows.forEach(row => {
+            porSeveridad[severityNames.get(String(row._id)) || 'Desconocida'] = {
+                hallazgos_corregidos: row.count,
+                dias: round(row.totalMs / row.count / MS_PER_DAY)
+            };
+            count += row.count;
+            totalMs += row.totalMs;
+        });
+
+        return {
+            hallazgos_corregidos: count,
+            dias: count > 0 ? round(totalMs / count / MS_PER_DAY) : null,
+            por_severidad: porSeveridad
+        };
+    }
+
+    /**
+     * Targets with the most open, non-suppressed findings, ranked by a risk
+     * weight per severity (SeverityLevel.getWeight) and then by count
+     * (range applied to the last detection)
+     * @returns {Promise<Array>} [{ objetivo, riesgo, hallazgos_abiertos, por_severidad }]
+     */
+    async getMostVulnerableTargets(userId, filters, severities, severityNames) {
+        const match = {
+            ...this._findingMatch(userId, filters),
+            estado: { $in: Finding.OPEN_STATES },
+            estado_triage: { $nin: Vulnerability.SUPPRESSED_TRIAGE_STATES }
+        };
+        const range = this._dateRange(filters);
+        if (range) match.ultima_deteccion = range;
+
+        // $switch needs at least one branch: without severity levels every finding weighs 0
+        const weight = severities.length === 0 ? 0 : {
+            $switch: {
+                branches: severities.map(severity => ({
+                    case: { $eq: ['$_id.severidad', severity._id] },
+                    then: new SeverityLevel(severity).getWeight()
+                })),
+                default: 0
+            }
+        };
+
+        const rows = await Finding.Model.aggregate([
+            { $match: match },
+            { $group: { _id: { objetivo: '$objetivo', severidad: '$nivel_severidad_id' }, count: { $sum: 1 } } },
+            {
+                $group: {
+                    _id: '$_id.objetivo',
+                    hallazgos_abiertos: { $sum: '$count' },
+                    riesgo: { $sum: { $multiply: ['$count', weight] } },
+                    severidades: { $push: { severidad: '$_id.severidad', count: '$count' } }
+                }
+            },
+            { $sort: { riesgo: -1, hallazgos_abiertos: -1, _id: 1 } },
+            { $limit: filters.limite || DEFAULT_TARGETS_LIMIT }
+        ]);
+
+        return rows.map(row => {
+            const porSeveridad = {};
+            row.severidades.forEach(item => {
+                const name = severityNames.get(String(item.severidad)) || 'Desconocida';
+                porSeveridad[name] = (porSeveridad[name] || 0) + item.count;
+            });
+            return {
+                objetivo: row._id,
+                riesgo: row.riesgo,
+                hallazgos_abiertos: row.hallazgos_abiertos,
+                por_severidad: porSeveridad
+            };
+        });
+    }
+}
+
+// Singleton instance
+const statsService = new StatsService();
+
+module.exports = statsService;
@@ -0,0 +1,202 @@
+const config = require('config');
+const dns = require('dns').promises;
+const net = require('net');
+const debug = require('debug')('easyinjection:services:targetPolicy');
+
+/**
+ * Error raised when a target is not allowed, carries the HTTP status to return
+ */
+class TargetPolicyError extends Error {
+    constructor(message, statusCode = 403) {
+        super(message);
+        this.name = 'TargetPolicyError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Ranges blocked by default (targetPolicy.blockPrivateNetworks): [cidr, description]
+const DEFAULT_BLOCKED_NETWORKS = [
+    ['0.0.0.0/8', 'red "esta red"'],
+    ['10.0.0.0/8', 'red privada'],
+    ['100.64.0.0/10', 'red compartida (CGNAT / metadatos)'],
+    ['127.0.0.0/8', 'loopback'],
+    ['169.254.0.0/16', 'link-local (metadatos de la nube)'],
+    ['172.16.0.0/12', 'red privada'],
+    ['192.0.0.0/24', 'rango reservado IETF'],
+    ['192.168.0.0/16', 'red privada'],
+    ['198.18.0.0/15', 'red de pruebas de rendimiento'],
+    ['224.0.0.0/4', 'multicast'],
+    ['240.0.0.0/4', 'rango reservado'],
+    ['::/128', 'dirección no especificada'],
+    ['::1/128', 'loopback'],
+    ['::/96', 'IPv4 compatible con IPv6 (obsoleto)'],
+    ['64:ff9b::/96', 'traducción NAT64 de IPv4'],
+    ['fc00::/7', 'red privada IPv6 (metadatos de la nube)'],
+    ['fe80::/10', 'link-local'],
+    ['ff00::/8', 'multicast']
+];
+
+// Host names of internal services that never need DNS to be recognized
+const BLOCKED_HOSTNAMES = ['localhost', '*.localhost', 'metadata', 'metadata.google.internal'];
+
+/**
+ * Config list: array, or comma separated string when it comes from an environment variable
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseCidr(cidr) {
+    const [address, prefix] = String(cidr).trim().split('/');
+    const family = net.isIP(address);
+    if (!family) throw new Error(`Red inválida en la política de destinos: ${cidr}`);
+    const bits = prefix === undefined ? (family === 4 ? 32 : 128) : Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > (family === 4 ? 32 : 128)) {
+        throw new Error(`Red inválida en la política de destinos: ${cidr}`);
+    }
+    const list = new net.BlockList();
+    list.addSubnet(address, bits, family === 4 ? 'ipv4' : 'ipv6');
+    return { cidr: String(cidr).trim(), family, list };
+}
+
+/**
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ */
+function normalizeAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+}
+
+function matchesHost(hostname, patterns) {
+    return patterns.some(pattern => (pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.slice(1))
+        : hostname === pattern));
+}
+
+/**
+ * TargetPolicyService - Decides which hosts the scanners may be aimed at
+ *
+ * The host of the target URL is resolved and every address it resolves to is
+ * checked against the blocked ranges (loopback, private, link-local, cloud
+ * metadata...). Administrators can allow specific hosts or networks in the
+ * server configuration (targetPolicy.*).
+ *
+ * The check runs when a scan or target is created and again right before
+ * each sqlmap/dalfox process is spawned, so DNS changes after creation and
+ * discovered URLs on other hosts are caught too.
+ */
+class TargetPolicyService {
+    /**
+     * Current policy from config (targetPolicy.*)
+     * @returns {Object} { enabled, blockPrivateNetworks, allowedHosts, allowedNetworks, blockedNetworks, resolveTimeoutMs }
+     */
+    getPolicy() {
+        return {
+            enabled: Boolean(config.get('targetPolicy.enabled')),
+            blockPrivateNetworks: Boolean(config.get('targetPolicy.blockPrivateNetworks')),
+            allowedHosts: toList(config.get('targetPolicy.allowedHosts')).map(host => host.toLowerCase()),
+            allowedNetworks: toList(config.get('targetPolicy.allowedNetworks')),
+            blockedNetworks: toList(config.get('targetPolicy.blockedNetworks')),
+            resolveTimeoutMs: Math.max(100, Number(config.get('targetPolicy.resolveTimeoutMs')) || 5000)
+        };
+    }
+
+    /**
+     * Check whether a URL may be scanned
+     * @param {string} url - Target URL
+     * @returns {Promise<Object>} { allowed, reason, addresses }
+     */
+    async check(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return this._result(false, `URL inválida: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return this._result(false, `Protocolo no permitido: ${parsed.protocol.replace(':', '')} (solo http y https)`);
+        }
+
+        const policy = this.getPolicy();
+        if (!policy.enabled) return this._result(true);
+
+        // The URL parser keeps IPv6 literals in brackets and normalizes numeric IPv4 forms (http://2130706433/)
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+        if (matchesHost(hostname, policy.allowedHosts)) {
+            debug('check: %s allowed by host allowlist', hostname);
+            return this._result(true);
+        }
+
+        if (policy.blockPrivateNetworks && matchesHost(hostname, BLOCKED_HOSTNAMES)) {
+            return this._result(false, `El host ${hostname} corresponde a un servicio interno del servidor`);
+        }
+
+        let addresses;
+        try {
+            addresses = await this._resolve(hostname, policy.resolveTimeoutMs);
+        } catch (error) {
+            debug('check: cannot resolve %s: %s', hostname, error.message);
+            return this._result(false, `No se pudo resolver el host ${hostname}`);
+        }
+
+        const allowed = policy.allowedNetworks.map(parseCidr);
+        const blocked = [
+            ...(policy.blockPrivateNetworks ? DEFAULT_BLOCKED_NETWORKS : []),
+            ...policy.blockedNetworks.map(cidr => [cidr, 'red bloqueada por el administrador'])
+        ].map(([cidr, description]) => ({ ...parseCidr(cidr), description }));
+
+        for (const rawAddress of addresses) {
+            const address = normalizeAddress(rawAddress);
+            const family = net.isIP(address) === 4 ? 'ipv4' : 'ipv6';
+            if (allowed.some(network => network.list.check(address, family))) continue;
+
+            const network = blocked.find(range => range.list.check(address, family));
+            if (network) {
+                const via = address === hostname ? '' : ` (resuelve a ${address})`;
+                return this._result(false, `El host ${hostname}${via} pertenece a un rango no permitido: ${network.description} ${network.cidr}`, addresses);
+            }
+        }
+
+        return this._result(true, null, addresses);
+    }
+
+    /**
+     * Check a URL and throw when it is not allowed
+     * @throws {TargetPolicyError} With the reason of the rejection
+     */
+    async assertAllowed(url) {
+        const result = await this.check(url);
+        if (!result.allowed) {
+            debug('assertAllowed: rejected %s: %s', url, result.reason);
+            throw new TargetPolicyError(`Objetivo no permitido: ${result.reason}`);
+        }
+        return result;
+    }
+
+    async _resolve(hostname, timeoutMs) {
+        if (net.isIP(hostname)) return [hostname];
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('DNS timeout')), timeoutMs);
+        });
+        try {
+            const records = await Promise.race([dns.lookup(hostname, { all: true, verbatim: true }), timeout]);
+            if (records.length === 0) throw new Error('Sin direcciones');
+            return records.map(record => record.address);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _result(allowed, reason = null, addresses = []) {
+        return { allowed, reason, addresses };
+    }
+}
+
+// Singleton instance
+const targetPolicyService = new TargetPolicyService();
+
+module.exports = targetPolicyService;
+module.exports.TargetPolicyError = TargetPolicyError;
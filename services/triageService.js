@@ -0,0 +1,74 @@
+const debug = require('debug')('easyinjection:services:triage');
+const Vulnerability = require('../models/vulnerabilidad');
+const findingService = require('./findingService');
+
+/**
+ * TriageService - Review workflow for vulnerabilities
+ *
+ * Triage states: nuevo, confirmado, falso_positivo, riesgo_aceptado, corregido.
+ * False positives and accepted risks are suppressed: they are left out of the
+ * severity counts and the scan score, and the suppression is carried over to
+ * later scans of the same target through the finding record.
+ */
+class TriageService {
+    /**
+     * Change the triage state of a vulnerability
+     * @param {Scan} scan - Scan the vulnerability belongs to
+     * @param {Vulnerability} vulnerability - Vulnerability to review
+     * @param {Object} triage - { estado_triage, justificacion }
+     * @param {ObjectId} reviewerId - Reviewer (authenticated user)
+     * @returns {Promise<Vulnerability>}
+     */
+    async triage(scan, vulnerability, { estado_triage, justificacion }, reviewerId) {
+        debug('triage: vuln=%s estado=%s reviewer=%s', vulnerability._id, estado_triage, reviewerId);
+        vulnerability.changeTriage(estado_triage, justificacion, reviewerId);
+        await vulnerability.save();
+
+        await findingService.applyTriage(scan, vulnerability);
+        if (scan.isFinished()) {
+            await this.recalculateScore(scan);
+        }
+
+        return vulnerability;
+    }
+
+    /**
+     * Number of vulnerabilities of a scan that count towards the score
+     */
+    async countActiveVulnerabilities(scanId) {
+        return Vulnerability.countDocuments({
+            escaneo_id: scanId,
+            estado_triage: { $nin: Vulnerability.SUPPRESSED_TRIAGE_STATES }
+        });
+    }
+
+    /**
+     * Recalculate the scan score without suppressed vulnerabilities
+     * @param {Scan} scan - Finished scan
+     */
+    async recalculateScore(scan) {
+        const counted = await this.countActiveVulnerabilities(scan._id);
+        scan.puntuacion = { ...scan.puntuacion.toObject(), vulnerabilidades_encontradas: counted };
+        scan.calculateScore();
+        await scan.save();
+        debug('recalculateScore: scan=%s vulns=%d score=%d', scan._id, counted, scan.puntuacion.puntuacion_final);
+    }
+
+    /**
+     * Apply an inherited suppression to a new vulnerability before it is saved
+     * @param {Vulnerability} vulnerability - New vulnerability (with huella)
+     * @param {Map<string, Finding>} suppressions - Result of findingService.getSuppressions
+     */
+    inheritSuppression(vulnerability, suppressions) {
+        const finding = suppressions && suppressions.get(vulnerability.huella);
+        if (!finding) return;
+
+        const justificacion = `Heredado de una revisión anterior: ${finding.justificacion_triage || ''}`.slice(0, 1000);
+        vulnerability.changeTriage(finding.estado_triage, justificacion, finding.revisado_por, finding.fecha_revision);
+    }
+}
+
+// Singleton instance
+const triageService = new TriageService();
+
+module.exports = triageService;
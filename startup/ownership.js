@@ -0,0 +1,8 @@
+const ownershipService = require('../services/ownershipService');
+const debug = require('debug')('easyinjection:startup:ownership');
+
+// Starting the periodic re-check of verified target hosts
+module.exports = function(){
+    debug('Starting ownership re-check...');
+    ownershipService.start();
+}
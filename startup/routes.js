@@ -1,11 +1,16 @@
 const express = require('express');
 const cors = require('cors');
+const config = require('config');
 const register = require('../routes/register');
 const verifyEmail = require('../routes/verify-email');
 const login = require('../routes/login');
 const auth = require('../routes/auth');
 const user = require('../routes/user');
 const scans = require('../routes/scans');
+const schedules = require('../routes/schedules');
+const findings = require('../routes/findings');
+const stats = require('../routes/stats');
+const targets = require('../routes/targets');
 const error = require('../middleware/error');
 const debug = require('debug')('easyinjection:startup:routes');
 
@@ -13,6 +18,8 @@ module.exports = function(app) {
     debug('Setting up routes and middleware...');
     // Using middleware
     app.use(cors());
+    // Seed documents (OpenAPI, HAR, Postman) are larger than any other request body; a JSON string body escapes to about twice its size
+    app.use('/api/scans/:id/seeds', express.json({ limit: 2 * Number(config.get('seeds.maxBytes')) }));
     app.use(express.json());
     app.use('/api/register', register);
     app.use('/api/verify-email', verifyEmail);
@@ -20,5 +27,9 @@ module.exports = function(app) {
     app.use('/api/auth', auth);
     app.use('/api/user', user);
     app.use('/api/scans', scans);
+    app.use('/api/schedules', schedules);
+    app.use('/api/findings', findings);
+    app.use('/api/stats', stats);
+    app.use('/api/targets', targets);
     app.use(error);
 }
\ No newline at end of file
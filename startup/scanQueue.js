@@ -0,0 +1,15 @@
+const scanQueue = require('../services/scanQueue');
+const debug = require('debug')('easyinjection:startup:scanQueue');
+
+// Recovering scan jobs orphaned by a previous shutdown
+module.exports = function(){
+    debug('Recovering scan queue...');
+    scanQueue.recover()
+    .then(({ resumed, failed }) => {
+        debug('Scan queue recovered: %d resumed, %d failed', resumed, failed);
+    })
+    .catch(err => {
+        debug('Scan queue recovery error: %O', err);
+        console.error('Error: Could not recover scan queue...', err);
+    });
+}
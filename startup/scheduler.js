@@ -0,0 +1,8 @@
+const scanScheduler = require('../services/scanScheduler');
+const debug = require('debug')('easyinjection:startup:scheduler');
+
+// Starting the scheduler of recurring scans
+module.exports = function(){
+    debug('Starting scan scheduler...');
+    scanScheduler.start();
+}
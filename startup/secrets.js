@@ -0,0 +1,25 @@
+const secretCrypto = require('../utils/secretCrypto');
+const secretService = require('../services/secretService');
+const debug = require('debug')('easyinjection:startup:secrets');
+
+// Checking the encryption key and re-encrypting stored secrets with it (key rotation)
+module.exports = function(){
+    if (!secretCrypto.isConfigured()) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('FATAL ERROR: secrets.activeKey is not defined or missing from secrets.keys.');
+        }
+        console.warn('[SECRETS] No encryption key configured (secrets.activeKey): target credentials are stored in plaintext');
+        return;
+    }
+
+    debug('Re-encrypting stored secrets...');
+    secretService.rotateStored()
+    .then(updated => {
+        debug('Stored secrets re-encrypted: %d document(s)', updated);
+        if (updated > 0) console.log(`[SECRETS] ${updated} document(s) re-encrypted with key '${secretCrypto.getSettings().activeKeyId}'`);
+    })
+    .catch(err => {
+        debug('Secrets rotation error: %O', err);
+        console.error('Error: Could not re-encrypt stored secrets...', err);
+    });
+}
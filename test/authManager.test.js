@@ -0,0 +1,190 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const http = require('http');
+const crypto = require('crypto');
+const AuthManager = require('../services/orchestrator/authManager');
+const { normalizeAuth } = require('../services/orchestrator/authManager');
+const Logger = require('../services/orchestrator/logger');
+const secrets = require('../utils/secretCrypto');
+
+const USERNAME = 'alice';
+const PASSWORD = 'correct horse';
+
+/**
+ * App that requires login: /login shows a form with a CSRF token, a valid
+ * POST sets the "sid" cookie and /app redirects to /login without a live session
+ */
+function createApp() {
+    const app = { sessions: new Set(), csrf: crypto.randomBytes(8).toString('hex'), logins: 0 };
+
+    const readBody = req => new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+    const sessionOf = req => (String(req.headers.cookie || '').match(/(?:^|;\s*)sid=([^;]+)/) || [])[1];
+
+    app.server = http.createServer(async (req, res) => {
+        const path = new URL(req.url, 'http://app.test').pathname;
+
+        if (path === '/login' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><body><form method="post" action="/login">
+                <input type="hidden" name="csrf" value="${app.csrf}">
+                <input type="text" name="user"><input type="password" name="pass">
+                <input type="submit" name="go" value="Entrar">
+            </form></body></html>`);
+            return;
+        }
+
+        if (path === '/login' && req.method === 'POST') {
+            const form = await readBody(req);
+            if (form.get('csrf') !== app.csrf || form.get('user') !== USERNAME || form.get('pass') !== PASSWORD) {
+                res.writeHead(403);
+                res.end('Credenciales incorrectas');
+                return;
+            }
+            const sid = crypto.randomBytes(8).toString('hex');
+            app.sessions.add(sid);
+            app.logins++;
+            res.writeHead(302, { Location: '/app', 'Set-Cookie': `sid=${sid}; Path=/; HttpOnly` });
+            res.end();
+            return;
+        }
+
+        if (path === '/app') {
+            if (!app.sessions.has(sessionOf(req))) {
+                res.writeHead(302, { Location: '/login' });
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<h1>Panel</h1>');
+            return;
+        }
+
+        if (path === '/soft') {
+            // Expired sessions get a 200 page asking to log in again
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(app.sessions.has(sessionOf(req)) ? '<p>Hola alice</p>' : '<p>Tu sesión ha caducado</p>');
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    return new Promise(resolve => app.server.listen(0, '127.0.0.1', () => {
+        app.origin = `http://127.0.0.1:${app.server.address().port}`;
+        resolve(app);
+    }));
+}
+
+function createManager(app, auth = {}) {
+    const config = {
+        url: `${app.origin}/app`,
+        auth: normalizeAuth({
+            type: 'form',
+            loginUrl: `${app.origin}/login`,
+            username: USERNAME,
+            password: secrets.encrypt(PASSWORD),
+            ...auth
+        })
+    };
+    return new AuthManager(config, new Logger(new EventEmitter()));
+}
+
+// Next ensureSession() checks the session again
+function ageLastCheck(manager) {
+    manager.lastCheck = 0;
+}
+
+describe('AuthManager', () => {
+    let app;
+
+    before(async () => {
+        app = await createApp();
+    });
+
+    after(() => {
+        app.server.closeAllConnections();
+        app.server.close();
+    });
+
+    beforeEach(() => {
+        app.sessions.clear();
+        app.logins = 0;
+    });
+
+    it('logs in through the form, CSRF token included', async () => {
+        const manager = createManager(app);
+        await manager.ensureSession();
+
+        const { cookie } = manager.getSession();
+        assert.match(cookie, /^sid=[0-9a-f]{16}$/);
+        assert.strictEqual(app.logins, 1);
+        assert.ok(app.sessions.has(cookie.slice('sid='.length)));
+    });
+
+    it('fails when the target rejects the credentials', async () => {
+        const manager = createManager(app, { password: secrets.encrypt('wrong') });
+
+        await assert.rejects(manager.ensureSession(), /HTTP 403/);
+        assert.deepStrictEqual(manager.getSession(), { cookie: '', headers: [] });
+    });
+
+    it('detects a session that redirects to the login page', async () => {
+        const manager = createManager(app);
+        await manager.ensureSession();
+        assert.deepStrictEqual(await manager._checkSession(), { valid: true });
+
+        app.sessions.clear();
+        const check = await manager._checkSession();
+        assert.strictEqual(check.valid, false);
+        assert.match(check.reason, /redirige a la página de inicio de sesión/);
+    });
+
+    it('detects an expired session with the logged out pattern', async () => {
+        const manager = createManager(app, { checkUrl: `${app.origin}/soft`, loggedOutPattern: 'sesi[oó]n ha caducado' });
+        await manager.ensureSession();
+        assert.strictEqual((await manager._checkSession()).valid, true);
+
+        app.sessions.clear();
+        assert.strictEqual((await manager._checkSession()).valid, false);
+    });
+
+    it('logs in again when the session expires during the scan', async () => {
+        const manager = createManager(app);
+        await manager.ensureSession();
+        const first = manager.getSession().cookie;
+
+        // Within sessionCheckSeconds the session is not checked again
+        app.sessions.clear();
+        await manager.ensureSession();
+        assert.strictEqual(manager.getSession().cookie, first);
+
+        ageLastCheck(manager);
+        await manager.ensureSession();
+        const second = manager.getSession().cookie;
+        assert.notStrictEqual(second, first);
+        assert.ok(app.sessions.has(second.slice('sid='.length)));
+        assert.strictEqual(manager.logins, 2);
+        assert.match(manager.logger.logs.map(entry => entry.message).join('\n'), /Sesión caducada .*iniciando sesión de nuevo/);
+    });
+
+    it('keeps a valid session without logging in again', async () => {
+        const manager = createManager(app);
+        await manager.ensureSession();
+
+        ageLastCheck(manager);
+        await manager.ensureSession();
+        assert.strictEqual(app.logins, 1);
+    });
+
+    it('rejects an expired session pattern that backtracks catastrophically', () => {
+        assert.throws(() => normalizeAuth({ type: 'cookie', cookie: 'sid=1', loggedOutPattern: '(a+)+$' }), /cuantificadores anidados/);
+    });
+});
@@ -0,0 +1,86 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ciGate = require('../services/ciGateService');
+const scanDiff = require('../services/scanDiffService');
+
+const scan = { _id: '64b0000000000000000000aa', estado: 'finalizado', url: 'http://app.test/' };
+
+function finding(id, type, severity, parameter, triage = 'nuevo') {
+    return {
+        _id: id,
+        tipo_id: { nombre: type },
+        nivel_severidad_id: { nombre: severity },
+        url_afectada: `http://app.test/items?${parameter}=1`,
+        parametro_afectado: parameter,
+        estado_triage: triage
+    };
+}
+
+const FINDINGS = [
+    finding('v1', 'SQLi', 'Crítica', 'id'),
+    finding('v2', 'XSS', 'Alta', 'q'),
+    finding('v3', 'XSS', 'Baja', 'name'),
+    finding('v4', 'SQLi', 'Crítica', 'sort', 'falso_positivo')
+];
+
+const policy = overrides => ({ severidad_minima: 'Alta', solo_nuevas: false, max_hallazgos: 0, ...overrides });
+const ids = gate => gate.infracciones.map(infraction => infraction._id);
+
+describe('CiGateService', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('counts findings at or above the minimum severity', async () => {
+        const gate = await ciGate.evaluate(scan, policy(), FINDINGS);
+        assert.strictEqual(gate.veredicto, 'fail');
+        assert.deepStrictEqual(ids(gate), ['v1', 'v2']);
+
+        const low = await ciGate.evaluate(scan, policy({ severidad_minima: 'Baja' }), FINDINGS);
+        assert.deepStrictEqual(ids(low), ['v1', 'v2', 'v3']);
+    });
+
+    it('never counts suppressed findings', async () => {
+        const gate = await ciGate.evaluate(scan, policy({ severidad_minima: 'Crítica' }), FINDINGS);
+        assert.deepStrictEqual(ids(gate), ['v1']);
+    });
+
+    it('passes while the findings stay within the maximum', async () => {
+        const gate = await ciGate.evaluate(scan, policy({ max_hallazgos: 2 }), FINDINGS);
+        assert.strictEqual(gate.aprobado, true);
+        assert.strictEqual(gate.veredicto, 'pass');
+        assert.strictEqual(gate.infracciones.length, 2);
+    });
+
+    it('only counts findings that are new since the previous run', async () => {
+        mock.method(scanDiff, 'diffWithPreviousRun', async () => ({
+            escaneo_base: { _id: '64b0000000000000000000a0' },
+            nuevas: [{ clave: scanDiff.buildVulnerabilityKey(FINDINGS[1]) }]
+        }));
+
+        const gate = await ciGate.evaluate(scan, policy({ solo_nuevas: true }), FINDINGS);
+        assert.deepStrictEqual(ids(gate), ['v2']);
+        assert.strictEqual(gate.escaneo_base, '64b0000000000000000000a0');
+        assert.match(gate.motivo, /nuevos/);
+    });
+
+    it('counts every finding as new without a previous run', async () => {
+        mock.method(scanDiff, 'diffWithPreviousRun', async () => null);
+        const gate = await ciGate.evaluate(scan, policy({ solo_nuevas: true }), FINDINGS);
+        assert.deepStrictEqual(ids(gate), ['v1', 'v2']);
+        assert.strictEqual(gate.escaneo_base, null);
+    });
+
+    it('fails a scan that has not finished', async () => {
+        const gate = await ciGate.evaluate({ ...scan, estado: 'error' }, policy(), FINDINGS);
+        assert.strictEqual(gate.veredicto, 'fail');
+        assert.deepStrictEqual(gate.infracciones, []);
+    });
+
+    it('resolves and validates policy overrides', () => {
+        assert.deepStrictEqual(ciGate.resolvePolicy({ severidad_minima: 'critica', solo_nuevas: 'false', max_hallazgos: '3' }),
+            { severidad_minima: 'Crítica', solo_nuevas: false, max_hallazgos: 3 });
+        assert.ok(ciGate.validatePolicy({ severidad_minima: 'Extrema' }).error);
+        assert.ok(ciGate.validatePolicy({ max_hallazgos: -1 }).error);
+    });
+});
@@ -0,0 +1,42 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getNextCronDate, parseCronExpression } = require('../services/scheduler/cronExpression');
+const ScanSchedule = require('../models/programacion_escaneo');
+
+const next = (expression, from, timeZone) => getNextCronDate(expression, new Date(from), timeZone).toISOString();
+
+describe('cronExpression', () => {
+    it('finds the next date in the timezone of the schedule', () => {
+        assert.strictEqual(next('0 9 * * *', '2025-06-10T08:00:00Z', 'Europe/Madrid'), '2025-06-11T07:00:00.000Z');
+        assert.strictEqual(next('*/15 * * * *', '2025-06-10T08:07:30Z', 'UTC'), '2025-06-10T08:15:00.000Z');
+        assert.strictEqual(next('0 9 29 2 *', '2025-01-01T00:00:00Z', 'UTC'), '2028-02-29T09:00:00.000Z');
+    });
+
+    it('does not skip days across DST changes', () => {
+        // 2025-03-30 lasts 23 hours in Madrid, 2025-10-26 lasts 25
+        assert.strictEqual(next('0 0 * * 1', '2025-03-25T12:00:00Z', 'Europe/Madrid'), '2025-03-30T22:00:00.000Z');
+        assert.strictEqual(next('0 0 * * 1', '2025-10-22T12:00:00Z', 'Europe/Madrid'), '2025-10-26T23:00:00.000Z');
+        assert.strictEqual(next('0 0 * * *', '2025-03-29T12:00:00Z', 'Europe/Madrid'), '2025-03-29T23:00:00.000Z');
+        assert.strictEqual(next('0 0 * * *', '2025-03-30T12:00:00Z', 'Europe/Madrid'), '2025-03-30T22:00:00.000Z');
+        assert.strictEqual(next('0 0 * * *', '2025-10-26T12:00:00Z', 'Europe/Madrid'), '2025-10-26T23:00:00.000Z');
+    });
+
+    it('skips a time that does not exist on the day the clocks go forward', () => {
+        assert.strictEqual(next('30 2 * * *', '2025-03-29T12:00:00Z', 'Europe/Madrid'), '2025-03-31T00:30:00.000Z');
+    });
+
+    it('rejects expressions that never match a date', () => {
+        ['0 0 31 2 *', '0 0 30,31 2 *', '0 0 31 4,6,9,11 *'].forEach(expression => {
+            assert.throws(() => parseCronExpression(expression), /no produce ninguna ejecución/);
+        });
+        // With a day of the week, any of the two fields may match
+        assert.doesNotThrow(() => parseCronExpression('0 0 31 2 1'));
+    });
+
+    it('fails the validation of a schedule that would never run', () => {
+        const { error } = ScanSchedule.validate({ escaneo_id: 'x', tipo: 'cron', expresion_cron: '0 0 31 2 *' });
+        assert.match(error.message, /no produce ninguna ejecución/);
+    });
+});
@@ -0,0 +1,43 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Scan = require('../models/escaneo');
+
+const USER_ID = '64b000000000000000000001';
+
+describe('Scan', () => {
+    it('reports a 0% quiz while deferred questions are pending', () => {
+        const scan = new Scan({
+            usuario_id: USER_ID, alias: 'App', url: 'http://app.test/', modo_preguntas: 'diferido',
+            preguntas_pendientes: [{ pregunta_id: '64b0000000000000000000c1', fase: 'sqli' }]
+        });
+        const dto = scan.toDTO();
+        assert.strictEqual(dto.quizPercentage, 0);
+        assert.strictEqual(dto.estadoCuestionario, 'pendiente');
+        assert.strictEqual(dto.preguntasPendientes, 1);
+    });
+
+    it('reports the quiz percentage once questions are answered', () => {
+        const scan = new Scan({
+            usuario_id: USER_ID, alias: 'App', url: 'http://app.test/',
+            puntuacion: { puntos_cuestionario: 15, total_puntos_cuestionario: 20 }
+        });
+        assert.strictEqual(scan.toDTO().quizPercentage, 75);
+        assert.strictEqual(scan.toDTO().preguntasPendientes, 0);
+    });
+
+    it('scores a scan without quiz answers on the same scale as an answered one', () => {
+        const skipped = new Scan({ usuario_id: USER_ID, alias: 'App', url: 'http://app.test/', modo_preguntas: 'omitir' });
+        skipped.calculateScore();
+        assert.strictEqual(skipped.puntuacion.puntuacion_final, 40);
+        assert.notStrictEqual(skipped.puntuacion.calificacion, 'Excelente');
+
+        const answered = new Scan({
+            usuario_id: USER_ID, alias: 'App', url: 'http://app.test/',
+            puntuacion: { puntos_cuestionario: 20, total_puntos_cuestionario: 20 }
+        });
+        answered.calculateScore();
+        assert.strictEqual(answered.puntuacion.puntuacion_final, 100);
+    });
+});
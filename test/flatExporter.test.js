@@ -0,0 +1,25 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SERIALIZERS } = require('../services/exporters/flatExporter');
+
+const csvCell = value => SERIALIZERS.csv.row([{ key: 'value' }], { value }).replace(/\r\n$/, '');
+
+describe('flatExporter', () => {
+    it('keeps spreadsheets from evaluating CSV cells as formulas', () => {
+        assert.strictEqual(csvCell('=HYPERLINK("http://evil.test")'), '"\'=HYPERLINK(""http://evil.test"")"');
+        assert.strictEqual(csvCell('+1'), "'+1");
+        assert.strictEqual(csvCell('-1'), "'-1");
+        assert.strictEqual(csvCell('@SUM(A1)'), "'@SUM(A1)");
+        assert.strictEqual(csvCell('\t=1'), "'\t=1");
+        assert.strictEqual(csvCell('\rcmd'), '"\'\rcmd"');
+        assert.strictEqual(csvCell('  =1+1'), "'  =1+1");
+    });
+
+    it('leaves other values as they are', () => {
+        assert.strictEqual(csvCell('http://app.test/?q=1'), 'http://app.test/?q=1');
+        assert.strictEqual(csvCell('a, b'), '"a, b"');
+        assert.strictEqual(csvCell(null), '');
+    });
+});
@@ -0,0 +1,84 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildJunit } = require('../services/exporters/junitExporter');
+
+const scan = {
+    _id: '64b0000000000000000000aa',
+    alias: 'Tienda <prod>',
+    url: 'http://app.test/',
+    flags: { sqli: true, xss: false },
+    fecha_inicio: new Date('2026-10-01T10:00:00Z'),
+    fecha_fin: new Date('2026-10-01T10:05:00Z'),
+    parametros_probados: [
+        { url: 'http://app.test/items?id=1', parametro: 'id' },
+        { url: 'http://app.test/items?sort=name', parametro: 'sort' },
+        { url: 'http://app.test/search?q=x', parametro: 'q' }
+    ]
+};
+
+const vulnerabilities = [
+    {
+        _id: 'v1', tipo_id: { nombre: 'SQLi' }, nivel_severidad_id: { nombre: 'Crítica' },
+        url_afectada: 'http://app.test/items?id=1', parametro_afectado: 'id',
+        descripcion: 'Payload <script>alert(1)</script> & más', estado_triage: 'nuevo'
+    },
+    {
+        _id: 'v2', tipo_id: { nombre: 'SQLi' }, nivel_severidad_id: { nombre: 'Baja' },
+        url_afectada: 'http://app.test/items?sort=name', parametro_afectado: 'sort', estado_triage: 'nuevo'
+    },
+    {
+        _id: 'v3', tipo_id: { nombre: 'SQLi' }, nivel_severidad_id: { nombre: 'Alta' },
+        url_afectada: 'http://app.test/search?q=x', parametro_afectado: 'q',
+        estado_triage: 'riesgo_aceptado', justificacion_triage: 'Entorno interno'
+    }
+];
+
+function gate(aprobado, infracciones) {
+    return {
+        aprobado,
+        veredicto: aprobado ? 'pass' : 'fail',
+        motivo: aprobado ? 'Sin hallazgos que incumplan la política' : `${infracciones.length} hallazgo(s) superan el máximo permitido (0)`,
+        politica: { severidad_minima: 'Alta', solo_nuevas: false, max_hallazgos: 0 },
+        escaneo_base: null,
+        infracciones: infracciones.map(_id => ({ _id }))
+    };
+}
+
+const testCase = (xml, name) => xml.match(new RegExp(`<testcase [^>]*name="${name}"[^>]*?(?:/>|>[\\s\\S]*?</testcase>)`))[0];
+
+describe('junitExporter', () => {
+    it('fails only the findings that break a failed gate', () => {
+        const xml = buildJunit(scan, vulnerabilities, gate(false, ['v1']));
+
+        assert.match(xml, /<testsuites [^>]*tests="4" failures="2" errors="0" skipped="1"/);
+        assert.match(testCase(xml, 'Política del CI gate'), /<failure message="1 hallazgo\(s\) superan/);
+        assert.match(testCase(xml, 'id'), /<failure message="SQLi \(Crítica\) en el parámetro &apos;id&apos;" type="Crítica">/);
+
+        const low = testCase(xml, 'sort');
+        assert.doesNotMatch(low, /<failure/);
+        assert.match(low, /<system-out>Hallazgos que no incumplen la política del CI gate/);
+        assert.match(testCase(xml, 'q'), /<skipped message="riesgo_aceptado: Entorno interno"\/>/);
+    });
+
+    it('fails nothing but a passing gate reports every finding', () => {
+        const xml = buildJunit(scan, vulnerabilities, gate(true, ['v1']));
+
+        assert.match(xml, /<testsuites [^>]*failures="0"/);
+        assert.doesNotMatch(xml, /<failure/);
+        assert.match(testCase(xml, 'id'), /<system-out>[\s\S]*Payload &lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; más/);
+        assert.match(xml, /<property name="easyinjection.gate" value="pass"\/>/);
+    });
+
+    it('fails a failed gate without findings', () => {
+        const xml = buildJunit({ ...scan, parametros_probados: [] }, [], gate(false, []));
+        assert.match(xml, /<testsuites [^>]*tests="1" failures="1"/);
+    });
+
+    it('escapes scan data in attributes', () => {
+        const xml = buildJunit(scan, [], gate(true, []));
+        assert.match(xml, /<testsuites name="EasyInjection - Tienda &lt;prod&gt;"/);
+        assert.doesNotMatch(xml, /<prod>/);
+    });
+});
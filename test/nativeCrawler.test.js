@@ -0,0 +1,79 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const http = require('http');
+const NativeCrawler = require('../services/orchestrator/nativeCrawler');
+const SqlmapExecutor = require('../services/orchestrator/sqlmapExecutor');
+const Logger = require('../services/orchestrator/logger');
+
+const PAGES = {
+    '/': `<html><body>
+        <a href="/products?id=1">Producto</a>
+        <form action="/search"><input name="q"></form>
+        <form method="post" action="/comments">
+            <input type="hidden" name="csrf" value="t0k3n">
+            <textarea name="comment"></textarea>
+            <button type="submit" name="send" value="1">Enviar</button>
+        </form>
+    </body></html>`,
+    '/products': '<html><body><p>Producto</p></body></html>',
+    '/search': '<html><body><p>Sin resultados</p></body></html>'
+};
+
+function startSite() {
+    const server = http.createServer((req, res) => {
+        const page = PAGES[new URL(req.url, 'http://site.test').pathname];
+        res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html' });
+        res.end(page || '');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('NativeCrawler', () => {
+    let server;
+    let origin;
+    let result;
+
+    before(async () => {
+        server = await startSite();
+        origin = `http://127.0.0.1:${server.address().port}`;
+        const crawler = new NativeCrawler({ url: `${origin}/`, crawlDepth: 2, scope: {}, respectRobots: false }, new Logger(new EventEmitter()));
+        result = await crawler.crawl();
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('records links and GET forms as query parameters', () => {
+        const query = result.parameters.filter(param => param.type === 'query');
+        assert.deepStrictEqual(query.map(param => param.name).sort(), ['id', 'q']);
+        query.forEach(param => assert.strictEqual(param.method, undefined));
+    });
+
+    it('records POST forms with their method, body and content type', () => {
+        const body = result.parameters.filter(param => param.endpoint === `${origin}/comments`);
+        assert.deepStrictEqual(body.map(param => param.name), ['csrf', 'comment', 'send']);
+        body.forEach(param => {
+            assert.strictEqual(param.type, 'body');
+            assert.strictEqual(param.method, 'POST');
+            assert.strictEqual(param.postData, 'csrf=t0k3n&comment=&send=1');
+            assert.strictEqual(param.contentType, 'application/x-www-form-urlencoded');
+        });
+
+        const endpoint = result.endpoints.find(item => item.url === `${origin}/comments`);
+        assert.strictEqual(endpoint.method, 'POST');
+        assert.strictEqual(endpoint.postData, 'csrf=t0k3n&comment=&send=1');
+    });
+
+    it('has sqlmap test the POST form with its body', () => {
+        const executor = new SqlmapExecutor({ url: `${origin}/`, scope: {} }, new Logger(new EventEmitter()), new EventEmitter(), new Map());
+        const param = result.parameters.find(item => item.name === 'comment');
+        const args = [];
+        executor._addRequestData(args, param);
+        assert.deepStrictEqual(args, ['--data', 'csrf=t0k3n&comment=&send=1']);
+    });
+});
@@ -0,0 +1,201 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const HostVerification = require('../models/verificacion_host');
+const ownership = require('../services/ownershipService');
+const { OwnershipService } = require('../services/ownershipService');
+const scanControl = require('../services/scanControlService');
+const Scan = require('../models/escaneo');
+const scanQueue = require('../services/scanQueue');
+const seeds = require('../services/seedService');
+
+const USER_ID = '64b000000000000000000001';
+const TOKEN = 'a1b2c3d4e5f6';
+// Tokens published in the well-known file of the stub
+const publishedTokens = ['otro-token', TOKEN];
+
+function startStub(routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[req.url];
+        if (!route) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        route(req, res);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function verificationFor(host) {
+    return HostVerification.create(USER_ID, host);
+}
+
+describe('OwnershipService', () => {
+    let server;
+    let origin;
+
+    before(async () => {
+        server = await startStub({
+            '/.well-known/easyinjection-verification.txt': (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(`${publishedTokens.join('\n')}\n`);
+            },
+            '/': (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(`<html><head><meta content="${TOKEN}" name="easyinjection-verification"></head></html>`);
+            },
+            // Streams far more than the body limit, the token comes after it
+            '/huge/.well-known/easyinjection-verification.txt': (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                for (let chunk = 0; chunk < 64; chunk++) res.write(`${'x'.repeat(64 * 1024)}\n`);
+                res.end(`${TOKEN}\n`);
+            }
+        });
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('checkToken', () => {
+        const service = new OwnershipService({ resolveTxt: async () => { throw new Error('sin DNS'); } });
+
+        it('finds the token in the well-known file', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: '127.0.0.1' }, 'archivo', origin);
+            assert.deepStrictEqual(result, { ok: true });
+        });
+
+        it('rejects a well-known file without the token', async () => {
+            const result = await service.checkToken({ token: 'otro', host: '127.0.0.1' }, 'archivo', origin);
+            assert.strictEqual(result.ok, false);
+            assert.match(result.reason, /no contiene el token/);
+        });
+
+        it('only reads the beginning of a long file', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: '127.0.0.1' }, 'archivo', `${origin}/huge`);
+            assert.strictEqual(result.ok, false);
+        });
+
+        it('finds the token in the meta tag of the home page', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: '127.0.0.1' }, 'meta', origin);
+            assert.deepStrictEqual(result, { ok: true });
+        });
+
+        it('reports a target that does not answer', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: '127.0.0.1' }, 'archivo', 'http://127.0.0.1:1');
+            assert.strictEqual(result.ok, false);
+        });
+    });
+
+    describe('DNS TXT record', () => {
+        const records = {
+            '_easyinjection.example.test': [['easyinjection-verification=', TOKEN], ['v=spf1 -all']]
+        };
+        const service = new OwnershipService({
+            resolveTxt: async name => {
+                if (!records[name]) throw new Error(`queryTxt ENOTFOUND ${name}`);
+                return records[name];
+            }
+        });
+
+        it('finds the token in a TXT record split in chunks', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: 'example.test' }, 'dns', 'https://example.test');
+            assert.deepStrictEqual(result, { ok: true });
+        });
+
+        it('rejects a host without the record', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: 'other.test' }, 'dns', 'https://other.test');
+            assert.strictEqual(result.ok, false);
+            assert.match(result.reason, /ENOTFOUND/);
+        });
+
+        it('is not available for IP addresses', async () => {
+            const result = await service.checkToken({ token: TOKEN, host: '127.0.0.1' }, 'dns', origin);
+            assert.strictEqual(result.ok, false);
+        });
+    });
+
+    describe('verify', () => {
+        function mockVerification() {
+            const verification = verificationFor('127.0.0.1');
+            mock.method(HostVerification, 'findOne', async () => verification);
+            mock.method(verification, 'save', async () => verification);
+            return verification;
+        }
+
+        it('marks the host verified when its token is published', async () => {
+            const verification = mockVerification();
+            publishedTokens.push(verification.token);
+
+            const { verificado } = await new OwnershipService().verify(USER_ID, `${origin}/app`, 'archivo');
+            assert.strictEqual(verificado, true);
+            assert.strictEqual(verification.metodo, 'archivo');
+            assert.ok(verification.proxima_comprobacion > new Date());
+        });
+
+        it('keeps the host pending when its token is not published', async () => {
+            const verification = mockVerification();
+
+            const { verificado, motivo } = await new OwnershipService().verify(USER_ID, `${origin}/app`, 'meta');
+            assert.strictEqual(verificado, false);
+            assert.match(motivo, /etiqueta meta/);
+            assert.strictEqual(verification.estado, 'pendiente');
+        });
+    });
+
+    describe('restricted mode', () => {
+        const scan = {
+            _id: '64b0000000000000000000aa',
+            usuario_id: USER_ID,
+            url: 'http://127.0.0.1/app',
+            flags: { sqli: true, xss: true },
+            save: async () => {}
+        };
+
+        function mockStart() {
+            mock.method(Scan, 'findOne', async () => scan);
+            mock.method(scanQueue, 'hasActiveJob', async () => false);
+            mock.method(scanQueue, 'getQueuePosition', async () => 1);
+            mock.method(seeds, 'findForScan', async () => []);
+            return mock.method(scanQueue, 'enqueue', async job => job);
+        }
+
+        it('scans an unverified host in restricted mode, whatever the client asks for', async () => {
+            const enqueue = mockStart();
+            mock.method(HostVerification, 'findOne', async () => null);
+
+            const { restricted } = await scanControl.start(scan._id, USER_ID, { level: 5, risk: 3, url: 'http://victim.example' });
+            const { config } = enqueue.mock.calls[0].arguments[0];
+
+            assert.strictEqual(restricted, true);
+            assert.strictEqual(config.restrictedMode, true);
+            assert.strictEqual(config.url, scan.url);
+            const limits = ownership.getSettings().restrictedMode;
+            assert.strictEqual(config.level, limits.level);
+            assert.strictEqual(config.risk, limits.risk);
+            assert.strictEqual(config.enableExploitation, false);
+        });
+
+        it('scans a verified host with the options of the client', async () => {
+            const enqueue = mockStart();
+            const verification = verificationFor('127.0.0.1');
+            verification.markVerified('archivo', 'http://127.0.0.1', 24);
+            mock.method(HostVerification, 'findOne', async () => verification);
+
+            const { restricted } = await scanControl.start(scan._id, USER_ID, { level: 5, risk: 3 });
+            const { config } = enqueue.mock.calls[0].arguments[0];
+
+            assert.strictEqual(restricted, false);
+            assert.strictEqual(config.restrictedMode, undefined);
+            assert.strictEqual(config.level, 5);
+            assert.strictEqual(config.risk, 3);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { renderHtml } = require('../services/reports/htmlRenderer');
+const { renderPdf } = require('../services/reports/pdfRenderer');
+const PdfDocument = require('../services/reports/pdfDocument');
+
+const XSS = '<script>alert("xss")</script>';
+
+// Report as built by ReportService.buildReport, with user data in every free text field
+function buildReport(overrides = {}) {
+    return {
+        scan: {
+            _id: '64b0000000000000000000aa',
+            alias: `Tienda ${XSS}`,
+            url: 'http://shop.test/?q="><img src=x onerror=alert(1)>',
+            fecha_inicio: new Date('2024-03-01T10:00:00Z'),
+            fecha_fin: new Date('2024-03-01T10:30:00Z'),
+            estado: 'finalizado',
+            flags: { sqli: true, xss: true },
+            modo_preguntas: 'normal'
+        },
+        resumen_ejecutivo: {
+            fecha: new Date('2024-03-01T10:30:00Z'),
+            total_vulnerabilidades: 2,
+            criticas: 1,
+            nivel_riesgo: 'Critical',
+            score_seguridad: 60,
+            requiere_accion_inmediata: true
+        },
+        recomendaciones: [`Validar la entrada ${XSS}`],
+        vulnerabilidades: [
+            {
+                tipo_id: { nombre: 'XSS' },
+                nivel_severidad_id: { nombre: 'Crítica' },
+                estado_triage: 'confirmado',
+                url_afectada: 'http://shop.test/search?q=<svg/onload=alert(1)>',
+                parametro_afectado: 'q"><script>',
+                descripcion: `Reflejo sin escapar ${XSS}`,
+                sugerencia: 'Escapar la salida (texto con paréntesis) y \\ barras',
+                justificacion_triage: `Confirmado por ${XSS}`,
+                evidencia: {
+                    tecnica: 'reflected',
+                    payload: XSS,
+                    peticion: `GET /search?q=${XSS} HTTP/1.1\r\nHost: shop.test`,
+                    fragmento_respuesta: `<p>Resultados para ${XSS}</p>`
+                }
+            },
+            {
+                tipo_id: { nombre: 'SQLi' },
+                nivel_severidad_id: { nombre: 'Media' },
+                estado_triage: 'falso_positivo',
+                url_afectada: 'http://shop.test/items?id=1',
+                parametro_afectado: 'id',
+                descripcion: "id=1' OR '1'='1"
+            }
+        ],
+        resumen_vulnerabilidades: { total: 2, suprimidas: 0, por_severidad: { critica: 1, alta: 0, media: 1, baja: 0 } },
+        instantanea: { guardada: true, fecha: new Date('2024-03-01T10:30:00Z'), nivel_riesgo: 'Critical', score_seguridad: 60 },
+        triage_actual: { total: 1, suprimidas: 1, por_severidad: { critica: 1, alta: 0, media: 0, baja: 0 } },
+        cuestionario: [{
+            pregunta: { texto_pregunta: `¿Qué hace ${XSS}?` },
+            respuesta_seleccionada: { texto_respuesta: '<b>nada</b>' },
+            respuesta_correcta: { texto_respuesta: 'Ejecuta código' },
+            es_correcta: false,
+            puntos_obtenidos: 0
+        }],
+        estado_cuestionario: 'completado',
+        preguntas_pendientes: 0,
+        puntuacion: { puntuacion_final: 60, calificacion: 'Regular', puntos_cuestionario: 0, total_puntos_cuestionario: 10 },
+        comparacion_anterior: {
+            escaneo_base: { alias: `Anterior ${XSS}`, fecha_inicio: new Date('2024-02-01T10:00:00Z') },
+            resumen: { nuevas: 1, corregidas: 0, persistentes: 1 },
+            puntuacion: { diferencia: -10 }
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Parse a PDF file and check its cross-reference table
+ * @returns {Object} { objects: Map(number -> body), trailer, streams: [inflated content] }
+ */
+function parsePdf(buffer) {
+    const text = buffer.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4\n'), 'cabecera %PDF-1.4');
+
+    const tail = /startxref\n(\d+)\n%%EOF$/.exec(text);
+    assert.ok(tail, 'startxref y %%EOF al final');
+    const xrefOffset = Number(tail[1]);
+    assert.strictEqual(text.slice(xrefOffset, xrefOffset + 5), 'xref\n');
+
+    const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(text.slice(xrefOffset));
+    assert.strictEqual(Number(first), 0);
+    const entries = text.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+    assert.strictEqual(entries[0], '0000000000 65535 f ');
+
+    const objects = new Map();
+    entries.slice(1).forEach((entry, index) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        const offset = Number(entry.slice(0, 10));
+        const number = index + 1;
+        assert.strictEqual(text.slice(offset, offset + `${number} 0 obj\n`.length), `${number} 0 obj\n`, `desplazamiento del objeto ${number}`);
+        objects.set(number, text.slice(offset, text.indexOf('\nendobj\n', offset)));
+    });
+
+    const trailer = /trailer\n(<<.*>>)/.exec(text.slice(xrefOffset))[1];
+    assert.match(trailer, new RegExp(`/Size ${count} `));
+
+    const streams = [];
+    for (const body of objects.values()) {
+        const stream = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/.exec(body);
+        if (!stream) continue;
+        const start = body.indexOf('stream\n') + 'stream\n'.length;
+        const data = Buffer.from(body.slice(start, body.length - '\nendstream'.length), 'latin1');
+        assert.strictEqual(data.length, Number(stream[1]), '/Length del stream');
+        streams.push(zlib.inflateSync(data).toString('latin1'));
+    }
+    return { objects, trailer, streams };
+}
+
+describe('Report renderers', () => {
+    describe('renderHtml', () => {
+        it('escapes the user data of the scan, findings, evidence and quiz', () => {
+            const html = renderHtml(buildReport());
+
+            assert.ok(!html.includes('<script'), 'no debe haber etiquetas <script>');
+            assert.ok(!html.includes('<img'), 'no debe haber etiquetas <img>');
+            assert.ok(!html.includes('<svg'), 'no debe haber etiquetas <svg>');
+            assert.ok(!html.includes('<b>nada'), 'no debe haber etiquetas <b> del usuario');
+            assert.ok(html.includes('<title>Reporte de Seguridad - Tienda &lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;</title>'));
+            assert.ok(html.includes('http://shop.test/?q=&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+            assert.ok(html.includes('<pre>&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;</pre>'));
+            assert.ok(html.includes('id=1&#39; OR &#39;1&#39;=&#39;1'));
+            assert.ok(html.includes('Anterior &lt;script&gt;'));
+        });
+
+        it('shows the snapshot counts and the current triage when it changed', () => {
+            const html = renderHtml(buildReport());
+            assert.match(html, /Total: 2</);
+            assert.match(html, /Con el triage actual: 1 · Suprimidas: 1/);
+
+            const unchanged = renderHtml(buildReport({ triage_actual: buildReport().resumen_vulnerabilidades }));
+            assert.ok(!unchanged.includes('Con el triage actual'));
+        });
+
+        it('renders a report without findings, quiz or previous run', () => {
+            const html = renderHtml(buildReport({ vulnerabilidades: [], cuestionario: [], comparacion_anterior: null, preguntas_pendientes: 2 }));
+            assert.match(html, /No se encontraron vulnerabilidades/);
+            assert.match(html, /2 preguntas pendientes/);
+            assert.ok(!html.includes('Comparación con el escaneo anterior'));
+        });
+    });
+
+    describe('renderPdf', () => {
+        it('writes a PDF 1.4 file with a valid cross-reference table', () => {
+            const pdf = renderPdf(buildReport());
+            assert.ok(Buffer.isBuffer(pdf));
+
+            const { objects, trailer } = parsePdf(pdf);
+            const root = /\/Root (\d+) 0 R/.exec(trailer)[1];
+            assert.match(objects.get(Number(root)), /\/Type \/Catalog/);
+            const info = objects.get(Number(/\/Info (\d+) 0 R/.exec(trailer)[1]));
+            // Parentheses of the alias are escaped inside the PDF string
+            assert.ok(info.includes('/Title (Reporte de Seguridad - Tienda <script>alert\\("xss"\\)</script>)'));
+        });
+
+        it('writes the user data as escaped PDF strings', () => {
+            const { streams } = parsePdf(renderPdf(buildReport()));
+            const content = streams.join('\n');
+
+            assert.ok(content.includes('(<script>alert\\("xss"\\)</script>) Tj'));
+            assert.ok(content.includes('texto con par\xE9ntesis'));
+            assert.ok(content.includes('\\\\ barras'));
+            assert.ok(content.includes('Con el triage actual: 1'));
+            // Every text operator keeps its string balanced
+            content.split('\n').filter(line => line.startsWith('BT')).forEach(line => {
+                assert.match(line, /^BT \/F\d [\d.]+ Tf [\d. ]+ rg [\d.]+ [\d.]+ Td \((?:[^()\\]|\\.)*\) Tj ET$/);
+            });
+        });
+
+        it('survives text outside Latin-1 and keeps the file valid', () => {
+            const report = buildReport();
+            report.scan.alias = 'Магазин 商店 🚀 “comillas” €';
+            report.vulnerabilidades[0].descripcion = 'Ωμέγα\u0000\u0007 — 日本語テキスト ✓';
+            report.vulnerabilidades[0].evidencia.payload = '\uD83D\uDCA5 ñ ü \uFFFD';
+
+            const { objects, streams, trailer } = parsePdf(renderPdf(report));
+            const info = objects.get(Number(/\/Info (\d+) 0 R/.exec(trailer)[1]));
+            // Characters the standard fonts cannot draw are replaced or dropped, WinAnsi ones are kept
+            assert.ok(info.includes('\x93comillas\x94 \x80'));
+            assert.ok(!/[^\x00-\xFF]/.test(streams.join('')));
+            assert.ok(streams.join('').includes('\x97'));
+        });
+
+        it('breaks long content into several pages', () => {
+            const report = buildReport();
+            report.vulnerabilidades = Array.from({ length: 40 }, () => report.vulnerabilidades[0]);
+
+            const { objects, streams } = parsePdf(renderPdf(report));
+            const pages = [...objects.values()].find(body => body.includes('/Type /Pages'));
+            const count = Number(/\/Count (\d+)/.exec(pages)[1]);
+            assert.ok(count > 1);
+            assert.strictEqual(streams.length, count);
+            assert.ok(streams[count - 1].includes(`(P\xE1gina ${count} de ${count}) Tj`));
+        });
+    });
+
+    describe('PdfDocument', () => {
+        it('wraps text inside the content width and cuts long words', () => {
+            const doc = new PdfDocument();
+            const lines = doc.wrap(`palabra ${'x'.repeat(400)} fin`, 10, 'regular', doc.contentWidth);
+
+            assert.ok(lines.length > 2);
+            lines.forEach(line => assert.ok(doc.measure(line, 10) <= doc.contentWidth));
+            assert.strictEqual(lines.join('').replace(/ /g, ''), `palabra${'x'.repeat(400)}fin`);
+        });
+    });
+});
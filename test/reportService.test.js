@@ -0,0 +1,77 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const reportService = require('../services/reportService');
+const scanDiff = require('../services/scanDiffService');
+const Report = require('../models/reporte');
+
+const SCAN_ID = '64b0000000000000000000aa';
+
+function vulnerability(nivel, estado_triage = 'nuevo') {
+    return { escaneo_id: SCAN_ID, nivel_severidad_id: { nombre: nivel }, estado_triage };
+}
+
+function finishedScan() {
+    return {
+        _id: SCAN_ID,
+        alias: 'Tienda',
+        url: 'http://shop.test/',
+        estado: 'finalizado',
+        flags: { sqli: true, xss: true },
+        preguntas_pendientes: [],
+        getQuizStatus: () => 'completado'
+    };
+}
+
+describe('ReportService.buildReport', () => {
+    let vulnerabilities;
+
+    beforeEach(() => {
+        vulnerabilities = [vulnerability('Crítica'), vulnerability('Alta'), vulnerability('Media')];
+        mock.method(reportService, 'loadVulnerabilities', async () => vulnerabilities);
+        mock.method(reportService, 'buildQuizResults', async () => []);
+        mock.method(scanDiff, 'diffWithPreviousRun', async () => null);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('serves the snapshot counts and reports the current triage separately', async () => {
+        // Snapshot stored when the scan finished, before any triage
+        const stored = Report.fromVulnerabilities(SCAN_ID, vulnerabilities);
+        mock.method(Report, 'findOne', async () => stored);
+        vulnerabilities[0] = vulnerability('Crítica', 'falso_positivo');
+
+        const report = await reportService.buildReport(finishedScan());
+
+        assert.deepStrictEqual(report.resumen_vulnerabilidades, {
+            total: 3,
+            suprimidas: 0,
+            por_severidad: { critica: 1, alta: 1, media: 1, baja: 0 }
+        });
+        assert.deepStrictEqual(report.triage_actual, {
+            total: 2,
+            suprimidas: 1,
+            por_severidad: { critica: 0, alta: 1, media: 1, baja: 0 }
+        });
+        assert.strictEqual(report.instantanea.guardada, true);
+        assert.strictEqual(report.instantanea.nivel_riesgo, stored.nivel_riesgo);
+        assert.strictEqual(report.resumen_ejecutivo.nivel_riesgo, stored.nivel_riesgo);
+        assert.strictEqual(report.resumen_ejecutivo.total_vulnerabilidades, report.resumen_vulnerabilidades.total);
+    });
+
+    it('builds a live report for a finished scan without a snapshot, without saving one', async () => {
+        mock.method(Report, 'findOne', async () => null);
+        const save = mock.method(reportService, 'saveSnapshot', async () => { throw new Error('no debe guardarse'); });
+        vulnerabilities[1] = vulnerability('Alta', 'riesgo_aceptado');
+
+        const report = await reportService.buildReport(finishedScan());
+
+        assert.strictEqual(save.mock.callCount(), 0);
+        assert.strictEqual(report.instantanea.guardada, false);
+        assert.strictEqual(report.instantanea.fecha, null);
+        assert.strictEqual(report.resumen_vulnerabilidades.total, 2);
+        assert.strictEqual(report.resumen_vulnerabilidades.suprimidas, 1);
+        assert.deepStrictEqual(report.triage_actual, report.resumen_vulnerabilidades);
+    });
+});
@@ -0,0 +1,79 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Ajv = require('ajv-draft-04');
+const addFormats = require('ajv-formats');
+const { buildSarif } = require('../services/exporters/sarifExporter');
+// Official SARIF 2.1.0 (rtm.5) JSON schema, vendored from @microsoft/jest-sarif
+const schema = require('./fixtures/sarif-schema-2.1.0.json');
+
+// The language pattern of the schema is not valid with the "u" RegExp flag
+const ajv = new Ajv({ allErrors: true, strict: false, unicodeRegExp: false });
+addFormats(ajv);
+const validateSarif = ajv.compile(schema);
+
+const SQLI = { nombre: 'SQLi', descripcion: 'Inyección SQL' };
+const XSS = { nombre: 'XSS' };
+
+const scan = {
+    _id: '64b0000000000000000000aa',
+    alias: 'Tienda',
+    url: 'http://app.test/',
+    estado: 'finalizado',
+    fecha_inicio: new Date('2026-10-01T10:00:00Z'),
+    fecha_fin: new Date('2026-10-01T10:05:00Z')
+};
+
+const vulnerabilities = [
+    {
+        tipo_id: SQLI,
+        nivel_severidad_id: { nombre: 'Crítica' },
+        url_afectada: 'http://app.test/items?id=1',
+        parametro_afectado: 'id',
+        descripcion: "SQL Injection detectada en el parámetro 'id'",
+        sugerencia: 'Usar consultas parametrizadas',
+        huella: 'a'.repeat(64),
+        estado_triage: 'confirmado',
+        evidencia: {
+            metodo_http: 'GET',
+            payload: 'id=1 AND 4321=4321',
+            peticion: 'GET /items?id=1%20AND%204321=4321 HTTP/1.1',
+            fragmento_respuesta: '<td>1</td>',
+            tecnica: 'boolean-based blind'
+        }
+    },
+    {
+        tipo_id: XSS,
+        nivel_severidad_id: { nombre: 'Media' },
+        url_afectada: 'http://app.test/search?q=x',
+        parametro_afectado: 'q',
+        estado_triage: 'falso_positivo',
+        justificacion_triage: 'El parámetro se codifica en la respuesta'
+    },
+    // Type missing from the catalogue and no parameter
+    { tipo_id: { nombre: 'SSTI' }, url_afectada: 'http://app.test/render' }
+];
+
+// The exported file is the JSON serialization of the log
+function exportSarif(...args) {
+    return JSON.parse(JSON.stringify(buildSarif(...args)));
+}
+
+describe('sarifExporter', () => {
+    it('exports a log that validates against the SARIF 2.1.0 schema', () => {
+        const log = exportSarif(scan, vulnerabilities, [SQLI, XSS]);
+        assert.ok(validateSarif(log), JSON.stringify(validateSarif.errors, null, 2));
+
+        const [run] = log.runs;
+        assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['SQLi', 'XSS', 'SSTI']);
+        assert.strictEqual(run.results.length, 3);
+        assert.strictEqual(run.results[1].suppressions[0].status, 'accepted');
+    });
+
+    it('exports a valid log for an unfinished scan without findings', () => {
+        const log = exportSarif({ ...scan, estado: 'error', fecha_fin: undefined }, [], []);
+        assert.ok(validateSarif(log), JSON.stringify(validateSarif.errors, null, 2));
+        assert.deepStrictEqual(log.runs[0].results, []);
+    });
+});
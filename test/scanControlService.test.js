@@ -0,0 +1,26 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Scan = require('../models/escaneo');
+const scanControl = require('../services/scanControlService');
+
+const USER_ID = '64b000000000000000000001';
+
+describe('ScanControlService', () => {
+    it('builds the URL, flags and question mode from the scan, whatever the client sends', () => {
+        const scan = new Scan({
+            _id: '64b0000000000000000000aa', usuario_id: USER_ID, alias: 'App', url: 'http://app.test/',
+            flags: { xss: true, sqli: false }, modo_preguntas: 'interactivo'
+        });
+
+        const config = scanControl.buildConfig(scan, {
+            url: 'http://other.test/', flags: { xss: true, sqli: true }, questionMode: 'skip', level: 3
+        });
+
+        assert.strictEqual(config.url, 'http://app.test/');
+        assert.deepStrictEqual(config.flags, { xss: true, sqli: false });
+        assert.strictEqual(config.questionMode, 'interactive');
+        assert.strictEqual(config.level, 3);
+    });
+});
@@ -0,0 +1,36 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Scan = require('../models/escaneo');
+const scanDiff = require('../services/scanDiffService');
+
+const USER_ID = '64b000000000000000000001';
+
+describe('ScanDiffService', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('stores the normalized target URL of a scan', () => {
+        const scan = new Scan({ usuario_id: USER_ID, alias: 'App', url: 'HTTP://App.test:80/items/?id=1&b=2#top' });
+        assert.strictEqual(scan.toObject().url_normalizada, 'http://app.test/items?b&id');
+    });
+
+    it('looks up the previous run by the normalized target URL in the database', async () => {
+        const previous = { _id: '64b0000000000000000000a1', usuario_id: USER_ID, alias: 'App', url: 'http://app.test/items?id=7' };
+        let query;
+        let sort;
+        mock.method(Scan.Model, 'findOne', filter => {
+            query = filter;
+            return { sort: async order => { sort = order; return { toObject: () => previous }; } };
+        });
+
+        const scan = new Scan({ _id: '64b0000000000000000000a2', usuario_id: USER_ID, alias: 'App', url: 'http://app.test/items/?id=9', fecha_inicio: new Date() });
+        const run = await scanDiff.findPreviousRun(scan);
+
+        assert.strictEqual(String(run._id), previous._id);
+        assert.deepStrictEqual(query.$or[0], { url_normalizada: 'http://app.test/items?id' });
+        assert.strictEqual(query.usuario_id, USER_ID);
+        assert.strictEqual(query.estado, 'finalizado');
+        assert.deepStrictEqual(sort, { fecha_inicio: -1 });
+    });
+});
@@ -0,0 +1,28 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const scanList = require('../services/scanListService');
+
+describe('ScanListService', () => {
+    it('leaves suppressed findings out of the vulnerability summary', () => {
+        const typeNames = new Map([['t1', 'SQLi'], ['t2', 'XSS']]);
+        const severityNames = new Map([['s1', 'Crítica'], ['s2', 'Media']]);
+        const doc = {
+            _id: '64b0000000000000000000aa',
+            url: 'http://app.test/',
+            estado: 'finalizado',
+            vulnerabilidades: [
+                { tipo_id: 't1', nivel_severidad_id: 's1', estado_triage: 'confirmado' },
+                { tipo_id: 't1', nivel_severidad_id: 's1', estado_triage: 'nuevo' },
+                { tipo_id: 't2', nivel_severidad_id: 's2', estado_triage: 'falso_positivo' },
+                { tipo_id: 't2', nivel_severidad_id: 's2', estado_triage: 'riesgo_aceptado' }
+            ]
+        };
+
+        const { vulnerabilidades } = scanList._toListItem(doc, typeNames, severityNames);
+        assert.strictEqual(vulnerabilidades.count, 2);
+        assert.deepStrictEqual(vulnerabilidades.types, ['SQLi']);
+        assert.deepStrictEqual(vulnerabilidades.por_severidad, { critica: 2, alta: 0, media: 0, baja: 0 });
+    });
+});
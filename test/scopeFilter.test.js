@@ -0,0 +1,34 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ScopeFilter = require('../services/orchestrator/scopeFilter');
+const { normalizeScope } = require('../services/orchestrator/scopeFilter');
+const Scan = require('../models/escaneo');
+
+describe('ScopeFilter', () => {
+    it('applies glob and regex rules', () => {
+        const filter = new ScopeFilter({ excludePaths: ['/logout', 'regex:^/admin/.*\\?debug='] }, 'http://app.test/');
+
+        assert.strictEqual(filter.checkUrl('http://app.test/items?id=1').inScope, true);
+        assert.strictEqual(filter.checkUrl('http://app.test/logout').inScope, false);
+        assert.strictEqual(filter.checkUrl('http://app.test/admin/users?debug=1').inScope, false);
+        assert.strictEqual(filter.checkUrl('http://other.test/items').inScope, false);
+    });
+
+    it('rejects regex rules that backtrack catastrophically', () => {
+        ['regex:(a+)+$', 'regex:^(\\w+\\s?)*$', 'regex:(.*a){20}'].forEach(rule => {
+            assert.throws(() => normalizeScope({ excludePaths: [rule] }), /Regla de alcance inválida/);
+        });
+    });
+
+    it('rejects regex rules that are too long', () => {
+        assert.throws(() => normalizeScope({ includePaths: [`regex:^/${'a'.repeat(200)}`] }), /supera los 200 caracteres/);
+    });
+
+    it('rejects unsafe rules when a scan is validated', () => {
+        const { error } = Scan.scopeValidation.validate({ rutas_excluidas: ['regex:(x+x+)+y'] });
+        assert.match(error.message, /cuantificadores anidados/);
+        assert.strictEqual(Scan.scopeValidation.validate({ rutas_excluidas: ['regex:^/logout', '/admin/**'] }).error, undefined);
+    });
+});
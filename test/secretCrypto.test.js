@@ -0,0 +1,32 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const secretCrypto = require('../utils/secretCrypto');
+const { SecretError } = require('../utils/secretCrypto');
+const Scan = require('../models/escaneo');
+
+describe('secretCrypto', () => {
+    it('encrypts with the active key and decrypts back', () => {
+        const encrypted = secretCrypto.encrypt('s3cr3t');
+        assert.match(encrypted, /^enc:v1:test:/);
+        assert.strictEqual(secretCrypto.encrypt(encrypted), encrypted);
+        assert.strictEqual(secretCrypto.decrypt(encrypted), 's3cr3t');
+        assert.strictEqual(secretCrypto.decrypt('plaintext'), 'plaintext');
+        assert.strictEqual(secretCrypto.needsRotation(encrypted), false);
+        assert.strictEqual(secretCrypto.needsRotation('plaintext'), true);
+    });
+
+    it('rejects values encrypted with an unknown key or tampered with', () => {
+        assert.throws(() => secretCrypto.decrypt('enc:v1:old:AAAA:AAAA:AAAA'), SecretError);
+        const encrypted = secretCrypto.encrypt('s3cr3t');
+        assert.throws(() => secretCrypto.decrypt(`${encrypted.slice(0, -4)}AAAA`), /valor dañado/);
+    });
+
+    it('is used by the models to store credentials encrypted', () => {
+        const scan = new Scan({ alias: 'App', url: 'http://app.test/', cookie: 'sid=1', credenciales: { usuario_login: 'alice', password_login: 'pw' } });
+        const stored = scan.toObject();
+        assert.strictEqual(secretCrypto.decrypt(stored.cookie), 'sid=1');
+        assert.strictEqual(secretCrypto.decrypt(stored.credenciales.password_login), 'pw');
+    });
+});
@@ -0,0 +1,72 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SeedService, SeedError } = require('../services/seedService');
+
+const OPENAPI_YAML = `openapi: 3.0.3
+info:
+  title: Tienda
+  version: "1.0"
+paths:
+  /products/{id}:
+    get:
+      parameters:
+        - { name: id, in: path, required: true, schema: { type: integer } }
+        - { name: fields, in: query, schema: { type: string } }
+`;
+
+describe('SeedService', () => {
+    let server;
+    let origin;
+    const service = new SeedService();
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/openapi.yaml') {
+                res.writeHead(200, { 'Content-Type': 'application/yaml' });
+                res.end(OPENAPI_YAML);
+                return;
+            }
+            // Chunked, without Content-Length
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"openapi":"3.0.0","paths":{},"x":"');
+            for (let chunk = 0; chunk < 16; chunk++) res.write('x'.repeat(1024));
+            res.end('"}');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+        mock.method(service, 'getSettings', () => ({ maxBytes: 4096, maxEndpoints: 500, requestTimeoutMs: 5000 }));
+    });
+
+    after(() => {
+        mock.restoreAll();
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('stops a chunked download at the size limit', async () => {
+        await assert.rejects(service.download(`${origin}/big.json`), error => error instanceof SeedError && error.statusCode === 413);
+    });
+
+    it('parses OpenAPI documents written in YAML', async () => {
+        const text = await service.download(`${origin}/openapi.yaml`);
+        const { document, result } = service.parse('openapi', text, 'http://shop.test/');
+
+        assert.strictEqual(document.info.title, 'Tienda');
+        assert.strictEqual(result.version, '3.0.3');
+        assert.deepStrictEqual(result.endpoints.map(endpoint => endpoint.url), ['http://shop.test/products/1?fields=test']);
+    });
+
+    it('rejects YAML whose aliases expand exponentially', () => {
+        let text = 'openapi: 3.0.0\npaths: {}\na0: &a0 [x, x, x, x, x, x, x, x, x]\n';
+        for (let level = 1; level < 10; level++) text += `a${level}: &a${level} [${Array(9).fill(`*a${level - 1}`).join(', ')}]\n`;
+
+        assert.throws(() => service.parse('openapi', text, 'http://shop.test/'), /no es JSON ni YAML válido/);
+    });
+
+    it('only accepts JSON for HAR files', () => {
+        assert.throws(() => service.parse('har', 'log:\n  entries: []\n', 'http://shop.test/'), /no es JSON válido/);
+    });
+});
@@ -0,0 +1,141 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqlmapExecutor = require('../services/orchestrator/sqlmapExecutor');
+const processLimiter = require('../services/orchestrator/processLimiter');
+const Logger = require('../services/orchestrator/logger');
+const { getEvidenceLimits } = require('../services/findings/evidence');
+
+// sqlmap reports the parameter first and prints the injection point summary later
+const OUTPUT = [
+    "[12:00:01] [INFO] GET parameter 'id' appears to be 'AND boolean-based blind' injectable",
+    "GET parameter 'id' is vulnerable. Do you want to keep testing the others (if any)? [y/N] N",
+    'sqlmap identified the following injection point(s) with a total of 30 HTTP(s) requests:',
+    '---',
+    'Parameter: id (GET)',
+    '    Type: boolean-based blind',
+    '    Title: AND boolean-based blind - WHERE or HAVING clause',
+    '    Payload: id=1 AND 4321=4321',
+    '---',
+    ''
+].join('\n');
+
+// Process that prints OUTPUT and exits
+function fakeSqlmap() {
+    const proc = new EventEmitter();
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    proc.kill = () => {};
+    setImmediate(() => {
+        proc.stdout.emit('data', Buffer.from(OUTPUT));
+        proc.emit('close', 0);
+    });
+    return proc;
+}
+
+function createExecutor() {
+    return new SqlmapExecutor({ url: 'http://app.test/', scope: {} }, new Logger(new EventEmitter()), new EventEmitter(), new Map());
+}
+
+describe('SqlmapExecutor', () => {
+    afterEach(() => mock.restoreAll());
+
+    ['testEndpoint', 'testParameter'].forEach(method => {
+        it(`${method} reports each finding once, with its evidence`, async () => {
+            mock.method(processLimiter, 'spawn', async () => fakeSqlmap());
+            const param = { name: 'id', endpoint: 'http://app.test/items?id=1' };
+            const found = [];
+            const onVulnerabilityFound = vuln => found.push({ ...vuln, evidence: vuln.evidence && { ...vuln.evidence } });
+
+            const executor = createExecutor();
+            if (method === 'testEndpoint') {
+                await executor.testEndpoint(param.endpoint, [param], 'detection', onVulnerabilityFound);
+            } else {
+                await executor.testParameter(param, 'detection', onVulnerabilityFound);
+            }
+
+            assert.strictEqual(found.length, 1);
+            assert.strictEqual(found[0].parameter, 'id');
+            assert.strictEqual(found[0].evidence.payload, 'id=1 AND 4321=4321');
+            assert.strictEqual(found[0].evidence.technique, 'boolean-based blind');
+        });
+    });
+
+    describe('_readTraffic', () => {
+        // Entry of the sqlmap traffic log (-t)
+        const exchange = (number, query, body) => [
+            `HTTP request [#${number}]:`,
+            `GET /items?${query} HTTP/1.1`,
+            'Host: app.test',
+            '',
+            `HTTP response [#${number}] (200 OK):`,
+            'Content-Type: text/html',
+            '',
+            body,
+            '#'.repeat(70),
+            ''
+        ].join('\n');
+
+        function writeTraffic(entries) {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sqlmap-traffic-')), 'traffic.txt');
+            fs.writeFileSync(file, entries.join(''));
+            return file;
+        }
+
+        it('keeps the last exchange that carried each payload and deletes the log', () => {
+            const file = writeTraffic([
+                exchange(1, 'id=1%20AND%204321%3D4321', 'primera'),
+                exchange(2, 'id=1', 'sin payload'),
+                exchange(3, 'id=1%20AND%204321%3D4321', 'la que confirmó'),
+                exchange(4, 'id=2', 'otra')
+            ]);
+
+            const exchanges = createExecutor()._readTraffic(file, ['1 AND 4321=4321', '1 OR 1=1']);
+
+            assert.deepStrictEqual([...exchanges.keys()], ['1 AND 4321=4321']);
+            assert.match(exchanges.get('1 AND 4321=4321').request, /^GET \/items\?id=1%20AND%204321%3D4321 HTTP\/1\.1/);
+            assert.match(exchanges.get('1 AND 4321=4321').response, /la que confirmó$/);
+            // Deleted asynchronously
+            return new Promise(resolve => setImmediate(() => {
+                assert.strictEqual(fs.existsSync(file), false);
+                fs.rmSync(path.dirname(file), { recursive: true, force: true });
+                resolve();
+            }));
+        });
+
+        it('reads the log in chunks and cuts long exchanges to the evidence limits', () => {
+            const limits = getEvidenceLimits();
+            const huge = `${'a'.repeat(300000)}1 AND 4321=4321${'b'.repeat(300000)}`;
+            const file = writeTraffic([
+                ...Array.from({ length: 200 }, (_, i) => exchange(i + 1, `id=${i}`, 'x'.repeat(1000))),
+                exchange(201, 'id=1%20AND%204321%3D4321', huge),
+                exchange(202, 'id=3', 'después')
+            ]);
+            const read = mock.method(fs, 'readSync');
+
+            const exchanges = createExecutor()._readTraffic(file, ['1 AND 4321=4321']);
+
+            const found = exchanges.get('1 AND 4321=4321');
+            assert.ok(found, 'debe encontrar el intercambio con el payload');
+            assert.ok(found.response.length <= limits.request + limits.payload + 2 * limits.response);
+            assert.match(found.response, /^Content-Type: text\/html\n\naaa/);
+            assert.ok(read.mock.callCount() > 1);
+            assert.ok(read.mock.calls.every(call => call.arguments[1].length <= 64 * 1024));
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        });
+
+        it('does not read the log when there are no payloads to look for', () => {
+            const file = writeTraffic([exchange(1, 'id=1', 'x')]);
+            const read = mock.method(fs, 'readSync');
+
+            assert.strictEqual(createExecutor()._readTraffic(file, []).size, 0);
+            assert.strictEqual(read.mock.callCount(), 0);
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        });
+    });
+});
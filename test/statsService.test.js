@@ -0,0 +1,200 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const statsService = require('../services/statsService');
+const Scan = require('../models/escaneo');
+const VulnerabilityType = require('../models/tipo_vulnerabilidad');
+const SeverityLevel = require('../models/nivel_severidad');
+const Finding = require('../models/hallazgo');
+
+const USER_ID = '64b0000000000000000000aa';
+const TARGET_ID = '64b0000000000000000000bb';
+const SQLI = new mongoose.Types.ObjectId();
+const CRITICAL = new mongoose.Types.ObjectId();
+const LOW = new mongoose.Types.ObjectId();
+
+// Model.find(...).select(...).lean()
+const query = docs => ({ select: () => ({ lean: async () => docs }) });
+
+const stageOf = (pipeline, name) => pipeline.find(stage => stage[name]);
+
+describe('StatsService', () => {
+    describe('validateFilters', () => {
+        it('applies the default interval and target limit', () => {
+            const { error, value } = statsService.validateFilters({});
+            assert.strictEqual(error, undefined);
+            assert.deepStrictEqual(value, { intervalo: 'mes', limite: 10 });
+            assert.strictEqual(statsService.validateFilters(undefined).error, undefined);
+        });
+
+        it('accepts a date range, an interval, a limit and a target', () => {
+            const { error, value } = statsService.validateFilters({
+                desde: '2024-01-01', hasta: '2024-06-30', intervalo: 'semana', limite: '5', objetivo_id: TARGET_ID
+            });
+            assert.strictEqual(error, undefined);
+            assert.strictEqual(value.limite, 5);
+            assert.ok(value.desde instanceof Date);
+        });
+
+        it('rejects invalid filters', () => {
+            [
+                { desde: '2024-06-30', hasta: '2024-01-01' },
+                { desde: 'ayer' },
+                { intervalo: 'dia' },
+                { limite: 0 },
+                { limite: 51 },
+                { objetivo_id: 'no-es-un-id' },
+                { otro: 1 }
+            ].forEach(filters => {
+                assert.ok(statsService.validateFilters(filters).error, `${JSON.stringify(filters)} debería rechazarse`);
+            });
+        });
+    });
+
+    describe('getUserStats', () => {
+        let scanPipelines;
+        let findingPipelines;
+        let severities;
+
+        beforeEach(() => {
+            scanPipelines = [];
+            findingPipelines = [];
+            severities = [{ _id: CRITICAL, nombre: 'Crítica' }, { _id: LOW, nombre: 'Baja' }];
+
+            mock.method(VulnerabilityType.Model, 'find', () => query([{ _id: SQLI, nombre: 'SQLi' }]));
+            mock.method(SeverityLevel.Model, 'find', () => query(severities));
+            mock.method(Scan.Model, 'distinct', async () => ['http://App.test/', 'http://app.test']);
+            mock.method(Scan.Model, 'aggregate', async (pipeline) => {
+                scanPipelines.push(pipeline);
+                if (stageOf(pipeline, '$lookup')) {
+                    return [
+                        { _id: { periodo: '2024-01', tipo: SQLI, severidad: CRITICAL }, count: 2 },
+                        { _id: { periodo: '2024-01', tipo: SQLI, severidad: LOW }, count: 1 },
+                        { _id: { periodo: '2024-02', tipo: new mongoose.Types.ObjectId(), severidad: LOW }, count: 4 }
+                    ];
+                }
+                if (pipeline[0].$match.estado === 'finalizado') {
+                    return [{ _id: null, promedio: 72.456, minima: 40, maxima: 100, escaneos_puntuados: 3 }];
+                }
+                return [{ _id: 'finalizado', count: 3 }, { _id: null, count: 1 }];
+            });
+            mock.method(Finding.Model, 'aggregate', async (pipeline) => {
+                findingPipelines.push(pipeline);
+                if (pipeline[0].$match.estado === 'corregido') {
+                    return [
+                        { _id: CRITICAL, count: 1, totalMs: 2 * 24 * 60 * 60 * 1000 },
+                        { _id: LOW, count: 2, totalMs: 10 * 24 * 60 * 60 * 1000 }
+                    ];
+                }
+                return [{
+                    _id: 'http://app.test',
+                    hallazgos_abiertos: 3,
+                    riesgo: 9,
+                    severidades: [{ severidad: CRITICAL, count: 2 }, { severidad: LOW, count: 1 }]
+                }];
+            });
+        });
+
+        afterEach(() => mock.restoreAll());
+
+        it('aggregates scans, scores, vulnerabilities, fix times and targets', async () => {
+            const stats = await statsService.getUserStats(USER_ID, { intervalo: 'mes', limite: 10 });
+
+            assert.deepStrictEqual(stats.filtros, { desde: null, hasta: null, intervalo: 'mes', objetivo_id: null });
+            assert.deepStrictEqual(stats.escaneos, { total: 4, por_estado: { finalizado: 3, desconocido: 1 } });
+            assert.deepStrictEqual(stats.puntuacion, { promedio: 72.46, minima: 40, maxima: 100, escaneos_puntuados: 3 });
+            assert.deepStrictEqual(stats.vulnerabilidades_por_periodo, [
+                { periodo: '2024-01', total: 3, por_tipo: { SQLi: 3 }, por_severidad: { 'Crítica': 2, Baja: 1 } },
+                { periodo: '2024-02', total: 4, por_tipo: { Desconocido: 4 }, por_severidad: { Baja: 4 } }
+            ]);
+            assert.deepStrictEqual(stats.tiempo_medio_correccion, {
+                hallazgos_corregidos: 3,
+                dias: 4,
+                por_severidad: {
+                    'Crítica': { hallazgos_corregidos: 1, dias: 2 },
+                    Baja: { hallazgos_corregidos: 2, dias: 5 }
+                }
+            });
+            assert.deepStrictEqual(stats.objetivos_mas_vulnerables, [
+                { objetivo: 'http://app.test', riesgo: 9, hallazgos_abiertos: 3, por_severidad: { 'Crítica': 2, Baja: 1 } }
+            ]);
+
+            // Every pipeline starts from the user
+            [...scanPipelines, ...findingPipelines].forEach(pipeline => {
+                assert.strictEqual(String(pipeline[0].$match.usuario_id), USER_ID);
+            });
+            assert.strictEqual(Scan.Model.distinct.mock.callCount(), 0);
+        });
+
+        it('weights the targets by the severity levels', async () => {
+            await statsService.getUserStats(USER_ID, {});
+
+            const targets = findingPipelines.find(pipeline => pipeline[0].$match.estado !== 'corregido');
+            const weight = targets[2].$group.riesgo.$sum.$multiply[1];
+            assert.deepStrictEqual(weight.$switch.branches.map(branch => branch.then), [4, 1]);
+            assert.strictEqual(weight.$switch.default, 0);
+            assert.strictEqual(stageOf(targets, '$limit').$limit, 10);
+        });
+
+        it('weighs every finding 0 when there are no severity levels', async () => {
+            severities = [];
+
+            const stats = await statsService.getUserStats(USER_ID, {});
+
+            const targets = findingPipelines.find(pipeline => pipeline[0].$match.estado !== 'corregido');
+            assert.deepStrictEqual(targets[2].$group.riesgo, { $sum: { $multiply: ['$count', 0] } });
+            assert.strictEqual(stats.objetivos_mas_vulnerables.length, 1);
+        });
+
+        it('applies the date range, the interval, the limit and the target filter', async () => {
+            const { value: filters } = statsService.validateFilters({
+                desde: '2024-01-01', hasta: '2024-06-30', intervalo: 'semana', limite: 3, objetivo_id: TARGET_ID
+            });
+
+            const stats = await statsService.getUserStats(USER_ID, filters);
+
+            assert.strictEqual(String(stats.filtros.objetivo_id), TARGET_ID);
+            assert.strictEqual(stats.filtros.intervalo, 'semana');
+            const [distinctField, distinctQuery] = Scan.Model.distinct.mock.calls[0].arguments;
+            assert.strictEqual(distinctField, 'url');
+            assert.strictEqual(String(distinctQuery.objetivo_id), TARGET_ID);
+
+            scanPipelines.forEach(pipeline => {
+                const match = pipeline[0].$match;
+                assert.strictEqual(String(match.objetivo_id), TARGET_ID);
+                assert.deepStrictEqual(match.fecha_inicio, { $gte: new Date('2024-01-01'), $lte: new Date('2024-06-30') });
+            });
+            const timeline = scanPipelines.find(pipeline => stageOf(pipeline, '$lookup'));
+            assert.strictEqual(stageOf(timeline, '$group').$group._id.periodo.$dateToString.format, '%G-W%V');
+
+            // Findings are keyed by the normalized URLs of the scans of the target
+            findingPipelines.forEach(pipeline => {
+                assert.deepStrictEqual(pipeline[0].$match.objetivo, { $in: ['http://app.test'] });
+            });
+            const [fixes, targets] = [
+                findingPipelines.find(pipeline => pipeline[0].$match.estado === 'corregido'),
+                findingPipelines.find(pipeline => pipeline[0].$match.estado !== 'corregido')
+            ];
+            assert.deepStrictEqual(fixes[0].$match.fecha_correccion, {
+                $ne: null, $gte: new Date('2024-01-01'), $lte: new Date('2024-06-30')
+            });
+            assert.deepStrictEqual(targets[0].$match.ultima_deteccion, { $gte: new Date('2024-01-01'), $lte: new Date('2024-06-30') });
+            assert.strictEqual(stageOf(targets, '$limit').$limit, 3);
+        });
+
+        it('returns empty statistics for a user without scans', async () => {
+            Scan.Model.aggregate.mock.mockImplementation(async () => []);
+            Finding.Model.aggregate.mock.mockImplementation(async () => []);
+
+            const stats = await statsService.getUserStats(USER_ID, {});
+
+            assert.deepStrictEqual(stats.escaneos, { total: 0, por_estado: {} });
+            assert.deepStrictEqual(stats.puntuacion, { promedio: null, minima: null, maxima: null, escaneos_puntuados: 0 });
+            assert.deepStrictEqual(stats.vulnerabilidades_por_periodo, []);
+            assert.deepStrictEqual(stats.tiempo_medio_correccion, { hallazgos_corregidos: 0, dias: null, por_severidad: {} });
+            assert.deepStrictEqual(stats.objetivos_mas_vulnerables, []);
+        });
+    });
+});
@@ -0,0 +1,163 @@
+process.env.NODE_ENV = 'test';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns').promises;
+const targetPolicy = require('../services/targetPolicyService');
+const { TargetPolicyError } = require('../services/targetPolicyService');
+
+const policy = overrides => ({
+    enabled: true,
+    blockPrivateNetworks: true,
+    allowedHosts: [],
+    allowedNetworks: [],
+    blockedNetworks: [],
+    resolveTimeoutMs: 5000,
+    ...overrides
+});
+
+// Host name -> addresses returned by the stubbed dns.lookup
+const RECORDS = {
+    'public.test': ['93.184.216.34'],
+    'internal.test': ['10.1.2.3'],
+    'mixed.test': ['93.184.216.34', '192.168.1.10'],
+    'mapped.test': ['::ffff:127.0.0.1'],
+    'nat64.test': ['64:ff9b::a9fe:a9fe'],
+    'v6.test': ['2606:2800:220:1::1']
+};
+
+describe('TargetPolicyService.check', () => {
+    let lookup;
+
+    beforeEach(() => {
+        mock.method(targetPolicy, 'getPolicy', () => policy());
+        lookup = mock.method(dns, 'lookup', async (hostname) => {
+            if (!RECORDS[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+            return RECORDS[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const rejects = async (url, pattern) => {
+        const result = await targetPolicy.check(url);
+        assert.strictEqual(result.allowed, false, `${url} debería rechazarse`);
+        if (pattern) assert.match(result.reason, pattern);
+        return result;
+    };
+
+    it('allows public hosts and returns their addresses', async () => {
+        assert.deepStrictEqual(await targetPolicy.check('https://public.test/login'), {
+            allowed: true, reason: null, addresses: ['93.184.216.34']
+        });
+        assert.strictEqual((await targetPolicy.check('http://v6.test/')).allowed, true);
+    });
+
+    it('rejects loopback, private and link-local addresses', async () => {
+        await rejects('http://127.0.0.1/', /loopback/);
+        await rejects('http://[::1]:8080/', /loopback/);
+        await rejects('http://10.0.0.5/', /red privada 10\.0\.0\.0\/8/);
+        await rejects('http://172.20.1.1/', /red privada/);
+        await rejects('http://192.168.0.1/', /red privada/);
+        await rejects('http://[fd00::1]/', /fc00::\/7/);
+        await rejects('http://169.254.169.254/latest/meta-data/', /169\.254\.0\.0\/16/);
+    });
+
+    it('rejects the cloud metadata and localhost names without resolving them', async () => {
+        await rejects('http://metadata/computeMetadata/v1/', /servicio interno/);
+        await rejects('http://metadata.google.internal/', /servicio interno/);
+        await rejects('http://localhost:3000/', /servicio interno/);
+        await rejects('http://app.localhost/', /servicio interno/);
+        assert.strictEqual(lookup.mock.callCount(), 0);
+    });
+
+    it('rejects hosts when any of their addresses is blocked', async () => {
+        await rejects('http://internal.test/', /resuelve a 10\.1\.2\.3/);
+        const result = await rejects('http://mixed.test/', /resuelve a 192\.168\.1\.10/);
+        assert.deepStrictEqual(result.addresses, RECORDS['mixed.test']);
+    });
+
+    it('checks IPv4-mapped, IPv4-compatible and NAT64 IPv6 addresses', async () => {
+        await rejects('http://[::ffff:127.0.0.1]/', /loopback/);
+        await rejects('http://[::ffff:a9fe:a9fe]/', /169\.254\.0\.0\/16/);
+        await rejects('http://mapped.test/', /loopback/);
+        await rejects('http://[::7f00:1]/', /::\/96/);
+        await rejects('http://[64:ff9b::a9fe:a9fe]/', /64:ff9b::\/96/);
+        await rejects('http://nat64.test/', /NAT64/);
+    });
+
+    it('normalizes numeric IPv4 forms before checking them', async () => {
+        await rejects('http://2130706433/', /loopback/);
+        await rejects('http://0x7f.1/', /loopback/);
+        await rejects('http://017700000001/', /loopback/);
+        await rejects('http://0xa9fea9fe/', /169\.254\.0\.0\/16/);
+        await rejects('http://0/', /0\.0\.0\.0\/8/);
+    });
+
+    it('rejects other protocols, invalid URLs and hosts that do not resolve', async () => {
+        await rejects('file:///etc/passwd', /Protocolo no permitido: file/);
+        await rejects('gopher://public.test/', /Protocolo no permitido/);
+        await rejects('no es una url', /URL inválida/);
+        await rejects('http://unknown.test/', /No se pudo resolver/);
+    });
+
+    it('allows hosts in the host allowlist, including wildcards', async () => {
+        targetPolicy.getPolicy.mock.mockImplementation(() => policy({ allowedHosts: ['localhost', '*.internal.test', 'internal.test'] }));
+
+        assert.strictEqual((await targetPolicy.check('http://localhost:3000/')).allowed, true);
+        assert.strictEqual((await targetPolicy.check('http://internal.test/')).allowed, true);
+        assert.strictEqual((await targetPolicy.check('http://api.internal.test/')).allowed, true);
+        assert.strictEqual(lookup.mock.callCount(), 0);
+        await rejects('http://127.0.0.1/', /loopback/);
+    });
+
+    it('allows addresses in the network allowlist and blocks administrator networks', async () => {
+        targetPolicy.getPolicy.mock.mockImplementation(() => policy({
+            allowedNetworks: ['10.1.0.0/16', '127.0.0.1'],
+            blockedNetworks: ['93.184.216.0/24']
+        }));
+
+        assert.strictEqual((await targetPolicy.check('http://internal.test/')).allowed, true);
+        assert.strictEqual((await targetPolicy.check('http://127.0.0.1/')).allowed, true);
+        assert.strictEqual((await targetPolicy.check('http://[::ffff:127.0.0.1]/')).allowed, true);
+        await rejects('http://10.2.0.1/', /red privada/);
+        await rejects('http://public.test/', /red bloqueada por el administrador 93\.184\.216\.0\/24/);
+    });
+
+    it('only blocks administrator networks when private networks are not blocked', async () => {
+        targetPolicy.getPolicy.mock.mockImplementation(() => policy({ blockPrivateNetworks: false, blockedNetworks: ['192.168.0.0/16'] }));
+
+        assert.strictEqual((await targetPolicy.check('http://10.0.0.5/')).allowed, true);
+        await rejects('http://mixed.test/', /red bloqueada por el administrador/);
+    });
+
+    it('rejects hosts whose resolution exceeds the DNS timeout', async () => {
+        targetPolicy.getPolicy.mock.mockImplementation(() => policy({ resolveTimeoutMs: 100 }));
+        let timer;
+        lookup.mock.mockImplementation(() => new Promise(resolve => {
+            timer = setTimeout(() => resolve([{ address: '93.184.216.34', family: 4 }]), 1000);
+        }));
+
+        const started = Date.now();
+        await rejects('http://slow.test/', /No se pudo resolver el host slow\.test/);
+        assert.ok(Date.now() - started < 900);
+        clearTimeout(timer);
+    });
+
+    it('allows everything but other protocols when the policy is disabled', async () => {
+        targetPolicy.getPolicy.mock.mockImplementation(() => policy({ enabled: false }));
+
+        assert.strictEqual((await targetPolicy.check('http://169.254.169.254/')).allowed, true);
+        await rejects('ftp://public.test/', /Protocolo no permitido/);
+    });
+
+    it('throws a TargetPolicyError with status 403 from assertAllowed', async () => {
+        await assert.rejects(targetPolicy.assertAllowed('http://10.0.0.1/'), (error) => {
+            assert.ok(error instanceof TargetPolicyError);
+            assert.strictEqual(error.statusCode, 403);
+            assert.match(error.message, /^Objetivo no permitido: /);
+            return true;
+        });
+        assert.strictEqual((await targetPolicy.assertAllowed('http://public.test/')).allowed, true);
+    });
+});
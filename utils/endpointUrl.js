@@ -0,0 +1,30 @@
+/**
+ * Normalized form of an endpoint or target URL
+ *
+ * Used to match the same endpoint across scans (finding fingerprints) and to
+ * find earlier runs of a target (stored as url_normalizada on each scan).
+ */
+
+/**
+ * Normalize an endpoint URL so the same endpoint matches across runs:
+ * lowercase scheme/host, no default port, no fragment, no trailing slash and
+ * only the sorted query parameter names (values change between runs)
+ * @param {string} url - Endpoint URL
+ * @returns {string}
+ */
+function normalizeEndpoint(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        const path = parsed.pathname.replace(/\/+$/, '');
+        const paramNames = [...new Set(parsed.searchParams.keys())].sort();
+        const query = paramNames.length > 0 ? `?${paramNames.join('&')}` : '';
+        return `${parsed.protocol}//${parsed.host}${path}${query}`;
+    } catch (error) {
+        return String(url).trim().toLowerCase();
+    }
+}
+
+module.exports = {
+    normalizeEndpoint
+};
@@ -0,0 +1,58 @@
+/**
+ * Bodies of fetch responses read with a size limit
+ *
+ * response.text() keeps the whole body in memory, whatever its size (a
+ * chunked response has no Content-Length to check first). readText reads the
+ * body stream instead and stops as soon as the limit is reached.
+ */
+
+/**
+ * Error raised by readText when the body is longer than the limit
+ */
+class BodyTooLargeError extends Error {
+    constructor(maxBytes) {
+        super(`La respuesta supera el tamaño máximo de ${maxBytes} bytes`);
+        this.name = 'BodyTooLargeError';
+        this.maxBytes = maxBytes;
+    }
+}
+
+/**
+ * Text of the body of a response, reading at most maxBytes
+ * @param {Response} response - fetch response
+ * @param {number} maxBytes - Bytes to read
+ * @param {Object} options - { truncate } true: a longer body is cut at maxBytes, false: it throws
+ * @returns {Promise<string>}
+ * @throws {BodyTooLargeError} If the body is longer than maxBytes and truncate is false
+ */
+async function readText(response, maxBytes, { truncate = true } = {}) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            if (length + value.byteLength > maxBytes) {
+                if (!truncate) throw new BodyTooLargeError(maxBytes);
+                chunks.push(Buffer.from(value.buffer, value.byteOffset, maxBytes - length));
+                length = maxBytes;
+                break;
+            }
+            chunks.push(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+            length += value.byteLength;
+        }
+    } finally {
+        // The rest of the body is not downloaded
+        reader.cancel().catch(() => {});
+    }
+    return Buffer.concat(chunks, length).toString('utf8');
+}
+
+module.exports = {
+    readText,
+    BodyTooLargeError
+};
@@ -0,0 +1,149 @@
+/**
+ * Encryption at rest of target credentials
+ *
+ * Login passwords/tokens, cookies and custom headers of scans are stored as
+ * "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (AES-256-GCM). The key is chosen by
+ * secrets.activeKey among secrets.keys; older keys stay in secrets.keys so
+ * existing values can still be decrypted.
+ *
+ * Values without the prefix are plaintext from before encryption was enabled:
+ * decrypt() returns them as they are.
+ *
+ * Models, services and routes encrypt, decrypt and mask with this module;
+ * services/secretService builds on it to re-encrypt stored documents when
+ * the key rotates.
+ */
+
+const config = require('config');
+const crypto = require('crypto');
+const debug = require('debug')('easyinjection:utils:secretCrypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const MASK = '********';
+
+const derivedKeys = new Map(); // raw key -> 32 byte key
+
+/**
+ * Error raised when a secret cannot be encrypted or decrypted
+ */
+class SecretError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SecretError';
+    }
+}
+
+/**
+ * Config keys: object { id: key }, or JSON string when it comes from an environment variable
+ */
+function parseKeys(value) {
+    if (!value) return {};
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new SecretError('secrets.keys debe ser un objeto JSON { "id": "clave" }');
+        }
+    }
+    return { ...value };
+}
+
+function deriveKey(rawKey) {
+    if (!derivedKeys.has(rawKey)) {
+        derivedKeys.set(rawKey, crypto.createHash('sha256').update(String(rawKey)).digest());
+    }
+    return derivedKeys.get(rawKey);
+}
+
+/**
+ * Configured keys
+ * @returns {Object} { activeKeyId, keys: { id: rawKey } }
+ */
+function getSettings() {
+    const keys = parseKeys(config.has('secrets.keys') ? config.get('secrets.keys') : {});
+    const activeKeyId = config.has('secrets.activeKey') ? String(config.get('secrets.activeKey') || '') : '';
+    return { activeKeyId, keys };
+}
+
+/**
+ * Whether there is an active key to encrypt with
+ */
+function isConfigured() {
+    const { activeKeyId, keys } = getSettings();
+    return Boolean(activeKeyId && keys[activeKeyId]);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a value with the active key. Empty and already encrypted values
+ * are returned unchanged; without a configured key the value is kept as is.
+ */
+function encrypt(value) {
+    if (value === undefined || value === null || value === '' || isEncrypted(value)) return value;
+
+    const { activeKeyId, keys } = getSettings();
+    if (!activeKeyId || !keys[activeKeyId]) {
+        debug('encrypt: no active key configured, value kept in plaintext');
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(keys[activeKeyId]), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${activeKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value (plaintext values are returned unchanged)
+ * @throws {SecretError} If the key is unknown or the value was tampered with
+ */
+function decrypt(value) {
+    if (!isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const { keys } = getSettings();
+    if (!keys[keyId]) {
+        throw new SecretError(`No se puede descifrar: la clave '${keyId}' no está en secrets.keys`);
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(keys[keyId]), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new SecretError(`No se puede descifrar con la clave '${keyId}': valor dañado o clave incorrecta`);
+    }
+}
+
+/**
+ * Whether a stored value should be re-encrypted (plaintext or older key)
+ */
+function needsRotation(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (!isConfigured()) return false;
+    if (!isEncrypted(value)) return true;
+    return value.slice(PREFIX.length).split(':')[0] !== getSettings().activeKeyId;
+}
+
+/**
+ * Text shown instead of a secret
+ */
+function mask(value) {
+    return value ? MASK : value;
+}
+
+module.exports = {
+    SecretError,
+    MASK,
+    getSettings,
+    isConfigured,
+    isEncrypted,
+    encrypt,
+    decrypt,
+    needsRotation,
+    mask
+};
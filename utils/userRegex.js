@@ -0,0 +1,42 @@
+/**
+ * Regular expressions written by users (scope rules, expired session pattern)
+ *
+ * They run on the event loop against every URL or checked page, so a pattern
+ * with catastrophic backtracking ((a+)+, (\w+\s?)*, ...) could block the
+ * server. Patterns are limited in length and rejected when their star height
+ * makes them exponential (safe-regex2); callers also limit the text they test.
+ */
+
+const isSafeRegex = require('safe-regex2');
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Compile a pattern written by a user
+ * @param {string} source - Regular expression
+ * @param {string} flags - RegExp flags
+ * @returns {RegExp}
+ * @throws {Error} If it is invalid, longer than MAX_PATTERN_LENGTH or unsafe
+ */
+function compileUserRegex(source, flags = 'i') {
+    const text = String(source);
+    if (text.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`la expresión regular supera los ${MAX_PATTERN_LENGTH} caracteres`);
+    }
+
+    let pattern;
+    try {
+        pattern = new RegExp(text, flags);
+    } catch (error) {
+        throw new Error(`expresión regular inválida (${error.message})`);
+    }
+    if (!isSafeRegex(pattern)) {
+        throw new Error('la expresión regular tiene cuantificadores anidados y puede bloquear el servidor');
+    }
+    return pattern;
+}
+
+module.exports = {
+    compileUserRegex,
+    MAX_PATTERN_LENGTH
+};